@@ -0,0 +1,408 @@
+/**
+ * Calendar Dates and Sexagesimal Values
+ * @fileoverview Calendar dates (differences in days, weeks and business days, adding durations,
+ * day of the week) and sexagesimal times and angles (`1:45:30`, `30°15′10″`) with their
+ * expression backend
+ */
+
+import { ERROR_MESSAGES, ANGLE_MODES, formatNumber } from './utils.js';
+import { NODE_TYPES, SEXAGESIMAL_PATTERN, sexagesimalParts, createFunctionTable, createRealArithmetic } from './expression.js';
+
+// Day names, indexed like Date.prototype.getUTCDay()
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Durations that can be added to a date
+export const DATE_UNITS = {
+    DAYS: 'days',
+    WEEKS: 'weeks',
+    MONTHS: 'months',
+    YEARS: 'years'
+};
+
+// Sexagesimal values are written as times (h:mm:ss) or as angles (d°m′s″)
+export const SEXAGESIMAL_STYLES = {
+    TIME: 'time',
+    ANGLE: 'angle'
+};
+
+const MS_PER_DAY = 86400000;
+
+// 1970-01-01, day 0, was a Thursday
+const EPOCH_WEEKDAY = 4;
+
+// Sexagesimal values are shown to the millisecond (or milli-arcsecond)
+const SECOND_DECIMALS = 3;
+
+/**
+ * Day number of a calendar date, counted from 1970-01-01
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12 (may overflow into neighbouring years)
+ * @param {number} day - Day of the month (0 is the last day of the previous month)
+ * @returns {number} Day number
+ */
+function toDayNumber(year, month, day) {
+    // setUTCFullYear keeps years below 100 literal, unlike Date.UTC
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return Math.round(date.getTime() / MS_PER_DAY);
+}
+
+// Number of days in a month (1-12)
+function daysInMonth(year, month) {
+    return toDayNumber(year, month + 1, 0) - toDayNumber(year, month, 0);
+}
+
+/**
+ * Immutable calendar date without a time of day or time zone
+ */
+export class CalendarDate {
+    /**
+     * @param {number} day - Day number, counted from 1970-01-01
+     */
+    constructor(day) {
+        this.day = day;
+    }
+
+    /**
+     * Read an ISO date such as `2026-12-25`
+     * @param {string} text - Date as YYYY-MM-DD
+     * @returns {CalendarDate} Date
+     */
+    static parse(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text).trim());
+        if (!match) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new CalendarDate(toDayNumber(year, month, day));
+        // Reject dates such as 2026-02-30 that would roll over into the next month
+        if (date.format() !== match[0]) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return date;
+    }
+
+    /**
+     * Restore a date saved with toJSON()
+     * @param {CalendarDate|Object} value - Date or `{ date }` object
+     * @returns {CalendarDate} Date
+     */
+    static from(value) {
+        return value instanceof CalendarDate ? value : CalendarDate.parse(value.date);
+    }
+
+    // Year, month (1-12) and day of the month
+    getParts() {
+        const date = new Date(this.day * MS_PER_DAY);
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    // Day of the week, 0 (Sunday) to 6 (Saturday)
+    getWeekday() {
+        return (((this.day + EPOCH_WEEKDAY) % 7) + 7) % 7;
+    }
+
+    // Name of the day of the week
+    getWeekdayName() {
+        return WEEKDAYS[this.getWeekday()];
+    }
+
+    // Monday to Friday
+    isBusinessDay() {
+        const weekday = this.getWeekday();
+        return weekday !== 0 && weekday !== 6;
+    }
+
+    /**
+     * Date a number of days later (earlier when negative)
+     * @param {number} days - Whole days
+     * @returns {CalendarDate} Date
+     */
+    addDays(days) {
+        return new CalendarDate(this.day + days);
+    }
+
+    /**
+     * Date a number of months later (earlier when negative), keeping the day of the month
+     * or using the last day of a shorter month, so 2026-01-31 plus one month is 2026-02-28
+     * @param {number} months - Whole months
+     * @returns {CalendarDate} Date
+     */
+    addMonths(months) {
+        const { year, month, day } = this.getParts();
+        const index = year * 12 + (month - 1) + months;
+        const targetYear = Math.floor(index / 12);
+        const targetMonth = index - targetYear * 12 + 1;
+        return new CalendarDate(toDayNumber(targetYear, targetMonth, Math.min(day, daysInMonth(targetYear, targetMonth))));
+    }
+
+    /**
+     * Format as YYYY-MM-DD
+     * @returns {string} ISO date
+     */
+    format() {
+        const { year, month, day } = this.getParts();
+        return [String(year).padStart(4, '0'), String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+    }
+
+    // Serialize as an ISO date
+    toJSON() {
+        return { date: this.format() };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Count the business days (Monday to Friday) after one date up to and including another;
+ * negative when the second date is earlier
+ * @param {CalendarDate} from - Start date (not counted)
+ * @param {CalendarDate} to - End date (counted)
+ * @returns {number} Business days
+ */
+export function businessDaysBetween(from, to) {
+    if (to.day < from.day) {
+        return -businessDaysBetween(to, from);
+    }
+
+    const days = to.day - from.day;
+    let count = Math.floor(days / 7) * 5;
+    for (let day = from.day + Math.floor(days / 7) * 7 + 1; day <= to.day; day++) {
+        if (new CalendarDate(day).isBusinessDay()) count++;
+    }
+    return count;
+}
+
+/**
+ * Difference between two dates
+ * @param {CalendarDate} from - Start date
+ * @param {CalendarDate} to - End date
+ * @returns {Object} `{ days, weeks, remainingDays, businessDays }`, negative when `to` is earlier
+ */
+export function dateDifference(from, to) {
+    const days = to.day - from.day;
+    return {
+        days,
+        weeks: Math.trunc(days / 7),
+        remainingDays: days % 7 || 0,
+        businessDays: businessDaysBetween(from, to)
+    };
+}
+
+/**
+ * Add a duration to a date
+ * @param {CalendarDate} date - Start date
+ * @param {number} amount - Whole number of units, negative to subtract
+ * @param {string} unit - Unit from DATE_UNITS
+ * @returns {CalendarDate} Resulting date
+ */
+export function addDuration(date, amount, unit) {
+    if (!Number.isInteger(amount)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    switch (unit) {
+        case DATE_UNITS.DAYS:
+            return date.addDays(amount);
+        case DATE_UNITS.WEEKS:
+            return date.addDays(amount * 7);
+        case DATE_UNITS.MONTHS:
+            return date.addMonths(amount);
+        case DATE_UNITS.YEARS:
+            return date.addMonths(amount * 12);
+        default:
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+}
+
+/**
+ * Time or angle in base 60, kept in seconds (or arcseconds)
+ */
+export class Sexagesimal {
+    /**
+     * @param {number} seconds - Total seconds (or arcseconds)
+     * @param {string} style - Display style from SEXAGESIMAL_STYLES
+     */
+    constructor(seconds, style = SEXAGESIMAL_STYLES.TIME) {
+        this.seconds = seconds;
+        this.style = style;
+    }
+
+    /**
+     * Convert decimal hours or degrees
+     * @param {number} value - Decimal hours or degrees
+     * @param {string} style - Display style from SEXAGESIMAL_STYLES
+     * @returns {Sexagesimal} Value
+     */
+    static fromNumber(value, style) {
+        return new Sexagesimal(value * 3600, style);
+    }
+
+    /**
+     * Restore a value saved with toJSON()
+     * @param {Sexagesimal|Object} value - Value or `{ seconds, style }` object
+     * @returns {Sexagesimal} Value
+     */
+    static from(value) {
+        if (value instanceof Sexagesimal) return value;
+        const style = Object.values(SEXAGESIMAL_STYLES).includes(value.style) ? value.style : SEXAGESIMAL_STYLES.TIME;
+        return new Sexagesimal(Number(value.seconds), style);
+    }
+
+    // Same value with new seconds
+    withSeconds(seconds) {
+        return new Sexagesimal(seconds, this.style);
+    }
+
+    // Same value written in another style
+    withStyle(style) {
+        return new Sexagesimal(this.seconds, style);
+    }
+
+    // Decimal hours or degrees
+    toNumber() {
+        return this.seconds / 3600;
+    }
+
+    // Allow Number(value) and isFinite(value)
+    valueOf() {
+        return this.toNumber();
+    }
+
+    /**
+     * Format as `1:45:30` or `30°15′10″`, with fractional seconds when needed
+     * @returns {string} Formatted value
+     */
+    format() {
+        const sign = this.seconds < 0 ? '-' : '';
+        const scale = 10 ** SECOND_DECIMALS;
+        const total = Math.round(Math.abs(this.seconds) * scale);
+
+        const units = Math.floor(total / (3600 * scale));
+        const minutes = String(Math.floor(total / (60 * scale)) % 60).padStart(2, '0');
+        const secondsValue = (total % (60 * scale)) / scale;
+        const seconds = (secondsValue < 10 ? '0' : '') + formatNumber(secondsValue, SECOND_DECIMALS);
+
+        return this.style === SEXAGESIMAL_STYLES.ANGLE
+            ? `${sign}${units}°${minutes}′${seconds}″`
+            : `${sign}${units}:${minutes}:${seconds}`;
+    }
+
+    // Serialize the seconds and style
+    toJSON() {
+        return { seconds: this.seconds, style: this.style };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Read a sexagesimal literal such as `1:45:30`, `-0:20` or `30°15′10″`
+ * @param {string} text - Text to read
+ * @returns {Sexagesimal|null} Value, or null if the text is not a sexagesimal literal
+ */
+export function parseSexagesimal(text) {
+    const match = /^(-?)(.*)$/.exec(String(text).trim());
+    const literal = SEXAGESIMAL_PATTERN.exec(match[2]);
+    const parts = literal && literal[0] === match[2] ? sexagesimalParts(literal[0]) : null;
+    if (!parts) return null;
+
+    const seconds = parts[0] * 3600 + parts[1] * 60 + parts[2];
+    const style = literal[0].includes(':') ? SEXAGESIMAL_STYLES.TIME : SEXAGESIMAL_STYLES.ANGLE;
+    return new Sexagesimal(match[1] ? -seconds : seconds, style);
+}
+
+/**
+ * Check whether an expression contains a sexagesimal literal
+ * @param {Object} node - Expression AST
+ * @returns {boolean} True if a time or angle literal appears anywhere in the tree
+ */
+export function hasSexagesimal(node) {
+    if (node.type === NODE_TYPES.NUMBER) return parseSexagesimal(node.raw) !== null;
+    const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+    return children.some(hasSexagesimal);
+}
+
+/**
+ * Creates the floating-point arithmetic for expressions such as `1:45:30 + 0:20:15`.
+ * Sums and differences keep the style of their left operand, with plain numbers read as
+ * decimal hours or degrees; sexagesimal values may be scaled by plain numbers, and dividing
+ * two of them gives their ratio. Angles such as `30°15′` are passed to functions in degrees.
+ * @param {string} angleMode - Angle mode for trigonometric functions of plain numbers
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createSexagesimalArithmetic(angleMode = ANGLE_MODES.DEGREES) {
+    const real = createRealArithmetic(angleMode);
+    const degreeFunctions = createFunctionTable(ANGLE_MODES.DEGREES);
+
+    const toPlain = (value) => (value instanceof Sexagesimal ? value.toNumber() : value);
+    const toSeconds = (value) => (value instanceof Sexagesimal ? value.seconds : value * 3600);
+
+    const functions = Object.fromEntries(
+        Object.entries(real.functions).map(([name, func]) => [name, (value) => {
+            const isAngle = value instanceof Sexagesimal && value.style === SEXAGESIMAL_STYLES.ANGLE;
+            return (isAngle ? degreeFunctions[name] : func)(toPlain(value));
+        }])
+    );
+
+    return {
+        constants: real.constants,
+        functions,
+
+        number(raw) {
+            return parseSexagesimal(raw) || parseFloat(raw);
+        },
+
+        unary(operator, value) {
+            if (value instanceof Sexagesimal) {
+                return value.withSeconds(real.unary(operator, value.seconds));
+            }
+            return real.unary(operator, value);
+        },
+
+        binary(operator, left, right) {
+            const leftSexagesimal = left instanceof Sexagesimal;
+            const rightSexagesimal = right instanceof Sexagesimal;
+            if (!leftSexagesimal && !rightSexagesimal) {
+                return real.binary(operator, left, right);
+            }
+
+            const sexagesimal = leftSexagesimal ? left : right;
+            switch (operator) {
+                case '+':
+                case '-':
+                    return sexagesimal.withSeconds(real.binary(operator, toSeconds(left), toSeconds(right)));
+                case '*':
+                    if (leftSexagesimal && rightSexagesimal) break;
+                    return sexagesimal.withSeconds(real.binary('*', sexagesimal.seconds, leftSexagesimal ? right : left));
+                case '/':
+                    if (rightSexagesimal) break;
+                    return left.withSeconds(real.binary('/', left.seconds, right));
+                default:
+                    break;
+            }
+            return real.binary(operator, toPlain(left), toPlain(right));
+        },
+
+        postfix(operator, value) {
+            if (value instanceof Sexagesimal && operator === '%') {
+                return value.withSeconds(value.seconds / 100);
+            }
+            return real.postfix(operator, toPlain(value));
+        }
+    };
+}
+
+/**
+ * Today's date in the local time zone
+ * @returns {CalendarDate} Date
+ */
+export function today() {
+    const now = new Date();
+    return new CalendarDate(toDayNumber(now.getFullYear(), now.getMonth() + 1, now.getDate()));
+}
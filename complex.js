@@ -0,0 +1,353 @@
+/**
+ * Complex Number Arithmetic
+ * @fileoverview Complex values, principal-branch functions and the complex expression backend
+ */
+
+import {
+    CONSTANTS,
+    ERROR_MESSAGES,
+    ANGLE_MODES,
+    COMPLEX_FORMATS,
+    convertAngle,
+    factorial,
+    formatNumber
+} from './utils.js';
+import { createFunctionTable } from './expression.js';
+
+// Parts smaller than this, relative to the magnitude, are rounding noise (e.g. the imaginary part of e^(iπ))
+const RELATIVE_EPSILON = 1e-12;
+
+// Integer powers up to this size are computed by repeated multiplication so i² is exactly -1
+const MAX_EXACT_EXPONENT = 64;
+
+/**
+ * Immutable complex number `re + im·i`
+ */
+export class Complex {
+    /**
+     * @param {number} re - Real part
+     * @param {number} im - Imaginary part
+     */
+    constructor(re, im = 0) {
+        this.re = re;
+        this.im = im;
+    }
+
+    /**
+     * Converts a number, Complex or stored `{ re, im }` object to a Complex
+     * @param {number|Complex|Object} value - Value to convert
+     * @returns {Complex} Complex value
+     */
+    static from(value) {
+        if (value instanceof Complex) return value;
+        if (typeof value === 'object' && value !== null) return new Complex(value.re, value.im);
+        return new Complex(Number(value), 0);
+    }
+
+    /**
+     * Creates a complex number from polar coordinates
+     * @param {number} r - Magnitude
+     * @param {number} theta - Angle in radians
+     * @returns {Complex} Complex value
+     */
+    static fromPolar(r, theta) {
+        return new Complex(r * Math.cos(theta), r * Math.sin(theta));
+    }
+
+    // Check if the imaginary part is zero
+    isReal() {
+        return this.im === 0;
+    }
+
+    // Check if both parts are finite
+    isFinite() {
+        return isFinite(this.re) && isFinite(this.im);
+    }
+
+    // Sum of two values
+    add(other) {
+        return new Complex(this.re + other.re, this.im + other.im);
+    }
+
+    // Difference of two values
+    subtract(other) {
+        return new Complex(this.re - other.re, this.im - other.im);
+    }
+
+    // Product of two values
+    multiply(other) {
+        return new Complex(
+            this.re * other.re - this.im * other.im,
+            this.re * other.im + this.im * other.re
+        );
+    }
+
+    // Quotient of two values
+    divide(other) {
+        const denominator = other.re * other.re + other.im * other.im;
+        if (denominator === 0) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return new Complex(
+            (this.re * other.re + this.im * other.im) / denominator,
+            (this.im * other.re - this.re * other.im) / denominator
+        );
+    }
+
+    // Value with the opposite sign; 0 - x avoids -0, which would put -1 on the wrong side of arg()'s branch cut
+    negate() {
+        return new Complex(0 - this.re, 0 - this.im);
+    }
+
+    // Complex conjugate
+    conjugate() {
+        return new Complex(this.re, -this.im);
+    }
+
+    // Magnitude |z|
+    abs() {
+        return Math.hypot(this.re, this.im);
+    }
+
+    // Argument in radians, in (-π, π]
+    arg() {
+        return Math.atan2(this.im, this.re);
+    }
+
+    // e raised to this value
+    exp() {
+        return Complex.fromPolar(Math.exp(this.re), this.im);
+    }
+
+    /**
+     * Principal natural logarithm
+     * @returns {Complex} ln|z| + i·arg(z)
+     */
+    log() {
+        if (this.re === 0 && this.im === 0) {
+            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
+        }
+        return new Complex(Math.log(this.abs()), this.arg());
+    }
+
+    /**
+     * Principal square root
+     * @returns {Complex} Root with a non-negative real part
+     */
+    sqrt() {
+        const r = this.abs();
+        const re = Math.sqrt((r + this.re) / 2);
+        const im = Math.sqrt((r - this.re) / 2);
+        return new Complex(re, this.im < 0 ? -im : im);
+    }
+
+    /**
+     * Raises the value to a complex power using the principal branch
+     * @param {Complex} exponent - Exponent
+     * @returns {Complex} Result
+     */
+    pow(exponent) {
+        if (exponent.isReal() && Number.isInteger(exponent.re) && Math.abs(exponent.re) <= MAX_EXACT_EXPONENT) {
+            let result = new Complex(1, 0);
+            for (let i = 0; i < Math.abs(exponent.re); i++) {
+                result = result.multiply(this);
+            }
+            return exponent.re < 0 ? new Complex(1, 0).divide(result) : result;
+        }
+
+        if (this.re === 0 && this.im === 0) {
+            if (exponent.re > 0) return new Complex(0, 0);
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+
+        return exponent.multiply(this.log()).exp();
+    }
+
+    // Sine of a value in radians
+    sin() {
+        return new Complex(
+            Math.sin(this.re) * Math.cosh(this.im),
+            Math.cos(this.re) * Math.sinh(this.im)
+        );
+    }
+
+    // Cosine of a value in radians
+    cos() {
+        return new Complex(
+            Math.cos(this.re) * Math.cosh(this.im),
+            -Math.sin(this.re) * Math.sinh(this.im)
+        );
+    }
+
+    /**
+     * Drops parts that are rounding noise relative to the magnitude
+     * @returns {Complex} Cleaned value
+     */
+    clean() {
+        const tolerance = RELATIVE_EPSILON * Math.max(1, this.abs());
+        return new Complex(
+            Math.abs(this.re) < tolerance ? 0 : this.re,
+            Math.abs(this.im) < tolerance ? 0 : this.im
+        );
+    }
+
+    /**
+     * Formats the value as `a+bi`
+     * @param {number} maxDecimals - Maximum decimal places of each part
+     * @returns {string} Rectangular form
+     */
+    format(maxDecimals) {
+        const { re, im } = this.clean();
+        if (im === 0) return formatNumber(re, maxDecimals);
+
+        const magnitude = Math.abs(im) === 1 ? '' : formatNumber(Math.abs(im), maxDecimals);
+        if (re === 0) return `${im < 0 ? '-' : ''}${magnitude}i`;
+        return `${formatNumber(re, maxDecimals)}${im < 0 ? '-' : '+'}${magnitude}i`;
+    }
+
+    /**
+     * Formats the value as `r∠θ` with the angle in the given mode
+     * @param {string} angleMode - Angle mode of θ
+     * @param {number} maxDecimals - Maximum decimal places
+     * @returns {string} Polar form
+     */
+    formatPolar(angleMode, maxDecimals) {
+        const value = this.clean();
+        const theta = convertAngle(value.arg(), angleMode, false);
+        return `${formatNumber(value.abs(), maxDecimals)}∠${formatNumber(theta, maxDecimals)}`;
+    }
+
+    // Serialize both parts
+    toJSON() {
+        return { re: this.re, im: this.im };
+    }
+
+    // Rectangular form
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Creates the complex arithmetic used when complex results are enabled
+ * @param {string} angleMode - Angle mode for trigonometric functions and `∠`
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createComplexArithmetic(angleMode = ANGLE_MODES.DEGREES) {
+    const real = createFunctionTable(angleMode);
+    const i = new Complex(0, 1);
+    const one = new Complex(1, 0);
+    const toRadians = new Complex(convertAngle(1, angleMode, true), 0);
+    const fromRadians = new Complex(convertAngle(1, angleMode, false), 0);
+
+    // Real arguments inside the real domain keep the exact real behavior (snapping, tan poles)
+    const realOr = (name, inDomain, complex) => (z) => {
+        if (z.isReal() && inDomain(z.re)) {
+            return new Complex(real[name](z.re), 0);
+        }
+        return complex(z);
+    };
+    const always = () => true;
+    const unitRange = (x) => x >= -1 && x <= 1;
+    const positive = (x) => x > 0;
+
+    const asin = (z) => i.multiply(z).add(one.subtract(z.multiply(z)).sqrt()).log().multiply(i).negate();
+    const sqrt = realOr('sqrt', (x) => x >= 0, (z) => z.sqrt());
+    const cbrt = realOr('cbrt', always, (z) => z.pow(new Complex(1 / 3, 0)));
+
+    const functions = {
+        sin: realOr('sin', always, (z) => z.multiply(toRadians).sin()),
+        cos: realOr('cos', always, (z) => z.multiply(toRadians).cos()),
+        tan: realOr('tan', always, (z) => {
+            const radians = z.multiply(toRadians);
+            return radians.sin().divide(radians.cos());
+        }),
+        asin: realOr('asin', unitRange, (z) => asin(z).multiply(fromRadians)),
+        acos: realOr('acos', unitRange, (z) => new Complex(Math.PI / 2, 0).subtract(asin(z)).multiply(fromRadians)),
+        atan: realOr('atan', always, (z) => {
+            if (z.re === 0 && Math.abs(z.im) === 1) {
+                throw new Error(ERROR_MESSAGES.MATH_ERROR);
+            }
+            // atan(z) = (i/2)·ln((i + z)/(i − z))
+            const ratio = i.add(z).divide(i.subtract(z));
+            return ratio.log().multiply(new Complex(0, 0.5)).multiply(fromRadians);
+        }),
+        log: realOr('log', positive, (z) => z.log().divide(new Complex(Math.LN10, 0))),
+        ln: realOr('ln', positive, (z) => z.log()),
+        sqrt,
+        '√': sqrt,
+        cbrt,
+        '∛': cbrt,
+        abs: (z) => new Complex(z.abs(), 0),
+        arg: (z) => new Complex(convertAngle(z.arg(), angleMode, false), 0),
+        conj: (z) => z.conjugate(),
+        re: (z) => new Complex(z.re, 0),
+        im: (z) => new Complex(z.im, 0)
+    };
+
+    return {
+        constants: {
+            'π': new Complex(CONSTANTS.PI, 0),
+            'pi': new Complex(CONSTANTS.PI, 0),
+            'e': new Complex(CONSTANTS.E, 0),
+            'i': i
+        },
+        functions,
+
+        number(raw) {
+            return new Complex(Number(raw), 0);
+        },
+
+        unary(operator, value) {
+            switch (operator) {
+                case '-':
+                    return value.negate();
+                case '+':
+                    return value;
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        binary(operator, left, right) {
+            switch (operator) {
+                case '+':
+                    return left.add(right);
+                case '-':
+                    return left.subtract(right);
+                case '*':
+                    return left.multiply(right);
+                case '/':
+                    return left.divide(right);
+                case '^':
+                    return left.pow(right);
+                case '∠':
+                    // r∠θ with θ in the active angle mode
+                    if (!left.isReal() || !right.isReal()) {
+                        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+                    }
+                    return Complex.fromPolar(left.re, convertAngle(right.re, angleMode, true));
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        postfix(operator, value) {
+            switch (operator) {
+                case '%':
+                    return value.divide(new Complex(100, 0));
+                case '!':
+                    if (!value.isReal()) {
+                        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+                    }
+                    return new Complex(factorial(value.re), 0);
+                case '²':
+                    return value.multiply(value);
+                case '³':
+                    return value.multiply(value).multiply(value);
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        }
+    };
+}
@@ -0,0 +1,424 @@
+/**
+ * Offline Currency Conversion
+ * @fileoverview Locally stored exchange-rate table (edited by hand or imported from JSON or CSV,
+ * every rate dated), currency units for expressions such as `120 USD in EUR`, and the CUR panel
+ */
+
+import { ERROR_MESSAGES, storeData, getData } from './utils.js';
+import { UNIT_CATALOG, findUnit, addUnit, removeUnit } from './units.js';
+import { CalendarDate, today } from './calendar.js';
+
+// Unit category holding one unit per currency in the rate table
+export const CURRENCY_CATEGORY = 'currency';
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+// ISO 4217 style codes such as EUR
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Check if a string is a currency code
+ * @param {string} code - Candidate code
+ * @returns {boolean} True for three capital letters
+ */
+export function isCurrencyCode(code) {
+    return typeof code === 'string' && CURRENCY_CODE.test(code);
+}
+
+// Check if a rate table lists a currency other than its base
+function hasRate(table, code) {
+    return Object.prototype.hasOwnProperty.call(table.rates, code);
+}
+
+/**
+ * Validate a currency code; it may not already name a unit of another category
+ * @param {string} code - Currency code
+ * @returns {string} The code
+ */
+function requireCurrencyCode(code) {
+    const unit = isCurrencyCode(code) ? findUnit(code) : null;
+    if (!isCurrencyCode(code) || (unit && unit.category !== CURRENCY_CATEGORY)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return code;
+}
+
+/**
+ * Validate one rate table entry
+ * @param {number} rate - Units of the currency per one unit of the base currency
+ * @param {string} updated - Date the rate was last updated, YYYY-MM-DD
+ * @returns {Object} Entry `{ rate, updated }`
+ */
+function createRateEntry(rate, updated) {
+    if (typeof rate !== 'number' || !(rate > 0) || !isFinite(rate)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return { rate, updated: CalendarDate.parse(updated).format() };
+}
+
+/**
+ * Validate a rate table
+ * @param {Object} table - Table `{ base, rates: { CODE: { rate, updated } } }`, rates given per one unit of the base currency
+ * @returns {Object} Validated copy of the table
+ */
+export function normalizeRateTable(table) {
+    if (!table || typeof table !== 'object' || !table.rates || typeof table.rates !== 'object') {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const base = requireCurrencyCode(table.base);
+    const rates = {};
+    Object.entries(table.rates).forEach(([code, entry]) => {
+        if (requireCurrencyCode(code) === base || !entry) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        rates[code] = createRateEntry(entry.rate, entry.updated);
+    });
+    return { base, rates };
+}
+
+/**
+ * Read a rate table from JSON: either `{ base, rates: { EUR: { rate, updated } } }` or
+ * `{ base, date, rates: { EUR: 0.92 } }` with one date for every rate
+ * @param {string} text - JSON text
+ * @returns {Object} Validated rate table
+ */
+export function parseRatesJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    if (!data || typeof data !== 'object' || !data.rates || typeof data.rates !== 'object') {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    // Rate lists often include the base currency itself at 1
+    const shared = data.date || data.updated || today().format();
+    const rates = Object.fromEntries(Object.entries(data.rates)
+        .filter(([code]) => code !== data.base)
+        .map(([code, entry]) => [code, typeof entry === 'number' ? { rate: entry, updated: shared } : entry]));
+    return normalizeRateTable({ base: data.base, rates });
+}
+
+/**
+ * Read rates from CSV: `code, rate[, updated]` per line, separated by a tab, comma or semicolon,
+ * with rates given per one unit of the base currency. A first line that does not start with a
+ * currency code is a header; rates without a date were updated today.
+ * @param {string} text - CSV text
+ * @param {string} base - Base currency of the rates
+ * @returns {Object} Validated rate table
+ */
+export function parseRatesCSV(text, base) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const splitLine = (line) => line.split(/[\t,;]/).map(cell => cell.trim());
+    const rates = {};
+
+    lines
+        .filter((line, index) => index > 0 || isCurrencyCode(splitLine(line)[0]))
+        .forEach(line => {
+            const [code, rate, updated = today().format(), ...rest] = splitLine(line);
+            if (rest.length > 0 || rate === undefined || rate === '' || hasRate({ rates }, code)) {
+                throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+            }
+            rates[code] = { rate: Number(rate), updated };
+        });
+    return normalizeRateTable({ base, rates });
+}
+
+/**
+ * Express a rate table in another base currency. Every rebased rate is a cross rate, dated
+ * by the older of its two source rates.
+ * @param {Object} table - Validated rate table
+ * @param {string} base - New base currency, listed in the table
+ * @returns {Object} Rate table in the new base
+ */
+export function rebaseRateTable(table, base) {
+    if (base === table.base) {
+        return normalizeRateTable(table);
+    }
+    if (!hasRate(table, base)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const pivot = table.rates[base];
+    const rates = { [table.base]: { rate: 1 / pivot.rate, updated: pivot.updated } };
+    Object.entries(table.rates)
+        .filter(([code]) => code !== base)
+        .forEach(([code, { rate, updated }]) => {
+            rates[code] = { rate: rate / pivot.rate, updated: updated < pivot.updated ? updated : pivot.updated };
+        });
+    return normalizeRateTable({ base, rates });
+}
+
+/**
+ * Make the currencies of a rate table usable as units, replacing the previous currency units
+ * @param {Object} table - Validated rate table
+ */
+export function applyRateTable(table) {
+    const previous = UNIT_CATALOG[CURRENCY_CATEGORY] ? Object.keys(UNIT_CATALOG[CURRENCY_CATEGORY].units) : [];
+    previous.forEach(symbol => removeUnit(symbol));
+
+    addUnit(CURRENCY_CATEGORY, table.base, { factor: 1 });
+    Object.entries(table.rates).forEach(([code, { rate }]) => {
+        addUnit(CURRENCY_CATEGORY, code, { factor: 1 / rate });
+    });
+    UNIT_CATALOG[CURRENCY_CATEGORY].name = 'Currency';
+}
+
+/**
+ * The part of a rate table behind a conversion, kept with history records for auditing
+ * @param {Object} table - Validated rate table
+ * @param {Array<string>} symbols - Unit symbols used by the calculation
+ * @returns {Object|null} Table `{ base, rates }` restricted to the currencies used, or null if no rate was needed
+ */
+export function selectRates(table, symbols) {
+    const codes = [...new Set(symbols)].filter(symbol => hasRate(table, symbol));
+    if (codes.length === 0) return null;
+
+    const rates = Object.fromEntries(codes.map(code => [code, { ...table.rates[code] }]));
+    return { base: table.base, rates };
+}
+
+class CurrencyManager {
+    constructor() {
+        this.table = { base: DEFAULT_BASE_CURRENCY, rates: {} };
+        this.listeners = new Set();
+        this.baseSelect = null;
+        this.ratesBody = null;
+        this.loadRatesFromStorage();
+        applyRateTable(this.table);
+        this.initializeUI();
+    }
+
+    // Initialize currency panel elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.baseSelect = document.getElementById('currencyBase');
+        this.ratesBody = document.getElementById('currencyRates');
+
+        if (this.baseSelect) {
+            this.baseSelect.addEventListener('change', () => this.setBase(this.baseSelect.value));
+        }
+        if (this.ratesBody) {
+            // Cells are edited in place; rows are rebuilt so invalid edits revert
+            this.ratesBody.addEventListener('change', (event) => this.handleCellChange(event));
+            this.ratesBody.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-remove]');
+                if (button) this.removeRate(button.dataset.remove);
+            });
+        }
+
+        this.renderRates();
+    }
+
+    // Load the rate table from localStorage
+    loadRatesFromStorage() {
+        const stored = getData('calculatorCurrency', null);
+        if (!stored) return;
+
+        try {
+            this.table = normalizeRateTable(stored);
+        } catch (error) {
+            console.error('Ignoring invalid currency rates:', error);
+        }
+    }
+
+    // Save the rate table to localStorage
+    saveRatesToStorage() {
+        storeData('calculatorCurrency', this.table);
+    }
+
+    /**
+     * Replace the rate table, then persist it, update the currency units and redraw
+     * @param {Object} table - Validated rate table
+     */
+    commitChanges(table) {
+        applyRateTable(table);
+        this.table = table;
+        this.saveRatesToStorage();
+        this.renderRates();
+        this.listeners.forEach(listener => listener(this.getCurrencies()));
+    }
+
+    /**
+     * Subscribe to rate table changes
+     * @param {Function} listener - Called with the list of currencies after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Add or change a rate
+     * @param {string} code - Currency code other than the base
+     * @param {number} rate - Units of the currency per one unit of the base currency
+     * @param {string} updated - Date of the rate, YYYY-MM-DD; defaults to today
+     */
+    setRate(code, rate, updated = today().format()) {
+        const rates = { ...this.table.rates, [code]: { rate, updated } };
+        this.commitChanges(normalizeRateTable({ base: this.table.base, rates }));
+    }
+
+    /**
+     * Remove a rate
+     * @param {string} code - Currency code
+     */
+    removeRate(code) {
+        if (!hasRate(this.table, code)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        const { [code]: removed, ...rates } = this.table.rates;
+        this.commitChanges({ base: this.table.base, rates });
+    }
+
+    /**
+     * Express every rate in another base currency
+     * @param {string} code - Currency listed in the table
+     */
+    setBase(code) {
+        this.commitChanges(rebaseRateTable(this.table, code));
+    }
+
+    /**
+     * Replace the rate table with imported rates
+     * @param {string} text - File contents
+     * @param {string} filename - File name; `.json` files are read as JSON, anything else as CSV in the current base
+     * @returns {number} Number of rates imported
+     */
+    importRates(text, filename = '') {
+        const table = /\.json$/i.test(filename) || /^\s*\{/.test(text)
+            ? parseRatesJSON(text)
+            : parseRatesCSV(text, this.table.base);
+        this.commitChanges(table);
+        return Object.keys(table.rates).length;
+    }
+
+    /**
+     * Import rates from a file chosen by the user
+     * @param {File} file - JSON or CSV file
+     * @returns {Promise<number>} Number of rates imported
+     */
+    async importFile(file) {
+        return this.importRates(await file.text(), file.name);
+    }
+
+    /**
+     * Get a copy of the rate table
+     * @returns {Object} Table `{ base, rates: { CODE: { rate, updated } } }`
+     */
+    getTable() {
+        return normalizeRateTable(this.table);
+    }
+
+    /**
+     * List the currencies available for conversion
+     * @returns {Array<string>} The base currency, then the others alphabetically
+     */
+    getCurrencies() {
+        return [this.table.base, ...Object.keys(this.table.rates).sort()];
+    }
+
+    /**
+     * Rates used by a calculation, for its history record
+     * @param {Array<string>} symbols - Unit symbols used by the calculation
+     * @returns {Object|null} Rate table restricted to the currencies used, or null if no rate was needed
+     */
+    getRatesFor(symbols) {
+        return selectRates(this.table, symbols);
+    }
+
+    /**
+     * Apply an edited rate or date from the rate table
+     * @param {Event} event - Change event from the table body
+     */
+    handleCellChange(event) {
+        const row = event.target.closest('[data-code]');
+        if (!row) return;
+
+        const code = row.dataset.code;
+        const rate = Number(row.querySelector('[data-field="rate"]').value);
+        const updated = row.querySelector('[data-field="updated"]').value;
+
+        try {
+            // Editing the rate by hand dates it today unless the date is edited too
+            this.setRate(code, rate, event.target.dataset.field === 'rate' ? today().format() : updated);
+        } catch (error) {
+            this.renderRates();
+        }
+    }
+
+    // Render the base currency choice and the rate table
+    renderRates() {
+        if (this.baseSelect) {
+            this.baseSelect.replaceChildren(...this.getCurrencies().map(code => new Option(code, code)));
+            this.baseSelect.value = this.table.base;
+        }
+        if (this.ratesBody) {
+            this.ratesBody.replaceChildren(...Object.keys(this.table.rates).sort().map(code => this.createRateRow(code)));
+        }
+    }
+
+    /**
+     * Create an editable table row
+     * @param {string} code - Currency code
+     * @returns {HTMLElement} Table row
+     */
+    createRateRow(code) {
+        const { rate, updated } = this.table.rates[code];
+        const tr = document.createElement('tr');
+        tr.dataset.code = code;
+
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.textContent = code;
+        tr.appendChild(label);
+
+        [['rate', 'number', String(rate)], ['updated', 'date', updated]].forEach(([field, type, value]) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            input.dataset.field = field;
+            input.setAttribute('aria-label', field === 'rate'
+                ? `${code} per ${this.table.base}`
+                : `Date the ${code} rate was updated`);
+            cell.appendChild(input);
+            tr.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'stats-remove';
+        remove.dataset.remove = code;
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove the ${code} rate`);
+        actions.appendChild(remove);
+        tr.appendChild(actions);
+
+        return tr;
+    }
+}
+
+// Create and export singleton instance
+export const currencyManager = new CurrencyManager();
+
+// Export currency operations as individual functions
+export const currencyOperations = {
+    setRate: (code, rate, updated) => currencyManager.setRate(code, rate, updated),
+    removeRate: (code) => currencyManager.removeRate(code),
+    setBase: (code) => currencyManager.setBase(code),
+    import: (text, filename) => currencyManager.importRates(text, filename),
+    importFile: (file) => currencyManager.importFile(file),
+    getTable: () => currencyManager.getTable(),
+    getCurrencies: () => currencyManager.getCurrencies(),
+    getRatesFor: (symbols) => currencyManager.getRatesFor(symbols),
+    subscribe: (listener) => currencyManager.subscribe(listener)
+};
+
+// Export class for advanced usage
+export default CurrencyManager;
@@ -0,0 +1,214 @@
+/**
+ * Date Calculator Panel
+ * @fileoverview The DATE panel: differences between two dates and durations added to a date,
+ * with results sent to history and memory
+ */
+
+import { ERROR_MESSAGES, formatNumber } from './utils.js';
+import { CalendarDate, DATE_UNITS, dateDifference, addDuration, today } from './calendar.js';
+import { historyOperations } from './history.js';
+import { memoryOperations } from './memory.js';
+
+class DateManager {
+    constructor() {
+        this.from = today();
+        this.to = today();
+        this.results = [];
+        this.fromInput = null;
+        this.toInput = null;
+        this.fromWeekday = null;
+        this.toWeekday = null;
+        this.resultsList = null;
+        this.initializeUI();
+    }
+
+    // Initialize date panel elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.fromInput = document.getElementById('dateFrom');
+        this.toInput = document.getElementById('dateTo');
+        this.fromWeekday = document.getElementById('dateFromWeekday');
+        this.toWeekday = document.getElementById('dateToWeekday');
+        this.resultsList = document.getElementById('dateResults');
+
+        // Invalid or cleared dates revert to the previous value
+        [[this.fromInput, 'setFrom'], [this.toInput, 'setTo']].forEach(([input, setter]) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                try {
+                    this[setter](input.value);
+                } catch (error) {
+                    this.renderDates();
+                }
+            });
+        });
+        if (this.resultsList) {
+            this.resultsList.addEventListener('click', (event) => this.handleResultClick(event));
+        }
+
+        this.renderDates();
+    }
+
+    /**
+     * Set the start date
+     * @param {string|CalendarDate} date - Date as YYYY-MM-DD
+     */
+    setFrom(date) {
+        this.from = date instanceof CalendarDate ? date : CalendarDate.parse(date);
+        this.renderDates();
+    }
+
+    /**
+     * Set the end date
+     * @param {string|CalendarDate} date - Date as YYYY-MM-DD
+     */
+    setTo(date) {
+        this.to = date instanceof CalendarDate ? date : CalendarDate.parse(date);
+        this.renderDates();
+    }
+
+    /**
+     * Get the start and end dates
+     * @returns {Object} `{ from, to }` as YYYY-MM-DD
+     */
+    getDates() {
+        return { from: this.from.format(), to: this.to.format() };
+    }
+
+    /**
+     * Difference between the start and end dates, recorded in history in days and business days
+     * @returns {Object} `{ days, weeks, remainingDays, businessDays }`
+     */
+    computeDifference() {
+        const difference = dateDifference(this.from, this.to);
+        const range = `${this.from.format()} → ${this.to.format()}`;
+
+        this.results = [
+            { label: 'DAYS', value: difference.days },
+            { label: 'WEEKS', value: difference.days / 7, text: `${difference.weeks} w ${difference.remainingDays} d` },
+            { label: 'WORKDAYS', value: difference.businessDays }
+        ];
+        historyOperations.add(`days ${range}`, difference.days);
+        historyOperations.add(`workdays ${range}`, difference.businessDays);
+        this.renderDates();
+        return difference;
+    }
+
+    /**
+     * Add a duration to the start date. The resulting date becomes the end date and is
+     * recorded in history; the number of days spanned is offered as a result.
+     * @param {number} amount - Whole number of units, negative to subtract
+     * @param {string} unit - Unit from DATE_UNITS
+     * @returns {CalendarDate} Resulting date
+     */
+    addToStart(amount, unit) {
+        const result = addDuration(this.from, amount, unit);
+        const sign = amount < 0 ? '-' : '+';
+
+        this.to = result;
+        this.results = [{ label: 'DAYS', value: result.day - this.from.day }];
+        historyOperations.add(`${this.from.format()} ${sign} ${Math.abs(amount)} ${unit}`, result);
+        this.renderDates();
+        return result;
+    }
+
+    /**
+     * Get the last computed values
+     * @returns {Array<Object>} Results `{ label, value, text? }`
+     */
+    getResults() {
+        return this.results.map(result => ({ ...result }));
+    }
+
+    /**
+     * Store a computed value in calculator memory
+     * @param {number} index - Result index
+     */
+    storeResult(index) {
+        const result = this.results[index];
+        if (!result) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        memoryOperations.store(result.value);
+    }
+
+    /**
+     * Send a computed value to the main display or store it in memory
+     * @param {Event} event - Click event from the results list
+     */
+    handleResultClick(event) {
+        const button = event.target.closest('[data-result]');
+        if (!button) return;
+
+        const index = Number(button.dataset.result);
+        if (button.dataset.store !== undefined) {
+            this.storeResult(index);
+        } else if (this.results[index]) {
+            document.dispatchEvent(new CustomEvent('dateValueSelected', {
+                detail: { ...this.results[index] }
+            }));
+        }
+    }
+
+    // Render the dates, their days of the week and the results
+    renderDates() {
+        if (this.fromInput) {
+            this.fromInput.value = this.from.format();
+        }
+        if (this.toInput) {
+            this.toInput.value = this.to.format();
+        }
+        if (this.fromWeekday) {
+            this.fromWeekday.textContent = this.from.getWeekdayName();
+        }
+        if (this.toWeekday) {
+            this.toWeekday.textContent = this.to.getWeekdayName();
+        }
+        if (this.resultsList) {
+            this.resultsList.replaceChildren(...this.results.map((result, index) => this.createResultItem(result, index)));
+        }
+    }
+
+    /**
+     * Create a result entry with recall and memory-store buttons
+     * @param {Object} result - Result `{ label, value, text? }`
+     * @param {number} index - Result index
+     * @returns {HTMLElement} List item
+     */
+    createResultItem(result, index) {
+        const item = document.createElement('li');
+        const recall = document.createElement('button');
+        recall.className = 'stats-recall';
+        recall.dataset.result = String(index);
+        recall.textContent = `${result.label} = ${result.text || formatNumber(result.value)}`;
+        recall.setAttribute('aria-label', `Send ${result.label} to the display`);
+
+        const store = document.createElement('button');
+        store.className = 'stats-store';
+        store.dataset.result = String(index);
+        store.dataset.store = '';
+        store.textContent = '→M';
+        store.setAttribute('aria-label', `Store ${result.label} in memory`);
+
+        item.append(recall, store);
+        return item;
+    }
+}
+
+// Create and export singleton instance
+export const dateManager = new DateManager();
+
+// Export date operations as individual functions
+export const dateOperations = {
+    setFrom: (date) => dateManager.setFrom(date),
+    setTo: (date) => dateManager.setTo(date),
+    getDates: () => dateManager.getDates(),
+    difference: () => dateManager.computeDifference(),
+    add: (amount, unit) => dateManager.addToStart(amount, unit),
+    getResults: () => dateManager.getResults(),
+    store: (index) => dateManager.storeResult(index)
+};
+
+// Export class for advanced usage
+export default DateManager;
@@ -0,0 +1,341 @@
+/**
+ * Exact Decimal Arithmetic
+ * @fileoverview Fixed-point decimal values backed by BigInt, used by the calculator's decimal mode
+ */
+
+import { ERROR_MESSAGES, PRECISION, ANGLE_MODES } from './utils.js';
+import { createFunctionTable } from './expression.js';
+
+// Extra digits carried through a calculation so rounding only happens once, when displayed
+export const GUARD_DIGITS = 5;
+
+// Results longer than this many digits are reported as an overflow
+const MAX_DIGITS = 1000;
+
+// Constants to more digits than any supported precision
+const PI_DIGITS = '3.14159265358979323846264338327950288419716939937510582097494459';
+const E_DIGITS = '2.71828182845904523536028747135266249775724709369995957496696763';
+
+const TEN = 10n;
+
+/**
+ * Divides two BigInts, rounding half away from zero
+ * @param {bigint} numerator - Dividend
+ * @param {bigint} denominator - Divisor (non-zero)
+ * @returns {bigint} Rounded quotient
+ */
+function divideRounded(numerator, denominator) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    const absolute = (value) => value < 0n ? -value : value;
+
+    if (absolute(remainder) * 2n >= absolute(denominator)) {
+        return quotient + ((numerator < 0n) === (denominator < 0n) ? 1n : -1n);
+    }
+    return quotient;
+}
+
+/**
+ * Integer square root (floor) of a non-negative BigInt
+ * @param {bigint} value - Radicand
+ * @returns {bigint} Floor of the square root
+ */
+function integerSqrt(value) {
+    if (value < 2n) return value;
+
+    // Newton's iteration from an initial guess above the root
+    let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+    while (true) {
+        const next = (x + value / x) >> 1n;
+        if (next >= x) return x;
+        x = next;
+    }
+}
+
+/**
+ * Immutable fixed-point decimal number: `units / 10^scale`
+ */
+export class Decimal {
+    /**
+     * @param {bigint} units - Scaled integer value
+     * @param {number} scale - Number of digits after the decimal point
+     */
+    constructor(units, scale) {
+        this.units = units;
+        this.scale = scale;
+
+        if (units.toString().length > MAX_DIGITS) {
+            throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+        }
+    }
+
+    /**
+     * Parses a decimal string such as `-12.50` or `1.5e-7`
+     * @param {string} text - Decimal number
+     * @param {number} scale - Digits kept after the decimal point
+     * @returns {Decimal} Parsed value, rounded to the scale
+     */
+    static parse(text, scale) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(text).trim());
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const [, sign, integer, fraction = '', exponent = '0'] = match;
+        const digits = BigInt((integer || '0') + fraction);
+        const shift = scale - fraction.length + Number(exponent);
+        const units = shift >= 0
+            ? digits * TEN ** BigInt(shift)
+            : divideRounded(digits, TEN ** BigInt(-shift));
+
+        return new Decimal(sign === '-' ? -units : units, scale);
+    }
+
+    /**
+     * Converts a floating-point number using its shortest decimal representation
+     * @param {number} value - Finite number
+     * @param {number} scale - Digits kept after the decimal point
+     * @returns {Decimal} Converted value
+     */
+    static fromNumber(value, scale) {
+        if (!isFinite(value)) {
+            throw new Error(isNaN(value) ? ERROR_MESSAGES.MATH_ERROR : ERROR_MESSAGES.OVERFLOW_ERROR);
+        }
+        return Decimal.parse(String(value), scale);
+    }
+
+    /**
+     * Changes the number of digits after the decimal point, rounding half away from zero
+     * @param {number} scale - New scale
+     * @returns {Decimal} Rescaled value
+     */
+    rescale(scale) {
+        if (scale === this.scale) return this;
+        if (scale > this.scale) {
+            return new Decimal(this.units * TEN ** BigInt(scale - this.scale), scale);
+        }
+        return new Decimal(divideRounded(this.units, TEN ** BigInt(this.scale - scale)), scale);
+    }
+
+    // Bring two values to a common scale
+    static align(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        return [a.rescale(scale), b.rescale(scale), scale];
+    }
+
+    // Sum of two values
+    add(other) {
+        const [a, b, scale] = Decimal.align(this, other);
+        return new Decimal(a.units + b.units, scale);
+    }
+
+    // Difference of two values
+    subtract(other) {
+        const [a, b, scale] = Decimal.align(this, other);
+        return new Decimal(a.units - b.units, scale);
+    }
+
+    // Product, rounded to the common scale
+    multiply(other) {
+        const [a, b, scale] = Decimal.align(this, other);
+        return new Decimal(divideRounded(a.units * b.units, TEN ** BigInt(scale)), scale);
+    }
+
+    // Quotient, rounded to the common scale
+    divide(other) {
+        const [a, b, scale] = Decimal.align(this, other);
+        if (b.units === 0n) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return new Decimal(divideRounded(a.units * TEN ** BigInt(scale), b.units), scale);
+    }
+
+    // Value with the opposite sign
+    negate() {
+        return new Decimal(-this.units, this.scale);
+    }
+
+    /**
+     * Raises the value to an integer power by repeated squaring
+     * @param {bigint} exponent - Integer exponent
+     * @returns {Decimal} Result at this value's scale
+     */
+    powInteger(exponent) {
+        if (exponent < 0n) {
+            return new Decimal(TEN ** BigInt(this.scale), this.scale).divide(this.powInteger(-exponent));
+        }
+
+        let result = new Decimal(TEN ** BigInt(this.scale), this.scale);
+        let factor = this;
+        let remaining = exponent;
+
+        while (remaining > 0n) {
+            if (remaining & 1n) {
+                result = result.multiply(factor);
+            }
+            remaining >>= 1n;
+            if (remaining > 0n) {
+                factor = factor.multiply(factor);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Square root to the full scale
+     * @returns {Decimal} Square root
+     */
+    sqrt() {
+        if (this.units < 0n) {
+            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
+        }
+        // sqrt(units / 10^s) = sqrt(units * 10^s) / 10^s, rounded to the nearest unit
+        const scaled = this.units * TEN ** BigInt(this.scale) * 4n;
+        return new Decimal((integerSqrt(scaled) + 1n) / 2n, this.scale);
+    }
+
+    // Check if there is no fractional part
+    isInteger() {
+        return this.units % TEN ** BigInt(this.scale) === 0n;
+    }
+
+    // Integer part, truncated toward zero
+    toBigInt() {
+        return this.units / TEN ** BigInt(this.scale);
+    }
+
+    // Check if the value is zero
+    isZero() {
+        return this.units === 0n;
+    }
+
+    // Nearest floating-point number
+    toNumber() {
+        return parseFloat(this.toString());
+    }
+
+    // Allow Number(decimal) and numeric comparisons
+    valueOf() {
+        return this.toNumber();
+    }
+
+    /**
+     * Formats the value rounded to a number of decimal places
+     * @param {number} places - Decimal places
+     * @returns {string} Decimal string
+     */
+    format(places = this.scale) {
+        return this.rescale(places).toString();
+    }
+
+    // Serialize as an exact decimal string
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Formats the value without trailing zeros or exponent notation
+     * @returns {string} Decimal string
+     */
+    toString() {
+        const negative = this.units < 0n;
+        const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+        const integer = digits.slice(0, digits.length - this.scale);
+        const fraction = digits.slice(digits.length - this.scale).replace(/0+$/, '');
+        const text = fraction ? `${integer}.${fraction}` : integer;
+        return negative && text !== '0' ? `-${text}` : text;
+    }
+}
+
+/**
+ * Creates the exact-decimal arithmetic used in decimal mode
+ * @param {number} places - Decimal places of the displayed result
+ * @param {string} angleMode - Angle mode for trigonometric functions
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createDecimalArithmetic(places = PRECISION.DECIMAL_PLACES, angleMode = ANGLE_MODES.DEGREES) {
+    const scale = places + GUARD_DIGITS;
+    const toDecimal = (value) => value instanceof Decimal ? value.rescale(scale) : Decimal.fromNumber(value, scale);
+    const one = Decimal.parse('1', scale);
+
+    // Transcendental functions fall back to floating point; √ stays exact
+    const realFunctions = createFunctionTable(angleMode);
+    const functions = Object.fromEntries(
+        Object.entries(realFunctions).map(([name, func]) => [name, (value) => toDecimal(func(value.toNumber()))])
+    );
+    functions.sqrt = functions['√'] = (value) => value.sqrt();
+
+    const factorialOf = (value) => {
+        if (!value.isInteger() || value.units < 0n) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        let result = one;
+        for (let i = 2n; i <= value.toBigInt(); i++) {
+            result = result.multiply(Decimal.parse(i.toString(), scale));
+        }
+        return result;
+    };
+
+    return {
+        constants: {
+            'π': Decimal.parse(PI_DIGITS, scale),
+            'pi': Decimal.parse(PI_DIGITS, scale),
+            'e': Decimal.parse(E_DIGITS, scale)
+        },
+        functions,
+
+        number(raw) {
+            return Decimal.parse(raw, scale);
+        },
+
+        unary(operator, value) {
+            switch (operator) {
+                case '-':
+                    return value.negate();
+                case '+':
+                    return value;
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        binary(operator, left, right) {
+            switch (operator) {
+                case '+':
+                    return left.add(right);
+                case '-':
+                    return left.subtract(right);
+                case '*':
+                    return left.multiply(right);
+                case '/':
+                    return left.divide(right);
+                case '^':
+                    if (right.isInteger()) {
+                        if (left.isZero() && right.units < 0n) {
+                            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+                        }
+                        return left.powInteger(right.toBigInt());
+                    }
+                    return toDecimal(Math.pow(left.toNumber(), right.toNumber()));
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        postfix(operator, value) {
+            switch (operator) {
+                case '%':
+                    return value.divide(Decimal.parse('100', scale));
+                case '!':
+                    return factorialOf(value);
+                case '²':
+                    return value.multiply(value);
+                case '³':
+                    return value.multiply(value).multiply(value);
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        }
+    };
+}
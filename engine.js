@@ -0,0 +1,1412 @@
+/**
+ * Headless Calculator Engine
+ * @fileoverview Calculator state machine and evaluation with no DOM or window access
+ */
+
+import {
+    formatNumber,
+    ERROR_MESSAGES,
+    CONSTANTS,
+    ANGLE_MODES,
+    CALCULATOR_MODES,
+    COMPLEX_FORMATS,
+    FRACTION_FORMATS,
+    PRECISION,
+    isExpressionModes,
+    setDecimalPlaces,
+    factorial,
+    randomNumber
+} from './utils.js';
+
+import { parse, evaluate, serializeTokens, joinTokens, createFunctionTable, hasCalculus, ExpressionError, TOKEN_TYPES } from './expression.js';
+import {
+    BASES,
+    WORD_SIZES,
+    toWord,
+    parseInBase,
+    isValidDigit,
+    formatWord,
+    formatAllBases,
+    createProgrammerArithmetic
+} from './programmer.js';
+import { createDecimalArithmetic } from './decimal.js';
+import { Complex, createComplexArithmetic } from './complex.js';
+import {
+    Fraction,
+    createFractionArithmetic,
+    parseFractionText,
+    formatFraction,
+    addValues,
+    subtractValues
+} from './fraction.js';
+import { Quantity, isUnit, hasUnits, collectUnits, createUnitArithmetic } from './units.js';
+import { solveEquation } from './solver.js';
+import { Matrix, hasMatrices, createMatrixArithmetic, createMatrixStore, MATRIX_NAMES } from './matrix.js';
+import { Vector, hasVectors, createVectorArithmetic, createVectorStore, VECTOR_NAMES } from './vector.js';
+import { Sexagesimal, SEXAGESIMAL_STYLES, parseSexagesimal, hasSexagesimal, createSexagesimalArithmetic } from './calendar.js';
+
+// Button actions that insert a function token, mapped to the token name
+const FUNCTION_ACTIONS = {
+    sin: 'sin',
+    cos: 'cos',
+    tan: 'tan',
+    asin: 'asin',
+    acos: 'acos',
+    atan: 'atan',
+    log: 'log',
+    ln: 'ln',
+    sqrt: '√',
+    cbrt: '∛',
+    abs: 'abs',
+    arg: 'arg',
+    conj: 'conj',
+    taxInc: 'taxInc',
+    taxExc: 'taxExc'
+};
+
+// Button actions that insert a two-argument function taking the current operand first, e.g. `pchg( 80 , `
+const INFIX_FUNCTION_ACTIONS = {
+    'percent-change': 'pchg',
+    markup: 'markup',
+    margin: 'margin'
+};
+
+// Button actions that append a postfix operator, mapped to the operator
+const POSTFIX_ACTIONS = {
+    square: '²',
+    cube: '³',
+    factorial: '!',
+    percent: '%'
+};
+
+const OPERATORS = ['+', '-', '×', '÷', '^', '∠', '(', ')', 'AND', 'OR', 'XOR', '<<', '>>', 'ROL', 'ROR'];
+
+// Binary operator left dangling at the end of an expression
+const TRAILING_OPERATOR = /(?:[+\-×÷^∠]|AND|OR|XOR|<<|>>|ROL|ROR)$/;
+
+// Displayed complex results such as 3+2i or 2∠90 need parentheses inside a larger expression
+const COMPOUND_OPERAND = /∠|[\d.][+-][\d.e+-]*i$/;
+
+// Unit annotation at the end of the current input, e.g. the ` ft` of `5 ft`
+const UNIT_SUFFIX = / [a-zA-Z][a-zA-Z0-9]*$/;
+
+// Function token at the end of the expression, e.g. the `sin( ` of ` 2 + sin( `
+const TRAILING_FUNCTION = /[^\s(]+\(\s*$/;
+
+// Tax rates (%) at or above this are rejected
+const MAX_TAX_RATE = 1000;
+
+/**
+ * Check a tax rate (%)
+ * @param {*} rate - Candidate rate
+ * @returns {boolean} True for a finite number from 0 up to MAX_TAX_RATE
+ */
+function isValidTaxRate(rate) {
+    return typeof rate === 'number' && isFinite(rate) && rate >= 0 && rate < MAX_TAX_RATE;
+}
+
+/**
+ * Reject NaN and infinite results
+ * @param {number} result - Floating-point result
+ * @returns {number} The result when it is finite
+ */
+function requireFiniteResult(result) {
+    if (!isFinite(result)) {
+        if (isNaN(result)) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+    }
+    return result;
+}
+
+/**
+ * Creates a plain in-memory store used when no memory adapter is supplied
+ * @returns {Object} Memory adapter with store, recall, clear, add and subtract
+ */
+export function createMemoryStore() {
+    let value = 0;
+    let active = false;
+
+    const requireFinite = (input) => {
+        if (!isFinite(input)) {
+            throw new Error(ERROR_MESSAGES.MEMORY_ERROR);
+        }
+        return input;
+    };
+
+    return {
+        store: (input) => {
+            value = requireFinite(input);
+            active = true;
+        },
+        recall: () => (active ? value : 0),
+        clear: () => {
+            value = 0;
+            active = false;
+        },
+        add: (input) => {
+            value = addValues(value, requireFinite(input));
+            active = true;
+        },
+        subtract: (input) => {
+            value = subtractValues(value, requireFinite(input));
+            active = true;
+        }
+    };
+}
+
+export class CalculatorEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {string} options.angleMode - Initial angle mode
+     * @param {string} options.mode - Initial calculator mode (SCI or PROG)
+     * @param {string} options.base - Programmer mode number base (HEX, DEC, OCT, BIN)
+     * @param {number} options.wordSize - Programmer mode word size in bits
+     * @param {boolean} options.signed - Programmer mode two's complement arithmetic
+     * @param {boolean} options.decimal - Exact decimal arithmetic instead of floating point
+     * @param {string} options.complexFormat - Complex result format (RECT or POLAR); complex arithmetic is off when unset
+     * @param {string} options.fractionFormat - Fraction result format from FRACTION_FORMATS; fraction arithmetic is off when unset
+     * @param {Object} options.memory - Memory adapter (defaults to an in-memory store)
+     * @param {Object} options.matrices - Matrix adapter with get(name) for MatA…MatF (defaults to an in-memory store)
+     * @param {Object} options.vectors - Vector adapter with get(name) for VctA…VctD (defaults to an in-memory store)
+     */
+    constructor(options = {}) {
+        // Calculator state
+        this.currentInput = '0';
+        this.expression = '';
+        this.lastResult = 0;
+        this.angleMode = options.angleMode || ANGLE_MODES.DEGREES;
+        this.isNewNumber = true;
+        this.lastOperation = null;
+        this.waitingForNewInput = false;
+
+        // Programmer mode settings
+        this.mode = options.mode || CALCULATOR_MODES.SCIENTIFIC;
+        this.base = options.base in BASES ? options.base : 'DEC';
+        this.wordSize = WORD_SIZES.includes(options.wordSize) ? options.wordSize : 64;
+        this.signed = options.signed !== false;
+
+        // Exact decimal arithmetic (scientific mode only)
+        this.decimal = options.decimal === true;
+
+        // Complex arithmetic and its display format (null keeps results real)
+        this.complexFormat = Object.values(COMPLEX_FORMATS).includes(options.complexFormat) ? options.complexFormat : null;
+
+        // Exact fraction arithmetic and its display format (null keeps floating point)
+        this.fractionFormat = Object.values(FRACTION_FORMATS).includes(options.fractionFormat) ? options.fractionFormat : null;
+
+        // Tax rate (%) used by the tax-inclusive and tax-exclusive functions
+        this.taxRate = isValidTaxRate(options.taxRate) ? options.taxRate : 0;
+
+        this.memory = options.memory || createMemoryStore();
+        this.matrices = options.matrices || createMatrixStore();
+        this.vectors = options.vectors || createVectorStore();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Subscribe to state changes
+     * @param {Function} listener - Called with (state, event) after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers of a state change
+     * @param {Object} event - Change event ({ type: 'change' } or { type: 'result', expression, result, units, tokens, base },
+     * units listing the unit symbols the calculation used, tokens the expression as serializeTokens() writes it, or null
+     * when the result did not come from an expression, and base the programmer mode base it was written in, or null)
+     */
+    notify(event = { type: 'change' }) {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state, event));
+    }
+
+    /**
+     * Get a snapshot of the calculator state
+     * @returns {Object} Calculator state
+     */
+    getState() {
+        return {
+            currentInput: this.currentInput,
+            expression: this.expression,
+            displayExpression: this.getDisplayExpression(),
+            lastResult: this.lastResult,
+            angleMode: this.angleMode,
+            isNewNumber: this.isNewNumber,
+            waitingForNewInput: this.waitingForNewInput,
+            lastOperation: this.lastOperation,
+            mode: this.mode,
+            base: this.base,
+            wordSize: this.wordSize,
+            signed: this.signed,
+            decimal: this.decimal,
+            decimalPlaces: PRECISION.DECIMAL_PLACES,
+            complexFormat: this.complexFormat,
+            fractionFormat: this.fractionFormat,
+            taxRate: this.taxRate,
+            baseValues: this.isProgrammerMode() ? this.getBaseValues() : null
+        };
+    }
+
+    /**
+     * Check if programmer mode is active
+     * @returns {boolean} True in programmer mode
+     */
+    isProgrammerMode() {
+        return this.mode === CALCULATOR_MODES.PROGRAMMER;
+    }
+
+    /**
+     * Check if complex arithmetic is active
+     * @returns {boolean} True when complex results are enabled outside programmer mode
+     */
+    isComplexMode() {
+        return this.complexFormat !== null && !this.isProgrammerMode();
+    }
+
+    /**
+     * Check if exact fraction arithmetic is active
+     * @returns {boolean} True when fractions are enabled and neither programmer nor complex mode takes over
+     */
+    isFractionMode() {
+        return this.fractionFormat !== null && !this.isProgrammerMode() && !this.isComplexMode();
+    }
+
+    /**
+     * Radix of the active number base (always 10 outside programmer mode)
+     * @returns {number} Radix
+     */
+    getRadix() {
+        return this.isProgrammerMode() ? BASES[this.base] : 10;
+    }
+
+    /**
+     * Format a value for the main display in the active mode and base
+     * @param {number|bigint|Complex|Fraction} value - Value to format
+     * @returns {string} Formatted value
+     */
+    formatValue(value) {
+        if (value instanceof Complex && this.complexFormat === COMPLEX_FORMATS.POLAR) {
+            return value.formatPolar(this.angleMode);
+        }
+        if (value instanceof Fraction && !this.isProgrammerMode()) {
+            return formatFraction(value, this.isFractionMode() ? this.fractionFormat : FRACTION_FORMATS.DECIMAL);
+        }
+        if (!this.isProgrammerMode()) {
+            return formatNumber(value);
+        }
+        const integer = typeof value === 'bigint' ? value : BigInt(Math.trunc(value));
+        return formatWord(integer, this.getRadix(), this.wordSize, this.signed);
+    }
+
+    /**
+     * Read the current input as a value in the active mode
+     * @returns {number|bigint|Fraction} Number, BigInt word in programmer mode, or an exact fraction
+     */
+    getCurrentValue() {
+        if (this.isProgrammerMode()) {
+            return toWord(parseInBase(this.currentInput, this.getRadix()), this.wordSize, this.signed);
+        }
+        const sexagesimal = this.getSexagesimal();
+        if (sexagesimal) {
+            return sexagesimal.toNumber();
+        }
+        return this.getExactFraction() || parseFloat(this.currentInput);
+    }
+
+    /**
+     * Time or DMS angle behind the current input: one being typed such as `1:45:30`,
+     * or a displayed result (kept unrounded)
+     * @returns {Sexagesimal|null} Value, or null if the input is not one
+     */
+    getSexagesimal() {
+        if (this.isNewNumber && this.lastResult instanceof Sexagesimal && this.currentInput === this.formatValue(this.lastResult)) {
+            return this.lastResult;
+        }
+        return parseSexagesimal(this.currentInput);
+    }
+
+    /**
+     * Exact fraction behind the current input: a fraction being typed, or a displayed
+     * fraction result (which may be shown rounded as a decimal)
+     * @returns {Fraction|null} Fraction, or null if the input is not one
+     */
+    getExactFraction() {
+        if (this.isNewNumber && this.lastResult instanceof Fraction && this.currentInput === this.formatValue(this.lastResult)) {
+            return this.lastResult;
+        }
+        return parseFractionText(this.currentInput);
+    }
+
+    // Current value for the memory keys; fractions stay exact
+    getMemoryOperand() {
+        const value = this.getCurrentValue();
+        return value instanceof Fraction ? value : Number(value);
+    }
+
+    /**
+     * Current value written in every base
+     * @returns {Object} Formatted strings keyed by base name
+     */
+    getBaseValues() {
+        return formatAllBases(this.getCurrentValue(), this.wordSize, this.signed);
+    }
+
+    /**
+     * Handle a button action
+     * @param {string} action - Action identifier (digit, operator or named action)
+     */
+    input(action) {
+        if (/^[0-9A-F.]$/.test(action)) {
+            this.inputNumber(action);
+        } else if (OPERATORS.includes(action)) {
+            this.inputOperator(action);
+        } else if (FUNCTION_ACTIONS[action]) {
+            this.inputFunction(FUNCTION_ACTIONS[action]);
+        } else if (POSTFIX_ACTIONS[action]) {
+            this.inputPostfix(POSTFIX_ACTIONS[action]);
+        } else if (INFIX_FUNCTION_ACTIONS[action]) {
+            this.inputInfixFunction(INFIX_FUNCTION_ACTIONS[action]);
+        } else {
+            this.handleNamedAction(action);
+        }
+    }
+
+    /**
+     * Handle actions that are neither digits, operators nor functions
+     * @param {string} action - Action identifier
+     */
+    handleNamedAction(action) {
+        switch (action) {
+            case '=':
+                this.calculate();
+                break;
+            case 'clear-all':
+                this.clearAll();
+                break;
+            case 'clear-entry':
+                this.clearEntry();
+                break;
+            case 'backspace':
+                this.backspace();
+                break;
+            case 'power':
+                this.inputOperator('^');
+                break;
+            case 'NOT':
+                this.inputFunction('NOT');
+                break;
+            case 'i':
+                this.inputImaginaryUnit();
+                break;
+            case 'fraction':
+                this.inputFractionBar();
+                break;
+            case 's-d':
+                this.toggleFractionFormat();
+                break;
+            case ':':
+                this.inputTimeSeparator();
+                break;
+            case 'dms':
+                this.toggleSexagesimal();
+                break;
+            case 'random':
+                this.generateRandom();
+                break;
+
+            // Memory operations
+            case 'ms':
+                this.memory.store(this.getMemoryOperand());
+
+                // Reset display and input after storing
+                this.currentInput = '0';
+                this.expression = '';
+                this.isNewNumber = true;
+                this.notify();
+                break;
+            case 'mr':
+                // Recalled fractions stay exact through getExactFraction()
+                this.lastResult = this.memory.recall();
+                this.currentInput = this.formatValue(this.lastResult);
+                this.isNewNumber = true;
+                this.notify();
+                break;
+            case 'mc':
+                this.memory.clear();
+                break;
+            case 'm-add':
+                this.memory.add(this.getMemoryOperand());
+                break;
+            case 'm-subtract':
+                this.memory.subtract(this.getMemoryOperand());
+                break;
+
+            // Constants
+            case 'pi':
+                this.inputConstant(CONSTANTS.PI);
+                break;
+            case 'e':
+                this.inputConstant(CONSTANTS.E);
+                break;
+
+            default:
+                console.warn('Unknown action:', action);
+        }
+    }
+
+    /**
+     * Input a number or decimal point
+     * @param {string} value - Number or decimal point
+     */
+    inputNumber(value) {
+        if (this.isProgrammerMode()) {
+            this.inputDigit(value);
+            return;
+        }
+        
+        // Hex digits only exist in programmer mode, and nothing follows the imaginary unit or a unit
+        if (/[A-F]/.test(value)) return;
+        if (!this.isNewNumber && /[a-zA-Z]$/.test(this.currentInput)) return;
+        
+        if (value === '.') {
+            if (this.currentInput.includes('.') || this.currentInput.includes('/')) return;
+            // Only the seconds of a time may have a fractional part
+            if (!this.isNewNumber && this.currentInput.includes(':') && !/:\d+:\d+$/.test(this.currentInput)) return;
+            if (this.isNewNumber) {
+                this.currentInput = '0.';
+                this.isNewNumber = false;
+            } else {
+                this.currentInput += '.';
+            }
+        } else {
+            if (this.isNewNumber || this.currentInput === '0') {
+                this.currentInput = value;
+                this.isNewNumber = false;
+            } else {
+                this.currentInput += value;
+            }
+        }
+
+        // Reset waitingForNewInput when user starts entering a new number
+        if (this.waitingForNewInput) {
+            this.waitingForNewInput = false;
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Input an integer digit in the active base, ignoring digits the base or word size cannot hold
+     * @param {string} digit - Digit character (0-9, A-F)
+     */
+    inputDigit(digit) {
+        if (!isValidDigit(digit, this.getRadix())) return;
+
+        const candidate = this.isNewNumber || this.currentInput === '0' ? digit : this.currentInput + digit;
+        const value = parseInBase(candidate, this.getRadix());
+        const limit = 1n << BigInt(this.wordSize);
+        if (value >= limit) return;
+
+        this.currentInput = candidate;
+        this.isNewNumber = false;
+        this.waitingForNewInput = false;
+        this.notify();
+    }
+
+    /**
+     * Input an operator or parenthesis
+     * @param {string} operator - Operator symbol
+     */
+    inputOperator(operator) {
+        // Special handling for opening parenthesis
+        if (operator === '(') {
+            // If we're at the initial state (display shows '0'), start fresh
+            if (this.currentInput === '0' && this.expression === '' && this.isNewNumber) {
+                this.expression = '( ';
+                this.isNewNumber = true;
+                this.waitingForNewInput = false;
+            } else if (this.isAfterOpenParen()) {
+                // Nested parenthesis: there is no operand to carry in yet
+                this.expression += '( ';
+                this.waitingForNewInput = false;
+            } else if (this.waitingForNewInput) {
+                // Replace trailing operator if waiting for input
+                this.expression = this.expression.replace(/[+\-×÷^]+$/, '') + ` ${operator} `;
+            } else {
+                // Add current input and then the opening parenthesis
+                this.expression += ` ${this.getOperandText()} ${operator} `;
+                this.isNewNumber = true;
+                this.waitingForNewInput = false;
+            }
+        } else if (operator === ')') {
+            // Handle closing parenthesis - always include current input
+            if (!this.waitingForNewInput) {
+                this.expression += this.getOperandText() + ' ) ';
+            } else {
+                // If waiting for input, just add the closing parenthesis
+                this.expression = this.expression.trim() + ' ) ';
+            }
+            this.isNewNumber = true;
+            this.waitingForNewInput = true;
+        } else {
+            // Handle regular operators
+            if (this.waitingForNewInput) {
+                this.expression = this.expression.replace(/[+\-×÷^]+$/, '') + ` ${operator} `;
+            } else {
+                this.expression += ` ${this.getOperandText()} ${operator} `;
+            }
+            this.isNewNumber = true;
+            this.waitingForNewInput = true;
+        }
+
+        this.lastOperation = operator;
+        this.notify();
+    }
+
+    /**
+     * Insert a function token such as `sin(` into the expression
+     * @param {string} name - Function name as written in the expression
+     */
+    inputFunction(name) {
+        if (!this.isNewNumber) {
+            // A number typed right before the function multiplies it
+            this.expression += ` ${this.getOperandText()} × `;
+        } else if (this.isOperandClosed()) {
+            this.expression += ' × ';
+        }
+
+        this.expression += `${name}( `;
+        this.isNewNumber = true;
+        this.waitingForNewInput = false;
+        this.lastOperation = '(';
+        this.notify();
+    }
+
+    /**
+     * Start a two-argument function with the current operand as its first argument,
+     * so `80 Δ% 100 =` evaluates `pchg( 80 , 100 )`
+     * @param {string} name - Function name as written in the expression
+     */
+    inputInfixFunction(name) {
+        // The first argument is a typed or recalled number, not an operator or a closed group
+        if (this.waitingForNewInput) return;
+
+        this.expression += ` ${name}( ${this.getOperandText()} , `;
+        this.isNewNumber = true;
+        this.waitingForNewInput = true;
+        this.lastOperation = name;
+        this.notify();
+    }
+
+    /**
+     * Append a postfix operator (², ³, !, %) to the current operand
+     * @param {string} operator - Postfix operator
+     */
+    inputPostfix(operator) {
+        if (this.isOperandClosed()) {
+            this.expression = this.expression.trimEnd() + `${operator} `;
+        } else if (!this.waitingForNewInput) {
+            this.expression += ` ${this.getOperandText()}${operator} `;
+        } else {
+            // Nothing to apply the operator to after a binary operator
+            return;
+        }
+
+        this.isNewNumber = true;
+        this.waitingForNewInput = true;
+        this.lastOperation = operator;
+        this.notify();
+    }
+
+    // Check if nothing has been typed since an opening parenthesis or function token such as `sin(`
+    isAfterOpenParen() {
+        return this.isNewNumber && /\(\s*$/.test(this.expression);
+    }
+
+    /**
+     * Check if the expression ends with a complete operand such as `)` or `5²`
+     * @returns {boolean} True if the last input closed an operand
+     */
+    isOperandClosed() {
+        return this.waitingForNewInput && [')', '²', '³', '!', '%'].includes(this.lastOperation);
+    }
+
+    /**
+     * Current input as written into an expression, parenthesized when it is a compound complex value;
+     * fractions are written exactly as `(n/d)` whatever their display format
+     * @returns {string} Operand text
+     */
+    getOperandText() {
+        const fraction = this.getExactFraction();
+        if (fraction) {
+            return fraction.isInteger() ? fraction.format() : `(${fraction.format()})`;
+        }
+        return COMPOUND_OPERAND.test(this.currentInput) ? `(${this.currentInput})` : this.currentInput;
+    }
+
+    /**
+     * Fraction key: turns `3` into `3/` and `1/2` into the mixed-number entry `1 2/`,
+     * enabling fraction arithmetic if needed
+     */
+    inputFractionBar() {
+        if (this.isProgrammerMode()) return;
+        if (!this.fractionFormat) {
+            this.fractionFormat = FRACTION_FORMATS.IMPROPER;
+        }
+
+        if (!this.isNewNumber) {
+            if (/^-?\d+$/.test(this.currentInput)) {
+                this.currentInput += '/';
+            } else if (/^-?\d+\/\d+$/.test(this.currentInput)) {
+                this.currentInput = this.currentInput.replace('/', ' ') + '/';
+            }
+        }
+        this.notify();
+    }
+
+    /**
+     * S⇔D key: cycle the result display through fraction, mixed number and decimal.
+     * Decimal values are converted with a bounded-denominator continued fraction when one matches.
+     */
+    toggleFractionFormat() {
+        if (this.isProgrammerMode() || this.isComplexMode()) return;
+
+        // Read the value before the format changes how it is displayed
+        const value = this.getCurrentValue();
+        const formats = Object.values(FRACTION_FORMATS);
+        this.fractionFormat = this.fractionFormat
+            ? formats[(formats.indexOf(this.fractionFormat) + 1) % formats.length]
+            : FRACTION_FORMATS.IMPROPER;
+
+        const fraction = value instanceof Fraction ? value : Fraction.fromNumber(value);
+        if (fraction) {
+            this.lastResult = fraction;
+            this.currentInput = this.formatValue(fraction);
+            this.isNewNumber = true;
+        }
+        this.notify();
+    }
+
+    /**
+     * Time separator key: turns `1` into `1:` and `1:45` into `1:45:`
+     */
+    inputTimeSeparator() {
+        if (this.isProgrammerMode()) return;
+
+        if (this.isNewNumber) {
+            this.currentInput = '0:';
+            this.isNewNumber = false;
+            this.waitingForNewInput = false;
+        } else if (/^-?\d+(?::\d{1,2})?$/.test(this.currentInput)) {
+            this.currentInput += ':';
+        } else {
+            return;
+        }
+        this.notify();
+    }
+
+    /**
+     * DMS key: cycle the current value through h:mm:ss, d°m′s″ and decimal
+     */
+    toggleSexagesimal() {
+        if (this.isProgrammerMode() || this.isComplexMode()) return;
+
+        const current = this.getSexagesimal();
+        let value;
+        if (!current) {
+            value = Sexagesimal.fromNumber(Number(this.getCurrentValue()), SEXAGESIMAL_STYLES.TIME);
+        } else if (current.style === SEXAGESIMAL_STYLES.TIME) {
+            value = current.withStyle(SEXAGESIMAL_STYLES.ANGLE);
+        } else {
+            value = current.toNumber();
+        }
+        if (!isFinite(value)) return;
+
+        this.lastResult = value;
+        this.currentInput = this.formatValue(value);
+        this.isNewNumber = true;
+        this.notify();
+    }
+
+    /**
+     * Append the imaginary unit to the number being typed, enabling complex results if needed
+     */
+    inputImaginaryUnit() {
+        if (this.isProgrammerMode()) return;
+        if (!this.complexFormat) {
+            this.complexFormat = COMPLEX_FORMATS.RECTANGULAR;
+        }
+
+        if (this.isNewNumber || this.currentInput === '0') {
+            this.currentInput = 'i';
+        } else if (!this.currentInput.endsWith('i')) {
+            this.currentInput += 'i';
+        }
+        this.isNewNumber = false;
+        this.waitingForNewInput = false;
+        this.notify();
+    }
+
+    /**
+     * Annotate the current number with a unit (`5` becomes `5 ft`), replacing any unit it already has
+     * @param {string} symbol - Unit symbol from the unit catalog
+     */
+    inputUnit(symbol) {
+        if (this.isProgrammerMode()) return;
+        if (!isUnit(symbol)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const number = this.currentInput.replace(UNIT_SUFFIX, '');
+        if (!/^-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/.test(number)) return;
+
+        this.currentInput = `${number} ${symbol}`;
+        this.isNewNumber = false;
+        this.waitingForNewInput = false;
+        this.notify();
+    }
+
+    /**
+     * Convert the pending expression or current input to a unit and record it, e.g. `5 ft + 30 cm in m`
+     * @param {string} symbol - Target unit symbol
+     * @param {string} from - Unit of the current input when it has none yet
+     * @returns {Quantity} Converted quantity
+     */
+    convertTo(symbol, from = null) {
+        if (!isUnit(symbol) || (from !== null && !isUnit(from))) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        if (from !== null && !this.expression && !UNIT_SUFFIX.test(this.currentInput)) {
+            this.inputUnit(from);
+        }
+
+        const expression = `${this.buildExpression().trim()} in ${symbol}`;
+        return this.commitCalculation({ expression, ast: this.parseExpression(expression) });
+    }
+
+    /**
+     * Solve an equation for its single unknown and make the root the current input; the
+     * equation as typed is the expression recorded for the result
+     * @param {string} equation - Equation such as `x^3 - 2x = 5`
+     * @param {Object} options - Starting point `{ guess }` or bracket `{ interval: [a, b] }`
+     * @returns {Object} Solution from solveEquation()
+     */
+    solve(equation, options = {}) {
+        if (this.isProgrammerMode()) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const solution = solveEquation(equation, { ...options, angleMode: this.angleMode });
+        this.expression = '';
+        this.waitingForNewInput = false;
+        this.setResult(solution.root, equation.trim());
+        return solution;
+    }
+
+    /**
+     * Enter a named matrix or vector such as MatA or VctB as the current operand
+     * @param {string} name - Name from MATRIX_NAMES or VECTOR_NAMES
+     */
+    inputName(name) {
+        if (this.isProgrammerMode()) return;
+        if (!MATRIX_NAMES.includes(name) && !VECTOR_NAMES.includes(name)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        if (!this.isNewNumber) {
+            // A number typed right before the name scales it
+            this.expression += ` ${this.getOperandText()} × `;
+        } else if (this.isOperandClosed()) {
+            this.expression += ' × ';
+        }
+        this.currentInput = name;
+        this.isNewNumber = true;
+        this.waitingForNewInput = false;
+        this.notify();
+    }
+
+    /**
+     * Evaluate an expression built outside the keypad, such as `det(MatA)` from the matrix panel,
+     * and record it
+     * @param {string} expression - Expression source
+     * @returns {number|bigint|Decimal|Complex|Fraction|Quantity|Matrix|Vector} Calculation result
+     */
+    calculateExpression(expression) {
+        return this.commitCalculation({ expression, ast: this.parseExpression(expression) });
+    }
+
+    /**
+     * Input a mathematical constant
+     * @param {number} value - Constant value
+     */
+    inputConstant(value) {
+        this.currentInput = this.formatValue(value);
+        this.isNewNumber = true;
+        this.notify();
+    }
+
+    /**
+     * Build the full expression to evaluate from the pending input
+     * @returns {string} Expression source
+     */
+    buildExpression() {
+        let fullExpression = this.expression;
+
+        if (!this.waitingForNewInput) {
+            fullExpression += this.getOperandText();
+        } else {
+            fullExpression = fullExpression.trim().replace(TRAILING_OPERATOR, '').trim();
+        }
+
+        if (!fullExpression) {
+            fullExpression = this.currentInput;
+        }
+
+        // Close any parentheses left open by function tokens such as `sin(`
+        const openCount = (fullExpression.match(/\(/g) || []).length;
+        const closeCount = (fullExpression.match(/\)/g) || []).length;
+        if (openCount > closeCount) {
+            fullExpression = fullExpression.trim() + ' )'.repeat(openCount - closeCount);
+        }
+
+        return fullExpression;
+    }
+
+    /**
+     * Build and parse the pending expression without evaluating it
+     * @returns {Object} Prepared calculation with expression source and AST
+     */
+    prepareCalculation() {
+        const expression = this.buildExpression();
+        return { expression, ast: this.parseExpression(expression) };
+    }
+
+    /**
+     * Parse an expression, reading integer literals in the active base in programmer mode
+     * and unit annotations such as `5 ft` otherwise
+     * @param {string} expression - Expression source
+     * @returns {Object} Expression AST
+     */
+    parseExpression(expression) {
+        return parse(expression.trim(), this.isProgrammerMode() ? { radix: this.getRadix() } : { isUnit });
+    }
+
+    /**
+     * Evaluate a prepared calculation and make its result the current input
+     * @param {Object} prepared - Result of prepareCalculation()
+     * @returns {number|bigint|Decimal|Complex|Fraction|Quantity|Matrix|Vector} Calculation result
+     */
+    commitCalculation(prepared) {
+        const result = this.evaluate(prepared.ast);
+        const expression = this.isProgrammerMode() ? `${this.base}: ${prepared.expression.trim()}` : prepared.expression;
+
+        this.lastResult = result;
+        this.currentInput = this.formatValue(result);
+        this.expression = '';
+        this.isNewNumber = true;
+        this.waitingForNewInput = false;
+        this.notify({
+            type: 'result',
+            expression,
+            result,
+            units: collectUnits(prepared.ast),
+            tokens: serializeTokens(prepared.expression, this.isProgrammerMode() ? { radix: this.getRadix() } : {}),
+            base: this.isProgrammerMode() ? this.base : null,
+            modes: this.isProgrammerMode() ? null : this.getExpressionModes()
+        });
+
+        return result;
+    }
+
+    /**
+     * Evaluate the pending expression
+     * @returns {number|bigint|Decimal|Complex|Fraction|Quantity|Matrix|Vector} Calculation result
+     */
+    calculate() {
+        return this.commitCalculation(this.prepareCalculation());
+    }
+
+    /**
+     * Evaluate mathematical expression
+     * @param {string|Object} expression - Expression source or parsed AST
+     * @returns {number|bigint|Decimal|Complex|Fraction|Quantity|Matrix|Vector} Calculation result
+     */
+    evaluate(expression) {
+        try {
+            const ast = typeof expression === 'string' ? this.parseExpression(expression) : expression;
+
+            if (this.isProgrammerMode()) {
+                return evaluate(ast, { arithmetic: createProgrammerArithmetic(this.wordSize, this.signed) });
+            }
+
+            // Matrix and vector expressions are evaluated in floating point whatever the arithmetic mode
+            if (hasMatrices(ast) || hasVectors(ast)) {
+                const matrixArithmetic = createMatrixArithmetic(this.angleMode, this.matrices);
+                const result = evaluate(ast, { arithmetic: createVectorArithmetic(this.angleMode, this.vectors, matrixArithmetic), taxRate: this.taxRate });
+                if (result instanceof Matrix || result instanceof Vector) {
+                    if (!result.isFinite()) throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+                    return result;
+                }
+                return requireFiniteResult(result);
+            }
+
+            // Unit expressions are evaluated in floating point whatever the arithmetic mode
+            if (hasUnits(ast)) {
+                const result = evaluate(ast, { arithmetic: createUnitArithmetic(this.angleMode), taxRate: this.taxRate });
+                requireFiniteResult(Number(result));
+                return result;
+            }
+
+            // Calculus is numerical, so it is evaluated in floating point whatever the arithmetic mode
+            if (hasCalculus(ast)) {
+                return requireFiniteResult(evaluate(ast, { angleMode: this.angleMode, taxRate: this.taxRate }));
+            }
+
+            // Times and DMS angles such as 1:45:30 or 30°15′ are evaluated in floating point
+            if (hasSexagesimal(ast)) {
+                const result = evaluate(ast, { arithmetic: createSexagesimalArithmetic(this.angleMode), taxRate: this.taxRate });
+                requireFiniteResult(Number(result));
+                return result;
+            }
+
+            if (this.isComplexMode()) {
+                return this.evaluateComplex(ast);
+            }
+
+            if (this.isFractionMode()) {
+                const result = evaluate(ast, { arithmetic: createFractionArithmetic(this.angleMode), taxRate: this.taxRate });
+                return result instanceof Fraction ? result : requireFiniteResult(result);
+            }
+
+            if (this.decimal) {
+                const arithmetic = createDecimalArithmetic(PRECISION.DECIMAL_PLACES, this.angleMode);
+                return evaluate(ast, { arithmetic, taxRate: this.taxRate }).rescale(PRECISION.DECIMAL_PLACES);
+            }
+
+            return requireFiniteResult(evaluate(ast, { angleMode: this.angleMode, taxRate: this.taxRate }));
+        } catch (error) {
+            if (error instanceof ExpressionError || Object.values(ERROR_MESSAGES).includes(error.message)) {
+                throw error;
+            }
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+    }
+
+    /**
+     * Evaluate an AST with complex arithmetic, returning plain numbers for real results
+     * @param {Object} ast - Parsed expression
+     * @returns {number|Complex} Calculation result
+     */
+    evaluateComplex(ast) {
+        const result = evaluate(ast, { arithmetic: createComplexArithmetic(this.angleMode), taxRate: this.taxRate });
+
+        if (!result.isFinite()) {
+            if (isNaN(result.re) || isNaN(result.im)) {
+                throw new Error(ERROR_MESSAGES.MATH_ERROR);
+            }
+            throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+        }
+
+        const cleaned = result.clean();
+        return cleaned.isReal() ? cleaned.re : cleaned;
+    }
+
+    /**
+     * Apply a scientific function to the current input immediately
+     * @param {string} name - Function name from the function table
+     * @param {string} expression - Expression recorded for the result
+     */
+    applyFunction(name, expression = `${name}(${this.currentInput})`) {
+        if (this.isComplexMode()) {
+            // Negative square roots and logarithms have complex results
+            this.setResult(this.evaluate(`${name}( ${this.getOperandText()} )`), expression);
+            return;
+        }
+        
+        const value = Number(this.getCurrentValue());
+        const result = createFunctionTable(this.angleMode)[name](value);
+        this.setResult(result, expression);
+    }
+
+    /**
+     * Raise the current input to a power immediately
+     * @param {number} exponent - Exponent value
+     */
+    applyPower(exponent) {
+        const value = Number(this.getCurrentValue());
+        const result = Math.pow(value, exponent);
+
+        if (!isFinite(result)) {
+            throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+        }
+
+        this.setResult(result, `${this.currentInput}${exponent === 2 ? '²' : exponent === 3 ? '³' : `^${exponent}`}`);
+    }
+
+    // Apply factorial to the current input immediately
+    applyFactorial() {
+        const value = Number(this.getCurrentValue());
+        this.setResult(factorial(value), `${this.currentInput}!`);
+    }
+
+    // Convert the current input to a percentage, exactly for fractions
+    applyPercent() {
+        const value = this.getCurrentValue();
+        const result = value instanceof Fraction ? value.divide(new Fraction(100n)) : Number(value) / 100;
+        this.setResult(result, `${this.currentInput}%`);
+    }
+
+    // Generate random number
+    generateRandom() {
+        this.setResult(randomNumber(), 'random()');
+    }
+
+    /**
+     * Show a computed value as the current input and announce it
+     * @param {number} result - Computed value
+     * @param {string} expression - Expression that produced it
+     */
+    setResult(result, expression) {
+        this.lastResult = result;
+        this.currentInput = this.formatValue(result);
+        this.isNewNumber = true;
+        this.notify({ type: 'result', expression, result, units: [], tokens: null, base: null });
+    }
+
+    /**
+     * Load a value as the current input, discarding the pending expression
+     * @param {number|string|Object} value - Value to load; complex, fraction, unit, matrix, vector and sexagesimal values may be
+     *   stored `{ re, im }`, `{ numerator, denominator }`, `{ value, unit }`, `{ entries }`, `{ components }` or `{ seconds, style }` objects,
+     *   or as displayed text such as `2/3` or `30.48 cm`
+     */
+    loadValue(value) {
+        if (typeof value === 'string') {
+            // Displayed text, as CSV history imports keep it, is read back like typed input
+            this.expression = '';
+            this.currentInput = value.trim() || '0';
+            this.isNewNumber = true;
+            this.waitingForNewInput = false;
+            this.lastOperation = null;
+            this.notify();
+            return;
+        }
+
+        if (typeof value === 'object' && value !== null && 'im' in value) {
+            value = this.isComplexMode() ? Complex.from(value) : value.re;
+        } else if (typeof value === 'object' && value !== null && 'numerator' in value) {
+            value = Fraction.from(value);
+        } else if (typeof value === 'object' && value !== null && 'unit' in value) {
+            value = this.isProgrammerMode() ? Number(value.value) : Quantity.from(value);
+        } else if (typeof value === 'object' && value !== null && 'entries' in value) {
+            value = Matrix.from(value);
+        } else if (typeof value === 'object' && value !== null && 'components' in value) {
+            value = Vector.from(value);
+        } else if (typeof value === 'object' && value !== null && 'seconds' in value) {
+            value = this.isProgrammerMode() ? Sexagesimal.from(value).toNumber() : Sexagesimal.from(value);
+        }
+        
+        this.lastResult = value;
+        this.expression = '';
+        this.currentInput = this.formatValue(value);
+        this.isNewNumber = true;
+        this.waitingForNewInput = false;
+        this.lastOperation = null;
+        this.notify();
+    }
+
+    // Arithmetic and angle modes a scientific mode expression is evaluated in
+    getExpressionModes() {
+        return {
+            angleMode: this.angleMode,
+            decimal: this.decimal,
+            complexFormat: this.complexFormat,
+            fractionFormat: this.fractionFormat
+        };
+    }
+
+    /**
+     * Load an expression recorded in history back for editing. A trailing number becomes the current
+     * input so it can be changed; programmer mode expressions switch back to the base they were written in,
+     * and other expressions to the arithmetic and angle modes they were written in.
+     * @param {Array<Object>} tokens - Tokens `{ type, text }` from serializeTokens()
+     * @param {string|null} base - Programmer mode base of the expression, or null
+     * @param {Object|null} modes - Modes from getExpressionModes(), or null to keep the current ones
+     */
+    loadExpression(tokens, base = null, modes = null) {
+        const valid = Array.isArray(tokens) && tokens.length > 0 && tokens.every(token => {
+            return token && Object.values(TOKEN_TYPES).includes(token.type) &&
+                typeof token.text === 'string' && token.text.trim() !== '';
+        });
+        if (!valid || (base !== null && !(base in BASES)) || (modes !== null && !isExpressionModes(modes))) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        // Reject a damaged record before changing any state
+        parse(joinTokens(tokens), base ? { radix: BASES[base] } : { isUnit });
+
+        if (base) {
+            this.setMode(CALCULATOR_MODES.PROGRAMMER);
+            this.setBase(base);
+        } else if (this.isProgrammerMode()) {
+            this.setMode(CALCULATOR_MODES.SCIENTIFIC);
+        }
+        if (modes && !base) {
+            this.angleMode = modes.angleMode;
+            this.decimal = modes.decimal;
+            this.complexFormat = modes.complexFormat;
+            this.fractionFormat = modes.fractionFormat;
+        }
+
+        this.restoreExpression(tokens);
+        this.notify();
+    }
+
+    /**
+     * Make serialized tokens the pending expression. A trailing number, with its unit if it has one,
+     * becomes the current input so it can be edited.
+     * @param {Array<Object>} tokens - Tokens `{ type, text }` from serializeTokens()
+     */
+    restoreExpression(tokens) {
+        const last = tokens[tokens.length - 1];
+        const previous = tokens[tokens.length - 2];
+        let operandLength = 0;
+        if (last?.type === TOKEN_TYPES.NUMBER) {
+            operandLength = 1;
+        } else if (!this.isProgrammerMode() && last?.type === TOKEN_TYPES.IDENTIFIER && isUnit(last.text) &&
+            previous?.type === TOKEN_TYPES.NUMBER) {
+            operandLength = 2;
+        }
+        const operand = operandLength > 0;
+        const leading = tokens.slice(0, tokens.length - operandLength);
+
+        this.expression = leading.length > 0 ? `${joinTokens(leading)} ` : '';
+        this.currentInput = operand ? joinTokens(tokens.slice(-operandLength)) : '0';
+        this.isNewNumber = !operand;
+        this.waitingForNewInput = !operand && leading.length > 0;
+        this.lastOperation = operand || !last ? null : last.text;
+    }
+
+    /**
+     * Switch between scientific and programmer mode, carrying the current value over
+     * @param {string} mode - Calculator mode from CALCULATOR_MODES
+     */
+    setMode(mode) {
+        if (mode === this.mode || !Object.values(CALCULATOR_MODES).includes(mode)) return;
+
+        const value = Number(this.getCurrentValue());
+        this.mode = mode;
+        this.loadValue(isFinite(value) ? value : 0);
+    }
+
+    /**
+     * Switch exact decimal arithmetic on or off
+     * @param {boolean} enabled - True for exact decimal arithmetic
+     */
+    setDecimalMode(enabled) {
+        this.decimal = enabled;
+        this.notify();
+    }
+
+    /**
+     * Change the number of decimal places results are rounded to
+     * @param {number} places - Decimal places
+     */
+    setDecimalPlaces(places) {
+        setDecimalPlaces(places);
+        this.notify();
+    }
+
+    /**
+     * Choose the complex result format, or null to switch complex arithmetic off
+     * @param {string|null} format - Format from COMPLEX_FORMATS
+     */
+    setComplexFormat(format) {
+        if (format !== null && !Object.values(COMPLEX_FORMATS).includes(format)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.complexFormat = format;
+        this.refreshComplexResult();
+        this.notify();
+    }
+
+    /**
+     * Choose the fraction result format, or null to switch fraction arithmetic off
+     * @param {string|null} format - Format from FRACTION_FORMATS
+     */
+    setFractionFormat(format) {
+        if (format !== null && !Object.values(FRACTION_FORMATS).includes(format)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const value = this.getCurrentValue();
+        this.fractionFormat = format;
+        if (value instanceof Fraction && this.isNewNumber) {
+            this.currentInput = this.formatValue(value);
+        }
+        this.notify();
+    }
+
+    /**
+     * Set the tax rate (%) used by taxInc and taxExc
+     * @param {number} rate - Tax rate, from 0 up to (not including) 1000
+     */
+    setTaxRate(rate) {
+        if (!isValidTaxRate(rate)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.taxRate = rate;
+        this.notify();
+    }
+
+    // Re-display a complex result after its format or angle mode changed
+    refreshComplexResult() {
+        if (this.lastResult instanceof Complex && this.isNewNumber && this.expression === '') {
+            this.currentInput = this.isComplexMode() ? this.formatValue(this.lastResult) : formatNumber(this.lastResult.re);
+        }
+    }
+
+    /**
+     * Change the programmer mode base, converting the current input and pending expression
+     * @param {string} base - Base name from BASES
+     */
+    setBase(base) {
+        if (!(base in BASES) || base === this.base) return;
+
+        const fromRadix = this.getRadix();
+        const value = this.getCurrentValue();
+        this.base = base;
+
+        if (this.isProgrammerMode()) {
+            this.expression = this.convertExpressionBase(this.expression, fromRadix);
+            this.currentInput = this.formatValue(value);
+        }
+        this.notify();
+    }
+
+    /**
+     * Rewrite the integer literals of an expression in the active base
+     * @param {string} expression - Expression written in the previous base
+     * @param {number} fromRadix - Previous radix
+     * @returns {string} Expression written in the active base
+     */
+    convertExpressionBase(expression, fromRadix) {
+        return expression.replace(/[0-9A-Z]+/g, (word) => {
+            if (OPERATORS.includes(word) || word === 'NOT') return word;
+            return this.formatValue(parseInBase(word, fromRadix));
+        });
+    }
+
+    /**
+     * Change the programmer mode word size, wrapping the current value to fit
+     * @param {number} wordSize - Word size in bits (8, 16, 32 or 64)
+     */
+    setWordSize(wordSize) {
+        if (!WORD_SIZES.includes(wordSize)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const value = this.isProgrammerMode() ? this.getCurrentValue() : null;
+        this.wordSize = wordSize;
+        if (value !== null) {
+            this.currentInput = this.formatValue(value);
+        }
+        this.notify();
+    }
+
+    /**
+     * Toggle signed (two's complement) or unsigned programmer arithmetic
+     * @param {boolean} signed - True for signed words
+     */
+    setSigned(signed) {
+        const value = this.isProgrammerMode() ? this.getCurrentValue() : null;
+        this.signed = signed;
+        if (value !== null) {
+            this.currentInput = this.formatValue(value);
+        }
+        this.notify();
+    }
+
+    // Clear all input and expression
+    clearAll() {
+        this.currentInput = '0';
+        this.expression = '';
+        this.lastResult = 0;
+        this.isNewNumber = true;
+        this.waitingForNewInput = false;
+        this.lastOperation = null;
+        this.notify();
+    }
+
+    // Clear current entry only
+    clearEntry() {
+        this.currentInput = '0';
+        this.isNewNumber = true;
+        this.notify();
+    }
+
+    // Backspace last character, or the last expression token when no operand has been typed
+    backspace() {
+        const operandEmpty = this.waitingForNewInput || this.isAfterOpenParen() ||
+            (this.isNewNumber && this.currentInput === '0');
+        if (this.expression.trim() && operandEmpty) {
+            this.removeLastToken();
+        } else if (/^-?\d+ \d+\/$/.test(this.currentInput)) {
+            // Leave mixed-number entry: `1 2/` goes back to `1/2`
+            this.currentInput = this.currentInput.slice(0, -1).replace(' ', '/');
+        } else if (UNIT_SUFFIX.test(this.currentInput)) {
+            // A unit is removed as a whole
+            this.currentInput = this.currentInput.replace(UNIT_SUFFIX, '');
+        } else if (this.currentInput.length > 1 && this.currentInput !== '0') {
+            this.currentInput = this.currentInput.slice(0, -1);
+        } else {
+            this.currentInput = '0';
+            this.isNewNumber = true;
+        }
+        this.notify();
+    }
+
+    /**
+     * Remove the last token of the pending expression: an operator, a parenthesis, or a function
+     * name together with its parenthesis. A number left at the end becomes the current input again.
+     */
+    removeLastToken() {
+        const options = this.isProgrammerMode() ? { radix: this.getRadix() } : {};
+        if (TRAILING_FUNCTION.test(this.expression)) {
+            this.restoreExpression(serializeTokens(this.expression.replace(TRAILING_FUNCTION, ''), options));
+        } else {
+            this.restoreExpression(serializeTokens(this.expression, options).slice(0, -1));
+        }
+    }
+
+    // Cycle through DEG, RAD and GRAD
+    toggleAngleMode() {
+        const modes = Object.values(ANGLE_MODES);
+        const currentIndex = modes.indexOf(this.angleMode);
+        this.angleMode = modes[(currentIndex + 1) % modes.length];
+        this.refreshComplexResult();
+        this.notify();
+    }
+
+    /**
+     * Build the expression line shown above the main display
+     * @returns {string} Expression including the number being typed
+     */
+    getDisplayExpression() {
+        // If we're not waiting for new input, show the current number being typed
+        if (!this.waitingForNewInput && this.expression) {
+            return this.expression + this.currentInput;
+        }
+        // If no expression yet, just show current input
+        if (!this.expression) {
+            return this.currentInput;
+        }
+        return this.expression;
+    }
+}
+
+export default CalculatorEngine;
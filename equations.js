@@ -0,0 +1,363 @@
+/**
+ * Equation Solvers
+ * @fileoverview n×n linear systems by Gaussian elimination, and the coefficient-grid panel
+ * for polynomials and linear systems
+ */
+
+import { formatNumber, ERROR_MESSAGES, storeData, getData } from './utils.js';
+import { Complex } from './complex.js';
+import { memoryOperations } from './memory.js';
+import { solvePolynomial } from './polynomial.js';
+
+export const MAX_SYSTEM_SIZE = 6;
+
+// Equation kinds offered by the panel with their sizes (polynomial degree or number of unknowns)
+export const EQUATION_KINDS = {
+    polynomial: { name: 'Polynomial', sizes: [1, 2, 3, 4], defaultSize: 2 },
+    system: { name: 'Linear system', sizes: [2, 3, 4, 5, 6], defaultSize: 2 }
+};
+
+// Coefficients closer to zero than this, relative to the largest one, are rounding noise
+const RELATIVE_EPSILON = 1e-12;
+
+const SUPERSCRIPTS = ['', '', '²', '³', '⁴'];
+
+/**
+ * Solves the linear system Ax = b by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square coefficient matrix A
+ * @param {Array<number>} vector - Right-hand side b
+ * @returns {Array<number>} Solution x
+ */
+export function solveLinearSystem(matrix, vector) {
+    const size = vector.length;
+    if (!Array.isArray(matrix) || matrix.length !== size || size === 0 ||
+        !matrix.every(row => Array.isArray(row) && row.length === size) ||
+        ![...matrix.flat(), ...vector].every(value => typeof value === 'number' && isFinite(value))) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const rows = matrix.map((row, index) => [...row, vector[index]]);
+    const scale = Math.max(...matrix.flat().map(Math.abs));
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+        }
+        // No unique solution: the matrix is singular to working precision
+        if (Math.abs(rows[pivot][column]) <= scale * RELATIVE_EPSILON) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+        for (let row = column + 1; row < size; row++) {
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k <= size; k++) rows[row][k] -= factor * rows[column][k];
+        }
+    }
+
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = rows[row][size];
+        for (let k = row + 1; k < size; k++) sum -= rows[row][k] * solution[k];
+        solution[row] = sum / rows[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Coefficient grid with every entry zero
+ * @param {string} kind - Key from EQUATION_KINDS
+ * @param {number} size - Polynomial degree or number of unknowns
+ * @returns {Array<Array<number>>} One row for a polynomial; n rows of n + 1 for a system (last column is b)
+ */
+function createGrid(kind, size) {
+    return kind === 'polynomial'
+        ? [new Array(size + 1).fill(0)]
+        : Array.from({ length: size }, () => new Array(size + 1).fill(0));
+}
+
+class EquationManager {
+    constructor() {
+        this.kind = 'polynomial';
+        this.size = EQUATION_KINDS.polynomial.defaultSize;
+        this.grid = createGrid(this.kind, this.size);
+        this.solutions = [];
+        this.kindSelect = null;
+        this.sizeSelect = null;
+        this.gridElement = null;
+        this.resultsList = null;
+        this.loadEquationFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize equation panel elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.kindSelect = document.getElementById('equationKind');
+        this.sizeSelect = document.getElementById('equationSize');
+        this.gridElement = document.getElementById('equationGrid');
+        this.resultsList = document.getElementById('equationResults');
+
+        if (this.kindSelect) {
+            this.kindSelect.replaceChildren(...Object.entries(EQUATION_KINDS).map(([key, kind]) => new Option(kind.name, key)));
+            this.kindSelect.addEventListener('change', (event) => this.setEquation(event.target.value));
+        }
+        if (this.sizeSelect) {
+            this.sizeSelect.addEventListener('change', (event) => this.setEquation(this.kind, Number(event.target.value)));
+        }
+        if (this.gridElement) {
+            this.gridElement.addEventListener('change', (event) => this.handleCellChange(event));
+        }
+        if (this.resultsList) {
+            this.resultsList.addEventListener('click', (event) => this.handleResultClick(event));
+        }
+
+        this.renderEquation();
+    }
+
+    // Load the equation kind, size and coefficients from localStorage
+    loadEquationFromStorage() {
+        const stored = getData('calculatorEquations', {});
+        const kind = EQUATION_KINDS[stored.kind];
+        if (!kind || !kind.sizes.includes(stored.size)) return;
+
+        const grid = createGrid(stored.kind, stored.size);
+        const valid = Array.isArray(stored.grid) && stored.grid.length === grid.length &&
+            stored.grid.every((row, i) => Array.isArray(row) && row.length === grid[i].length &&
+                row.every(value => typeof value === 'number' && isFinite(value)));
+
+        this.kind = stored.kind;
+        this.size = stored.size;
+        this.grid = valid ? stored.grid.map(row => [...row]) : grid;
+    }
+
+    // Save the equation kind, size and coefficients to localStorage
+    saveEquationToStorage() {
+        storeData('calculatorEquations', { kind: this.kind, size: this.size, grid: this.grid });
+    }
+
+    /**
+     * Choose the equation kind and size, starting from an empty grid
+     * @param {string} kind - Key from EQUATION_KINDS
+     * @param {number} size - Polynomial degree or number of unknowns (defaults to the kind's default)
+     */
+    setEquation(kind, size = EQUATION_KINDS[kind] && EQUATION_KINDS[kind].defaultSize) {
+        if (!EQUATION_KINDS[kind] || !EQUATION_KINDS[kind].sizes.includes(size)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.kind = kind;
+        this.size = size;
+        this.grid = createGrid(kind, size);
+        this.solutions = [];
+        this.saveEquationToStorage();
+        this.renderEquation();
+    }
+
+    /**
+     * Set one coefficient of the grid
+     * @param {number} row - Grid row
+     * @param {number} column - Grid column
+     * @param {number} value - Coefficient
+     */
+    setCoefficient(row, column, value) {
+        if (!this.grid[row] || column < 0 || column >= this.grid[row].length ||
+            typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.grid[row][column] = value;
+        this.saveEquationToStorage();
+    }
+
+    /**
+     * Replace the whole coefficient grid
+     * @param {Array<Array<number>>} grid - Rows as produced by getGrid()
+     */
+    setGrid(grid) {
+        grid.forEach((row, i) => row.forEach((value, j) => this.setCoefficient(i, j, value)));
+        this.renderEquation();
+    }
+
+    /**
+     * Get the coefficient grid
+     * @returns {Array<Array<number>>} Copy of the grid
+     */
+    getGrid() {
+        return this.grid.map(row => [...row]);
+    }
+
+    /**
+     * Solve the equation in the grid
+     * @returns {Array<Object>} Solutions `{ label, value }` where value is a number or Complex
+     */
+    solve() {
+        const values = this.kind === 'polynomial'
+            ? solvePolynomial(this.grid[0])
+            : solveLinearSystem(this.grid.map(row => row.slice(0, -1)), this.grid.map(row => row[row.length - 1]));
+
+        // Entries tiny next to the largest solution are elimination noise
+        const largest = Math.max(...values.map(value => Complex.from(value).abs()));
+        this.solutions = values.map((value, index) => ({
+            label: `x${index + 1}`,
+            value: typeof value === 'number' && Math.abs(value) <= RELATIVE_EPSILON * largest ? 0 : value
+        }));
+        this.renderEquation();
+        return this.getSolutions();
+    }
+
+    /**
+     * Get the last solutions
+     * @returns {Array<Object>} Solutions `{ label, value }`
+     */
+    getSolutions() {
+        return this.solutions.map(solution => ({ ...solution }));
+    }
+
+    /**
+     * Store a real solution in calculator memory
+     * @param {number} index - Solution index
+     */
+    storeSolution(index) {
+        const solution = this.solutions[index];
+        // Memory holds real values only
+        if (!solution || typeof solution.value !== 'number') {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        memoryOperations.store(solution.value);
+    }
+
+    /**
+     * Apply an edited grid cell
+     * @param {Event} event - Change event from a cell input
+     */
+    handleCellChange(event) {
+        const { row, column } = event.target.dataset;
+        if (row === undefined) return;
+
+        try {
+            this.setCoefficient(Number(row), Number(column), Number(event.target.value || 0));
+        } catch (error) {
+            event.target.value = String(this.grid[Number(row)][Number(column)]);
+        }
+    }
+
+    /**
+     * Send a solution to the main display or store it in memory
+     * @param {Event} event - Click event from the results list
+     */
+    handleResultClick(event) {
+        const button = event.target.closest('[data-solution]');
+        if (!button) return;
+
+        const index = Number(button.dataset.solution);
+        if (button.dataset.store !== undefined) {
+            this.storeSolution(index);
+        } else if (this.solutions[index]) {
+            document.dispatchEvent(new CustomEvent('equationSolutionSelected', {
+                detail: { ...this.solutions[index] }
+            }));
+        }
+    }
+
+    // Render the size choices, coefficient grid and solutions
+    renderEquation() {
+        if (this.kindSelect) {
+            this.kindSelect.value = this.kind;
+        }
+        if (this.sizeSelect) {
+            const label = this.kind === 'polynomial' ? 'Degree' : 'Unknowns';
+            this.sizeSelect.replaceChildren(...EQUATION_KINDS[this.kind].sizes.map(size => new Option(`${label} ${size}`, String(size))));
+            this.sizeSelect.value = String(this.size);
+        }
+        if (this.gridElement) {
+            this.gridElement.replaceChildren(...this.createGridRows());
+        }
+        if (this.resultsList) {
+            this.resultsList.replaceChildren(...this.solutions.map((solution, index) => this.createResultItem(solution, index)));
+        }
+    }
+
+    /**
+     * Create the header and input rows of the coefficient grid
+     * @returns {Array<HTMLElement>} Table rows
+     */
+    createGridRows() {
+        const headers = this.kind === 'polynomial'
+            ? this.grid[0].map((_, column) => {
+                const power = this.size - column;
+                return power === 0 ? '1' : `x${SUPERSCRIPTS[power]}`;
+            })
+            : [...this.grid.map((_, column) => `x${column + 1}`), '= b'];
+
+        const headerRow = document.createElement('tr');
+        headers.forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const rows = this.grid.map((values, row) => {
+            const tr = document.createElement('tr');
+            values.forEach((value, column) => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.value = String(value);
+                input.dataset.row = String(row);
+                input.dataset.column = String(column);
+                input.setAttribute('aria-label', `Coefficient of ${headers[column]}${this.kind === 'system' ? ` in equation ${row + 1}` : ''}`);
+                cell.appendChild(input);
+                tr.appendChild(cell);
+            });
+            return tr;
+        });
+
+        return [headerRow, ...rows];
+    }
+
+    /**
+     * Create a solution entry with recall and memory-store buttons
+     * @param {Object} solution - Solution `{ label, value }`
+     * @param {number} index - Solution index
+     * @returns {HTMLElement} List item
+     */
+    createResultItem(solution, index) {
+        const item = document.createElement('li');
+        const recall = document.createElement('button');
+        recall.className = 'stats-recall';
+        recall.dataset.solution = String(index);
+        recall.textContent = `${solution.label} = ${formatNumber(solution.value)}`;
+        recall.setAttribute('aria-label', `Send ${solution.label} to the display`);
+        item.appendChild(recall);
+
+        if (typeof solution.value === 'number') {
+            const store = document.createElement('button');
+            store.className = 'stats-store';
+            store.dataset.solution = String(index);
+            store.dataset.store = '';
+            store.textContent = '→M';
+            store.setAttribute('aria-label', `Store ${solution.label} in memory`);
+            item.appendChild(store);
+        }
+        return item;
+    }
+}
+
+// Create and export singleton instance
+export const equationManager = new EquationManager();
+
+// Export equation operations as individual functions
+export const equationOperations = {
+    setEquation: (kind, size) => equationManager.setEquation(kind, size),
+    setCoefficient: (row, column, value) => equationManager.setCoefficient(row, column, value),
+    setGrid: (grid) => equationManager.setGrid(grid),
+    getGrid: () => equationManager.getGrid(),
+    solve: () => equationManager.solve(),
+    getSolutions: () => equationManager.getSolutions(),
+    store: (index) => equationManager.storeSolution(index)
+};
+
+// Export class for advanced usage
+export default EquationManager;
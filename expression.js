@@ -0,0 +1,776 @@
+/**
+ * Expression Engine for the Scientific Calculator
+ * @fileoverview Tokenizer, precedence-climbing parser and AST evaluator for calculator expressions
+ */
+
+import { CONSTANTS, ERROR_MESSAGES, ANGLE_MODES, convertAngle, factorial } from './utils.js';
+import { derivative, integrate, sum, product } from './calculus.js';
+
+// Token types produced by the tokenizer
+export const TOKEN_TYPES = {
+    NUMBER: 'number',
+    OPERATOR: 'operator',
+    IDENTIFIER: 'identifier',
+    LEFT_PAREN: 'lparen',
+    RIGHT_PAREN: 'rparen',
+    COMMA: 'comma',
+    END: 'end'
+};
+
+// AST node types produced by the parser
+export const NODE_TYPES = {
+    NUMBER: 'NumberLiteral',
+    CONSTANT: 'Constant',
+    UNARY: 'UnaryExpression',
+    POSTFIX: 'PostfixExpression',
+    BINARY: 'BinaryExpression',
+    CALL: 'CallExpression',
+    UNIT: 'UnitAnnotation',
+    CONVERSION: 'UnitConversion',
+    CALCULUS: 'CalculusExpression'
+};
+
+// Display symbols mapped to their canonical operator
+const OPERATOR_ALIASES = {
+    '×': '*',
+    '÷': '/',
+    '−': '-'
+};
+
+// Binary operators with precedence and associativity; bitwise operators only tokenize in programmer mode
+const BINARY_OPERATORS = {
+    'OR': { precedence: 1, rightAssociative: false },
+    'XOR': { precedence: 2, rightAssociative: false },
+    'AND': { precedence: 3, rightAssociative: false },
+    '<<': { precedence: 4, rightAssociative: false },
+    '>>': { precedence: 4, rightAssociative: false },
+    'ROL': { precedence: 4, rightAssociative: false },
+    'ROR': { precedence: 4, rightAssociative: false },
+    '+': { precedence: 5, rightAssociative: false },
+    '-': { precedence: 5, rightAssociative: false },
+    '*': { precedence: 6, rightAssociative: false },
+    '/': { precedence: 6, rightAssociative: false },
+    // Polar entry r∠θ (complex arithmetic only)
+    '∠': { precedence: 6, rightAssociative: false },
+    '^': { precedence: 8, rightAssociative: true }
+};
+
+const LOWEST_PRECEDENCE = 1;
+
+// Unary minus binds tighter than × and ÷ but looser than ^, so -2^2 = -4
+const UNARY_PRECEDENCE = 7;
+
+const UNARY_OPERATORS = ['-', '+', 'NOT'];
+
+// Word operators recognized instead of digits in programmer mode
+const KEYWORD_OPERATORS = ['AND', 'OR', 'XOR', 'NOT', 'ROL', 'ROR'];
+
+const POSTFIX_OPERATORS = ['%', '!', '²', '³'];
+
+// Keywords introducing a trailing unit conversion such as `5 ft in m`
+const CONVERSION_KEYWORDS = ['in', 'to'];
+
+// Calculus constructs: their first argument is evaluated for each value of a bound variable,
+// fixed for d/dx and ∫, given as the second argument of Σ and Π
+const CALCULUS_OPERATORS = {
+    'd/dx': { variable: 'x', arity: 2, apply: (f, x0) => derivative(f, x0) },
+    '∫': { variable: 'x', arity: 3, apply: integrate },
+    'Σ': { variable: null, arity: 4, apply: sum },
+    'Π': { variable: null, arity: 4, apply: product }
+};
+
+// Alternative symbols for calculus constructs
+const CALCULUS_ALIASES = {
+    '∑': 'Σ',
+    '∏': 'Π'
+};
+
+// Sexagesimal literal: a time such as 1:45:30 (h:mm or h:mm:ss) or an angle such as 30°15′10″
+// (minutes and seconds optional; ' and " stand in for ′ and ″)
+export const SEXAGESIMAL_PATTERN = /^(?:\d+:\d{1,2}(?::\d{1,2}(?:\.\d+)?)?|\d+(?:\.\d+)?°(?:\d{1,2}[′'](?:\d{1,2}(?:\.\d+)?[″"])?)?)(?![\d.])/;
+
+/**
+ * Splits a sexagesimal literal into its whole units (hours or degrees), minutes and seconds
+ * @param {string} raw - Literal matched by SEXAGESIMAL_PATTERN
+ * @returns {Array<number>|null} `[units, minutes, seconds]`, or null if minutes or seconds reach 60
+ */
+export function sexagesimalParts(raw) {
+    const [units, minutes = 0, seconds = 0] = raw.split(/[:°′'″"]/).filter(Boolean).map(Number);
+    return minutes < 60 && seconds < 60 ? [units, minutes, seconds] : null;
+}
+
+// Named constants available inside expressions
+const NAMED_CONSTANTS = {
+    'π': CONSTANTS.PI,
+    'pi': CONSTANTS.PI,
+    'e': CONSTANTS.E
+};
+
+// Results closer to zero than this are snapped to zero for trigonometric functions
+const TRIG_EPSILON = 1e-10;
+
+/**
+ * Creates the table of scientific functions callable from expressions
+ * @param {string} angleMode - Angle mode used by trigonometric functions
+ * @returns {Object} Functions keyed by name
+ */
+export function createFunctionTable(angleMode = ANGLE_MODES.DEGREES) {
+    const snap = (value) => Math.abs(value) < TRIG_EPSILON ? 0 : value;
+    const toRadians = (value) => convertAngle(value, angleMode, true);
+    const fromRadians = (value) => convertAngle(value, angleMode, false);
+    const requireUnitRange = (value) => {
+        if (value < -1 || value > 1) {
+            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
+        }
+        return value;
+    };
+    const requirePositive = (value) => {
+        if (value <= 0) {
+            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
+        }
+        return value;
+    };
+    const sqrt = (value) => {
+        if (value < 0) {
+            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
+        }
+        return Math.sqrt(value);
+    };
+
+    return {
+        sin: (value) => snap(Math.sin(toRadians(value))),
+        cos: (value) => snap(Math.cos(toRadians(value))),
+        tan: (value) => {
+            const radians = toRadians(value);
+            // Undefined at odd multiples of π/2
+            if (Math.abs(Math.cos(radians)) < TRIG_EPSILON) {
+                throw new Error(ERROR_MESSAGES.MATH_ERROR);
+            }
+            return snap(Math.tan(radians));
+        },
+        asin: (value) => fromRadians(Math.asin(requireUnitRange(value))),
+        acos: (value) => fromRadians(Math.acos(requireUnitRange(value))),
+        atan: (value) => fromRadians(Math.atan(value)),
+        log: (value) => Math.log10(requirePositive(value)),
+        ln: (value) => Math.log(requirePositive(value)),
+        sqrt,
+        '√': sqrt,
+        cbrt: Math.cbrt,
+        '∛': Math.cbrt,
+        abs: Math.abs,
+        arg: (value) => fromRadians(value < 0 ? Math.PI : 0),
+        conj: (value) => value
+    };
+}
+
+/**
+ * Applies a unary prefix operator to a value
+ * @param {string} operator - Prefix operator (-, +)
+ * @param {number} value - Operand
+ * @returns {number} Result
+ */
+function applyUnary(operator, value) {
+    switch (operator) {
+        case '-':
+            return -value;
+        case '+':
+            return value;
+        default:
+            throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+    }
+}
+
+/**
+ * Applies a postfix operator to a value
+ * @param {string} operator - Postfix operator (%, !, ², ³)
+ * @param {number} value - Operand
+ * @returns {number} Result
+ */
+function applyPostfix(operator, value) {
+    switch (operator) {
+        case '%':
+            return value / 100;
+        case '!':
+            return factorial(value);
+        case '²':
+            return Math.pow(value, 2);
+        case '³':
+            return Math.pow(value, 3);
+        default:
+            throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+    }
+}
+
+/**
+ * Error raised for malformed expressions, carrying the offending position
+ */
+export class ExpressionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} position - Zero-based index in the source expression
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+/**
+ * Splits an expression string into tokens
+ * @param {string} source - Expression to tokenize
+ * @param {Object} options - Tokenizer options
+ * @param {number} options.radix - Read integer literals in this base (programmer mode)
+ * @returns {Array<Object>} Tokens with type, value and position
+ */
+export function tokenize(source, options = {}) {
+    const tokens = [];
+    const radix = options.radix;
+    let index = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        if (radix && /[0-9a-zA-Z]/.test(char)) {
+            const word = /^[0-9a-zA-Z]+/.exec(source.slice(index))[0];
+            const upper = word.toUpperCase();
+            if (KEYWORD_OPERATORS.includes(upper)) {
+                tokens.push({ type: TOKEN_TYPES.OPERATOR, value: upper, position: index });
+            } else {
+                tokens.push({ type: TOKEN_TYPES.NUMBER, value: parseInteger(word, radix, index), raw: word, position: index });
+            }
+            index += word.length;
+            continue;
+        }
+
+        if (radix && (source.startsWith('<<', index) || source.startsWith('>>', index))) {
+            tokens.push({ type: TOKEN_TYPES.OPERATOR, value: source.slice(index, index + 2), position: index });
+            index += 2;
+            continue;
+        }
+
+        const sexagesimal = SEXAGESIMAL_PATTERN.exec(source.slice(index));
+        if (sexagesimal) {
+            const parts = sexagesimalParts(sexagesimal[0]);
+            if (!parts) {
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, index);
+            }
+            // Read as decimal hours or degrees; backends with their own number type see the raw literal
+            const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+            tokens.push({ type: TOKEN_TYPES.NUMBER, value, raw: sexagesimal[0], position: index });
+            index += sexagesimal[0].length;
+            continue;
+        }
+
+        if (/[0-9.]/.test(char)) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(index));
+            if (!match) {
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, index);
+            }
+            tokens.push({ type: TOKEN_TYPES.NUMBER, value: parseFloat(match[0]), raw: match[0], position: index });
+            index += match[0].length;
+
+            // Imaginary literal such as 2i reads as 2 × i
+            if (/^i(?![a-zA-Z0-9])/.test(source.slice(index))) {
+                tokens.push({ type: TOKEN_TYPES.OPERATOR, value: '*', position: index });
+                tokens.push({ type: TOKEN_TYPES.IDENTIFIER, value: 'i', position: index });
+                index++;
+            }
+            continue;
+        }
+
+        if (/^d\/dx\s*\(/.test(source.slice(index))) {
+            tokens.push({ type: TOKEN_TYPES.IDENTIFIER, value: 'd/dx', position: index });
+            index += 4;
+            continue;
+        }
+
+        if (/[∫ΣΠ∑∏]/.test(char)) {
+            tokens.push({ type: TOKEN_TYPES.IDENTIFIER, value: CALCULUS_ALIASES[char] || char, position: index });
+            index++;
+            continue;
+        }
+
+        if (/[a-zA-Zπ√∛]/.test(char)) {
+            const match = /^(?:[π√∛]|[a-zA-Z][a-zA-Z0-9]*)/.exec(source.slice(index));
+            tokens.push({ type: TOKEN_TYPES.IDENTIFIER, value: match[0], position: index });
+            index += match[0].length;
+            continue;
+        }
+
+        const operator = OPERATOR_ALIASES[char] || char;
+        if (BINARY_OPERATORS[operator] || POSTFIX_OPERATORS.includes(operator)) {
+            tokens.push({ type: TOKEN_TYPES.OPERATOR, value: operator, position: index });
+        } else if (char === '(') {
+            tokens.push({ type: TOKEN_TYPES.LEFT_PAREN, value: char, position: index });
+        } else if (char === ')') {
+            tokens.push({ type: TOKEN_TYPES.RIGHT_PAREN, value: char, position: index });
+        } else if (char === ',') {
+            tokens.push({ type: TOKEN_TYPES.COMMA, value: char, position: index });
+        } else {
+            throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, index);
+        }
+        index++;
+    }
+
+    tokens.push({ type: TOKEN_TYPES.END, value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Splits an expression into tokens that keep their source text, a form that can be stored
+ * and joined back into an equivalent expression
+ * @param {string} source - Expression to tokenize
+ * @param {Object} options - Tokenizer options, as for tokenize()
+ * @returns {Array<Object>} Tokens `{ type, text }`
+ */
+export function serializeTokens(source, options = {}) {
+    const tokens = tokenize(source, options);
+    const serialized = [];
+    let attach = false;
+
+    tokens.slice(0, -1).forEach((token, index) => {
+        const text = source.slice(token.position, tokens[index + 1].position).trim();
+        if (attach) {
+            serialized[serialized.length - 1].text += text;
+            attach = false;
+        } else if (text === '') {
+            // The × implied by an imaginary literal has no text; 2i stays one token
+            attach = true;
+        } else {
+            serialized.push({ type: token.type, text });
+        }
+    });
+    return serialized;
+}
+
+/**
+ * Joins serialized tokens back into expression source
+ * @param {Array<Object>} tokens - Tokens `{ type, text }` from serializeTokens()
+ * @returns {string} Expression source
+ */
+export function joinTokens(tokens) {
+    return tokens.map(token => token.text).join(' ');
+}
+
+/**
+ * Reads an integer literal in the given radix as a BigInt
+ * @param {string} digits - Literal digits
+ * @param {number} radix - Number base
+ * @param {number} position - Position of the literal, for error reporting
+ * @returns {bigint} Literal value
+ */
+function parseInteger(digits, radix, position) {
+    let value = 0n;
+    for (let i = 0; i < digits.length; i++) {
+        const digit = parseInt(digits[i], 36);
+        if (digit >= radix) {
+            throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, position + i);
+        }
+        value = value * BigInt(radix) + BigInt(digit);
+    }
+    return value;
+}
+
+/**
+ * Parses an expression string into an abstract syntax tree
+ * @param {string} source - Expression to parse
+ * @param {Object} options - Parser options, also passed to tokenize()
+ * @param {Function} options.isUnit - Recognizes unit symbols, enabling `5 ft` annotations and a trailing `in m` conversion
+ * @returns {Object} Root AST node
+ */
+export function parse(source, options = {}) {
+    const tokens = tokenize(source, options);
+    const isUnit = options.isUnit || (() => false);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const next = () => tokens[current++];
+
+    // `in <unit>` or `to <unit>` closing the expression; `in` alone may still be the inch unit
+    const atConversion = () => {
+        const [keyword, unit, end] = tokens.slice(current, current + 3);
+        return keyword.type === TOKEN_TYPES.IDENTIFIER && CONVERSION_KEYWORDS.includes(keyword.value) &&
+            unit && unit.type === TOKEN_TYPES.IDENTIFIER && isUnit(unit.value) &&
+            end && end.type === TOKEN_TYPES.END;
+    };
+
+    const expect = (type) => {
+        const token = peek();
+        if (token.type !== type) {
+            throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, token.position);
+        }
+        return next();
+    };
+
+    // Precedence climbing over the binary operator table
+    const parseExpression = (minPrecedence) => {
+        let left = parseUnary();
+
+        while (true) {
+            const token = peek();
+            // Juxtaposition such as 2x, 3(x + 1) or 2sin(x) multiplies at the precedence of ×
+            const implicit = token.type === TOKEN_TYPES.LEFT_PAREN ||
+                (token.type === TOKEN_TYPES.IDENTIFIER && !atConversion());
+            const operator = implicit ? '*' : token.value;
+            const info = (implicit || token.type === TOKEN_TYPES.OPERATOR) && BINARY_OPERATORS[operator];
+            if (!info || info.precedence < minPrecedence) break;
+
+            if (!implicit) next();
+            const nextPrecedence = info.rightAssociative ? info.precedence : info.precedence + 1;
+            const right = parseExpression(nextPrecedence);
+            left = { type: NODE_TYPES.BINARY, operator, left, right, position: token.position };
+        }
+
+        return left;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token.type === TOKEN_TYPES.OPERATOR && UNARY_OPERATORS.includes(token.value)) {
+            next();
+            const argument = parseExpression(UNARY_PRECEDENCE);
+            return { type: NODE_TYPES.UNARY, operator: token.value, argument, position: token.position };
+        }
+        return parsePostfix();
+    };
+
+    const parsePostfix = () => {
+        let node = parsePrimary();
+        while (peek().type === TOKEN_TYPES.OPERATOR && POSTFIX_OPERATORS.includes(peek().value)) {
+            const token = next();
+            node = { type: NODE_TYPES.POSTFIX, operator: token.value, argument: node, position: token.position };
+        }
+        return node;
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+
+        switch (token.type) {
+            case TOKEN_TYPES.NUMBER: {
+                next();
+                const literal = { type: NODE_TYPES.NUMBER, value: token.value, raw: token.raw, position: token.position };
+                const unit = peek();
+                if (unit.type === TOKEN_TYPES.IDENTIFIER && isUnit(unit.value) && !atConversion()) {
+                    next();
+                    return { type: NODE_TYPES.UNIT, unit: unit.value, argument: literal, position: unit.position };
+                }
+                return literal;
+            }
+
+            case TOKEN_TYPES.IDENTIFIER:
+                next();
+                if (CALCULUS_OPERATORS[token.value]) {
+                    return parseCalculus(token);
+                }
+                if (peek().type === TOKEN_TYPES.LEFT_PAREN) {
+                    return parseCall(token);
+                }
+                return { type: NODE_TYPES.CONSTANT, name: token.value, position: token.position };
+
+            case TOKEN_TYPES.LEFT_PAREN: {
+                next();
+                const inner = parseExpression(LOWEST_PRECEDENCE);
+                expect(TOKEN_TYPES.RIGHT_PAREN);
+                return inner;
+            }
+
+            default:
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, token.position);
+        }
+    };
+
+    const parseCall = (nameToken) => {
+        expect(TOKEN_TYPES.LEFT_PAREN);
+        const args = [];
+
+        if (peek().type !== TOKEN_TYPES.RIGHT_PAREN) {
+            args.push(parseExpression(LOWEST_PRECEDENCE));
+            while (peek().type === TOKEN_TYPES.COMMA) {
+                next();
+                args.push(parseExpression(LOWEST_PRECEDENCE));
+            }
+        }
+
+        expect(TOKEN_TYPES.RIGHT_PAREN);
+        return { type: NODE_TYPES.CALL, name: nameToken.value, args, position: nameToken.position };
+    };
+
+    // d/dx(f, x0), ∫(f, a, b), Σ(f, k, from, to) and Π(f, k, from, to)
+    const parseCalculus = (nameToken) => {
+        const { args } = parseCall(nameToken);
+        const operator = CALCULUS_OPERATORS[nameToken.value];
+        if (args.length !== operator.arity) {
+            throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, nameToken.position);
+        }
+        let variable = operator.variable;
+        if (!variable) {
+            const index = args.splice(1, 1)[0];
+            if (index.type !== NODE_TYPES.CONSTANT) {
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, index.position);
+            }
+            variable = index.name;
+        }
+        return {
+            type: NODE_TYPES.CALCULUS,
+            operator: nameToken.value,
+            variable,
+            argument: args[0],
+            args: args.slice(1),
+            position: nameToken.position
+        };
+    };
+
+    let ast = parseExpression(LOWEST_PRECEDENCE);
+    if (atConversion()) {
+        next();
+        const unit = next();
+        ast = { type: NODE_TYPES.CONVERSION, unit: unit.value, argument: ast, position: unit.position };
+    }
+    expect(TOKEN_TYPES.END);
+    return ast;
+}
+
+/**
+ * Creates the default floating-point arithmetic used by evaluate()
+ * @param {string} angleMode - Angle mode for trigonometric functions
+ * @returns {Object} Arithmetic backend
+ */
+export function createRealArithmetic(angleMode) {
+    return {
+        constants: NAMED_CONSTANTS,
+        functions: createFunctionTable(angleMode),
+        unary: applyUnary,
+        binary: applyBinary,
+        postfix: applyPostfix
+    };
+}
+
+/**
+ * Evaluates an AST produced by parse()
+ * @param {Object} node - AST node
+ * @param {Object} options - Evaluation options
+ * @param {string} options.angleMode - Angle mode for trigonometric functions
+ * @param {Object} options.arithmetic - Arithmetic backend replacing the floating-point default
+ *   ({ constants, functions, unary, binary, postfix }, an optional number(raw) literal reader
+ *   and optional unit(value, symbol) and convert(value, symbol) for unit expressions)
+ * @param {Object} options.functions - Extra callable functions by name
+ * @param {Object} options.variables - Variable values by name, read like constants
+ * @param {number} options.taxRate - Tax rate (%) used by taxInc and taxExc
+ * @returns {*} Evaluation result
+ */
+export function evaluate(node, options = {}) {
+    return evaluateNode(node, createContext(options));
+}
+
+/**
+ * Builds the evaluation context of evaluate() from its options
+ * @param {Object} options - Evaluation options
+ * @returns {Object} Evaluation context
+ */
+function createContext(options) {
+    const arithmetic = options.arithmetic || createRealArithmetic(options.angleMode);
+    return {
+        ...arithmetic,
+        constants: { ...arithmetic.constants, ...options.variables },
+        functions: { ...createPercentFunctions(arithmetic, options.taxRate), ...arithmetic.functions, ...options.functions }
+    };
+}
+
+/**
+ * Creates the business percentage functions. They are written with the backend's own
+ * arithmetic, so exact decimal and fraction results stay exact.
+ * @param {Object} arithmetic - Arithmetic backend
+ * @param {number} taxRate - Tax rate (%) used by taxInc and taxExc
+ * @returns {Object} Functions keyed by name
+ */
+function createPercentFunctions(arithmetic, taxRate = 0) {
+    const { binary } = arithmetic;
+    const number = (value) => (arithmetic.number ? arithmetic.number(String(value)) : value);
+    const fraction = (rate) => binary('/', rate, number(100));
+    const taxFactor = () => binary('+', number(1), fraction(number(taxRate)));
+
+    return {
+        // Percent change from the first value to the second
+        pchg: (from, to) => binary('*', binary('/', binary('-', to, from), from), number(100)),
+        // Selling price with a markup of rate% on cost
+        markup: (cost, rate) => binary('*', cost, binary('+', number(1), fraction(rate))),
+        // Selling price giving a margin of rate% of the price
+        margin: (cost, rate) => binary('/', cost, binary('-', number(1), fraction(rate))),
+        // Amount with tax added, and a tax-inclusive amount with the tax taken out
+        taxInc: (amount) => binary('*', amount, taxFactor()),
+        taxExc: (amount) => binary('/', amount, taxFactor())
+    };
+}
+
+/**
+ * Compiles an expression of one variable, e.g. `x^2 - sin(x)`, into a function. The
+ * expression is parsed once, so the function is cheap to call many times (graphs, solvers).
+ * @param {string} source - Expression to compile
+ * @param {string} variable - Variable name
+ * @param {Object} options - Options passed to parse() and evaluate()
+ * @returns {Function} Function of the variable value returning the evaluation result
+ */
+export function compileFunction(source, variable = 'x', options = {}) {
+    const ast = parse(source, options);
+    const context = createContext(options);
+    return (value) => {
+        context.constants[variable] = value;
+        return evaluateNode(ast, context);
+    };
+}
+
+/**
+ * Recursively evaluates an AST node
+ * @param {Object} node - AST node
+ * @param {Object} context - Evaluation context (arithmetic backend)
+ * @returns {*} Evaluation result
+ */
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case NODE_TYPES.NUMBER:
+            // Backends with their own number type read the literal as written
+            return context.number ? context.number(node.raw) : node.value;
+
+        case NODE_TYPES.CONSTANT:
+            if (!(node.name in context.constants)) {
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, node.position);
+            }
+            return context.constants[node.name];
+
+        case NODE_TYPES.UNARY:
+            return context.unary(node.operator, evaluateNode(node.argument, context));
+
+        case NODE_TYPES.POSTFIX:
+            return context.postfix(node.operator, evaluateNode(node.argument, context));
+
+        case NODE_TYPES.BINARY: {
+            const left = evaluateNode(node.left, context);
+            const right = evaluateNode(node.right, context);
+            // Desk-calculator percent: a + b% adds b% of a, a − b% subtracts it
+            if (isPercentChange(node)) {
+                return context.binary(node.operator, left, context.binary('*', left, right));
+            }
+            return context.binary(node.operator, left, right);
+        }
+
+        case NODE_TYPES.UNIT:
+        case NODE_TYPES.CONVERSION: {
+            const apply = node.type === NODE_TYPES.UNIT ? context.unit : context.convert;
+            if (!apply) {
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, node.position);
+            }
+            return apply(evaluateNode(node.argument, context), node.unit);
+        }
+
+        case NODE_TYPES.CALL: {
+            const func = context.functions[node.name];
+            if (!func || node.args.length !== func.length) {
+                throw new ExpressionError(ERROR_MESSAGES.SYNTAX_ERROR, node.position);
+            }
+            return func(...node.args.map(arg => evaluateNode(arg, context)));
+        }
+
+        case NODE_TYPES.CALCULUS:
+            return evaluateCalculus(node, context);
+
+        default:
+            throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+    }
+}
+
+/**
+ * Whether a binary node adds or subtracts a percentage, as in `200 + 15%`
+ * @param {Object} node - Binary AST node
+ * @returns {boolean} True for + or − with a `%` right operand
+ */
+function isPercentChange(node) {
+    return (node.operator === '+' || node.operator === '-') &&
+        node.right.type === NODE_TYPES.POSTFIX && node.right.operator === '%';
+}
+
+/**
+ * Evaluates a calculus construct. The bounds are evaluated once in the enclosing context; the
+ * body is evaluated in a copy of it where the bound variable shadows any outer value.
+ * @param {Object} node - Calculus AST node
+ * @param {Object} context - Evaluation context (floating-point arithmetic)
+ * @returns {number} Derivative, integral, sum or product
+ */
+function evaluateCalculus(node, context) {
+    const bounds = node.args.map(arg => requireReal(evaluateNode(arg, context)));
+    const scope = { ...context, constants: { ...context.constants } };
+    const f = (value) => {
+        scope.constants[node.variable] = value;
+        return requireReal(evaluateNode(node.argument, scope));
+    };
+    return CALCULUS_OPERATORS[node.operator].apply(f, ...bounds);
+}
+
+// Calculus is numerical: only plain floating-point values can be differentiated, integrated or summed
+function requireReal(value) {
+    if (typeof value !== 'number') {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return value;
+}
+
+/**
+ * Whether an AST contains a calculus construct
+ * @param {Object} node - AST node
+ * @returns {boolean} True for d/dx, ∫, Σ or Π anywhere in the tree
+ */
+export function hasCalculus(node) {
+    if (node.type === NODE_TYPES.CALCULUS) return true;
+    const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+    return children.some(hasCalculus);
+}
+
+/**
+ * Applies a binary operator to two operands
+ * @param {string} operator - Canonical operator
+ * @param {number} left - Left operand
+ * @param {number} right - Right operand
+ * @returns {number} Result
+ */
+function applyBinary(operator, left, right) {
+    switch (operator) {
+        case '+':
+            return left + right;
+        case '-':
+            return left - right;
+        case '*':
+            return left * right;
+        case '/':
+            if (right === 0) {
+                throw new Error(ERROR_MESSAGES.MATH_ERROR);
+            }
+            return left / right;
+        case '^':
+            return Math.pow(left, right);
+        default:
+            throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+    }
+}
+
+/**
+ * Parses and evaluates an expression string
+ * @param {string} source - Expression to evaluate
+ * @param {Object} options - Options passed to parse() and evaluate()
+ * @returns {*} Finite evaluation result
+ */
+export function evaluateExpression(source, options = {}) {
+    const result = evaluate(parse(source, options), options);
+
+    if (typeof result === 'number' && !isFinite(result)) {
+        if (isNaN(result)) throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+    }
+
+    return result;
+}
@@ -0,0 +1,803 @@
+/**
+ * Financial Worksheet
+ * @fileoverview Time value of money (N, I/Y, PV, PMT, FV with payments per year and
+ * BEGIN/END timing), amortization schedules, NPV/IRR over cash-flow lists, simple and
+ * compound interest, and the FIN panel
+ */
+
+import { formatNumber, ERROR_MESSAGES, storeData, getData, downloadFile } from './utils.js';
+import { findRoot } from './solver.js';
+import { memoryOperations } from './memory.js';
+
+// Worksheet variables and their key labels
+export const TVM_VARIABLES = {
+    n: 'N',
+    rate: 'I/Y',
+    pv: 'PV',
+    pmt: 'PMT',
+    fv: 'FV'
+};
+
+// Payments at the end (ordinary annuity) or beginning (annuity due) of each period
+export const PAYMENT_TIMINGS = {
+    END: 'END',
+    BEGIN: 'BGN'
+};
+
+// Longest amortization schedule: 100 years of monthly payments
+export const MAX_AMORTIZATION_PERIODS = 1200;
+
+// Starting annual rate (%) when solving for I/Y or IRR
+const RATE_GUESS = 10;
+
+// Results smaller than this, relative to the amounts involved, are rounding noise
+const RELATIVE_EPSILON = 1e-12;
+
+// Snap rounding noise to zero, e.g. a 0% rate solved as -2e-16
+function cleanZero(value, scale = 1) {
+    return Math.abs(value) <= RELATIVE_EPSILON * Math.max(1, Math.abs(scale)) ? 0 : value;
+}
+
+/**
+ * Check the worksheet settings, filling in the defaults
+ * @param {Object} options - `{ perYear, timing }`
+ * @returns {Object} `{ perYear, timing }` with 12 payments per year and END timing by default
+ */
+function normalizeOptions({ perYear = 12, timing = PAYMENT_TIMINGS.END } = {}) {
+    if (typeof perYear !== 'number' || !(perYear > 0) || !isFinite(perYear) ||
+        !Object.values(PAYMENT_TIMINGS).includes(timing)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return { perYear, timing };
+}
+
+/**
+ * Compound growth over n periods, accurate for rates near zero
+ * @param {number} i - Rate per period as a fraction
+ * @param {number} n - Number of periods
+ * @returns {Object} `{ factor, annuity }` with factor (1 + i)^n and annuity ((1 + i)^n − 1) / i
+ */
+function growth(i, n) {
+    const logGrowth = n * Math.log1p(i);
+    return { factor: Math.exp(logGrowth), annuity: i === 0 ? n : Math.expm1(logGrowth) / i };
+}
+
+/**
+ * Worksheet balance PV·(1 + i)^N + PMT·(1 + i·b)·((1 + i)^N − 1)/i + FV, zero for a consistent
+ * worksheet. Money received is positive and money paid out negative, so a loan has PV > 0, PMT < 0.
+ * @param {Object} values - `{ n, rate, pv, pmt, fv }` with rate the annual percentage
+ * @param {Object} options - `{ perYear, timing }`
+ * @returns {number} Balance, NaN for rates at or below −100% per period
+ */
+export function tvmBalance(values, options = {}) {
+    const { perYear, timing } = normalizeOptions(options);
+    const i = values.rate / 100 / perYear;
+    if (!(i > -1)) return NaN;
+
+    const { factor, annuity } = growth(i, values.n);
+    const due = timing === PAYMENT_TIMINGS.BEGIN ? 1 + i : 1;
+    return values.pv * factor + values.pmt * due * annuity + values.fv;
+}
+
+/**
+ * Solve the worksheet for one variable from the other four. N, PV, PMT and FV have closed
+ * forms; I/Y is found numerically.
+ * @param {Object} values - `{ n, rate, pv, pmt, fv }`; the unknown's value is ignored
+ * @param {string} unknown - Key from TVM_VARIABLES
+ * @param {Object} options - `{ perYear, timing }`
+ * @returns {number} Value of the unknown
+ */
+export function solveTVM(values, unknown, options = {}) {
+    const settings = normalizeOptions(options);
+    if (!(unknown in TVM_VARIABLES) || Object.keys(TVM_VARIABLES).some(key =>
+        key !== unknown && (typeof values[key] !== 'number' || !isFinite(values[key])))) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const { n, pv, pmt, fv } = values;
+    const i = values.rate / 100 / settings.perYear;
+    const due = settings.timing === PAYMENT_TIMINGS.BEGIN ? 1 + i : 1;
+    let result;
+
+    switch (unknown) {
+        case 'rate': {
+            const balance = rate => tvmBalance({ ...values, rate }, settings);
+            result = cleanZero(findRoot(balance, { guess: RATE_GUESS }).root);
+            break;
+        }
+        case 'n':
+            result = i === 0
+                ? -(pv + fv) / pmt
+                : Math.log((pmt * due / i - fv) / (pmt * due / i + pv)) / Math.log1p(i);
+            break;
+        case 'pv': {
+            const { factor, annuity } = growth(i, n);
+            result = -(fv + pmt * due * annuity) / factor;
+            break;
+        }
+        case 'pmt': {
+            const { factor, annuity } = growth(i, n);
+            result = -(pv * factor + fv) / (due * annuity);
+            break;
+        }
+        default: {
+            const { factor, annuity } = growth(i, n);
+            result = -(pv * factor + pmt * due * annuity);
+        }
+    }
+
+    if (!isFinite(result)) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+    return result;
+}
+
+/**
+ * Amortization schedule: how each payment splits into interest and principal. Interest and
+ * principal carry the sign of the payment; the balance is the amount outstanding after each
+ * payment (with BGN timing no interest is due at the first payment).
+ * @param {Object} values - `{ n, rate, pv, pmt }` with N a whole number of periods
+ * @param {Object} options - `{ perYear, timing }`
+ * @returns {Array<Object>} Rows `{ period, payment, interest, principal, balance }`
+ */
+export function amortizationSchedule(values, options = {}) {
+    const { perYear, timing } = normalizeOptions(options);
+    const periods = Math.round(values.n);
+    if (!(periods >= 1) || periods > MAX_AMORTIZATION_PERIODS || Math.abs(values.n - periods) > 1e-9 ||
+        ![values.rate, values.pv, values.pmt].every(isFinite)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const i = values.rate / 100 / perYear;
+    const rows = [];
+    let balance = values.pv;
+    for (let period = 1; period <= periods; period++) {
+        const interest = period === 1 && timing === PAYMENT_TIMINGS.BEGIN ? 0 : -balance * i;
+        const principal = values.pmt - interest;
+        balance = cleanZero(balance + principal, values.pv * 1e3);
+        rows.push({ period, payment: values.pmt, interest, principal, balance });
+    }
+    return rows;
+}
+
+// Money amount for CSV, to the cent without a negative zero
+function formatCents(value) {
+    return (Math.abs(value) < 0.005 ? 0 : value).toFixed(2);
+}
+
+/**
+ * Amortization schedule as CSV
+ * @param {Array<Object>} rows - Rows from amortizationSchedule()
+ * @returns {string} CSV with a header line
+ */
+export function amortizationToCSV(rows) {
+    const lines = rows.map(row => [
+        row.period,
+        formatCents(row.payment),
+        formatCents(row.interest),
+        formatCents(row.principal),
+        formatCents(row.balance)
+    ].join(','));
+    return ['Period,Payment,Interest,Principal,Balance', ...lines].join('\n') + '\n';
+}
+
+/**
+ * Create a validated cash flow
+ * @param {number} amount - Cash flow amount (negative for money paid out)
+ * @param {number} count - Consecutive periods with this amount
+ * @returns {Object} Cash flow `{ amount, count }`
+ */
+function createCashFlow(amount, count = 1) {
+    if (typeof amount !== 'number' || !isFinite(amount) || !Number.isInteger(count) || count < 1) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return { amount, count };
+}
+
+/**
+ * Net present value of a cash-flow list
+ * @param {number} rate - Discount rate per period (%)
+ * @param {Array<Object>} cashFlows - `{ amount, count }`; the first is CF0 at time 0, the rest follow one per period
+ * @returns {number} NPV, NaN for rates at or below −100%
+ */
+export function npv(rate, cashFlows) {
+    if (!cashFlows.length) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    const discount = 1 + rate / 100;
+    if (!(discount > 0)) return NaN;
+
+    const [initial, ...flows] = cashFlows;
+    let total = initial.amount;
+    let period = 0;
+    flows.forEach(({ amount, count }) => {
+        for (let k = 0; k < count; k++) {
+            period++;
+            total += amount / discount ** period;
+        }
+    });
+    return total;
+}
+
+/**
+ * Internal rate of return: the discount rate where the NPV is zero
+ * @param {Array<Object>} cashFlows - Cash flows as for npv()
+ * @returns {number} IRR per period (%)
+ */
+export function irr(cashFlows) {
+    const amounts = cashFlows.map(flow => flow.amount);
+    if (!amounts.some(amount => amount > 0) || !amounts.some(amount => amount < 0)) {
+        throw new Error(ERROR_MESSAGES.NO_SIGN_CHANGE);
+    }
+    return cleanZero(findRoot(rate => npv(rate, cashFlows), { guess: RATE_GUESS }).root);
+}
+
+// Check interest inputs shared by simple and compound interest
+function requireInterestInputs(...values) {
+    if (!values.every(value => typeof value === 'number' && isFinite(value))) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+}
+
+/**
+ * Simple interest P·r·t
+ * @param {number} principal - Principal
+ * @param {number} rate - Annual rate (%)
+ * @param {number} years - Term in years
+ * @returns {Object} `{ interest, total }`
+ */
+export function simpleInterest(principal, rate, years) {
+    requireInterestInputs(principal, rate, years);
+    const interest = principal * rate / 100 * years;
+    return { interest, total: principal + interest };
+}
+
+/**
+ * Compound interest P·(1 + r/m)^(m·t) − P
+ * @param {number} principal - Principal
+ * @param {number} rate - Annual rate (%)
+ * @param {number} years - Term in years
+ * @param {number} periodsPerYear - Compounding periods per year
+ * @returns {Object} `{ interest, total }`
+ */
+export function compoundInterest(principal, rate, years, periodsPerYear = 1) {
+    requireInterestInputs(principal, rate, years, periodsPerYear);
+    if (!(periodsPerYear > 0)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    const { factor } = growth(rate / 100 / periodsPerYear, periodsPerYear * years);
+    const total = principal * factor;
+    if (!isFinite(total)) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+    return { interest: total - principal, total };
+}
+
+class FinanceManager {
+    constructor() {
+        this.values = { n: 0, rate: 0, pv: 0, pmt: 0, fv: 0 };
+        this.perYear = 12;
+        this.timing = PAYMENT_TIMINGS.END;
+        this.cashFlows = [];
+        this.schedule = [];
+        this.results = [];
+        this.tvmTable = null;
+        this.perYearInput = null;
+        this.timingButton = null;
+        this.scheduleBody = null;
+        this.cashFlowBody = null;
+        this.resultsList = null;
+        this.loadFinanceFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize finance panel elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.tvmTable = document.getElementById('financeTvm');
+        this.perYearInput = document.getElementById('financePerYear');
+        this.timingButton = document.getElementById('financeTiming');
+        this.scheduleBody = document.getElementById('financeSchedule');
+        this.cashFlowBody = document.getElementById('financeCashFlows');
+        this.resultsList = document.getElementById('financeResults');
+
+        if (this.tvmTable) {
+            this.tvmTable.addEventListener('change', (event) => this.handleValueChange(event));
+        }
+        if (this.perYearInput) {
+            this.perYearInput.addEventListener('change', () => {
+                try {
+                    this.setPerYear(Number(this.perYearInput.value));
+                } catch (error) {
+                    this.renderFinance();
+                }
+            });
+        }
+        if (this.timingButton) {
+            this.timingButton.addEventListener('click', () => this.toggleTiming());
+        }
+        if (this.cashFlowBody) {
+            // Cells are edited in place; rows are rebuilt so invalid edits revert
+            this.cashFlowBody.addEventListener('change', (event) => this.handleCashFlowChange(event));
+            this.cashFlowBody.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-remove]');
+                if (button) this.removeCashFlow(Number(button.dataset.remove));
+            });
+        }
+        if (this.resultsList) {
+            this.resultsList.addEventListener('click', (event) => this.handleResultClick(event));
+        }
+
+        this.renderFinance();
+    }
+
+    // Load the worksheet and cash flows from localStorage
+    loadFinanceFromStorage() {
+        const stored = getData('calculatorFinance', {});
+        try {
+            if (stored.values) {
+                Object.keys(this.values).forEach(key => {
+                    const value = stored.values[key];
+                    if (typeof value === 'number' && isFinite(value)) this.values[key] = value;
+                });
+            }
+            const { perYear, timing } = normalizeOptions({ perYear: stored.perYear, timing: stored.timing });
+            this.perYear = perYear;
+            this.timing = timing;
+            this.cashFlows = Array.isArray(stored.cashFlows)
+                ? stored.cashFlows.map(flow => createCashFlow(flow.amount, flow.count))
+                : [];
+        } catch (error) {
+            console.error('Ignoring invalid finance data:', error);
+            this.cashFlows = [];
+        }
+    }
+
+    // Save the worksheet and cash flows to localStorage
+    saveFinanceToStorage() {
+        storeData('calculatorFinance', {
+            values: this.values,
+            perYear: this.perYear,
+            timing: this.timing,
+            cashFlows: this.cashFlows
+        });
+    }
+
+    // Persist and redraw after the worksheet changed
+    commitChanges() {
+        this.saveFinanceToStorage();
+        this.renderFinance();
+    }
+
+    // Current payments per year and timing
+    getOptions() {
+        return { perYear: this.perYear, timing: this.timing };
+    }
+
+    /**
+     * Set a worksheet variable
+     * @param {string} key - Key from TVM_VARIABLES
+     * @param {number} value - New value
+     */
+    setValue(key, value) {
+        if (!(key in TVM_VARIABLES) || typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.values[key] = value;
+        this.commitChanges();
+    }
+
+    /**
+     * Get the worksheet variables
+     * @returns {Object} Copy of `{ n, rate, pv, pmt, fv }`
+     */
+    getValues() {
+        return { ...this.values };
+    }
+
+    /**
+     * Set the number of payments per year (P/Y)
+     * @param {number} perYear - Payments per year
+     */
+    setPerYear(perYear) {
+        this.perYear = normalizeOptions({ perYear, timing: this.timing }).perYear;
+        this.commitChanges();
+    }
+
+    /**
+     * Set payments at the beginning or end of each period
+     * @param {string} timing - Value from PAYMENT_TIMINGS
+     */
+    setTiming(timing) {
+        this.timing = normalizeOptions({ perYear: this.perYear, timing }).timing;
+        this.commitChanges();
+    }
+
+    // Switch between END and BGN timing
+    toggleTiming() {
+        this.setTiming(this.timing === PAYMENT_TIMINGS.END ? PAYMENT_TIMINGS.BEGIN : PAYMENT_TIMINGS.END);
+    }
+
+    /**
+     * Compute one worksheet variable from the other four and keep it in the worksheet
+     * @param {string} key - Key from TVM_VARIABLES
+     * @returns {number} Computed value
+     */
+    compute(key) {
+        const value = solveTVM(this.values, key, this.getOptions());
+        this.values[key] = value;
+        this.results = [{ label: TVM_VARIABLES[key], value }];
+        this.commitChanges();
+        return value;
+    }
+
+    /**
+     * Build the amortization schedule of the worksheet
+     * @returns {Array<Object>} Rows from amortizationSchedule()
+     */
+    amortize() {
+        this.schedule = amortizationSchedule(this.values, this.getOptions());
+        this.results = [
+            { label: 'ΣINT', value: this.schedule.reduce((sum, row) => sum + row.interest, 0) },
+            { label: 'ΣPRN', value: this.schedule.reduce((sum, row) => sum + row.principal, 0) },
+            { label: 'BAL', value: this.schedule[this.schedule.length - 1].balance }
+        ];
+        this.renderFinance();
+        return this.getSchedule();
+    }
+
+    /**
+     * Get the last amortization schedule
+     * @returns {Array<Object>} Copies of the rows
+     */
+    getSchedule() {
+        return this.schedule.map(row => ({ ...row }));
+    }
+
+    /**
+     * Download the amortization schedule of the worksheet as CSV
+     * @returns {boolean} Success status
+     */
+    exportSchedule() {
+        this.amortize();
+        return downloadFile(amortizationToCSV(this.schedule), 'amortization.csv', 'text/csv');
+    }
+
+    /**
+     * Append a cash flow; the first one is CF0
+     * @param {number} amount - Cash flow amount
+     * @param {number} count - Consecutive periods with this amount
+     */
+    addCashFlow(amount, count = 1) {
+        // CF0 occurs once, at time 0
+        this.cashFlows.push(createCashFlow(amount, this.cashFlows.length ? count : 1));
+        this.commitChanges();
+    }
+
+    /**
+     * Replace a cash flow
+     * @param {number} index - Cash flow index
+     * @param {number} amount - New amount
+     * @param {number} count - New count
+     */
+    updateCashFlow(index, amount, count) {
+        if (!this.cashFlows[index]) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.cashFlows[index] = createCashFlow(amount, index ? count : 1);
+        this.commitChanges();
+    }
+
+    /**
+     * Remove a cash flow
+     * @param {number} index - Cash flow index
+     */
+    removeCashFlow(index) {
+        if (this.cashFlows[index]) {
+            this.cashFlows.splice(index, 1);
+            this.commitChanges();
+        }
+    }
+
+    // Remove every cash flow
+    clearCashFlows() {
+        this.cashFlows = [];
+        this.commitChanges();
+    }
+
+    /**
+     * Get the cash-flow list
+     * @returns {Array<Object>} Copies of the cash flows `{ amount, count }`
+     */
+    getCashFlows() {
+        return this.cashFlows.map(flow => ({ ...flow }));
+    }
+
+    /**
+     * Net present value of the cash-flow list
+     * @param {number} rate - Discount rate per period (%)
+     * @returns {number} NPV
+     */
+    computeNPV(rate) {
+        if (typeof rate !== 'number' || !isFinite(rate)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        const value = npv(rate, this.cashFlows);
+        if (!isFinite(value)) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        this.results = [{ label: 'NPV', value }];
+        this.renderFinance();
+        return value;
+    }
+
+    /**
+     * Internal rate of return of the cash-flow list
+     * @returns {number} IRR per period (%)
+     */
+    computeIRR() {
+        const value = irr(this.cashFlows);
+        this.results = [{ label: 'IRR', value }];
+        this.renderFinance();
+        return value;
+    }
+
+    /**
+     * Simple or compound interest on a principal
+     * @param {string} kind - 'simple' or 'compound'
+     * @param {number} principal - Principal
+     * @param {number} rate - Annual rate (%)
+     * @param {number} years - Term in years
+     * @param {number} periodsPerYear - Compounding periods per year (compound interest only)
+     * @returns {Object} `{ interest, total }`
+     */
+    computeInterest(kind, principal, rate, years, periodsPerYear) {
+        const result = kind === 'compound'
+            ? compoundInterest(principal, rate, years, periodsPerYear)
+            : simpleInterest(principal, rate, years);
+        this.results = [
+            { label: 'INT', value: result.interest },
+            { label: 'TOTAL', value: result.total }
+        ];
+        this.renderFinance();
+        return result;
+    }
+
+    /**
+     * Get the last computed values
+     * @returns {Array<Object>} Results `{ label, value }`
+     */
+    getResults() {
+        return this.results.map(result => ({ ...result }));
+    }
+
+    /**
+     * Store a computed value in calculator memory
+     * @param {number} index - Result index
+     */
+    storeResult(index) {
+        const result = this.results[index];
+        if (!result) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        memoryOperations.store(result.value);
+    }
+
+    /**
+     * Apply an edited worksheet cell
+     * @param {Event} event - Change event from a worksheet input
+     */
+    handleValueChange(event) {
+        const key = event.target.dataset.variable;
+        if (!key) return;
+
+        try {
+            this.setValue(key, Number(event.target.value || 0));
+        } catch (error) {
+            this.renderFinance();
+        }
+    }
+
+    /**
+     * Apply an edited cash-flow cell to its row
+     * @param {Event} event - Change event from a cell input
+     */
+    handleCashFlowChange(event) {
+        const row = event.target.closest('[data-index]');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        const amount = row.querySelector('[data-field="amount"]').value;
+        const count = row.querySelector('[data-field="count"]').value;
+
+        try {
+            this.updateCashFlow(index, Number(amount), Number(count));
+        } catch (error) {
+            this.renderFinance();
+        }
+    }
+
+    /**
+     * Send a computed value to the main display or store it in memory
+     * @param {Event} event - Click event from the results list
+     */
+    handleResultClick(event) {
+        const button = event.target.closest('[data-result]');
+        if (!button) return;
+
+        const index = Number(button.dataset.result);
+        if (button.dataset.store !== undefined) {
+            this.storeResult(index);
+        } else if (this.results[index]) {
+            document.dispatchEvent(new CustomEvent('financeValueSelected', {
+                detail: { ...this.results[index] }
+            }));
+        }
+    }
+
+    // Render the worksheet, settings, schedule, cash flows and results
+    renderFinance() {
+        if (this.tvmTable) {
+            this.tvmTable.replaceChildren(...this.createWorksheetRows());
+        }
+        if (this.perYearInput) {
+            this.perYearInput.value = String(this.perYear);
+        }
+        if (this.timingButton) {
+            this.timingButton.textContent = this.timing;
+            this.timingButton.classList.toggle('active', this.timing === PAYMENT_TIMINGS.BEGIN);
+        }
+        if (this.scheduleBody) {
+            this.scheduleBody.replaceChildren(...this.schedule.map(row => this.createScheduleRow(row)));
+        }
+        if (this.cashFlowBody) {
+            this.cashFlowBody.replaceChildren(...this.cashFlows.map((flow, index) => this.createCashFlowRow(flow, index)));
+        }
+        if (this.resultsList) {
+            this.resultsList.replaceChildren(...this.results.map((result, index) => this.createResultItem(result, index)));
+        }
+    }
+
+    /**
+     * Create the key, value and CPT rows of the worksheet
+     * @returns {Array<HTMLElement>} Table rows
+     */
+    createWorksheetRows() {
+        const keys = Object.keys(TVM_VARIABLES);
+
+        const headerRow = document.createElement('tr');
+        const valueRow = document.createElement('tr');
+        const computeRow = document.createElement('tr');
+        keys.forEach(key => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = TVM_VARIABLES[key];
+            headerRow.appendChild(th);
+
+            const valueCell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = formatNumber(this.values[key]);
+            input.dataset.variable = key;
+            input.setAttribute('aria-label', TVM_VARIABLES[key]);
+            valueCell.appendChild(input);
+            valueRow.appendChild(valueCell);
+
+            const computeCell = document.createElement('td');
+            const compute = document.createElement('button');
+            compute.className = 'mode-btn';
+            compute.dataset.compute = key;
+            compute.textContent = 'CPT';
+            compute.setAttribute('aria-label', `Compute ${TVM_VARIABLES[key]}`);
+            computeCell.appendChild(compute);
+            computeRow.appendChild(computeCell);
+        });
+
+        return [headerRow, valueRow, computeRow];
+    }
+
+    /**
+     * Create a read-only amortization row
+     * @param {Object} row - Schedule row
+     * @returns {HTMLElement} Table row
+     */
+    createScheduleRow(row) {
+        const tr = document.createElement('tr');
+        [String(row.period), ...['interest', 'principal', 'balance'].map(field => formatNumber(row[field], 2))]
+            .forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+        return tr;
+    }
+
+    /**
+     * Create an editable cash-flow row
+     * @param {Object} flow - Cash flow
+     * @param {number} index - Row index
+     * @returns {HTMLElement} Table row
+     */
+    createCashFlowRow(flow, index) {
+        const tr = document.createElement('tr');
+        tr.dataset.index = String(index);
+        const name = index === 0 ? 'CF0' : `C${String(index).padStart(2, '0')}`;
+
+        ['amount', 'count'].forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = String(flow[field]);
+            input.dataset.field = field;
+            input.disabled = field === 'count' && index === 0;
+            input.setAttribute('aria-label', field === 'amount' ? name : `Periods of ${name}`);
+            cell.appendChild(input);
+            tr.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'stats-remove';
+        remove.dataset.remove = String(index);
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove ${name}`);
+        actions.appendChild(remove);
+        tr.appendChild(actions);
+
+        return tr;
+    }
+
+    /**
+     * Create a result entry with recall and memory-store buttons
+     * @param {Object} result - Result `{ label, value }`
+     * @param {number} index - Result index
+     * @returns {HTMLElement} List item
+     */
+    createResultItem(result, index) {
+        const item = document.createElement('li');
+        const recall = document.createElement('button');
+        recall.className = 'stats-recall';
+        recall.dataset.result = String(index);
+        recall.textContent = `${result.label} = ${formatNumber(result.value)}`;
+        recall.setAttribute('aria-label', `Send ${result.label} to the display`);
+
+        const store = document.createElement('button');
+        store.className = 'stats-store';
+        store.dataset.result = String(index);
+        store.dataset.store = '';
+        store.textContent = '→M';
+        store.setAttribute('aria-label', `Store ${result.label} in memory`);
+
+        item.append(recall, store);
+        return item;
+    }
+}
+
+// Create and export singleton instance
+export const financeManager = new FinanceManager();
+
+// Export finance operations as individual functions
+export const financeOperations = {
+    setValue: (key, value) => financeManager.setValue(key, value),
+    getValues: () => financeManager.getValues(),
+    setPerYear: (perYear) => financeManager.setPerYear(perYear),
+    setTiming: (timing) => financeManager.setTiming(timing),
+    compute: (key) => financeManager.compute(key),
+    amortize: () => financeManager.amortize(),
+    exportSchedule: () => financeManager.exportSchedule(),
+    addCashFlow: (amount, count) => financeManager.addCashFlow(amount, count),
+    updateCashFlow: (index, amount, count) => financeManager.updateCashFlow(index, amount, count),
+    removeCashFlow: (index) => financeManager.removeCashFlow(index),
+    clearCashFlows: () => financeManager.clearCashFlows(),
+    getCashFlows: () => financeManager.getCashFlows(),
+    npv: (rate) => financeManager.computeNPV(rate),
+    irr: () => financeManager.computeIRR(),
+    interest: (kind, principal, rate, years, periodsPerYear) =>
+        financeManager.computeInterest(kind, principal, rate, years, periodsPerYear),
+    getResults: () => financeManager.getResults(),
+    store: (index) => financeManager.storeResult(index)
+};
+
+// Export class for advanced usage
+export default FinanceManager;
@@ -0,0 +1,445 @@
+/**
+ * Exact Fraction Arithmetic
+ * @fileoverview Rational numbers backed by BigInt, continued-fraction conversion and the fraction expression backend
+ */
+
+import {
+    CONSTANTS,
+    ERROR_MESSAGES,
+    ANGLE_MODES,
+    FRACTION_FORMATS,
+    formatNumber
+} from './utils.js';
+import { createFunctionTable, createRealArithmetic } from './expression.js';
+
+// Largest denominator produced when converting a floating-point number
+export const MAX_DENOMINATOR = 10000;
+
+// Numerators or denominators longer than this many digits are reported as an overflow
+const MAX_DIGITS = 1000;
+
+// Bit length at which a numerator or denominator certainly exceeds MAX_DIGITS
+const MAX_BITS = BigInt(Math.ceil(MAX_DIGITS / Math.log10(2)));
+
+// Same limit as the floating-point factorial
+const MAX_FACTORIAL = 170n;
+
+/**
+ * Greatest common divisor of two BigInts
+ * @param {bigint} a - First value
+ * @param {bigint} b - Second value
+ * @returns {bigint} Non-negative GCD
+ */
+function gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Number of bits in the magnitude of a BigInt
+ * @param {bigint} value - Integer
+ * @returns {bigint} Bit length (1 for zero)
+ */
+function bitLength(value) {
+    return BigInt((value < 0n ? -value : value).toString(2).length);
+}
+
+/**
+ * Integer square root of a non-negative BigInt, or null if it is not a perfect square
+ * @param {bigint} value - Radicand
+ * @returns {bigint|null} Exact root
+ */
+function exactSqrt(value) {
+    if (value < 0n) return null;
+    if (value < 2n) return value;
+
+    let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+    while (true) {
+        const next = (x + value / x) >> 1n;
+        if (next >= x) break;
+        x = next;
+    }
+    return x * x === value ? x : null;
+}
+
+/**
+ * Immutable rational number in lowest terms with a positive denominator
+ */
+export class Fraction {
+    /**
+     * @param {bigint} numerator - Numerator
+     * @param {bigint} denominator - Non-zero denominator
+     */
+    constructor(numerator, denominator = 1n) {
+        if (denominator === 0n) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+
+        const sign = denominator < 0n ? -1n : 1n;
+        const divisor = gcd(numerator, denominator) || 1n;
+        this.numerator = sign * numerator / divisor;
+        this.denominator = sign * denominator / divisor;
+
+        if (this.numerator.toString().length > MAX_DIGITS || this.denominator.toString().length > MAX_DIGITS) {
+            throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+        }
+    }
+
+    /**
+     * Converts an integer, decimal string, Fraction or stored `{ numerator, denominator }` object
+     * @param {number|bigint|string|Fraction|Object} value - Value to convert
+     * @returns {Fraction} Exact fraction
+     */
+    static from(value) {
+        if (value instanceof Fraction) return value;
+        if (typeof value === 'bigint') return new Fraction(value);
+        if (typeof value === 'object' && value !== null) {
+            return new Fraction(BigInt(value.numerator), BigInt(value.denominator));
+        }
+        return Fraction.parseDecimal(String(value));
+    }
+
+    /**
+     * Reads a decimal literal such as `0.75` or `1.5e-3` exactly
+     * @param {string} text - Decimal number
+     * @returns {Fraction} Exact fraction
+     */
+    static parseDecimal(text) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text.trim());
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const [, sign, integer, fraction = '', exponent = '0'] = match;
+        const digits = BigInt((integer || '0') + fraction) * (sign === '-' ? -1n : 1n);
+        const shift = Number(exponent) - fraction.length;
+        return shift >= 0
+            ? new Fraction(digits * 10n ** BigInt(shift))
+            : new Fraction(digits, 10n ** BigInt(-shift));
+    }
+
+    /**
+     * Best rational approximation with a bounded denominator, found with continued fractions
+     * @param {number} value - Finite number
+     * @param {number} maxDenominator - Largest allowed denominator
+     * @returns {Fraction} Closest fraction whose denominator does not exceed the bound
+     */
+    static approximate(value, maxDenominator = MAX_DENOMINATOR) {
+        if (!isFinite(value)) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+
+        // Convergents h/k of the continued fraction expansion
+        let [h0, h1, k0, k1] = [0, 1, 1, 0];
+        let x = value;
+
+        while (true) {
+            const a = Math.floor(x);
+            const h2 = a * h1 + h0;
+            const k2 = a * k1 + k0;
+
+            if (k2 > maxDenominator) {
+                // The best semiconvergent may still beat the last convergent
+                const t = Math.floor((maxDenominator - k0) / k1);
+                const semi = [t * h1 + h0, t * k1 + k0];
+                const closer = Math.abs(value - semi[0] / semi[1]) < Math.abs(value - h1 / k1) ? semi : [h1, k1];
+                return new Fraction(BigInt(closer[0]), BigInt(closer[1]));
+            }
+
+            [h0, h1, k0, k1] = [h1, h2, k1, k2];
+            if (x === a || Math.abs(value - h1 / k1) < Number.EPSILON * Math.abs(value)) {
+                return new Fraction(BigInt(h1), BigInt(k1));
+            }
+            x = 1 / (x - a);
+        }
+    }
+
+    /**
+     * Converts a number to a fraction if a bounded-denominator fraction represents it
+     * @param {number} value - Number to convert
+     * @param {number} maxDenominator - Largest allowed denominator
+     * @returns {Fraction|null} Fraction, or null when the value is not (close to) such a fraction
+     */
+    static fromNumber(value, maxDenominator = MAX_DENOMINATOR) {
+        if (!isFinite(value)) return null;
+        if (Number.isInteger(value)) return new Fraction(BigInt(value));
+
+        const fraction = Fraction.approximate(value, maxDenominator);
+        const tolerance = 1e-10 * Math.max(1, Math.abs(value));
+        return Math.abs(fraction.toNumber() - value) < tolerance ? fraction : null;
+    }
+
+    // Sum of two fractions
+    add(other) {
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    // Difference of two fractions
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    // Product of two fractions
+    multiply(other) {
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    // Quotient of two fractions
+    divide(other) {
+        if (other.numerator === 0n) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    // Fraction with the opposite sign
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    /**
+     * Raises the fraction to an integer power
+     * @param {bigint} exponent - Integer exponent
+     * @returns {Fraction} Exact power
+     */
+    powInteger(exponent) {
+        if (exponent < 0n && this.numerator === 0n) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+
+        // |x|^n has at least (bits - 1) * n bits, so reject oversized powers before computing them
+        const magnitude = exponent < 0n ? -exponent : exponent;
+        if ((bitLength(this.numerator) - 1n) * magnitude > MAX_BITS ||
+            (bitLength(this.denominator) - 1n) * magnitude > MAX_BITS) {
+            throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+        }
+
+        if (exponent < 0n) {
+            return new Fraction(this.denominator ** -exponent, this.numerator ** -exponent);
+        }
+        return new Fraction(this.numerator ** exponent, this.denominator ** exponent);
+    }
+
+    /**
+     * Square root, exact when numerator and denominator are perfect squares
+     * @returns {Fraction|null} Exact root, or null if it is irrational
+     */
+    sqrt() {
+        const numerator = exactSqrt(this.numerator);
+        const denominator = exactSqrt(this.denominator);
+        return numerator !== null && denominator !== null ? new Fraction(numerator, denominator) : null;
+    }
+
+    // Check if the denominator is 1
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    // Nearest floating-point number
+    toNumber() {
+        return Number(this.numerator) / Number(this.denominator);
+    }
+
+    // Allow Number(fraction) and isFinite(fraction)
+    valueOf() {
+        return this.toNumber();
+    }
+
+    // Serialize exactly; BigInt parts are written as strings
+    toJSON() {
+        return { numerator: this.numerator.toString(), denominator: this.denominator.toString() };
+    }
+
+    // Improper form such as -7/2
+    format() {
+        if (this.isInteger()) return this.numerator.toString();
+        return `${this.numerator}/${this.denominator}`;
+    }
+
+    // Mixed form such as -3 1/2
+    formatMixed() {
+        const negative = this.numerator < 0n;
+        const numerator = negative ? -this.numerator : this.numerator;
+        const whole = numerator / this.denominator;
+        const remainder = numerator % this.denominator;
+
+        if (whole === 0n || remainder === 0n) return this.format();
+        return `${negative ? '-' : ''}${whole} ${remainder}/${this.denominator}`;
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Reads a fraction as typed or displayed, e.g. `3/4` or the mixed `-1 1/2`
+ * @param {string} text - Fraction text
+ * @returns {Fraction|null} Parsed fraction, or null if the text is not a complete fraction
+ */
+export function parseFractionText(text) {
+    const match = /^(-?)(?:(\d+) )?(\d+)\/(\d+)$/.exec(text);
+    if (!match) return null;
+
+    const [, sign, whole = '0', numerator, denominator] = match;
+    const value = new Fraction(BigInt(whole) * BigInt(denominator) + BigInt(numerator), BigInt(denominator));
+    return sign ? value.negate() : value;
+}
+
+/**
+ * Converts integers to fractions so they can mix with exact values
+ * @param {*} value - Value to convert
+ * @returns {Fraction|null} Fraction, or null for non-integer numbers
+ */
+function toExact(value) {
+    if (value instanceof Fraction) return value;
+    if (typeof value === 'number' && Number.isInteger(value)) return new Fraction(BigInt(value));
+    return null;
+}
+
+/**
+ * Adds two memory or history values, staying exact when both are fractions or integers
+ * @param {number|Fraction} a - First value
+ * @param {number|Fraction} b - Second value
+ * @returns {number|Fraction} Sum
+ */
+export function addValues(a, b) {
+    const exactA = toExact(a);
+    const exactB = toExact(b);
+    if ((a instanceof Fraction || b instanceof Fraction) && exactA && exactB) {
+        return exactA.add(exactB);
+    }
+    return Number(a) + Number(b);
+}
+
+/**
+ * Subtracts two memory or history values, staying exact when both are fractions or integers
+ * @param {number|Fraction} a - Minuend
+ * @param {number|Fraction} b - Subtrahend
+ * @returns {number|Fraction} Difference
+ */
+export function subtractValues(a, b) {
+    return addValues(a, b instanceof Fraction ? b.negate() : -b);
+}
+
+/**
+ * Creates the exact rational arithmetic used in fraction mode; irrational results fall back to floating point
+ * @param {string} angleMode - Angle mode for trigonometric functions
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createFractionArithmetic(angleMode = ANGLE_MODES.DEGREES) {
+    const real = createRealArithmetic(angleMode);
+    const realFunctions = createFunctionTable(angleMode);
+
+    const functions = Object.fromEntries(
+        Object.entries(realFunctions).map(([name, func]) => [name, (value) => func(Number(value))])
+    );
+    const sqrt = (value) => {
+        const exact = value instanceof Fraction && value.numerator >= 0n ? value.sqrt() : null;
+        return exact || realFunctions.sqrt(Number(value));
+    };
+    functions.sqrt = functions['√'] = sqrt;
+    functions.abs = (value) => value instanceof Fraction && value.numerator < 0n ? value.negate() : realFunctions.abs(Number(value));
+
+    const hundred = new Fraction(100n);
+
+    return {
+        constants: {
+            'π': CONSTANTS.PI,
+            'pi': CONSTANTS.PI,
+            'e': CONSTANTS.E
+        },
+        functions,
+
+        number(raw) {
+            return Fraction.parseDecimal(raw);
+        },
+
+        unary(operator, value) {
+            if (value instanceof Fraction) {
+                return operator === '-' ? value.negate() : value;
+            }
+            return real.unary(operator, value);
+        },
+
+        binary(operator, left, right) {
+            const a = toExact(left);
+            const b = toExact(right);
+            if (!a || !b) {
+                return real.binary(operator, Number(left), Number(right));
+            }
+
+            switch (operator) {
+                case '+':
+                    return a.add(b);
+                case '-':
+                    return a.subtract(b);
+                case '*':
+                    return a.multiply(b);
+                case '/':
+                    return a.divide(b);
+                case '^':
+                    if (b.isInteger()) {
+                        return a.powInteger(b.numerator);
+                    }
+                    return real.binary(operator, a.toNumber(), b.toNumber());
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        postfix(operator, value) {
+            if (!(value instanceof Fraction)) {
+                return real.postfix(operator, value);
+            }
+
+            switch (operator) {
+                case '%':
+                    return value.divide(hundred);
+                case '!': {
+                    if (!value.isInteger() || value.numerator < 0n) {
+                        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+                    }
+                    if (value.numerator > MAX_FACTORIAL) {
+                        throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+                    }
+                    let result = 1n;
+                    for (let i = 2n; i <= value.numerator; i++) {
+                        result *= i;
+                    }
+                    return new Fraction(result);
+                }
+                case '²':
+                    return value.multiply(value);
+                case '³':
+                    return value.multiply(value).multiply(value);
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        }
+    };
+}
+
+/**
+ * Formats a fraction in one of the FRACTION_FORMATS
+ * @param {Fraction} value - Fraction to format
+ * @param {string} format - Format from FRACTION_FORMATS
+ * @returns {string} Formatted fraction
+ */
+export function formatFraction(value, format) {
+    switch (format) {
+        case FRACTION_FORMATS.MIXED:
+            return value.formatMixed();
+        case FRACTION_FORMATS.IMPROPER:
+            return value.format();
+        default:
+            return formatNumber(value.toNumber());
+    }
+}
@@ -0,0 +1,871 @@
+/**
+ * Function Graphing
+ * @fileoverview Plots y = f(x) with the calculator's evaluator: viewport, roots, extrema,
+ * intersections, trace and canvas/SVG rendering of the graph panel
+ */
+
+import { compileFunction, ExpressionError } from './expression.js';
+import { formatNumber, ERROR_MESSAGES, ANGLE_MODES, storeData, getData } from './utils.js';
+
+// Curve colors, assigned to functions in order
+export const GRAPH_COLORS = ['#00d4ff', '#ff6b6b', '#51cf66', '#ffd43b', '#cc5de8', '#ff922b'];
+
+// Standard viewing window
+export const DEFAULT_VIEW = Object.freeze({ xMin: -10, xMax: 10, yMin: -10, yMax: 10 });
+
+// Narrowest and widest window spans reachable by zooming
+const MIN_SPAN = 1e-8;
+const MAX_SPAN = 1e8;
+
+// Samples per window width used to locate roots, extrema and intersections
+const FEATURE_SAMPLES = 400;
+
+// Trace snaps to a marked point closer than this many pixels
+const SNAP_DISTANCE = 6;
+
+// Canvas size used when the panel is not laid out (hidden or without a DOM)
+const FALLBACK_SIZE = { width: 400, height: 300 };
+
+// Theme colors of the plot, overridden by the page's CSS variables
+const DEFAULT_COLORS = {
+    background: '#000000',
+    grid: '#333333',
+    axis: '#888888',
+    text: '#b3b3b3'
+};
+
+/**
+ * Compiles a graph entry such as `y = x^2 - 2` or `sin(x)` into a real function.
+ * Points where the expression is undefined evaluate to NaN, so the curve shows a gap.
+ * @param {string} text - Function as typed, with or without the `y =` prefix
+ * @param {string} angleMode - Angle mode used by trigonometric functions
+ * @returns {Function} Function of x returning y or NaN
+ */
+export function parseGraphFunction(text, angleMode = ANGLE_MODES.DEGREES) {
+    const source = String(text).replace(/^\s*y\s*=/, '');
+    if (!source.trim()) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const evaluateAt = compileFunction(source, 'x', { angleMode });
+    const f = (x) => {
+        try {
+            const y = evaluateAt(x);
+            return typeof y === 'number' && isFinite(y) ? y : NaN;
+        } catch (error) {
+            // Unknown names and wrong argument counts are mistakes in the entry, not gaps
+            if (error instanceof ExpressionError) throw error;
+            return NaN;
+        }
+    };
+
+    // Probe once so misspelled names are reported when the function is added
+    f(0.5377);
+    return f;
+}
+
+/**
+ * Moves the window by a distance in graph units
+ * @param {Object} view - Window `{ xMin, xMax, yMin, yMax }`
+ * @param {number} dx - Horizontal distance
+ * @param {number} dy - Vertical distance
+ * @returns {Object} Moved window
+ */
+export function panView(view, dx, dy) {
+    return { xMin: view.xMin + dx, xMax: view.xMax + dx, yMin: view.yMin + dy, yMax: view.yMax + dy };
+}
+
+/**
+ * Scales the window about a fixed point; factors below 1 zoom in
+ * @param {Object} view - Window `{ xMin, xMax, yMin, yMax }`
+ * @param {number} factor - Scale factor of both spans
+ * @param {number} x - x coordinate that stays in place
+ * @param {number} y - y coordinate that stays in place
+ * @returns {Object} Scaled window (unchanged if it would become too narrow or too wide)
+ */
+export function zoomView(view, factor, x = (view.xMin + view.xMax) / 2, y = (view.yMin + view.yMax) / 2) {
+    const xSpan = (view.xMax - view.xMin) * factor;
+    const ySpan = (view.yMax - view.yMin) * factor;
+    if (!(factor > 0) || Math.min(xSpan, ySpan) < MIN_SPAN || Math.max(xSpan, ySpan) > MAX_SPAN) {
+        return { ...view };
+    }
+    return {
+        xMin: x - (x - view.xMin) * factor,
+        xMax: x + (view.xMax - x) * factor,
+        yMin: y - (y - view.yMin) * factor,
+        yMax: y + (view.yMax - y) * factor
+    };
+}
+
+/**
+ * Grid spacing of 1, 2 or 5 times a power of ten giving about `count` lines
+ * @param {number} span - Window span
+ * @param {number} count - Desired number of grid lines
+ * @returns {number} Grid step
+ */
+export function gridStep(span, count = 10) {
+    const raw = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const normalized = raw / magnitude;
+    const factor = normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10;
+    return factor * magnitude;
+}
+
+/**
+ * Refines a sign change of f between a and b by bisection
+ * @param {Function} f - Continuous function
+ * @param {number} a - Left end, f(a) and f(b) of opposite signs
+ * @param {number} b - Right end
+ * @returns {number} Root location
+ */
+function bisect(f, a, b) {
+    let fa = f(a);
+    for (let i = 0; i < 60 && b - a > Math.abs(a) * Number.EPSILON; i++) {
+        const middle = (a + b) / 2;
+        const fm = f(middle);
+        if (fm === 0) return middle;
+        if (Math.sign(fm) === Math.sign(fa)) {
+            a = middle;
+            fa = fm;
+        } else {
+            b = middle;
+        }
+    }
+    return (a + b) / 2;
+}
+
+/**
+ * Refines a minimum of f between a and b by golden-section search
+ * @param {Function} f - Function with a single minimum on [a, b]
+ * @param {number} a - Left end
+ * @param {number} b - Right end
+ * @returns {number} Minimum location
+ */
+function goldenMinimum(f, a, b) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = f(c);
+    let fd = f(d);
+    for (let i = 0; i < 80 && b - a > Math.abs(c) * 1e-12; i++) {
+        if (fc < fd) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b - ratio * (b - a);
+            fc = f(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a + ratio * (b - a);
+            fd = f(d);
+        }
+    }
+    return (a + b) / 2;
+}
+
+/**
+ * Samples f at evenly spaced points
+ * @param {Function} f - Function of x
+ * @param {number} xMin - First x
+ * @param {number} xMax - Last x
+ * @param {number} count - Number of intervals
+ * @returns {Array<Object>} Points `{ x, y }` (y is NaN where f is undefined)
+ */
+function sample(f, xMin, xMax, count) {
+    const step = (xMax - xMin) / count;
+    return Array.from({ length: count + 1 }, (_, i) => {
+        const x = xMin + i * step;
+        return { x, y: f(x) };
+    });
+}
+
+/**
+ * Finds the roots of f between xMin and xMax. Sign changes across a pole (such as 1/x at 0)
+ * are rejected because f does not approach zero there.
+ * @param {Function} f - Function of x
+ * @param {number} xMin - Left end
+ * @param {number} xMax - Right end
+ * @param {number} count - Number of sampling intervals
+ * @returns {Array<number>} Roots in ascending order
+ */
+export function findRoots(f, xMin, xMax, count = FEATURE_SAMPLES) {
+    const points = sample(f, xMin, xMax, count);
+    const roots = [];
+
+    points.forEach((point, i) => {
+        if (point.y === 0) {
+            roots.push(point.x);
+            return;
+        }
+        const next = points[i + 1];
+        if (!next || !isFinite(point.y) || !isFinite(next.y) || point.y * next.y > 0 || next.y === 0) return;
+
+        const root = bisect(f, point.x, next.x);
+        const tolerance = 1e-6 * Math.max(1, Math.abs(point.y), Math.abs(next.y));
+        if (Math.abs(f(root)) <= tolerance) {
+            roots.push(root);
+        }
+    });
+    return roots;
+}
+
+/**
+ * Finds the local minima and maxima of f strictly between xMin and xMax
+ * @param {Function} f - Function of x
+ * @param {number} xMin - Left end
+ * @param {number} xMax - Right end
+ * @param {number} count - Number of sampling intervals
+ * @returns {Array<Object>} Extrema `{ type: 'minimum'|'maximum', x, y }` in ascending x
+ */
+export function findExtrema(f, xMin, xMax, count = FEATURE_SAMPLES) {
+    const points = sample(f, xMin, xMax, count);
+    const extrema = [];
+
+    for (let i = 1; i < points.length - 1; i++) {
+        const [before, point, after] = [points[i - 1], points[i], points[i + 1]];
+        if (![before.y, point.y, after.y].every(isFinite)) continue;
+
+        const rising = point.y - before.y;
+        const falling = after.y - point.y;
+        if (rising * falling >= 0) continue;
+
+        const type = rising > 0 ? 'maximum' : 'minimum';
+        const sign = type === 'minimum' ? 1 : -1;
+        const x = goldenMinimum(value => sign * f(value), before.x, after.x);
+        const y = f(x);
+
+        // A smooth turning point stays close to its samples; a jump to a pole does not
+        if (isFinite(y) && Math.abs(y - point.y) <= Math.abs(rising) + Math.abs(falling)) {
+            extrema.push({ type, x, y });
+        }
+    }
+    return extrema;
+}
+
+/**
+ * Marks the roots and extrema of every function and the intersections of every pair
+ * @param {Array<Function>} functions - Functions of x
+ * @param {Object} view - Window `{ xMin, xMax, yMin, yMax }`
+ * @returns {Array<Object>} Points `{ type, x, y, functions }` where functions lists the indices involved
+ */
+export function findFeatures(functions, view) {
+    const features = [];
+
+    functions.forEach((f, index) => {
+        findRoots(f, view.xMin, view.xMax).forEach(x => features.push({ type: 'root', x, y: 0, functions: [index] }));
+        findExtrema(f, view.xMin, view.xMax).forEach(point => features.push({ ...point, functions: [index] }));
+
+        functions.slice(index + 1).forEach((g, offset) => {
+            const difference = (x) => f(x) - g(x);
+            findRoots(difference, view.xMin, view.xMax).forEach(x => {
+                features.push({ type: 'intersection', x, y: f(x), functions: [index, index + offset + 1] });
+            });
+        });
+    });
+
+    return features.filter(point => point.y >= view.yMin && point.y <= view.yMax);
+}
+
+/**
+ * Lays out everything drawn on the graph in pixel coordinates, shared by the canvas and SVG renderers
+ * @param {Object} options - Scene options
+ * @param {Array<Object>} options.functions - Plotted functions `{ f, color, label }`
+ * @param {Object} options.view - Window `{ xMin, xMax, yMin, yMax }`
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @param {Array<Object>} options.features - Marked points from findFeatures()
+ * @param {Object} options.trace - Trace reading `{ x, y, color }` or null
+ * @returns {Object} Scene `{ width, height, lines, labels, curves, markers, legend, trace }`
+ */
+export function buildScene({ functions = [], view, width, height, features = [], trace = null }) {
+    const toPx = (x) => (x - view.xMin) / (view.xMax - view.xMin) * width;
+    const toPy = (y) => height - (y - view.yMin) / (view.yMax - view.yMin) * height;
+    // Keep off-screen coordinates bounded so renderers do not receive huge numbers
+    const clampPy = (py) => Math.max(-height, Math.min(2 * height, py));
+
+    const lines = [];
+    const labels = [];
+    const originX = Math.max(0, Math.min(width, toPx(0)));
+    const originY = Math.max(0, Math.min(height, toPy(0)));
+
+    const xStep = gridStep(view.xMax - view.xMin);
+    for (let k = Math.ceil(view.xMin / xStep); k * xStep <= view.xMax; k++) {
+        const px = toPx(k * xStep);
+        lines.push({ x1: px, y1: 0, x2: px, y2: height, axis: k === 0 });
+        if (k !== 0) labels.push({ x: px, y: Math.min(height - 4, originY + 12), text: formatNumber(k * xStep, 10), anchor: 'middle' });
+    }
+
+    const yStep = gridStep(view.yMax - view.yMin);
+    for (let k = Math.ceil(view.yMin / yStep); k * yStep <= view.yMax; k++) {
+        const py = toPy(k * yStep);
+        lines.push({ x1: 0, y1: py, x2: width, y2: py, axis: k === 0 });
+        if (k !== 0) labels.push({ x: Math.max(4, originX - 4), y: py + 4, text: formatNumber(k * yStep, 10), anchor: originX - 4 < 4 ? 'start' : 'end' });
+    }
+
+    // One sample per pixel column; a jump taller than the plot is an asymptote, not a line
+    const curves = functions.map(({ f, color }) => {
+        const segments = [];
+        let segment = [];
+        for (let px = 0; px <= width; px++) {
+            const y = f(view.xMin + px / width * (view.xMax - view.xMin));
+            const point = isFinite(y) ? [px, clampPy(toPy(y))] : null;
+            const previous = segment[segment.length - 1];
+
+            if (!point || (previous && Math.abs(point[1] - previous[1]) > height)) {
+                if (segment.length > 1) segments.push(segment);
+                segment = [];
+            }
+            if (point) segment.push(point);
+        }
+        if (segment.length > 1) segments.push(segment);
+        return { color, segments };
+    });
+
+    const markers = features.map(point => ({
+        x: toPx(point.x),
+        y: toPy(point.y),
+        type: point.type,
+        color: point.type === 'intersection' ? DEFAULT_COLORS.text : functions[point.functions[0]].color
+    }));
+
+    return {
+        width,
+        height,
+        lines,
+        labels,
+        curves,
+        markers,
+        legend: functions.map(({ label, color }) => ({ text: label, color })),
+        trace: trace && isFinite(trace.y) ? { x: toPx(trace.x), y: toPy(trace.y), color: trace.color } : null
+    };
+}
+
+/**
+ * Draws a scene on a 2D canvas context
+ * @param {CanvasRenderingContext2D} context - Canvas context, scaled to CSS pixels
+ * @param {Object} scene - Scene from buildScene()
+ * @param {Object} colors - Theme colors `{ background, grid, axis, text }`
+ */
+export function renderScene(context, scene, colors = DEFAULT_COLORS) {
+    context.fillStyle = colors.background;
+    context.fillRect(0, 0, scene.width, scene.height);
+
+    context.lineWidth = 1;
+    scene.lines.forEach(line => {
+        context.strokeStyle = line.axis ? colors.axis : colors.grid;
+        context.beginPath();
+        context.moveTo(line.x1, line.y1);
+        context.lineTo(line.x2, line.y2);
+        context.stroke();
+    });
+
+    context.fillStyle = colors.text;
+    context.font = '10px "Roboto Mono", monospace';
+    scene.labels.forEach(label => {
+        context.textAlign = label.anchor === 'middle' ? 'center' : label.anchor === 'start' ? 'left' : 'right';
+        context.fillText(label.text, label.x, label.y);
+    });
+
+    context.lineWidth = 2;
+    scene.curves.forEach(curve => {
+        context.strokeStyle = curve.color;
+        curve.segments.forEach(segment => {
+            context.beginPath();
+            segment.forEach(([x, y], index) => (index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+            context.stroke();
+        });
+    });
+
+    scene.markers.forEach(marker => {
+        context.fillStyle = marker.color;
+        context.beginPath();
+        context.arc(marker.x, marker.y, 3.5, 0, 2 * Math.PI);
+        context.fill();
+    });
+
+    context.textAlign = 'left';
+    scene.legend.forEach((entry, index) => {
+        context.fillStyle = entry.color;
+        context.fillText(entry.text, 6, 14 + index * 14);
+    });
+
+    if (scene.trace) {
+        context.strokeStyle = colors.axis;
+        context.lineWidth = 1;
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(scene.trace.x, 0);
+        context.lineTo(scene.trace.x, scene.height);
+        context.stroke();
+        context.setLineDash([]);
+        context.strokeStyle = scene.trace.color;
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(scene.trace.x, scene.trace.y, 5, 0, 2 * Math.PI);
+        context.stroke();
+    }
+}
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Serializes a scene as a standalone SVG document
+ * @param {Object} scene - Scene from buildScene()
+ * @param {Object} colors - Theme colors `{ background, grid, axis, text }`
+ * @returns {string} SVG markup
+ */
+export function sceneToSVG(scene, colors = DEFAULT_COLORS) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}">`,
+        `<rect width="100%" height="100%" fill="${escapeXML(colors.background)}"/>`
+    ];
+
+    scene.lines.forEach(line => {
+        parts.push(`<line x1="${round(line.x1)}" y1="${round(line.y1)}" x2="${round(line.x2)}" y2="${round(line.y2)}" stroke="${escapeXML(line.axis ? colors.axis : colors.grid)}" stroke-width="1"/>`);
+    });
+    scene.labels.forEach(label => {
+        parts.push(`<text x="${round(label.x)}" y="${round(label.y)}" text-anchor="${label.anchor}" font-family="monospace" font-size="10" fill="${escapeXML(colors.text)}">${escapeXML(label.text)}</text>`);
+    });
+    scene.curves.forEach(curve => {
+        curve.segments.forEach(segment => {
+            const points = segment.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+            parts.push(`<polyline points="${points}" fill="none" stroke="${escapeXML(curve.color)}" stroke-width="2"/>`);
+        });
+    });
+    scene.markers.forEach(marker => {
+        parts.push(`<circle cx="${round(marker.x)}" cy="${round(marker.y)}" r="3.5" fill="${escapeXML(marker.color)}"><title>${marker.type}</title></circle>`);
+    });
+    scene.legend.forEach((entry, index) => {
+        parts.push(`<text x="6" y="${14 + index * 14}" font-family="monospace" font-size="10" fill="${escapeXML(entry.color)}">${escapeXML(entry.text)}</text>`);
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+class GraphManager {
+    constructor() {
+        this.entries = [];
+        this.view = { ...DEFAULT_VIEW };
+        this.angleMode = ANGLE_MODES.DEGREES;
+        this.traceIndex = 0;
+        this.trace = null;
+        this.features = [];
+        this.pointers = new Map();
+        this.canvas = null;
+        this.functionList = null;
+        this.traceOutput = null;
+        this.loadGraphFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize graph UI elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.canvas = document.getElementById('graphCanvas');
+        this.functionList = document.getElementById('graphFunctions');
+        this.traceOutput = document.getElementById('graphTrace');
+
+        if (this.canvas) {
+            this.bindCanvasEvents();
+        }
+
+        if (this.functionList) {
+            this.functionList.addEventListener('click', (event) => {
+                const remove = event.target.closest('[data-remove]');
+                const item = event.target.closest('[data-index]');
+                if (remove) {
+                    this.removeFunction(Number(remove.dataset.remove));
+                } else if (item) {
+                    this.selectTrace(Number(item.dataset.index));
+                }
+            });
+        }
+
+        this.render();
+    }
+
+    // Pan by dragging, zoom with the wheel or a pinch, and trace while hovering
+    bindCanvasEvents() {
+        this.canvas.addEventListener('pointerdown', (event) => {
+            this.canvas.setPointerCapture(event.pointerId);
+            this.pointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY });
+        });
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            const previous = this.pointers.get(event.pointerId);
+            if (!previous) {
+                this.traceAt(event.offsetX);
+                return;
+            }
+
+            const current = { x: event.offsetX, y: event.offsetY };
+            if (this.pointers.size === 1) {
+                this.pan(previous.x - current.x, previous.y - current.y);
+            } else if (this.pointers.size === 2) {
+                const [other] = [...this.pointers].filter(([id]) => id !== event.pointerId).map(([, point]) => point);
+                const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+                const after = Math.hypot(current.x - other.x, current.y - other.y);
+                if (before > 0 && after > 0) {
+                    this.zoom(before / after, (current.x + other.x) / 2, (current.y + other.y) / 2);
+                }
+            }
+            this.pointers.set(event.pointerId, current);
+        });
+
+        const release = (event) => this.pointers.delete(event.pointerId);
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
+        this.canvas.addEventListener('pointerleave', () => {
+            this.trace = null;
+            this.render();
+        });
+
+        this.canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.zoom(Math.exp(event.deltaY * 0.002), event.offsetX, event.offsetY);
+        }, { passive: false });
+    }
+
+    // Load functions and the window from localStorage
+    loadGraphFromStorage() {
+        const stored = getData('calculatorGraph', {});
+        if (Array.isArray(stored.expressions)) {
+            stored.expressions.forEach(expression => {
+                try {
+                    this.entries.push(this.createEntry(expression));
+                } catch (error) {
+                    console.warn(`Ignoring invalid graph function ${expression}:`, error.message);
+                }
+            });
+        }
+        if (stored.view && ['xMin', 'xMax', 'yMin', 'yMax'].every(key => isFinite(stored.view[key])) &&
+            stored.view.xMax > stored.view.xMin && stored.view.yMax > stored.view.yMin) {
+            this.view = { ...stored.view };
+        }
+    }
+
+    // Save functions and the window to localStorage
+    saveGraphToStorage() {
+        storeData('calculatorGraph', {
+            expressions: this.entries.map(entry => entry.expression),
+            view: this.view
+        });
+    }
+
+    /**
+     * Compile a graph entry in the current angle mode
+     * @param {string} expression - Function as typed
+     * @returns {Object} Entry `{ expression, f }`
+     */
+    createEntry(expression) {
+        const text = String(expression).trim();
+        return { expression: text, f: parseGraphFunction(text, this.angleMode) };
+    }
+
+    // Pixel size of the plot area
+    getSize() {
+        if (this.canvas && this.canvas.clientWidth > 0 && this.canvas.clientHeight > 0) {
+            return { width: this.canvas.clientWidth, height: this.canvas.clientHeight };
+        }
+        return { ...FALLBACK_SIZE };
+    }
+
+    /**
+     * Add a function to the graph
+     * @param {string} expression - Function such as `y = x^2 - 2`
+     */
+    addFunction(expression) {
+        this.entries.push(this.createEntry(expression));
+        this.saveGraphToStorage();
+        this.render();
+    }
+
+    /**
+     * Remove a function from the graph
+     * @param {number} index - Function index
+     */
+    removeFunction(index) {
+        if (this.entries[index]) {
+            this.entries.splice(index, 1);
+            this.traceIndex = Math.min(this.traceIndex, Math.max(0, this.entries.length - 1));
+            this.trace = null;
+            this.saveGraphToStorage();
+            this.render();
+        }
+    }
+
+    // Remove every function
+    clearFunctions() {
+        this.entries = [];
+        this.traceIndex = 0;
+        this.trace = null;
+        this.saveGraphToStorage();
+        this.render();
+    }
+
+    /**
+     * Get the plotted functions
+     * @returns {Array<string>} Expressions as entered
+     */
+    getFunctions() {
+        return this.entries.map(entry => entry.expression);
+    }
+
+    /**
+     * Recompile every function for a new angle mode
+     * @param {string} angleMode - Angle mode from ANGLE_MODES
+     */
+    setAngleMode(angleMode) {
+        if (angleMode === this.angleMode) return;
+        this.angleMode = angleMode;
+        this.entries = this.entries.map(entry => this.createEntry(entry.expression));
+        this.render();
+    }
+
+    /**
+     * Set the viewing window
+     * @param {Object} view - Window `{ xMin, xMax, yMin, yMax }`
+     */
+    setView(view) {
+        const next = { ...this.view, ...view };
+        if (!['xMin', 'xMax', 'yMin', 'yMax'].every(key => isFinite(next[key])) ||
+            next.xMax <= next.xMin || next.yMax <= next.yMin) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.view = next;
+        this.saveGraphToStorage();
+        this.render();
+    }
+
+    // Return to the standard window
+    resetView() {
+        this.setView(DEFAULT_VIEW);
+    }
+
+    /**
+     * Get the viewing window
+     * @returns {Object} Window `{ xMin, xMax, yMin, yMax }`
+     */
+    getView() {
+        return { ...this.view };
+    }
+
+    /**
+     * Move the window by a distance in pixels
+     * @param {number} dx - Rightward distance
+     * @param {number} dy - Downward distance
+     */
+    pan(dx, dy) {
+        const { width, height } = this.getSize();
+        this.view = panView(
+            this.view,
+            dx / width * (this.view.xMax - this.view.xMin),
+            -dy / height * (this.view.yMax - this.view.yMin)
+        );
+        this.saveGraphToStorage();
+        this.render();
+    }
+
+    /**
+     * Zoom about a pixel position; factors below 1 zoom in
+     * @param {number} factor - Scale factor of the window
+     * @param {number} px - Horizontal pixel position (defaults to the center)
+     * @param {number} py - Vertical pixel position (defaults to the center)
+     */
+    zoom(factor, px, py) {
+        const { width, height } = this.getSize();
+        const x = this.view.xMin + (px ?? width / 2) / width * (this.view.xMax - this.view.xMin);
+        const y = this.view.yMax - (py ?? height / 2) / height * (this.view.yMax - this.view.yMin);
+        this.view = zoomView(this.view, factor, x, y);
+        this.saveGraphToStorage();
+        this.render();
+    }
+
+    /**
+     * Choose the function read by the trace cursor
+     * @param {number} index - Function index
+     */
+    selectTrace(index) {
+        if (this.entries[index]) {
+            this.traceIndex = index;
+            this.trace = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Read the traced function at a pixel column, snapping to a nearby root, extremum or intersection
+     * @param {number} px - Horizontal pixel position
+     * @returns {Object|null} Reading `{ index, x, y, type }` (type is null between marked points)
+     */
+    traceAt(px) {
+        const entry = this.entries[this.traceIndex];
+        if (!entry) return null;
+
+        const { width } = this.getSize();
+        const unitsPerPixel = (this.view.xMax - this.view.xMin) / width;
+        const x = this.view.xMin + px * unitsPerPixel;
+        const snapped = this.features
+            .filter(point => point.functions.includes(this.traceIndex) && Math.abs(point.x - x) <= SNAP_DISTANCE * unitsPerPixel)
+            .sort((a, b) => Math.abs(a.x - x) - Math.abs(b.x - x))[0];
+
+        this.trace = snapped
+            ? { index: this.traceIndex, x: snapped.x, y: snapped.y, type: snapped.type }
+            : { index: this.traceIndex, x, y: entry.f(x), type: null };
+        this.render();
+        return { ...this.trace };
+    }
+
+    /**
+     * Lay out the current graph
+     * @returns {Object} Scene from buildScene()
+     */
+    getScene() {
+        const { width, height } = this.getSize();
+        const functions = this.entries.map((entry, index) => ({
+            f: entry.f,
+            color: GRAPH_COLORS[index % GRAPH_COLORS.length],
+            label: `y${index + 1} = ${entry.expression.replace(/^\s*y\s*=\s*/, '')}`
+        }));
+        const trace = this.trace && { ...this.trace, color: GRAPH_COLORS[this.trace.index % GRAPH_COLORS.length] };
+        return buildScene({ functions, view: this.view, width, height, features: this.features, trace });
+    }
+
+    // Theme colors read from the page's CSS variables
+    getColors() {
+        if (!this.canvas || typeof getComputedStyle === 'undefined') return DEFAULT_COLORS;
+
+        const style = getComputedStyle(this.canvas);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        return {
+            background: read('--display-bg', DEFAULT_COLORS.background),
+            grid: read('--display-border', DEFAULT_COLORS.grid),
+            axis: read('--expression-color', DEFAULT_COLORS.axis),
+            text: read('--text-secondary', DEFAULT_COLORS.text)
+        };
+    }
+
+    /**
+     * Export the graph as an SVG document
+     * @returns {string} SVG markup
+     */
+    exportSVG() {
+        return sceneToSVG(this.getScene(), this.getColors());
+    }
+
+    /**
+     * Export the graph as a PNG image
+     * @returns {Promise<Blob>} PNG image
+     */
+    exportPNG() {
+        return new Promise((resolve, reject) => {
+            if (!this.canvas || !this.canvas.toBlob) {
+                reject(new Error(ERROR_MESSAGES.INVALID_INPUT));
+                return;
+            }
+            this.canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(ERROR_MESSAGES.INVALID_INPUT))), 'image/png');
+        });
+    }
+
+    // Recompute marked points and redraw the canvas, function list and trace readout
+    render() {
+        this.features = findFeatures(this.entries.map(entry => entry.f), this.view);
+
+        if (this.canvas && this.canvas.getContext && this.canvas.clientWidth > 0) {
+            const { width, height } = this.getSize();
+            const ratio = window.devicePixelRatio || 1;
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+
+            const context = this.canvas.getContext('2d');
+            if (context) {
+                context.setTransform(ratio, 0, 0, ratio, 0, 0);
+                renderScene(context, this.getScene(), this.getColors());
+            }
+        }
+
+        if (this.functionList) {
+            this.functionList.replaceChildren(...this.entries.map((entry, index) => this.createFunctionItem(entry, index)));
+        }
+
+        if (this.traceOutput) {
+            this.traceOutput.textContent = this.describeTrace();
+        }
+    }
+
+    // Readout of the trace cursor, e.g. `y1  Root  x = 1.4142  y = 0`
+    describeTrace() {
+        if (!this.trace) return '';
+
+        const labels = { root: 'Root', minimum: 'Min', maximum: 'Max', intersection: 'Intersection' };
+        const name = `y${this.trace.index + 1}`;
+        const type = this.trace.type ? `  ${labels[this.trace.type]}` : '';
+        const y = isFinite(this.trace.y) ? formatNumber(this.trace.y, 6) : '—';
+        return `${name}${type}  x = ${formatNumber(this.trace.x, 6)}  y = ${y}`;
+    }
+
+    /**
+     * Create a function list entry that selects the traced function
+     * @param {Object} entry - Graph entry
+     * @param {number} index - Function index
+     * @returns {HTMLElement} List item
+     */
+    createFunctionItem(entry, index) {
+        const item = document.createElement('li');
+        item.dataset.index = String(index);
+        item.classList.toggle('active', index === this.traceIndex);
+        item.style.color = GRAPH_COLORS[index % GRAPH_COLORS.length];
+
+        const label = document.createElement('span');
+        label.textContent = `y${index + 1} = ${entry.expression.replace(/^\s*y\s*=\s*/, '')}`;
+
+        const remove = document.createElement('button');
+        remove.className = 'stats-remove';
+        remove.dataset.remove = String(index);
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove y${index + 1}`);
+
+        item.append(label, remove);
+        return item;
+    }
+}
+
+// Create and export singleton instance
+export const graphManager = new GraphManager();
+
+// Export graph operations as individual functions
+export const graphOperations = {
+    add: (expression) => graphManager.addFunction(expression),
+    remove: (index) => graphManager.removeFunction(index),
+    clear: () => graphManager.clearFunctions(),
+    getFunctions: () => graphManager.getFunctions(),
+    setAngleMode: (angleMode) => graphManager.setAngleMode(angleMode),
+    setView: (view) => graphManager.setView(view),
+    resetView: () => graphManager.resetView(),
+    getView: () => graphManager.getView(),
+    pan: (dx, dy) => graphManager.pan(dx, dy),
+    zoom: (factor, px, py) => graphManager.zoom(factor, px, py),
+    selectTrace: (index) => graphManager.selectTrace(index),
+    traceAt: (px) => graphManager.traceAt(px),
+    getFeatures: () => graphManager.features.map(point => ({ ...point })),
+    exportSVG: () => graphManager.exportSVG(),
+    exportPNG: () => graphManager.exportPNG(),
+    render: () => graphManager.render()
+};
+
+// Export class for advanced usage
+export default GraphManager;
@@ -1,75 +1,349 @@
 /**
  * Calculation History Management System
- * @fileoverview Manages calculation history with FIFO queue and persistent storage
+ * @fileoverview Manages calculation history with FIFO queue and persistent storage in IndexedDB,
+ * loaded in pages and rendered as a virtualized list
  */
 
-import { formatNumber, storeData, getData, deepClone } from './utils.js';
+import { formatNumber, deepClone, downloadFile, escapeHTML, ERROR_MESSAGES } from './utils.js';
+import { createHistoryStore, LocalHistoryStore, prepareHistoryItems } from './historystore.js';
+import {
+    HISTORY_FILE_FORMATS,
+    HISTORY_FILE_VERSION,
+    normalizeTags,
+    parseHistoryFile,
+    validateHistoryItems,
+    describeInvalidItems
+} from './historyfile.js';
+
+// History size used until the setting is changed
+export const DEFAULT_HISTORY_SIZE = 1000;
+
+// Calculations read from the store at a time
+export const HISTORY_PAGE_SIZE = 50;
+
+// Height of a history row in pixels, margin included (see .history-item in style.css)
+const HISTORY_ROW_HEIGHT = 108;
+
+// Rows rendered beyond each edge of the visible ones
+const HISTORY_OVERSCAN = 5;
+
+// Rows rendered while the list has no measurable height
+const DEFAULT_VISIBLE_ROWS = 12;
+
+// Calculations listed in the import preview
+const IMPORT_PREVIEW_ROWS = 5;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Pinned calculations are never dropped to keep the history size
+const isPinned = item => item.pinned === true;
+
+// Local calendar date of a time, as YYYY-MM-DD
+function localDate(time) {
+    const date = new Date(time);
+    return [
+        String(date.getFullYear()).padStart(4, '0'),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
 
 class HistoryManager {
-    constructor(maxHistory = 10) {
+    constructor(maxHistory = DEFAULT_HISTORY_SIZE) {
         this.maxHistory = maxHistory;
+        // Newest calculations loaded from the store so far, oldest first
         this.history = [];
+        this.totalCount = 0;
+        this.lastId = 0;
+        this.loadingMore = false;
+        this.renderQueued = false;
+        this.store = createHistoryStore();
         this.historyPanel = null;
         this.historyContent = null;
         this.clearHistoryBtn = null;
-        this.loadHistoryFromStorage();
+        this.historySizeSelect = null;
+        // Favorite calculations, loaded or not, oldest first
+        this.favorites = [];
+        // Tags in the store when last read; tags of loaded calculations are added to these
+        this.storedTags = [];
+        // Search text, date range (YYYY-MM-DD, inclusive) and tags the list is filtered by
+        this.filter = { query: '', from: null, to: null, tags: [] };
+        this.editingId = null;
+        // History read from a file and waiting for merge or replace
+        this.pendingImport = null;
+        this.importReport = null;
+        this.loading = this.loadHistory();
         this.initializeUI();
     }
 
-    // Initialize history UI elements
+    // Initialize history UI elements (skipped when running without a DOM)
     initializeUI() {
+        if (typeof document === 'undefined') return;
+        
         this.historyPanel = document.getElementById('historyPanel');
         this.historyContent = document.getElementById('historyContent');
         this.clearHistoryBtn = document.getElementById('clearHistory');
+        this.historySizeSelect = document.getElementById('historySize');
+        this.historySearchInput = document.getElementById('historySearch');
+        this.historyFromInput = document.getElementById('historyFrom');
+        this.historyToInput = document.getElementById('historyTo');
+        this.historyTagList = document.getElementById('historyTags');
+        this.historyFavoritesList = document.getElementById('historyFavorites');
+        this.historyEditor = document.getElementById('historyEditor');
+        this.historyTagInput = document.getElementById('historyTagInput');
+        this.historyNoteInput = document.getElementById('historyNoteInput');
+        this.historyImportPreview = document.getElementById('historyImportPreview');
         
         if (this.clearHistoryBtn) {
             this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
         }
         
-        this.renderHistory();
+        // Filters apply as they are typed or picked
+        if (this.historySearchInput) {
+            this.historySearchInput.addEventListener('input', () => {
+                this.setFilter({ query: this.historySearchInput.value });
+            });
+        }
+        [[this.historyFromInput, 'from'], [this.historyToInput, 'to']].forEach(([input, key]) => {
+            if (input) {
+                input.addEventListener('change', () => this.setFilter({ [key]: input.value || null }));
+            }
+        });
+        if (this.historyTagList) {
+            this.historyTagList.addEventListener('click', (event) => {
+                const chip = event.target.closest('.history-tag-chip');
+                if (chip) this.toggleTagFilter(chip.dataset.tag);
+            });
+        }
+        
+        // Choosing a format downloads the whole history in it
+        const exportSelect = document.getElementById('historyExport');
+        if (exportSelect) {
+            exportSelect.addEventListener('change', () => {
+                const format = exportSelect.value;
+                exportSelect.value = '';
+                if (format) {
+                    this.downloadHistory(format).catch(error => this.showHistoryFeedback(error.message));
+                }
+            });
+        }
+        
+        // A chosen file is previewed before it is merged or replaces the history
+        const importInput = document.getElementById('historyImport');
+        if (importInput) {
+            importInput.addEventListener('change', () => {
+                const [file] = importInput.files;
+                importInput.value = '';
+                if (file) {
+                    this.previewImportFile(file).catch(() => this.showHistoryFeedback('Not a valid history file'));
+                }
+            });
+        }
+        if (this.historyImportPreview) {
+            this.historyImportPreview.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-import]');
+                if (button) {
+                    this.applyImport(button.dataset.import).catch(error => this.showHistoryFeedback(error.message));
+                }
+            });
+        }
+        
+        if (this.historyEditor) {
+            this.historyEditor.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.saveEditor();
+            });
+            const cancelButton = document.getElementById('historyEditorCancel');
+            if (cancelButton) {
+                cancelButton.addEventListener('click', () => this.closeEditor());
+            }
+        }
+        
+        // Only the visible rows are rendered; reaching the end loads older calculations
+        if (this.historyContent && this.historyContent.addEventListener) {
+            this.historyContent.addEventListener('scroll', () => this.handleScroll());
+        }
+        
+        this.renderPanel();
     }
 
-    // Load history from localStorage
-    loadHistoryFromStorage() {
-        this.history = getData('calculatorHistory', []);
-        // Ensure we don't exceed max history from stored data
-        if (this.history.length > this.maxHistory) {
-            this.history = this.history.slice(-this.maxHistory);
-            this.saveHistoryToStorage();
+    /**
+     * Load the newest page of history from the store; calculations added meanwhile are kept
+     * @returns {Promise<void>}
+     */
+    async loadHistory() {
+        try {
+            const [page, count, favorites, tags] = await Promise.all([
+                this.store.getPage(0, HISTORY_PAGE_SIZE),
+                this.store.count(),
+                this.store.getFavorites(),
+                this.store.getTags()
+            ]);
+            const loaded = page.reverse();
+            const ids = new Set(loaded.map(item => item.id));
+            const added = this.history.filter(item => !ids.has(item.id));
+
+            this.history = [...loaded, ...added];
+            this.totalCount = count + added.length;
+            this.lastId = Math.max(this.lastId, ...this.history.map(item => item.id));
+            this.favorites = favorites;
+            this.storedTags = tags;
+            this.renderPanel();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            if (this.store instanceof LocalHistoryStore) return;
+
+            // Without IndexedDB (blocked, or private browsing) history is kept in localStorage: calculations
+            // made while IndexedDB was opening move there, then the page, count, favorites and tags reload from it
+            this.store = new LocalHistoryStore();
+            try {
+                await Promise.all(this.history.map(item => this.store.put(item)));
+            } catch (saveError) {
+                console.error('Failed to save history:', saveError);
+            }
+            await this.loadHistory();
         }
     }
 
-    // Save history to localStorage
-    saveHistoryToStorage() {
-        storeData('calculatorHistory', this.history);
+    /**
+     * Load the next page of older calculations
+     * @returns {Promise<number>} Number of calculations loaded
+     */
+    async loadMoreHistory() {
+        if (this.loadingMore || this.history.length >= this.totalCount) return 0;
+
+        this.loadingMore = true;
+        try {
+            await this.loading;
+            const page = await this.store.getPage(this.history.length, HISTORY_PAGE_SIZE);
+            const ids = new Set(this.history.map(item => item.id));
+            const older = page.filter(item => !ids.has(item.id)).reverse();
+
+            this.history = [...older, ...this.history];
+            this.renderPanel();
+            return older.length;
+        } finally {
+            this.loadingMore = false;
+        }
+    }
+
+    /**
+     * Load every stored calculation
+     * @returns {Promise<Array>} All history items, oldest first
+     */
+    async loadAllHistory() {
+        await this.loading;
+        this.history = await this.store.getAll();
+        this.totalCount = this.history.length;
+        this.renderPanel();
+        return deepClone(this.history);
+    }
+
+    /**
+     * Write to the store, reporting failures without interrupting the calculator
+     * @param {Function} write - Called with the store; returns a promise
+     */
+    persist(write) {
+        write(this.store).catch(error => console.error('Failed to save history:', error));
+    }
+
+    /**
+     * Change how many calculations are kept, deleting the oldest beyond the new size
+     * @param {number} size - Number of calculations, or 0 to keep every calculation
+     */
+    setMaxHistory(size) {
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        this.maxHistory = size === 0 ? Infinity : size;
+        this.enforceMaxHistory();
+        if (this.historySizeSelect) {
+            this.historySizeSelect.value = String(size);
+        }
+        this.renderPanel();
+    }
+
+    // Drop the oldest calculations beyond the history size, except pinned ones
+    enforceMaxHistory() {
+        // Calculations not loaded yet are older than the loaded ones, so the store drops them first
+        let excess = this.history.length - this.maxHistory;
+        const evicted = [];
+        this.history = this.history.filter(item => {
+            if (excess <= 0 || isPinned(item)) return true;
+            evicted.push(item.id);
+            excess--;
+            return false;
+        });
+        this.totalCount = Math.min(this.totalCount, Math.max(this.maxHistory, this.history.length));
+
+        this.persist(() => this.forgetEvicted(evicted));
+        this.persist(async store => this.forgetEvicted(await store.trim(this.maxHistory, isPinned)));
+    }
+
+    /**
+     * Take dropped calculations off the favorites list and re-read the tags in use
+     * @param {Array<number>} ids - Ids of the dropped calculations
+     * @returns {Promise<void>}
+     */
+    async forgetEvicted(ids) {
+        if (ids.length === 0) return;
+
+        const favoriteCount = this.favorites.length;
+        this.favorites = this.favorites.filter(item => !ids.includes(item.id));
+        if (this.favorites.length !== favoriteCount) {
+            this.renderFavorites();
+        }
+        await this.refreshTags();
     }
 
     /**
      * Add calculation to history
      * @param {string} expression - The mathematical expression
-     * @param {number} result - The calculation result
+     * @param {number|bigint|Object} result - The calculation result (BigInt, Decimal, Complex, Fraction or Quantity in special modes)
+     * @param {Object} details - Extra record fields
+     * @param {Object|null} details.rates - Exchange rates a currency conversion used, `{ base, rates: { CODE: { rate, updated } } }`
+     * @param {Array<Object>|null} details.tokens - The expression as tokens `{ type, text }`, kept so it can be edited again
+     * @param {string|null} details.base - Programmer mode base the tokens are written in
+     * @param {Object|null} details.modes - Arithmetic and angle modes the tokens are evaluated in, outside programmer mode
      */
-    addToHistory(expression, result) {
+    addToHistory(expression, result, details = {}) {
         try {
             // Clean the expression to ensure it doesn't contain the result
             const cleanExpression = expression.trim();
 
+            // Ids follow creation time and stay unique when calculations share a millisecond
+            const time = Date.now();
             const historyItem = {
-                id: Date.now(),
+                id: Math.max(time, this.lastId + 1),
+                time,
                 expression: cleanExpression,
-                result: result,
+                // Complex, Fraction, unit, matrix, vector, time and date results keep their parts ({ re, im }, { numerator, denominator },
+                // { value, unit }, { entries }, { components }, { seconds, style } or { date }); BigInt and Decimal results are stored as plain numbers
+                result: typeof result === 'object' &&
+                    ['im', 'numerator', 'unit', 'entries', 'components', 'seconds', 'day'].some(key => key in result)
+                    ? result.toJSON()
+                    : Number(result),
                 formattedResult: formatNumber(result),
                 timestamp: new Date().toLocaleString()
             };
+            if (details.rates) {
+                historyItem.rates = deepClone(details.rates);
+            }
+            if (details.tokens) {
+                historyItem.tokens = deepClone(details.tokens);
+                historyItem.base = details.base || null;
+                historyItem.modes = details.modes ? deepClone(details.modes) : null;
+            }
 
+            this.lastId = historyItem.id;
             this.history.push(historyItem);
+            this.totalCount++;
+            this.persist(store => store.put(historyItem));
 
             // Maintain FIFO queue (First In, First Out)
-            if (this.history.length > this.maxHistory) {
-                this.history.shift();
-            }
+            this.enforceMaxHistory();
 
-            this.saveHistoryToStorage();
             this.renderHistory();
             this.animateNewItem(historyItem.id);
         } catch (error) {
@@ -80,8 +354,11 @@ class HistoryManager {
     // Clear all history
     clearHistory() {
         this.history = [];
-        this.saveHistoryToStorage();
-        this.renderHistory();
+        this.totalCount = 0;
+        this.favorites = [];
+        this.storedTags = [];
+        this.persist(store => store.clear());
+        this.renderPanel();
         this.showHistoryFeedback('History cleared');
     }
 
@@ -115,53 +392,371 @@ class HistoryManager {
     }
 
     /**
-     * Search history by expression or result
+     * Search history by expression, result, note or tag
      * @param {string} query - Search query
      * @returns {Array} Matching history items
      */
     searchHistory(query) {
         const lowerQuery = query.toLowerCase();
-        return this.history.filter(item => 
-            item.expression.toLowerCase().includes(lowerQuery) ||
-            item.formattedResult.toLowerCase().includes(lowerQuery)
-        );
+        return this.history.filter(item => this.matchesQuery(item, lowerQuery));
+    }
+
+    /**
+     * Check whether a calculation contains search text
+     * @param {Object} item - History item
+     * @param {string} lowerQuery - Lower-case search text
+     * @returns {boolean} True if the expression, result, note or a tag contains the text
+     */
+    matchesQuery(item, lowerQuery) {
+        return item.expression.toLowerCase().includes(lowerQuery) ||
+            item.formattedResult.toLowerCase().includes(lowerQuery) ||
+            (item.note || '').toLowerCase().includes(lowerQuery) ||
+            (item.tags || []).some(tag => tag.includes(lowerQuery));
+    }
+
+    /**
+     * Check whether a calculation passes the list filters
+     * @param {Object} item - History item
+     * @returns {boolean} True if it matches the search text, falls in the date range and has every selected tag
+     */
+    matchesFilter(item) {
+        const { query, from, to, tags } = this.filter;
+        const date = localDate(item.time);
+        return (!query || this.matchesQuery(item, query.toLowerCase())) &&
+            (!from || date >= from) &&
+            (!to || date <= to) &&
+            tags.every(tag => (item.tags || []).includes(tag));
+    }
+
+    // Any search text, date or tag filter is set
+    isFiltering() {
+        const { query, from, to, tags } = this.filter;
+        return query !== '' || from !== null || to !== null || tags.length > 0;
+    }
+
+    /**
+     * Change the filters of the history list. Filters cover every stored calculation, so the
+     * pages not loaded yet are loaded first
+     * @param {Object} changes - Any of `query`, `from` and `to` (YYYY-MM-DD, or null for an open end) and `tags`
+     * @returns {Array} Matching loaded history items, oldest first
+     */
+    setFilter(changes) {
+        const filter = { ...this.filter, ...changes };
+        const isDate = value => value === null || ISO_DATE_PATTERN.test(value);
+        if (typeof filter.query !== 'string' || !isDate(filter.from) || !isDate(filter.to)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        this.filter = { ...filter, query: filter.query.trim(), tags: normalizeTags(filter.tags) };
+        if (this.isFiltering() && this.history.length < this.totalCount) {
+            this.loadAllHistory().catch(error => console.error('Failed to load history:', error));
+        }
+        if (this.historyContent) {
+            this.historyContent.scrollTop = 0;
+        }
+        this.renderHistory();
+        this.renderTagFilters();
+        return this.getFilteredHistory();
+    }
+
+    /**
+     * Select or deselect a tag chip
+     * @param {string} tag - Tag
+     */
+    toggleTagFilter(tag) {
+        const tags = this.filter.tags.includes(tag)
+            ? this.filter.tags.filter(selected => selected !== tag)
+            : [...this.filter.tags, tag];
+        this.setFilter({ tags });
+    }
+
+    /**
+     * Get the loaded calculations that pass the list filters
+     * @returns {Array} Matching history items, oldest first
+     */
+    getFilteredHistory() {
+        return deepClone(this.history.filter(item => this.matchesFilter(item)));
+    }
+
+    /**
+     * Find a loaded or favorite calculation
+     * @param {number} id - History item id
+     * @returns {Object|undefined} History item
+     */
+    findItem(id) {
+        return this.history.find(item => item.id === id) || this.favorites.find(item => item.id === id);
+    }
+
+    /**
+     * Change fields of a calculation and save it
+     * @param {number} id - History item id
+     * @param {Object} changes - Fields to set; undefined removes a field
+     * @returns {Object} Updated history item
+     */
+    updateItem(id, changes) {
+        const copies = [...this.history, ...this.favorites].filter(item => item.id === id);
+        if (copies.length === 0) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        copies.forEach(item => {
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value === undefined) {
+                    delete item[key];
+                } else {
+                    item[key] = value;
+                }
+            });
+        });
+        const saved = deepClone(copies[0]);
+        this.persist(store => store.put(saved));
+        return copies[0];
+    }
+
+    /**
+     * Tag a calculation
+     * @param {number} id - History item id
+     * @param {string|Array<string>} tags - Comma-separated text or list of tags; replaces the current tags
+     * @returns {Array<string>} Tags as saved
+     */
+    setTags(id, tags) {
+        const normalized = normalizeTags(tags);
+        this.updateItem(id, { tags: normalized.length > 0 ? normalized : undefined });
+        this.persist(() => this.refreshTags());
+        this.renderPanel();
+        return normalized;
+    }
+
+    /**
+     * Annotate a calculation
+     * @param {number} id - History item id
+     * @param {string} note - Free-text note; empty removes the note
+     */
+    setNote(id, note) {
+        if (typeof note !== 'string') {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.updateItem(id, { note: note.trim() || undefined });
+        this.renderPanel();
     }
 
-    // Render history in UI
+    /**
+     * Pin a calculation so the history size never drops it
+     * @param {number} id - History item id
+     * @param {boolean} pinned - False unpins it
+     */
+    setPinned(id, pinned = true) {
+        this.updateItem(id, { pinned: pinned ? true : undefined });
+        if (!pinned) {
+            this.enforceMaxHistory();
+        }
+        this.renderPanel();
+    }
+
+    /**
+     * Add a calculation to the favorites list, or take it off
+     * @param {number} id - History item id
+     * @param {boolean} favorite - False takes it off the list
+     */
+    setFavorite(id, favorite = true) {
+        const item = this.updateItem(id, { favorite: favorite ? true : undefined });
+        this.favorites = this.favorites.filter(entry => entry.id !== id);
+        if (favorite) {
+            this.favorites.push(item);
+            this.favorites.sort((a, b) => a.id - b.id);
+        }
+        this.renderPanel();
+    }
+
+    /**
+     * Get the favorite calculations
+     * @returns {Array} Favorite history items, oldest first
+     */
+    getFavorites() {
+        return deepClone(this.favorites);
+    }
+
+    /**
+     * List the tags in use
+     * @returns {Array<string>} Tags, sorted
+     */
+    getTags() {
+        return [...new Set([...this.storedTags, ...this.history.flatMap(item => item.tags || [])])].sort();
+    }
+
+    // Re-read the tags in use from the store
+    async refreshTags() {
+        this.storedTags = await this.store.getTags();
+        this.renderTagFilters();
+    }
+
+    /**
+     * Open the tag and note editor for a calculation
+     * @param {number} id - History item id
+     */
+    openEditor(id) {
+        const item = this.findItem(id);
+        if (!item || !this.historyEditor) return;
+
+        this.editingId = id;
+        this.historyTagInput.value = (item.tags || []).join(', ');
+        this.historyNoteInput.value = item.note || '';
+        this.historyEditor.hidden = false;
+        this.historyTagInput.focus();
+    }
+
+    // Save the tags and note being edited
+    saveEditor() {
+        try {
+            this.setTags(this.editingId, this.historyTagInput.value);
+            this.setNote(this.editingId, this.historyNoteInput.value);
+            this.closeEditor();
+        } catch (error) {
+            this.showHistoryFeedback(error.message);
+        }
+    }
+
+    // Close the tag and note editor
+    closeEditor() {
+        this.editingId = null;
+        if (this.historyEditor) {
+            this.historyEditor.hidden = true;
+        }
+    }
+
+    // Render the history list with its tag chips and favorites
+    renderPanel() {
+        this.renderHistory();
+        this.renderTagFilters();
+        this.renderFavorites();
+    }
+
+    // Render a chip for each tag; selected chips filter the list
+    renderTagFilters() {
+        if (!this.historyTagList) return;
+
+        const tags = [...new Set([...this.getTags(), ...this.filter.tags])].sort();
+        this.historyTagList.innerHTML = tags.map(tag => {
+            const active = this.filter.tags.includes(tag);
+            return `<button type="button" class="history-tag-chip${active ? ' active' : ''}" data-tag="${escapeHTML(tag)}" aria-pressed="${active}">#${escapeHTML(tag)}</button>`;
+        }).join('');
+    }
+
+    // Render the favorites list above the history list
+    renderFavorites() {
+        if (!this.historyFavoritesList) return;
+
+        this.historyFavoritesList.hidden = this.favorites.length === 0;
+        this.historyFavoritesList.innerHTML = this.favorites.length === 0
+            ? ''
+            : '<h3>★ Favorites</h3>' + this.favorites.slice().reverse().map(item => this.createHistoryItemHTML(item)).join('');
+        this.addHistoryItemListeners(this.historyFavoritesList);
+    }
+
+    // Render the visible rows of the history list; spacers stand in for the rows outside the window
     renderHistory() {
         if (!this.historyContent) return;
 
-        if (this.history.length === 0) {
-            this.historyContent.innerHTML = '<p class="no-history">No calculations yet</p>';
+        const items = this.history.filter(item => this.matchesFilter(item));
+        if (items.length === 0) {
+            this.historyContent.innerHTML = this.isFiltering()
+                ? '<p class="no-history">No matching calculations</p>'
+                : '<p class="no-history">No calculations yet</p>';
             return;
         }
 
-        const historyHTML = this.history
-            .slice()
-            .reverse() // Show most recent first
-            .map(item => this.createHistoryItemHTML(item))
-            .join('');
+        const rows = items.reverse(); // Show most recent first
+        const { first, last } = this.getVisibleRange(rows.length);
+        const spacer = (count) => count > 0
+            ? `<div class="history-spacer" style="height: ${count * HISTORY_ROW_HEIGHT}px"></div>`
+            : '';
 
-        this.historyContent.innerHTML = historyHTML;
+        this.historyContent.innerHTML = spacer(first) +
+            rows.slice(first, last).map(item => this.createHistoryItemHTML(item)).join('') +
+            spacer(rows.length - last);
         
         this.addHistoryItemListeners();
     }
 
     /**
-     * Create HTML for a single history item
+     * Rows in or near the scrolled viewport
+     * @param {number} rowCount - Number of loaded rows
+     * @returns {Object} Row range `{ first, last }`, last excluded
+     */
+    getVisibleRange(rowCount) {
+        const scrollTop = this.historyContent.scrollTop || 0;
+        const height = this.historyContent.clientHeight || DEFAULT_VISIBLE_ROWS * HISTORY_ROW_HEIGHT;
+
+        return {
+            first: Math.max(0, Math.floor(scrollTop / HISTORY_ROW_HEIGHT) - HISTORY_OVERSCAN),
+            last: Math.min(rowCount, Math.ceil((scrollTop + height) / HISTORY_ROW_HEIGHT) + HISTORY_OVERSCAN)
+        };
+    }
+
+    // Re-render once per frame while scrolling, and load older calculations near the end of the list
+    handleScroll() {
+        if (!this.renderQueued) {
+            this.renderQueued = true;
+            requestAnimationFrame(() => {
+                this.renderQueued = false;
+                this.renderHistory();
+            });
+        }
+
+        const { scrollTop, clientHeight, scrollHeight } = this.historyContent;
+        if (scrollTop + clientHeight >= scrollHeight - HISTORY_OVERSCAN * HISTORY_ROW_HEIGHT) {
+            this.loadMoreHistory().catch(error => console.error('Failed to load history:', error));
+        }
+    }
+
+    /**
+     * Create HTML for a single history item. Every stored value is escaped, since items may come
+     * from an imported file or from storage edited outside the calculator
      * @param {Object} item - History item
      * @returns {string} HTML string
      */
     createHistoryItemHTML(item) {
         return `
-            <div class="history-item" data-id="${item.id}" data-expression="${item.expression}" data-result="${item.result}">
-                <div class="history-expression" title="${item.expression}">${this.truncateExpression(item.expression)}</div>
-                <div class="history-result" title="${item.formattedResult}">${item.formattedResult}</div>
-                <div class="history-timestamp">${item.timestamp}</div>
+            <div class="history-item" data-id="${escapeHTML(item.id)}">
+                <div class="history-expression" title="${escapeHTML(item.expression)}">${escapeHTML(this.truncateExpression(item.expression))}</div>
+                <div class="history-result" title="${escapeHTML(item.formattedResult)}">${escapeHTML(item.formattedResult)}</div>
+                ${item.rates ? `<div class="history-rates">${escapeHTML(this.formatRates(item.rates))}</div>` : ''}
+                ${this.createMetaHTML(item)}
+                <div class="history-timestamp">${escapeHTML(item.timestamp)}</div>
+                <div class="history-actions">
+                    <button class="history-pin${isPinned(item) ? ' active' : ''}" aria-pressed="${isPinned(item)}" aria-label="Pin so it is never dropped">📌</button>
+                    <button class="history-favorite${item.favorite ? ' active' : ''}" aria-pressed="${item.favorite === true}" aria-label="Favorite">${item.favorite ? '★' : '☆'}</button>
+                    <button class="history-annotate" aria-label="Edit tags and note">🏷</button>
+                    ${item.tokens ? '<button class="history-edit" aria-label="Edit this expression again">✎</button>' : ''}
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Create HTML for the tags and note of a history item
+     * @param {Object} item - History item
+     * @returns {string} HTML string, empty when the item has neither
+     */
+    createMetaHTML(item) {
+        const parts = (item.tags || []).map(tag => `<span class="history-tag">#${escapeHTML(tag)}</span>`);
+        if (item.note) {
+            parts.push(`<span class="history-note">${escapeHTML(item.note)}</span>`);
+        }
+        return parts.length > 0 ? `<div class="history-meta">${parts.join(' ')}</div>` : '';
+    }
+
+    /**
+     * Describe the exchange rates a conversion used
+     * @param {Object} rates - Rates `{ base, rates: { CODE: { rate, updated } } }`
+     * @returns {string} Text such as `1 USD = 0.92 EUR (2026-10-01)`
+     */
+    formatRates({ base, rates }) {
+        return Object.entries(rates)
+            .map(([code, { rate, updated }]) => `1 ${base} = ${formatNumber(rate)} ${code} (${updated})`)
+            .join('; ');
+    }
+
     /**
      * Truncate long expressions for display
      * @param {string} expression - Expression to truncate
@@ -175,17 +770,22 @@ class HistoryManager {
         return expression.substring(0, maxLength - 3) + '...';
     }
 
-    // Add click listeners to history items
-    addHistoryItemListeners() {
-        const historyItems = this.historyContent.querySelectorAll('.history-item');
+    /**
+     * Add click listeners to history items
+     * @param {HTMLElement} container - History list or favorites list
+     */
+    addHistoryItemListeners(container = this.historyContent) {
+        const historyItems = container.querySelectorAll('.history-item');
         
         historyItems.forEach(item => {
             item.addEventListener('click', () => {
-                const expression = item.dataset.expression;
-                const result = parseFloat(item.dataset.result);
+                // The row only carries its id; expression and result come from the stored item
+                const stored = this.findItem(Number(item.dataset.id));
+                if (!stored) return;
+                const { expression, result } = stored;
 
                 // Validate the data before dispatching
-                if (isNaN(result)) {
+                if (result === null || (typeof result === 'number' && isNaN(result))) {
                     console.error('Invalid result in history item:', result);
                     return;
                 }
@@ -203,6 +803,41 @@ class HistoryManager {
                 setTimeout(() => item.classList.remove('selected'), 200);
             });
 
+            // The edit button recalls the whole expression instead of the result
+            const editButton = item.querySelector('.history-edit');
+            if (editButton) {
+                editButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    const stored = this.findItem(Number(item.dataset.id));
+                    if (!stored || !stored.tokens) return;
+
+                    document.dispatchEvent(new CustomEvent('historyExpressionSelected', {
+                        detail: {
+                            expression: stored.expression,
+                            tokens: deepClone(stored.tokens),
+                            base: stored.base,
+                            modes: stored.modes ? deepClone(stored.modes) : null
+                        }
+                    }));
+                });
+            }
+
+            // Pin, favorite and tag buttons act on the item without recalling it
+            const actions = {
+                '.history-pin': stored => this.setPinned(stored.id, !isPinned(stored)),
+                '.history-favorite': stored => this.setFavorite(stored.id, stored.favorite !== true),
+                '.history-annotate': stored => this.openEditor(stored.id)
+            };
+            Object.entries(actions).forEach(([selector, action]) => {
+                const button = item.querySelector(selector);
+                if (!button) return;
+                button.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    const stored = this.findItem(Number(item.dataset.id));
+                    if (stored) action(stored);
+                });
+            });
+
             // Add hover effects
             item.addEventListener('mouseenter', () => {
                 item.style.transform = 'translateY(4px)';
@@ -219,6 +854,8 @@ class HistoryManager {
      * @param {number} itemId - ID of the new item
      */
     animateNewItem(itemId) {
+        if (!this.historyContent) return;
+        
         setTimeout(() => {
             const newItem = this.historyContent.querySelector(`[data-id="${itemId}"]`);
             if (newItem) {
@@ -260,6 +897,8 @@ class HistoryManager {
      * @param {string} message - Feedback message
      */
     showHistoryFeedback(message) {
+        if (typeof document === 'undefined') return;
+        
         const feedback = document.createElement('div');
         feedback.className = 'history-feedback';
         feedback.textContent = message;
@@ -305,24 +944,116 @@ class HistoryManager {
     exportHistory() {
         return {
             history: deepClone(this.history),
-            maxHistory: this.maxHistory,
+            maxHistory: this.getHistorySize(),
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            version: HISTORY_FILE_VERSION
         };
     }
 
     /**
-     * Import history data
+     * Download every stored calculation as a file
+     * @param {string} format - Key of HISTORY_FILE_FORMATS: 'csv', 'json', 'markdown' or 'tape'
+     * @returns {Promise<boolean>} Success status
+     */
+    async downloadHistory(format) {
+        if (!Object.prototype.hasOwnProperty.call(HISTORY_FILE_FORMATS, format)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        await this.loadAllHistory();
+        const { extension, type, write } = HISTORY_FILE_FORMATS[format];
+        return downloadFile(write(this.exportHistory()), `calculator-history-${localDate(Date.now())}.${extension}`, type);
+    }
+
+    /**
+     * Read a JSON or CSV history file and show what it holds until it is merged, replaces the history or is cancelled
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<Object>} History data read from the file
+     */
+    async previewImportFile(file) {
+        this.pendingImport = parseHistoryFile(await file.text(), file.name);
+        this.renderImportPreview();
+        return deepClone(this.pendingImport);
+    }
+
+    /**
+     * Finish the import being previewed
+     * @param {string} mode - 'merge' to add it to the history, 'replace' to replace the history, 'cancel' to drop it
+     * @returns {Promise<boolean>} Success status; false when cancelled or nothing was previewed
+     */
+    async applyImport(mode) {
+        const data = this.pendingImport;
+        if (!['merge', 'replace', 'cancel'].includes(mode)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        this.pendingImport = null;
+        this.renderImportPreview();
+        if (!data || mode === 'cancel') return false;
+        return mode === 'merge' ? this.mergeHistory(data) : this.importHistory(data);
+    }
+
+    // Show the count, time span and first calculations of the previewed import
+    renderImportPreview() {
+        if (!this.historyImportPreview) return;
+
+        const data = this.pendingImport;
+        this.historyImportPreview.hidden = !data;
+        if (!data) return;
+
+        const summary = this.historyImportPreview.querySelector('.history-import-summary');
+        const list = this.historyImportPreview.querySelector('.history-import-rows');
+        const times = data.history.map(item => item.time).filter(Number.isFinite);
+        const span = times.length > 0
+            ? `, ${localDate(Math.min(...times))} to ${localDate(Math.max(...times))}`
+            : '';
+        summary.textContent = `${data.history.length} calculations${span}` +
+            (data.invalid.length > 0 ? `; ${data.invalid.length} invalid will be skipped` : '');
+
+        const rows = data.history.slice(-IMPORT_PREVIEW_ROWS).reverse().map(item => {
+            const row = document.createElement('li');
+            row.textContent = `${item.expression} = ${item.formattedResult}`;
+            return row;
+        });
+        const problems = describeInvalidItems(data.invalid).map(text => {
+            const row = document.createElement('li');
+            row.className = 'history-import-invalid';
+            row.textContent = text;
+            return row;
+        });
+        list.replaceChildren(...rows, ...problems);
+    }
+
+    /**
+     * Add imported calculations to the stored history, skipping ones it already has. Items that
+     * fail the history item schema are left out and listed in the import report
+     * @param {Object} historyData - History data in the exportHistory() shape
+     * @returns {Promise<boolean>} Success status
+     */
+    async mergeHistory(historyData) {
+        if (!historyData || !Array.isArray(historyData.history)) return false;
+
+        const { items, invalid } = this.validateImport(historyData);
+        await this.loadAllHistory();
+        const key = item => `${item.time}|${item.expression}|${item.formattedResult}`;
+        const known = new Set(this.history.map(key));
+        const added = prepareHistoryItems(items).filter(item => !known.has(key(item)));
+        this.replaceHistory([...this.history, ...added].sort((a, b) => a.time - b.time));
+        this.reportImport(added.length, invalid);
+        return true;
+    }
+
+    /**
+     * Import history data. Items that fail the history item schema are left out and listed in the import report
      * @param {Object} historyData - History data to import
      * @returns {boolean} Success status
      */
     importHistory(historyData) {
         try {
             if (historyData && Array.isArray(historyData.history)) {
-                this.history = historyData.history.slice(-this.maxHistory);
-                this.saveHistoryToStorage();
-                this.renderHistory();
-                this.showHistoryFeedback('History imported successfully');
+                const { items, invalid } = this.validateImport(historyData);
+                this.replaceHistory(items);
+                this.reportImport(items.length, invalid);
                 return true;
             }
             return false;
@@ -333,6 +1064,57 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Check imported items against the history item schema
+     * @param {Object} historyData - History data; `invalid` lists items already left out when a file was read
+     * @returns {Object} `{ items, invalid }` from validateHistoryItems()
+     */
+    validateImport(historyData) {
+        const { items, invalid } = validateHistoryItems(historyData.history);
+        return { items, invalid: [...(historyData.invalid || []), ...invalid] };
+    }
+
+    /**
+     * Replace the stored history
+     * @param {Array<Object>} items - Valid history items, oldest first
+     */
+    replaceHistory(items) {
+        this.history = prepareHistoryItems(items);
+        this.totalCount = this.history.length;
+        this.lastId = Math.max(this.lastId, ...this.history.map(item => item.id));
+        this.favorites = this.history.filter(item => item.favorite === true);
+        this.storedTags = [...new Set(this.history.flatMap(item => item.tags || []))].sort();
+        const stored = this.history.slice();
+        this.persist(store => store.replaceAll(stored));
+        // Beyond the history size the oldest unpinned calculations are dropped
+        this.enforceMaxHistory();
+        this.renderPanel();
+    }
+
+    /**
+     * Keep and announce the outcome of an import
+     * @param {number} imported - Number of calculations imported
+     * @param {Array<Object>} invalid - `{ index, errors }` for each item left out
+     */
+    reportImport(imported, invalid) {
+        this.importReport = { imported, invalid: deepClone(invalid) };
+        if (invalid.length === 0) {
+            this.showHistoryFeedback('History imported successfully');
+            return;
+        }
+
+        console.warn('Invalid history items were not imported:', describeInvalidItems(invalid));
+        this.showHistoryFeedback(`Imported ${imported} calculations, skipped ${invalid.length} invalid`);
+    }
+
+    /**
+     * Get the outcome of the last import
+     * @returns {Object|null} `{ imported, invalid }`, with `{ index, errors }` for each item left out
+     */
+    getImportReport() {
+        return this.importReport ? deepClone(this.importReport) : null;
+    }
+
     /**
      * Get history statistics
      * @returns {Object} History statistics
@@ -346,16 +1128,25 @@ class HistoryManager {
             return itemDate >= today;
         }).length;
 
+        // Counts beyond the loaded pages come from the store
         return {
-            totalCalculations: this.history.length,
+            totalCalculations: this.totalCount,
             todayCalculations: todayCount,
             oldestCalculation: this.history.length > 0 ? this.history[0].timestamp : null,
             newestCalculation: this.history.length > 0 ? this.history[this.history.length - 1].timestamp : null,
             maxCapacity: this.maxHistory,
-            usage: `${this.history.length}/${this.maxHistory}`
+            usage: `${this.totalCount}/${Number.isFinite(this.maxHistory) ? this.maxHistory : '∞'}`
         };
     }
 
+    /**
+     * Get the history size setting
+     * @returns {number} Number of calculations kept, or 0 when every calculation is kept
+     */
+    getHistorySize() {
+        return Number.isFinite(this.maxHistory) ? this.maxHistory : 0;
+    }
+
     // Reset history manager
     reset() {
         this.clearHistory();
@@ -367,17 +1158,34 @@ export const historyManager = new HistoryManager();
 
 // Export history operations as individual functions
 export const historyOperations = {
-    add: (expression, result) => historyManager.addToHistory(expression, result),
+    add: (expression, result, details) => historyManager.addToHistory(expression, result, details),
     clear: () => historyManager.clearHistory(),
     getItem: (index) => historyManager.getHistoryItem(index),
     getAll: () => historyManager.getAllHistory(),
     getRecent: (count) => historyManager.getRecentHistory(count),
     search: (query) => historyManager.searchHistory(query),
+    filter: (changes) => historyManager.setFilter(changes),
+    getFiltered: () => historyManager.getFilteredHistory(),
+    setTags: (id, tags) => historyManager.setTags(id, tags),
+    setNote: (id, note) => historyManager.setNote(id, note),
+    pin: (id, pinned) => historyManager.setPinned(id, pinned),
+    favorite: (id, favorite) => historyManager.setFavorite(id, favorite),
+    getFavorites: () => historyManager.getFavorites(),
+    getTags: () => historyManager.getTags(),
     toggle: () => historyManager.toggleHistoryPanel(),
     show: () => historyManager.showHistoryPanel(),
     hide: () => historyManager.hideHistoryPanel(),
+    loadMore: () => historyManager.loadMoreHistory(),
+    loadAll: () => historyManager.loadAllHistory(),
+    setSize: (size) => historyManager.setMaxHistory(size),
+    getSize: () => historyManager.getHistorySize(),
     export: () => historyManager.exportHistory(),
+    download: (format) => historyManager.downloadHistory(format),
     import: (data) => historyManager.importHistory(data),
+    merge: (data) => historyManager.mergeHistory(data),
+    previewImport: (file) => historyManager.previewImportFile(file),
+    applyImport: (mode) => historyManager.applyImport(mode),
+    getImportReport: () => historyManager.getImportReport(),
     getStats: () => historyManager.getHistoryStats(),
     reset: () => historyManager.reset()
 };
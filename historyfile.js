@@ -0,0 +1,429 @@
+/**
+ * Calculation History Files
+ * @fileoverview Writes history exports as CSV, JSON, Markdown and paper tape text, reads
+ * JSON and CSV history files back for import, and checks imported items against the history item schema
+ */
+
+import { ERROR_MESSAGES, isExpressionModes } from './utils.js';
+import { BASES } from './programmer.js';
+import { isUnit } from './units.js';
+import { VECTOR_DIMENSIONS } from './vector.js';
+import { CalendarDate, SEXAGESIMAL_STYLES } from './calendar.js';
+
+// Version of the JSON export shape
+export const HISTORY_FILE_VERSION = '1.0';
+
+const CSV_HEADER = ['Time', 'Expression', 'Result', 'Value', 'Tags', 'Note'];
+
+// Characters of the paper tape's printed width
+const TAPE_WIDTH = 40;
+
+// Spreadsheets run text starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Tags are single words of letters, digits, - and _
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Read a tag list, dropping a leading #, blanks and repeats; tags are lower case
+ * @param {string|Array<string>} tags - Comma-separated text or list of tags
+ * @returns {Array<string>} Tags
+ */
+export function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const normalized = list.map(tag => String(tag).trim().replace(/^#/, '').toLowerCase()).filter(Boolean);
+    if (normalized.some(tag => !TAG_PATTERN.test(tag))) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return [...new Set(normalized)];
+}
+
+// Imported tags are stored the way the tag editor writes them; lists it cannot read are left for the schema check
+function normalizeImportedTags(value) {
+    if (!Array.isArray(value) || !value.every(tag => typeof tag === 'string')) return value;
+    try {
+        return normalizeTags(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// Longest expression, result or note accepted from an import
+const MAX_TEXT_LENGTH = 10000;
+
+const isText = value => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isIntegerText = value => typeof value === 'string' && /^-?\d{1,1000}$/.test(value);
+
+const isNumberList = value => Array.isArray(value) && value.length > 0 && value.every(Number.isFinite);
+
+function isCalendarDateText(value) {
+    try {
+        CalendarDate.parse(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Object results history keeps, by their fields, as written by each type's toJSON()
+const RESULT_SHAPES = [
+    { keys: ['im', 're'], check: ({ re, im }) => Number.isFinite(re) && Number.isFinite(im) },
+    {
+        keys: ['denominator', 'numerator'],
+        check: ({ numerator, denominator }) => isIntegerText(numerator) && isIntegerText(denominator) && BigInt(denominator) !== 0n
+    },
+    { keys: ['unit', 'value'], check: ({ value, unit }) => Number.isFinite(value) && typeof unit === 'string' && isUnit(unit) },
+    {
+        keys: ['entries'],
+        check: ({ entries }) => Array.isArray(entries) && entries.length > 0 &&
+            entries.every(row => isNumberList(row) && row.length === entries[0].length)
+    },
+    { keys: ['components'], check: ({ components }) => isNumberList(components) && VECTOR_DIMENSIONS.includes(components.length) },
+    {
+        keys: ['seconds', 'style'],
+        check: ({ seconds, style }) => Number.isFinite(seconds) && Object.values(SEXAGESIMAL_STYLES).includes(style)
+    },
+    { keys: ['date'], check: ({ date }) => isCalendarDateText(date) }
+];
+
+// A complex, fraction, unit, matrix, vector, time or date result with well-formed parts
+function isResultObject(value) {
+    if (!isPlainObject(value)) return false;
+    const keys = Object.keys(value).sort().join();
+    return RESULT_SHAPES.some(shape => shape.keys.join() === keys && shape.check(value));
+}
+
+// Exchange rates `{ base, rates: { CODE: { rate, updated } } }` of a currency conversion
+function isRateTable(value) {
+    return isPlainObject(value) && /^[A-Z]{3}$/.test(value.base) && isPlainObject(value.rates) &&
+        Object.entries(value.rates).every(([code, entry]) => /^[A-Z]{3}$/.test(code) && isPlainObject(entry) &&
+            Number.isFinite(entry.rate) && entry.rate > 0 && /^\d{4}-\d{2}-\d{2}$/.test(entry.updated));
+}
+
+/**
+ * Fields a history item may have, what each must hold and, for some, how it is normalized before the check.
+ * Fields outside the schema are dropped on import
+ */
+const HISTORY_ITEM_SCHEMA = {
+    id: { required: false, description: 'a number', check: Number.isFinite },
+    time: { required: false, description: 'a number', check: Number.isFinite },
+    expression: { required: true, description: 'non-empty text', check: value => isText(value) && value.trim() !== '' },
+    // NaN results are saved as null; results read from CSV without a numeric value are kept as text
+    result: {
+        required: true,
+        description: 'a number, text or result object',
+        check: value => typeof value === 'number' || value === null || isText(value) || isResultObject(value)
+    },
+    formattedResult: { required: true, description: 'text', check: isText },
+    timestamp: { required: false, description: 'text', check: isText },
+    rates: { required: false, description: 'an exchange rate table', check: isRateTable },
+    tokens: {
+        required: false,
+        description: 'a list of tokens',
+        check: value => Array.isArray(value) && value.every(token => isPlainObject(token) && isText(token.type) && isText(token.text))
+    },
+    base: { required: false, description: 'a programmer mode base', check: value => value === null || Object.prototype.hasOwnProperty.call(BASES, value) },
+    modes: { required: false, description: 'the arithmetic and angle modes', check: value => value === null || (isPlainObject(value) && isExpressionModes(value)) },
+    tags: {
+        required: false,
+        description: 'a list of tags',
+        normalize: normalizeImportedTags,
+        check: value => Array.isArray(value) && value.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag))
+    },
+    note: { required: false, description: 'text', check: isText },
+    pinned: { required: false, description: 'true or false', check: value => typeof value === 'boolean' },
+    favorite: { required: false, description: 'true or false', check: value => typeof value === 'boolean' }
+};
+
+/**
+ * Check one history item against the schema
+ * @param {*} item - Item read from an import
+ * @returns {Object} `{ item }` with the schema's fields only, or `{ errors }` describing each problem
+ */
+export function validateHistoryItem(item) {
+    if (!isPlainObject(item)) {
+        return { errors: ['not a history item'] };
+    }
+
+    const errors = [];
+    const clean = {};
+    Object.entries(HISTORY_ITEM_SCHEMA).forEach(([field, { required, description, check, normalize }]) => {
+        const value = normalize && item[field] !== undefined ? normalize(item[field]) : item[field];
+        if (value === undefined) {
+            if (required) errors.push(`${field} is missing`);
+        } else if (!check(value)) {
+            errors.push(`${field} must be ${description}`);
+        } else {
+            clean[field] = value;
+        }
+    });
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    if (clean.timestamp === undefined) {
+        const time = [clean.time, clean.id].find(Number.isFinite);
+        clean.timestamp = time === undefined ? '' : new Date(time).toLocaleString();
+    }
+    return { item: clean };
+}
+
+/**
+ * Check imported history items against the schema
+ * @param {Array} items - Items read from an import
+ * @returns {Object} `{ items, invalid }`: the valid items with the schema's fields only, and
+ * `{ index, errors }` for each item left out
+ */
+export function validateHistoryItems(items) {
+    const valid = [];
+    const invalid = [];
+    items.forEach((entry, index) => {
+        const { item, errors } = validateHistoryItem(entry);
+        if (errors) {
+            invalid.push({ index, errors });
+        } else {
+            valid.push(item);
+        }
+    });
+    return { items: valid, invalid };
+}
+
+/**
+ * Describe the items an import left out
+ * @param {Array<Object>} invalid - `{ index, errors }` from validateHistoryItems()
+ * @returns {Array<string>} One line per item, numbered from 1
+ */
+export function describeInvalidItems(invalid) {
+    return invalid.map(({ index, errors }) => `Item ${index + 1}: ${errors.join(', ')}`);
+}
+
+/**
+ * Quote a CSV field when needed. Text a spreadsheet would run as a formula gets a leading
+ * apostrophe, unless it is a plain number
+ * @param {string} text - Field text
+ * @returns {string} CSV field
+ */
+function csvField(text) {
+    const value = FORMULA_PREFIX.test(text) && !Number.isFinite(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields with commas, quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines left out
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Remove the apostrophe csvField() puts before formula-like text
+function unguardField(text) {
+    return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// Numeric value of a result, when it has one
+function numericValue(result) {
+    return typeof result === 'number' && Number.isFinite(result) ? String(result) : '';
+}
+
+/**
+ * History export as CSV, one calculation per line with its ISO time, formatted result and numeric value
+ * @param {Object} data - Export from exportHistory()
+ * @returns {string} CSV with a header line
+ */
+export function historyToCSV({ history }) {
+    const lines = history.map(item => [
+        new Date(item.time).toISOString(),
+        item.expression,
+        item.formattedResult,
+        numericValue(item.result),
+        (item.tags || []).join(' '),
+        item.note || ''
+    ].map(csvField).join(','));
+    return [CSV_HEADER.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * History export as JSON
+ * @param {Object} data - Export from exportHistory()
+ * @returns {string} Indented JSON
+ */
+export function historyToJSON(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+}
+
+// Table cell text for Markdown, with pipes escaped and line breaks flattened
+function markdownCell(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * History export as a Markdown table
+ * @param {Object} data - Export from exportHistory()
+ * @returns {string} Markdown with a heading and a table
+ */
+export function historyToMarkdown({ history, exportDate }) {
+    const rows = history.map(item => '| ' + [
+        item.timestamp,
+        `\`${item.expression.replace(/`/g, "'")}\``,
+        item.formattedResult,
+        (item.tags || []).map(tag => `#${tag}`).join(' '),
+        item.note || ''
+    ].map(markdownCell).join(' | ') + ' |');
+
+    return [
+        '# Calculation History',
+        '',
+        `Exported ${new Date(exportDate).toLocaleString()}, ${history.length} calculations.`,
+        '',
+        '| Time | Expression | Result | Tags | Note |',
+        '| --- | --- | ---: | --- | --- |',
+        ...rows
+    ].join('\n') + '\n';
+}
+
+/**
+ * History export as an adding-machine paper tape: each expression with its result right-aligned below
+ * @param {Object} data - Export from exportHistory()
+ * @returns {string} Plain text for printing
+ */
+export function historyToTape({ history, exportDate }) {
+    const rule = '-'.repeat(TAPE_WIDTH);
+    const lines = [`Calculation tape, ${new Date(exportDate).toLocaleString()}`, rule];
+
+    history.forEach(item => {
+        lines.push(item.timestamp, item.expression, `= ${item.formattedResult}`.padStart(TAPE_WIDTH));
+        if (item.tags && item.tags.length > 0) {
+            lines.push(item.tags.map(tag => `#${tag}`).join(' '));
+        }
+        if (item.note) {
+            lines.push(`* ${item.note}`);
+        }
+        lines.push('');
+    });
+
+    lines.push(rule, `${history.length} calculations`.padStart(TAPE_WIDTH));
+    return lines.join('\n') + '\n';
+}
+
+// Download formats: file extension, MIME type and writer
+export const HISTORY_FILE_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv', write: historyToCSV },
+    json: { extension: 'json', type: 'application/json', write: historyToJSON },
+    markdown: { extension: 'md', type: 'text/markdown', write: historyToMarkdown },
+    tape: { extension: 'txt', type: 'text/plain', write: historyToTape }
+};
+
+/**
+ * Read a JSON history export. Items that fail the schema are reported rather than read
+ * @param {string} text - JSON text in the exportHistory() shape
+ * @returns {Object} History data `{ history, invalid, version }`
+ */
+export function parseHistoryJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    if (!data || !Array.isArray(data.history) || (data.version !== undefined && data.version !== HISTORY_FILE_VERSION)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    const { items, invalid } = validateHistoryItems(data.history);
+    return { history: items, invalid, version: HISTORY_FILE_VERSION };
+}
+
+/**
+ * Read a CSV history export. Time, Value, Tags and Note columns are optional; rows without a
+ * time are dated now. Rows that fail the schema are reported rather than read
+ * @param {string} text - CSV with a header line naming at least the Expression and Result columns
+ * @returns {Object} History data `{ history, invalid, version }`
+ */
+export function parseHistoryCSV(text) {
+    const [header, ...rows] = parseCSV(text);
+    const columns = Object.fromEntries((header || []).map((name, index) => [name.trim().toLowerCase(), index]));
+    if (!('expression' in columns) || !('result' in columns)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const now = Date.now();
+    const items = rows.map(fields => {
+        const read = (name) => name in columns ? unguardField((fields[columns[name]] || '').trim()) : '';
+        // An unreadable time is left for the schema check to report
+        const time = read('time') === '' ? now : Date.parse(read('time'));
+        const value = read('value');
+        const number = Number(value === '' ? read('result') : value);
+        const item = {
+            id: time,
+            time,
+            expression: read('expression'),
+            // Results without a numeric value, such as `2/3`, `3+2i` or `30.48 cm`, keep their text
+            result: Number.isFinite(number) ? number : read('result'),
+            formattedResult: read('result')
+        };
+        const tags = read('tags').split(/[\s,]+/).filter(Boolean);
+        if (tags.length > 0) item.tags = tags;
+        if (read('note') !== '') item.note = read('note');
+        return item;
+    });
+
+    const { items: history, invalid } = validateHistoryItems(items);
+    return { history, invalid, version: HISTORY_FILE_VERSION };
+}
+
+/**
+ * Read a history file, as JSON when it is named .json or starts with `{`, as CSV otherwise
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @returns {Object} History data `{ history, invalid, version }`
+ */
+export function parseHistoryFile(text, filename = '') {
+    return /\.json$/i.test(filename) || text.trim().startsWith('{')
+        ? parseHistoryJSON(text)
+        : parseHistoryCSV(text);
+}
@@ -0,0 +1,393 @@
+/**
+ * Calculation History Storage
+ * @fileoverview Persistent stores for calculation history: an IndexedDB store indexed by time and
+ * tags and read in pages, and a localStorage store used where IndexedDB is unavailable
+ */
+
+import { storeData, getData, removeData } from './utils.js';
+
+export const HISTORY_DB_NAME = 'calculator';
+export const HISTORY_STORE_NAME = 'history';
+const HISTORY_DB_VERSION = 1;
+
+// localStorage key of the fallback store, and of history saved before IndexedDB was used
+const HISTORY_STORAGE_KEY = 'calculatorHistory';
+
+/**
+ * Give stored items unique ids and the `time` they are indexed by. Items saved before the
+ * index existed use their id, which was their creation time.
+ * @param {Array<Object>} items - History items, oldest first
+ * @returns {Array<Object>} Copies of the items
+ */
+export function prepareHistoryItems(items) {
+    let lastId = 0;
+    return items.map(item => {
+        const id = Math.max(Number(item.id) || 0, lastId + 1);
+        lastId = id;
+        return { ...item, id, time: Number.isFinite(item.time) ? item.time : id };
+    });
+}
+
+/**
+ * History store backed by IndexedDB. Items are keyed by id, with a `time` index for paging
+ * newest first and a multi-entry `tags` index.
+ */
+export class IndexedDBHistoryStore {
+    /**
+     * @param {IDBFactory} factory - IndexedDB implementation
+     */
+    constructor(factory = indexedDB) {
+        this.database = this.open(factory);
+    }
+
+    /**
+     * Open the database, creating the store on first use and moving in history kept in localStorage
+     * @param {IDBFactory} factory - IndexedDB implementation
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open(factory) {
+        const database = await new Promise((resolve, reject) => {
+            const request = factory.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'id' });
+                store.createIndex('time', 'time');
+                store.createIndex('tags', 'tags', { multiEntry: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const legacy = getData(HISTORY_STORAGE_KEY, []);
+        if (Array.isArray(legacy) && legacy.length > 0) {
+            await this.run(database, 'readwrite', store => {
+                prepareHistoryItems(legacy).forEach(item => store.put(item));
+            });
+            removeData(HISTORY_STORAGE_KEY);
+        }
+        return database;
+    }
+
+    /**
+     * Run requests in one transaction
+     * @param {IDBDatabase} database - Open database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operate - Called with the object store; may return a request whose result is wanted
+     * @returns {Promise<*>} Result of the returned request once the transaction completes
+     */
+    run(database, mode, operate) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(HISTORY_STORE_NAME, mode);
+            const request = operate(transaction.objectStore(HISTORY_STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Run requests in one transaction once the database is open
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operate - Called with the object store
+     * @returns {Promise<*>} Result of the returned request
+     */
+    async transact(mode, operate) {
+        return this.run(await this.database, mode, operate);
+    }
+
+    /**
+     * Add or replace an item
+     * @param {Object} item - History item with id and time
+     * @returns {Promise<void>}
+     */
+    async put(item) {
+        await this.transact('readwrite', store => {
+            store.put(item);
+        });
+    }
+
+    /**
+     * Delete an item
+     * @param {number} id - Item id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this.transact('readwrite', store => {
+            store.delete(id);
+        });
+    }
+
+    // Delete every item
+    async clear() {
+        await this.transact('readwrite', store => {
+            store.clear();
+        });
+    }
+
+    /**
+     * Replace every item
+     * @param {Array<Object>} items - History items with ids and times
+     * @returns {Promise<void>}
+     */
+    async replaceAll(items) {
+        await this.transact('readwrite', store => {
+            store.clear();
+            items.forEach(item => store.put(item));
+        });
+    }
+
+    /**
+     * Count the stored items
+     * @returns {Promise<number>} Number of items
+     */
+    count() {
+        return this.transact('readonly', store => store.count());
+    }
+
+    /**
+     * Read a page of items, newest first
+     * @param {number} offset - Number of newer items to skip
+     * @param {number} limit - Page size
+     * @returns {Promise<Array<Object>>} Items, newest first
+     */
+    async getPage(offset, limit) {
+        const items = [];
+        await this.transact('readonly', store => {
+            const request = store.index('time').openCursor(null, 'prev');
+            let skip = offset;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || items.length >= limit) return;
+                if (skip > 0) {
+                    cursor.advance(skip);
+                    skip = 0;
+                    return;
+                }
+                items.push(cursor.value);
+                cursor.continue();
+            };
+        });
+        return items;
+    }
+
+    /**
+     * Read every item
+     * @returns {Promise<Array<Object>>} Items, oldest first
+     */
+    getAll() {
+        return this.transact('readonly', store => store.index('time').getAll());
+    }
+
+    /**
+     * Read the items carrying a tag
+     * @param {string} tag - Tag
+     * @returns {Promise<Array<Object>>} Items, in tag index order
+     */
+    getByTag(tag) {
+        return this.transact('readonly', store => store.index('tags').getAll(tag));
+    }
+
+    /**
+     * List the tags in use
+     * @returns {Promise<Array<string>>} Tags, sorted
+     */
+    async getTags() {
+        const tags = [];
+        await this.transact('readonly', store => {
+            const request = store.index('tags').openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                tags.push(cursor.key);
+                cursor.continue();
+            };
+        });
+        return tags;
+    }
+
+    /**
+     * Read the favorite items
+     * @returns {Promise<Array<Object>>} Items, oldest first
+     */
+    async getFavorites() {
+        const items = [];
+        await this.transact('readonly', store => {
+            const request = store.index('time').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.favorite === true) items.push(cursor.value);
+                cursor.continue();
+            };
+        });
+        return items;
+    }
+
+    /**
+     * Delete the oldest items beyond a size
+     * @param {number} maxItems - Number of items to keep; Infinity keeps them all
+     * @param {Function} keep - Items it returns true for are never deleted
+     * @returns {Promise<Array<number>>} Ids of the deleted items
+     */
+    async trim(maxItems, keep = () => false) {
+        const removed = [];
+        if (!Number.isFinite(maxItems)) return removed;
+
+        let excess = (await this.count()) - maxItems;
+        if (excess <= 0) return removed;
+        await this.transact('readwrite', store => {
+            const request = store.index('time').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess === 0) return;
+                if (!keep(cursor.value)) {
+                    removed.push(cursor.value.id);
+                    cursor.delete();
+                    excess--;
+                }
+                cursor.continue();
+            };
+        });
+        return removed;
+    }
+}
+
+/**
+ * History store kept under one localStorage key. Writes happen before the returned promises settle,
+ * so the stored copy is current as soon as a method returns.
+ */
+export class LocalHistoryStore {
+    /**
+     * @param {string} key - localStorage key
+     */
+    constructor(key = HISTORY_STORAGE_KEY) {
+        this.key = key;
+        const stored = getData(key, []);
+        this.items = Array.isArray(stored) ? prepareHistoryItems(stored) : [];
+    }
+
+    // Save the items to localStorage
+    save() {
+        storeData(this.key, this.items);
+    }
+
+    /**
+     * Add or replace an item
+     * @param {Object} item - History item with id and time
+     * @returns {Promise<void>}
+     */
+    async put(item) {
+        const index = this.items.findIndex(entry => entry.id === item.id);
+        if (index === -1) {
+            this.items.push(item);
+        } else {
+            this.items[index] = item;
+        }
+        this.save();
+    }
+
+    /**
+     * Delete an item
+     * @param {number} id - Item id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    // Delete every item
+    async clear() {
+        this.items = [];
+        this.save();
+    }
+
+    /**
+     * Replace every item
+     * @param {Array<Object>} items - History items with ids and times
+     * @returns {Promise<void>}
+     */
+    async replaceAll(items) {
+        this.items = [...items];
+        this.save();
+    }
+
+    /**
+     * Count the stored items
+     * @returns {Promise<number>} Number of items
+     */
+    async count() {
+        return this.items.length;
+    }
+
+    /**
+     * Read a page of items, newest first
+     * @param {number} offset - Number of newer items to skip
+     * @param {number} limit - Page size
+     * @returns {Promise<Array<Object>>} Items, newest first
+     */
+    async getPage(offset, limit) {
+        return this.items.slice().reverse().slice(offset, offset + limit);
+    }
+
+    /**
+     * Read every item
+     * @returns {Promise<Array<Object>>} Items, oldest first
+     */
+    async getAll() {
+        return this.items.slice();
+    }
+
+    /**
+     * Read the items carrying a tag
+     * @param {string} tag - Tag
+     * @returns {Promise<Array<Object>>} Items, oldest first
+     */
+    async getByTag(tag) {
+        return this.items.filter(item => Array.isArray(item.tags) && item.tags.includes(tag));
+    }
+
+    /**
+     * List the tags in use
+     * @returns {Promise<Array<string>>} Tags, sorted
+     */
+    async getTags() {
+        return [...new Set(this.items.flatMap(item => item.tags || []))].sort();
+    }
+
+    /**
+     * Read the favorite items
+     * @returns {Promise<Array<Object>>} Items, oldest first
+     */
+    async getFavorites() {
+        return this.items.filter(item => item.favorite === true);
+    }
+
+    /**
+     * Delete the oldest items beyond a size
+     * @param {number} maxItems - Number of items to keep; Infinity keeps them all
+     * @param {Function} keep - Items it returns true for are never deleted
+     * @returns {Promise<Array<number>>} Ids of the deleted items
+     */
+    async trim(maxItems, keep = () => false) {
+        const removed = [];
+        let excess = this.items.length - maxItems;
+        if (excess <= 0) return removed;
+
+        this.items = this.items.filter(item => {
+            if (excess === 0 || keep(item)) return true;
+            removed.push(item.id);
+            excess--;
+            return false;
+        });
+        this.save();
+        return removed;
+    }
+}
+
+/**
+ * Create the history store: IndexedDB where the browser has it, localStorage otherwise
+ * @returns {IndexedDBHistoryStore|LocalHistoryStore} History store
+ */
+export function createHistoryStore() {
+    return typeof indexedDB === 'undefined' ? new LocalHistoryStore() : new IndexedDBHistoryStore();
+}
@@ -3,41 +3,61 @@
  * @fileoverview Main calculator logic with comprehensive mathematical operations
  */
 import { 
-    formatNumber, 
-    ERROR_MESSAGES, 
-    CONSTANTS, 
     ANGLE_MODES,
-    convertAngle,
-    factorial,
-    randomNumber,
-    validateExpression,
-    safeEval,
+    CALCULATOR_MODES,
+    COMPLEX_FORMATS,
+    FRACTION_FORMATS,
+    ERROR_MESSAGES,
+    PRECISION,
+    setDecimalPlaces,
     copyToClipboard,
     playSound,
+    downloadFile,
     storeData,
-    getData,
-    debounce
+    getData
 } from './utils.js';
 
+import { CalculatorEngine } from './engine.js';
+import { BASES, isValidDigit } from './programmer.js';
+import { UNIT_CATALOG } from './units.js';
 import { memoryOperations } from './memory.js';
-import { historyOperations } from './history.js';
+import { historyOperations, DEFAULT_HISTORY_SIZE } from './history.js';
+import { statisticsOperations } from './statistics.js';
+import { regressionOperations, REGRESSION_MODELS } from './regression.js';
+import { graphOperations } from './graph.js';
+import { parseStartingPoint } from './solver.js';
+import { equationOperations } from './equations.js';
+import { matrixOperations } from './matrix.js';
+import { vectorOperations } from './vector.js';
+import { financeOperations } from './finance.js';
+import { dateOperations } from './datetime.js';
+import { currencyOperations } from './currency.js';
+
+// Labels of the complex toggle, cycling off → rectangular → polar
+const COMPLEX_LABELS = {
+    off: 'ℝ',
+    [COMPLEX_FORMATS.RECTANGULAR]: 'a+bi',
+    [COMPLEX_FORMATS.POLAR]: 'r∠θ'
+};
 
 class ScientificCalculator {
     constructor() {
-        // Calculator state
-        this.currentInput = '0';
-        this.expression = '';
-        this.lastResult = 0;
-        this.angleMode = ANGLE_MODES.DEGREES;
-        this.isNewNumber = true;
-        this.lastOperation = null;
-        this.waitingForNewInput = false;
+        // Calculator state lives in the headless engine
+        this.engine = new CalculatorEngine({
+            memory: memoryOperations,
+            matrices: matrixOperations,
+            vectors: vectorOperations
+        });
+        this.engine.subscribe((state, event) => this.handleEngineEvent(event));
         
         // UI elements
         this.displayElement = null;
         this.expressionElement = null;
         this.errorToast = null;
         this.loadingIndicator = null;
+        this.programmerPanel = null;
+        this.unitPanel = null;
+        this.statsPanel = null;
         
         // Settings
         this.soundEnabled = true;
@@ -46,12 +66,30 @@ class ScientificCalculator {
         this.initializeCalculator();
     }
 
+    /**
+     * React to engine state changes
+     * @param {Object} event - Engine event
+     */
+    handleEngineEvent(event) {
+        if (event.type === 'result') {
+            // Currency conversions keep the exchange rates they used, and expressions their tokens for editing
+            historyOperations.add(event.expression, event.result, {
+                rates: currencyOperations.getRatesFor(event.units),
+                tokens: event.tokens,
+                base: event.base,
+                modes: event.modes
+            });
+        }
+        this.updateDisplay();
+    }
+
     // Initialize calculator components
     initializeCalculator() {
         this.loadSettings();
         this.initializeUI();
         this.bindEvents();
         this.applyTheme();
+        this.applyCalculatorMode();
         this.updateDisplay();
     }
 
@@ -62,6 +100,72 @@ class ScientificCalculator {
         this.soundEnabled = settings.soundEnabled !== false;
         this.theme = settings.theme || 'dark';
         
+        // Programmer mode settings
+        this.mode = settings.mode || CALCULATOR_MODES.SCIENTIFIC;
+        this.base = settings.base in BASES ? settings.base : 'DEC';
+        this.wordSize = settings.wordSize || 64;
+        this.signed = settings.signed !== false;
+        
+        // Decimal, complex and fraction arithmetic settings
+        this.decimal = settings.decimal === true;
+        this.complexFormat = Object.values(COMPLEX_FORMATS).includes(settings.complexFormat) ? settings.complexFormat : null;
+        this.fractionFormat = Object.values(FRACTION_FORMATS).includes(settings.fractionFormat) ? settings.fractionFormat : null;
+        
+        // Unit conversion panel
+        this.unitPanelOpen = settings.unitPanelOpen === true;
+        this.unitCategory = settings.unitCategory in UNIT_CATALOG ? settings.unitCategory : 'length';
+        
+        // Graphing panel
+        this.graphPanelOpen = settings.graphPanelOpen === true;
+        
+        // Equation solver panel
+        this.solvePanelOpen = settings.solvePanelOpen === true;
+        
+        // Polynomial and linear system panel
+        this.equationPanelOpen = settings.equationPanelOpen === true;
+        
+        // Matrix panel
+        this.matrixPanelOpen = settings.matrixPanelOpen === true;
+        
+        // Vector panel
+        this.vectorPanelOpen = settings.vectorPanelOpen === true;
+        
+        // Calculus panel
+        this.calculusPanelOpen = settings.calculusPanelOpen === true;
+        
+        // Financial worksheet
+        this.financePanelOpen = settings.financePanelOpen === true;
+        
+        // Date and time panel
+        this.datePanelOpen = settings.datePanelOpen === true;
+        
+        // Currency converter
+        this.currencyPanelOpen = settings.currencyPanelOpen === true;
+        if (Number.isInteger(settings.decimalPlaces)) {
+            try {
+                setDecimalPlaces(settings.decimalPlaces);
+            } catch (error) {
+                console.warn('Ignoring invalid decimal places setting:', settings.decimalPlaces);
+            }
+        }
+        
+        // Tax rate of the tax-inclusive and tax-exclusive keys
+        if (settings.taxRate !== undefined) {
+            try {
+                this.engine.setTaxRate(settings.taxRate);
+            } catch (error) {
+                console.warn('Ignoring invalid tax rate setting:', settings.taxRate);
+            }
+        }
+        
+        // Number of calculations kept in history; 0 keeps every calculation
+        try {
+            historyOperations.setSize(settings.historySize ?? DEFAULT_HISTORY_SIZE);
+        } catch (error) {
+            console.warn('Ignoring invalid history size setting:', settings.historySize);
+            historyOperations.setSize(DEFAULT_HISTORY_SIZE);
+        }
+        
         // Set global sound flag
         window.soundEnabled = this.soundEnabled;
     }
@@ -71,7 +175,28 @@ class ScientificCalculator {
         storeData('calculatorSettings', {
             angleMode: this.angleMode,
             soundEnabled: this.soundEnabled,
-            theme: this.theme
+            theme: this.theme,
+            mode: this.mode,
+            base: this.base,
+            wordSize: this.wordSize,
+            signed: this.signed,
+            decimal: this.decimal,
+            decimalPlaces: PRECISION.DECIMAL_PLACES,
+            complexFormat: this.complexFormat,
+            fractionFormat: this.fractionFormat,
+            taxRate: this.taxRate,
+            historySize: historyOperations.getSize(),
+            unitPanelOpen: this.unitPanelOpen,
+            unitCategory: this.unitCategory,
+            graphPanelOpen: this.graphPanelOpen,
+            solvePanelOpen: this.solvePanelOpen,
+            equationPanelOpen: this.equationPanelOpen,
+            matrixPanelOpen: this.matrixPanelOpen,
+            vectorPanelOpen: this.vectorPanelOpen,
+            calculusPanelOpen: this.calculusPanelOpen,
+            financePanelOpen: this.financePanelOpen,
+            datePanelOpen: this.datePanelOpen,
+            currencyPanelOpen: this.currencyPanelOpen
         });
     }
 
@@ -81,6 +206,18 @@ class ScientificCalculator {
         this.expressionElement = document.getElementById('expressionDisplay');
         this.errorToast = document.getElementById('errorToast');
         this.loadingIndicator = document.getElementById('loadingIndicator');
+        this.programmerPanel = document.getElementById('programmerPanel');
+        this.unitPanel = document.getElementById('unitPanel');
+        this.statsPanel = document.getElementById('statsPanel');
+        this.graphPanel = document.getElementById('graphPanel');
+        this.solvePanel = document.getElementById('solvePanel');
+        this.equationPanel = document.getElementById('equationPanel');
+        this.matrixPanel = document.getElementById('matrixPanel');
+        this.vectorPanel = document.getElementById('vectorPanel');
+        this.calculusPanel = document.getElementById('calculusPanel');
+        this.financePanel = document.getElementById('financePanel');
+        this.datePanel = document.getElementById('datePanel');
+        this.currencyPanel = document.getElementById('currencyPanel');
         
         // Update mode display
         const angleModeBtn = document.getElementById('angleMode');
@@ -99,6 +236,59 @@ class ScientificCalculator {
         if (themeToggle) {
             themeToggle.textContent = this.theme === 'dark' ? '🌙' : '☀️';
         }
+        
+        // Update decimal arithmetic controls
+        const decimalModeBtn = document.getElementById('decimalMode');
+        if (decimalModeBtn) {
+            decimalModeBtn.classList.toggle('active', this.decimal);
+        }
+        
+        const decimalPlacesSelect = document.getElementById('decimalPlaces');
+        if (decimalPlacesSelect) {
+            decimalPlacesSelect.value = String(PRECISION.DECIMAL_PLACES);
+        }
+        
+        const taxRateInput = document.getElementById('taxRate');
+        if (taxRateInput) {
+            taxRateInput.value = String(this.taxRate);
+        }
+        
+        // Update programmer mode controls
+        const wordSizeSelect = document.getElementById('wordSize');
+        if (wordSizeSelect) {
+            wordSizeSelect.value = String(this.wordSize);
+        }
+        
+        const signedToggle = document.getElementById('signedToggle');
+        if (signedToggle) {
+            signedToggle.textContent = this.signed ? 'SIGNED' : 'UNSIGNED';
+        }
+        
+        // Fill the unit conversion selects
+        this.populateUnitCategories();
+        this.updateUnitPanel();
+        
+        // Graphs follow the calculator's angle mode
+        graphOperations.setAngleMode(this.angleMode);
+        this.updateGraphPanel();
+        this.updateSolvePanel();
+        this.updateEquationPanel();
+        this.updateMatrixPanel();
+        this.updateVectorPanel();
+        this.updateCalculusPanel();
+        this.updateFinancePanel();
+        this.updateDatePanel();
+        this.populateCurrencyOptions();
+        this.updateCurrencyPanel();
+        
+        // List the regression models
+        const regressionModelSelect = document.getElementById('regressionModel');
+        if (regressionModelSelect) {
+            const model = regressionOperations.getModel();
+            regressionModelSelect.replaceChildren(...Object.entries(REGRESSION_MODELS).map(([key, definition]) => {
+                return new Option(`${definition.name}  ${definition.equation}`, key, false, key === model);
+            }));
+        }
     }
 
     // Bind all event listeners
@@ -145,19 +335,51 @@ class ScientificCalculator {
     // Bind custom events
     bindCustomEvents() {
         document.addEventListener('historyItemSelected', (event) => {
-            const { expression, result } = event.detail;
+            const { result } = event.detail;
             
-            // Clear current state first
-            this.expression = '';
-            this.currentInput = formatNumber(result);
-            this.isNewNumber = true;
-            this.waitingForNewInput = false;
-            this.lastOperation = null;
-            
-            // Set the result as the current input for further calculations
-            this.updateDisplay();
+            try {
+                // Dates go back to the date panel as the start date
+                if (typeof result === 'object' && result !== null && 'date' in result) {
+                    dateOperations.setFrom(result.date);
+                    this.datePanelOpen = true;
+                    this.updateDatePanel();
+                    return;
+                }
+                
+                // Set the result as the current input for further calculations
+                this.engine.loadValue(result);
+                playSound('success');
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+        
+        // The edit button of a history item brings back the whole expression
+        document.addEventListener('historyExpressionSelected', (event) => {
+            this.loadExpression(event.detail);
+        });
+        
+        // Statistics recalled from the statistics panel
+        document.addEventListener('statisticSelected', (event) => {
+            this.engine.loadValue(event.detail.value);
             playSound('success');
         });
+        
+        document.addEventListener('equationSolutionSelected', (event) => {
+            this.loadSolution(event.detail.value);
+        });
+        
+        document.addEventListener('matrixValueSelected', (event) => {
+            this.loadSolution(event.detail.value);
+        });
+        
+        document.addEventListener('financeValueSelected', (event) => {
+            this.loadSolution(event.detail.value);
+        });
+        
+        document.addEventListener('dateValueSelected', (event) => {
+            this.loadSolution(event.detail.value);
+        });
     }
 
     // Bind UI control events
@@ -185,634 +407,1688 @@ class ScientificCalculator {
                 this.toggleTheme();
             });
         }
-    }
-
-    /**
-     * Handle button click actions
-     * @param {string} action - Button action identifier
-     */
-    handleButtonClick(action) {
-        try {
-            if (this.isNumeric(action)) {
-                this.inputNumber(action);
-            } else if (this.isOperator(action)) {
-                this.inputOperator(action);
-            } else {
-                this.handleSpecialAction(action);
-            }
-        } catch (error) {
-            this.showError(error.message);
+        
+        // Exact decimal arithmetic toggle and precision
+        const decimalModeBtn = document.getElementById('decimalMode');
+        if (decimalModeBtn) {
+            decimalModeBtn.addEventListener('click', () => {
+                this.toggleDecimalMode();
+            });
         }
-    }
-
-    /**
-     * Handle keyboard input
-     * @param {KeyboardEvent} event - Keyboard event
-     */
-    handleKeyboardInput(event) {
-        // Prevent default for handled keys
-        const handledKeys = [
-            'Enter', 'Escape', 'Backspace', 'Delete',
-            '+', '-', '*', '/', '=', '.',
-            '(', ')', '%'
-        ];
         
-        if (handledKeys.includes(event.key) || /^[0-9]$/.test(event.key)) {
-            event.preventDefault();
+        const decimalPlacesSelect = document.getElementById('decimalPlaces');
+        if (decimalPlacesSelect) {
+            decimalPlacesSelect.addEventListener('change', () => {
+                this.setDecimalPlaces(Number(decimalPlacesSelect.value));
+            });
         }
         
-        try {
-            if (/^[0-9]$/.test(event.key)) {
-                this.inputNumber(event.key);
-            } else if (event.key === '.') {
-                this.inputNumber('.');
-            } else if (event.key === '+') {
-                this.inputOperator('+');
-            } else if (event.key === '-') {
-                this.inputOperator('-');
-            } else if (event.key === '*') {
-                this.inputOperator('×');
-            } else if (event.key === '/') {
-                this.inputOperator('÷');
-            } else if (event.key === 'Enter' || event.key === '=') {
-                this.calculate();
-            } else if (event.key === 'Escape') {
-                this.clearAll();
-            } else if (event.key === 'Backspace') {
-                this.backspace();
-            } else if (event.key === 'Delete') {
-                this.clearEntry();
-            } else if (event.key === '(') {
-                this.inputOperator('(');
-            } else if (event.key === ')') {
-                this.inputOperator(')');
-            } else if (event.key === '%') {
-                this.handleSpecialAction('percent');
-            }
-            
-            playSound('click');
-        } catch (error) {
-            this.showError(error.message);
+        const historySizeSelect = document.getElementById('historySize');
+        if (historySizeSelect) {
+            historySizeSelect.addEventListener('change', () => {
+                this.setHistorySize(Number(historySizeSelect.value));
+            });
         }
-    }
-
-    /**
-     * Handle special button actions
-     * @param {string} action - Special action identifier
-     */
-    handleSpecialAction(action) {
-        switch (action) {
-            case '=':
-                this.calculate();
-                break;
-            case 'clear-all':
-                this.clearAll();
-                break;
-            case 'clear-entry':
-                this.clearEntry();
-                break;
-            case 'backspace':
-                this.backspace();
-                break;
-            case 'copy':
-                this.copyResult();
-                break;
-            case 'history':
-                historyOperations.toggle();
-                break;
-                
-            // Memory operations
-            case 'ms':
-                memoryOperations.store(parseFloat(this.currentInput));
-
-                // Reset display and input after storing
-                this.currentInput = '0';
-                this.expression = '';
-                this.isNewNumber = true;
-                this.updateDisplay();
-                break;
-            case 'mr':
-                this.currentInput = formatNumber(memoryOperations.recall());
-                this.isNewNumber = true;
-                this.updateDisplay();
-                break;
-            case 'mc':
-                memoryOperations.clear();
-                break;
-            case 'm-add':
-                memoryOperations.add(parseFloat(this.currentInput));
-                break;
-            case 'm-subtract':
-                memoryOperations.subtract(parseFloat(this.currentInput));
-                break;
-                
-            // Mathematical functions
-            case 'sin':
-                this.calculateTrigFunction('sin');
-                break;
-            case 'cos':
-                this.calculateTrigFunction('cos');
-                break;
-            case 'tan':
-                this.calculateTrigFunction('tan');
-                break;
-            case 'asin':
-                this.calculateInverseTrigFunction('asin');
-                break;
-            case 'acos':
-                this.calculateInverseTrigFunction('acos');
-                break;
-            case 'atan':
-                this.calculateInverseTrigFunction('atan');
-                break;
-            case 'log':
-                this.calculateLogarithm('log10');
-                break;
-            case 'ln':
-                this.calculateLogarithm('log');
-                break;
-            case 'sqrt':
-                this.calculateRoot('sqrt');
-                break;
-            case 'cbrt':
-                this.calculateRoot('cbrt');
-                break;
-            case 'square':
-                this.calculatePower(2);
-                break;
-            case 'cube':
-                this.calculatePower(3);
-                break;
-            case 'power':
-                this.inputOperator('^');
-                break;
-            case 'factorial':
-                this.calculateFactorial();
-                break;
-            case 'percent':
-                this.calculatePercent();
-                break;
-            case 'random':
-                this.generateRandom();
-                break;
-                
-            // Constants
-            case 'pi':
-                this.inputConstant(CONSTANTS.PI);
-                break;
-            case 'e':
-                this.inputConstant(CONSTANTS.E);
-                break;
-                
-            default:
-                console.warn('Unknown action:', action);
+        
+        const taxRateInput = document.getElementById('taxRate');
+        if (taxRateInput) {
+            taxRateInput.addEventListener('change', () => {
+                this.setTaxRate(taxRateInput.value.trim() === '' ? NaN : Number(taxRateInput.value));
+                taxRateInput.value = String(this.taxRate);
+            });
         }
-    }
-
-    /**
-     * Input a number or decimal point
-     * @param {string} value - Number or decimal point
-     */
-    inputNumber(value) {
-        if (value === '.') {
-            if (this.currentInput.includes('.')) return;
-            if (this.isNewNumber) {
-                this.currentInput = '0.';
-                this.isNewNumber = false;
-            } else {
-                this.currentInput += '.';
-            }
-        } else {
-            if (this.isNewNumber || this.currentInput === '0') {
-                this.currentInput = value;
-                this.isNewNumber = false;
-            } else {
-                this.currentInput += value;
-            }
+        
+        // Complex result format toggle
+        const complexModeBtn = document.getElementById('complexMode');
+        if (complexModeBtn) {
+            complexModeBtn.addEventListener('click', () => {
+                this.toggleComplexFormat();
+            });
         }
         
-        // Reset waitingForNewInput when user starts entering a new number
-        if (this.waitingForNewInput) {
-            this.waitingForNewInput = false;
+        // Scientific / programmer mode toggle
+        const programmerModeBtn = document.getElementById('programmerMode');
+        if (programmerModeBtn) {
+            programmerModeBtn.addEventListener('click', () => {
+                this.toggleCalculatorMode();
+            });
         }
         
-        this.updateDisplay();
-        this.updateExpressionDisplay();
-    }
-
-    inputOperator(operator) {
-        // Special handling for opening parenthesis
-        if (operator === '(') {
-            // If we're at the initial state (display shows '0'), start fresh
-            if (this.currentInput === '0' && this.expression === '' && this.isNewNumber) {
-                this.expression = '( ';
-                this.isNewNumber = true;
-                this.waitingForNewInput = false;
-            } else if (this.waitingForNewInput) {
-                // Replace trailing operator if waiting for input
-                this.expression = this.expression.replace(/[+\-×÷^]+$/, '') + ` ${operator} `;
-            } else {
-                // Add current input and then the opening parenthesis
-                this.expression += ` ${this.currentInput} ${operator} `;
-                this.isNewNumber = true;
-                this.waitingForNewInput = false;
-            }
-        } else if (operator === ')') {
-            // Handle closing parenthesis - always include current input
-            if (!this.waitingForNewInput) {
-                this.expression += this.currentInput + ' ) ';
-            } else {
-                // If waiting for input, just add the closing parenthesis
-                this.expression = this.expression.trim() + ' ) ';
-            }
-            this.isNewNumber = true;
-            this.waitingForNewInput = true;
-        } else {
-            // Handle regular operators
-            if (this.waitingForNewInput) {
-                this.expression = this.expression.replace(/[+\-×÷^]+$/, '') + ` ${operator} `;
-            } else {
-                this.expression += ` ${this.currentInput} ${operator} `;
-            }
-            this.isNewNumber = true;
-            this.waitingForNewInput = true;
+        // Statistics mode toggle and data list controls
+        const statisticsModeBtn = document.getElementById('statisticsMode');
+        if (statisticsModeBtn) {
+            statisticsModeBtn.addEventListener('click', () => {
+                this.toggleStatisticsMode();
+            });
         }
         
-        this.lastOperation = operator;
-        this.updateDisplay();
-        this.updateExpressionDisplay();
+        const statsAddValueBtn = document.getElementById('statsAddValue');
+        if (statsAddValueBtn) {
+            statsAddValueBtn.addEventListener('click', () => {
+                this.addStatisticsValue();
+            });
+        }
+        
+        const statsPasteBtn = document.getElementById('statsPaste');
+        if (statsPasteBtn) {
+            statsPasteBtn.addEventListener('click', () => {
+                this.pasteStatisticsData();
+            });
+        }
+        
+        const statsClearBtn = document.getElementById('statsClear');
+        if (statsClearBtn) {
+            statsClearBtn.addEventListener('click', () => {
+                statisticsOperations.clear();
+                playSound('click');
+            });
+        }
+        
+        if (this.statsPanel) {
+            // Pasting a column anywhere in the panel imports it; single values still paste into a cell.
+            // Pastes into the paired data table go to the regression data list.
+            this.statsPanel.addEventListener('paste', (event) => {
+                const text = event.clipboardData ? event.clipboardData.getData('text') : '';
+                if (text.includes('\n') || event.target.tagName !== 'INPUT') {
+                    event.preventDefault();
+                    if (event.target.closest('#regressionData')) {
+                        this.importRegressionData(text);
+                    } else {
+                        this.importStatisticsData(text);
+                    }
+                }
+            });
+        }
+        
+        // Paired data list, curve fitting and estimation
+        const regressionAddPointBtn = document.getElementById('regressionAddPoint');
+        if (regressionAddPointBtn) {
+            regressionAddPointBtn.addEventListener('click', () => {
+                this.addRegressionPoint();
+            });
+        }
+        
+        const regressionPasteBtn = document.getElementById('regressionPaste');
+        if (regressionPasteBtn) {
+            regressionPasteBtn.addEventListener('click', () => {
+                this.pasteRegressionData();
+            });
+        }
+        
+        const regressionClearBtn = document.getElementById('regressionClear');
+        if (regressionClearBtn) {
+            regressionClearBtn.addEventListener('click', () => {
+                regressionOperations.clear();
+                playSound('click');
+            });
+        }
+        
+        const regressionModelSelect = document.getElementById('regressionModel');
+        if (regressionModelSelect) {
+            regressionModelSelect.addEventListener('change', (event) => {
+                regressionOperations.setModel(event.target.value);
+            });
+        }
+        
+        const regressionFitBtn = document.getElementById('regressionFit');
+        if (regressionFitBtn) {
+            regressionFitBtn.addEventListener('click', () => {
+                this.fitRegression();
+            });
+        }
+        
+        const regressionPredictYBtn = document.getElementById('regressionPredictY');
+        if (regressionPredictYBtn) {
+            regressionPredictYBtn.addEventListener('click', () => {
+                this.predictRegression('y');
+            });
+        }
+        
+        const regressionPredictXBtn = document.getElementById('regressionPredictX');
+        if (regressionPredictXBtn) {
+            regressionPredictXBtn.addEventListener('click', () => {
+                this.predictRegression('x');
+            });
+        }
+        
+        // Graphing panel: function entry, window and export
+        const graphModeBtn = document.getElementById('graphMode');
+        if (graphModeBtn) {
+            graphModeBtn.addEventListener('click', () => {
+                this.toggleGraphPanel();
+            });
+        }
+        
+        const graphAddBtn = document.getElementById('graphAdd');
+        if (graphAddBtn) {
+            graphAddBtn.addEventListener('click', () => {
+                this.addGraphFunction();
+            });
+        }
+        
+        const graphInput = document.getElementById('graphInput');
+        if (graphInput) {
+            graphInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.addGraphFunction();
+                }
+            });
+        }
+        
+        const graphClearBtn = document.getElementById('graphClear');
+        if (graphClearBtn) {
+            graphClearBtn.addEventListener('click', () => {
+                graphOperations.clear();
+                playSound('click');
+            });
+        }
+        
+        const graphZoomInBtn = document.getElementById('graphZoomIn');
+        if (graphZoomInBtn) {
+            graphZoomInBtn.addEventListener('click', () => {
+                graphOperations.zoom(0.5);
+            });
+        }
+        
+        const graphZoomOutBtn = document.getElementById('graphZoomOut');
+        if (graphZoomOutBtn) {
+            graphZoomOutBtn.addEventListener('click', () => {
+                graphOperations.zoom(2);
+            });
+        }
+        
+        const graphResetBtn = document.getElementById('graphReset');
+        if (graphResetBtn) {
+            graphResetBtn.addEventListener('click', () => {
+                graphOperations.resetView();
+                playSound('click');
+            });
+        }
+        
+        const graphExportPngBtn = document.getElementById('graphExportPng');
+        if (graphExportPngBtn) {
+            graphExportPngBtn.addEventListener('click', () => {
+                this.exportGraph('png');
+            });
+        }
+        
+        const graphExportSvgBtn = document.getElementById('graphExportSvg');
+        if (graphExportSvgBtn) {
+            graphExportSvgBtn.addEventListener('click', () => {
+                this.exportGraph('svg');
+            });
+        }
+        
+        // Equation solver panel
+        const solveModeBtn = document.getElementById('solveMode');
+        if (solveModeBtn) {
+            solveModeBtn.addEventListener('click', () => {
+                this.toggleSolvePanel();
+            });
+        }
+        
+        const solveRunBtn = document.getElementById('solveRun');
+        if (solveRunBtn) {
+            solveRunBtn.addEventListener('click', () => {
+                this.solveEquation();
+            });
+        }
+        
+        ['solveEquation', 'solveStart'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') {
+                        event.preventDefault();
+                        this.solveEquation();
+                    }
+                });
+            }
+        });
+        
+        // Polynomial and linear system panel
+        const equationModeBtn = document.getElementById('equationMode');
+        if (equationModeBtn) {
+            equationModeBtn.addEventListener('click', () => {
+                this.toggleEquationPanel();
+            });
+        }
+        
+        const equationSolveBtn = document.getElementById('equationSolve');
+        if (equationSolveBtn) {
+            equationSolveBtn.addEventListener('click', () => {
+                this.solveEquationGrid();
+            });
+        }
+        
+        // Matrix panel: insert, store, clear and the matrix operations
+        const matrixModeBtn = document.getElementById('matrixMode');
+        if (matrixModeBtn) {
+            matrixModeBtn.addEventListener('click', () => {
+                this.toggleMatrixPanel();
+            });
+        }
+        
+        const matrixInsertBtn = document.getElementById('matrixInsert');
+        if (matrixInsertBtn) {
+            matrixInsertBtn.addEventListener('click', () => {
+                this.engine.inputName(matrixOperations.getSelected());
+                playSound('click');
+            });
+        }
+        
+        const matrixStoreBtn = document.getElementById('matrixStore');
+        if (matrixStoreBtn) {
+            matrixStoreBtn.addEventListener('click', () => {
+                this.storeMatrixResult();
+            });
+        }
+        
+        const matrixClearBtn = document.getElementById('matrixClear');
+        if (matrixClearBtn) {
+            matrixClearBtn.addEventListener('click', () => {
+                matrixOperations.clear(matrixOperations.getSelected());
+                playSound('click');
+            });
+        }
+        
+        const matrixOperationsRow = document.getElementById('matrixOperations');
+        if (matrixOperationsRow) {
+            matrixOperationsRow.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-matrix-op]');
+                if (button) {
+                    this.applyMatrixOperation(button.dataset.matrixOp);
+                }
+            });
+        }
+        
+        // Vector panel: insert, store, clear and the vector operations
+        const vectorModeBtn = document.getElementById('vectorMode');
+        if (vectorModeBtn) {
+            vectorModeBtn.addEventListener('click', () => {
+                this.toggleVectorPanel();
+            });
+        }
+        
+        const vectorInsertBtn = document.getElementById('vectorInsert');
+        if (vectorInsertBtn) {
+            vectorInsertBtn.addEventListener('click', () => {
+                this.engine.inputName(vectorOperations.getSelected());
+                playSound('click');
+            });
+        }
+        
+        const vectorStoreBtn = document.getElementById('vectorStore');
+        if (vectorStoreBtn) {
+            vectorStoreBtn.addEventListener('click', () => {
+                this.storeVectorResult();
+            });
+        }
+        
+        const vectorClearBtn = document.getElementById('vectorClear');
+        if (vectorClearBtn) {
+            vectorClearBtn.addEventListener('click', () => {
+                vectorOperations.clear(vectorOperations.getSelected());
+                playSound('click');
+            });
+        }
+        
+        const vectorOperationsRow = document.getElementById('vectorOperations');
+        if (vectorOperationsRow) {
+            vectorOperationsRow.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-vector-op]');
+                if (button) {
+                    this.applyVectorOperation(button.dataset.vectorOp);
+                }
+            });
+        }
+        
+        // Financial worksheet: CPT keys, amortization, cash flows and interest
+        const financeModeBtn = document.getElementById('financeMode');
+        if (financeModeBtn) {
+            financeModeBtn.addEventListener('click', () => {
+                this.toggleFinancePanel();
+            });
+        }
+        
+        const financeTvmTable = document.getElementById('financeTvm');
+        if (financeTvmTable) {
+            financeTvmTable.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-compute]');
+                if (button) {
+                    this.runPanelOperation(() => financeOperations.compute(button.dataset.compute));
+                }
+            });
+        }
+        
+        const financeActions = {
+            financeAmortize: () => financeOperations.amortize(),
+            financeExport: () => financeOperations.exportSchedule(),
+            financeAddFlow: () => this.addCashFlow(),
+            financeClearFlows: () => financeOperations.clearCashFlows(),
+            financeNpv: () => financeOperations.npv(this.readNumberInput('financeDiscountRate')),
+            financeIrr: () => financeOperations.irr(),
+            financeSimple: () => this.computeInterest('simple'),
+            financeCompound: () => this.computeInterest('compound')
+        };
+        Object.entries(financeActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.runPanelOperation(action);
+                });
+            }
+        });
+        
+        // Date and time panel: date arithmetic, and the time separator and DMS keys
+        const dateModeBtn = document.getElementById('dateMode');
+        if (dateModeBtn) {
+            dateModeBtn.addEventListener('click', () => {
+                this.toggleDatePanel();
+            });
+        }
+        
+        const dateActions = {
+            dateDifference: () => dateOperations.difference(),
+            dateAdd: () => this.addDateDuration(1),
+            dateSubtract: () => this.addDateDuration(-1)
+        };
+        Object.entries(dateActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.runPanelOperation(action);
+                });
+            }
+        });
+        
+        const dateKeysRow = document.getElementById('dateKeys');
+        if (dateKeysRow) {
+            dateKeysRow.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-action]');
+                if (button) {
+                    this.handleButtonClick(button.dataset.action);
+                    playSound('click');
+                }
+            });
+        }
+        
+        // Currency panel: converting, and editing or importing the rate table
+        const currencyModeBtn = document.getElementById('currencyMode');
+        if (currencyModeBtn) {
+            currencyModeBtn.addEventListener('click', () => {
+                this.toggleCurrencyPanel();
+            });
+        }
+        
+        const currencyActions = {
+            currencyConvert: () => this.convertCurrency(),
+            currencyAdd: () => this.addCurrencyRate()
+        };
+        Object.entries(currencyActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.runPanelOperation(action);
+                });
+            }
+        });
+        
+        const currencyImportInput = document.getElementById('currencyImport');
+        if (currencyImportInput) {
+            currencyImportInput.addEventListener('change', () => {
+                const [file] = currencyImportInput.files;
+                if (file) {
+                    this.importCurrencyRates(file);
+                }
+                currencyImportInput.value = '';
+            });
+        }
+        
+        // New, removed or rebased rates change the currency units
+        currencyOperations.subscribe(() => {
+            this.populateCurrencyOptions();
+            this.populateUnitCategories();
+        });
+        
+        // Calculus panel: construct templates and evaluation
+        const calculusModeBtn = document.getElementById('calculusMode');
+        if (calculusModeBtn) {
+            calculusModeBtn.addEventListener('click', () => {
+                this.toggleCalculusPanel();
+            });
+        }
+        
+        const calculusTemplatesRow = document.getElementById('calculusTemplates');
+        if (calculusTemplatesRow) {
+            calculusTemplatesRow.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-calculus-template]');
+                if (button) {
+                    this.insertCalculusTemplate(button.dataset.calculusTemplate);
+                }
+            });
+        }
+        
+        const calculusRunBtn = document.getElementById('calculusRun');
+        if (calculusRunBtn) {
+            calculusRunBtn.addEventListener('click', () => {
+                this.evaluateCalculus();
+            });
+        }
+        
+        const calculusInput = document.getElementById('calculusExpression');
+        if (calculusInput) {
+            calculusInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.evaluateCalculus();
+                }
+            });
+        }
+        
+        // Unit conversion panel: category, from/to units, tagging and converting
+        const unitModeBtn = document.getElementById('unitMode');
+        if (unitModeBtn) {
+            unitModeBtn.addEventListener('click', () => {
+                this.toggleUnitPanel();
+            });
+        }
+        
+        const unitCategorySelect = document.getElementById('unitCategory');
+        if (unitCategorySelect) {
+            unitCategorySelect.addEventListener('change', () => {
+                this.setUnitCategory(unitCategorySelect.value);
+            });
+        }
+        
+        const unitTagBtn = document.getElementById('unitTag');
+        if (unitTagBtn) {
+            unitTagBtn.addEventListener('click', () => {
+                this.tagUnit();
+            });
+        }
+        
+        const unitConvertBtn = document.getElementById('unitConvert');
+        if (unitConvertBtn) {
+            unitConvertBtn.addEventListener('click', () => {
+                this.convertUnits();
+            });
+        }
+        
+        // Programmer panel: base selection, word size and signedness
+        if (this.programmerPanel) {
+            this.programmerPanel.addEventListener('click', (event) => {
+                const row = event.target.closest('[data-base]');
+                if (row) {
+                    this.setBase(row.dataset.base);
+                }
+            });
+        }
+        
+        const wordSizeSelect = document.getElementById('wordSize');
+        if (wordSizeSelect) {
+            wordSizeSelect.addEventListener('change', () => {
+                this.setWordSize(Number(wordSizeSelect.value));
+            });
+        }
+        
+        const signedToggle = document.getElementById('signedToggle');
+        if (signedToggle) {
+            signedToggle.addEventListener('click', () => {
+                this.toggleSigned();
+            });
+        }
+    }
+
+    /**
+     * Handle button click actions
+     * @param {string} action - Button action identifier
+     */
+    handleButtonClick(action) {
+        try {
+            if (this.isNumeric(action)) {
+                this.inputNumber(action);
+            } else if (this.isOperator(action)) {
+                this.inputOperator(action);
+            } else {
+                this.handleSpecialAction(action);
+            }
+        } catch (error) {
+            this.showError(error.message, error.position);
+        }
+    }
+
+    /**
+     * Handle keyboard input
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyboardInput(event) {
+        // Typing into panel fields (data lists, graph functions) is not calculator input
+        if (event.target && event.target.closest && event.target.closest('input, select, textarea')) {
+            return;
+        }
+        
+        // Prevent default for handled keys
+        const handledKeys = [
+            'Enter', 'Escape', 'Backspace', 'Delete',
+            '+', '-', '*', '/', '=', '.',
+            '(', ')', '%', ':'
+        ];
+        
+        if (handledKeys.includes(event.key) || /^[0-9]$/.test(event.key)) {
+            event.preventDefault();
+        }
+        
+        // Hex digits are typed as letters in programmer mode
+        const hexDigit = this.mode === CALCULATOR_MODES.PROGRAMMER && /^[a-fA-F]$/.test(event.key);
+        if (hexDigit) {
+            event.preventDefault();
+        }
+        
+        try {
+            if (/^[0-9]$/.test(event.key)) {
+                this.inputNumber(event.key);
+            } else if (hexDigit) {
+                this.inputNumber(event.key.toUpperCase());
+            } else if (event.key === '.') {
+                this.inputNumber('.');
+            } else if (event.key === '+') {
+                this.inputOperator('+');
+            } else if (event.key === '-') {
+                this.inputOperator('-');
+            } else if (event.key === '*') {
+                this.inputOperator('×');
+            } else if (event.key === '/') {
+                this.inputOperator('÷');
+            } else if (event.key === 'Enter' || event.key === '=') {
+                this.calculate();
+            } else if (event.key === 'Escape') {
+                this.clearAll();
+            } else if (event.key === 'Backspace') {
+                this.backspace();
+            } else if (event.key === 'Delete') {
+                this.clearEntry();
+            } else if (event.key === '(') {
+                this.inputOperator('(');
+            } else if (event.key === ')') {
+                this.inputOperator(')');
+            } else if (event.key === '%') {
+                this.handleSpecialAction('percent');
+            } else if (event.key === ':') {
+                this.handleSpecialAction(':');
+            } else if (event.key === 'i' && this.mode !== CALCULATOR_MODES.PROGRAMMER) {
+                this.handleSpecialAction('i');
+            }
+            
+            playSound('click');
+        } catch (error) {
+            this.showError(error.message, error.position);
+        }
+    }
+
+    /**
+     * Handle special button actions
+     * @param {string} action - Special action identifier
+     */
+    handleSpecialAction(action) {
+        switch (action) {
+            case '=':
+                this.calculate();
+                break;
+            case 'copy':
+                this.copyResult();
+                break;
+            case 'history':
+                historyOperations.toggle();
+                break;
+            case 'fraction':
+            case 's-d':
+                // Both keys may switch fraction arithmetic on or change its display format
+                this.engine.input(action);
+                this.saveSettings();
+                break;
+            default:
+                this.engine.input(action);
+        }
+    }
+
+    /**
+     * Input a number or decimal point
+     * @param {string} value - Number or decimal point
+     */
+    inputNumber(value) {
+        this.engine.inputNumber(value);
+    }
+
+    /**
+     * Input an operator or parenthesis
+     * @param {string} operator - Operator symbol
+     */
+    inputOperator(operator) {
+        this.engine.inputOperator(operator);
+    }
+
+    /**
+     * Insert a function token such as `sin(` into the expression
+     * @param {string} name - Function name as written in the expression
+     */
+    inputFunction(name) {
+        this.engine.inputFunction(name);
+    }
+
+    /**
+     * Append a postfix operator (², ³, !) to the current operand
+     * @param {string} operator - Postfix operator
+     */
+    inputPostfix(operator) {
+        this.engine.inputPostfix(operator);
+    }
+
+    /**
+     * Input a mathematical constant
+     * @param {number} value - Constant value
+     */
+    inputConstant(value) {
+        this.engine.inputConstant(value);
+    }
+
+    // Perform calculation
+    calculate() {
+        try {
+            // Parse up front so syntax errors are reported with their position
+            const prepared = this.engine.prepareCalculation();
+            
+            // Show loading for complex calculations
+            this.showLoading();
+            
+            // Calculate result with delay for smooth UX
+            setTimeout(() => {
+                try {
+                    this.engine.commitCalculation(prepared);
+                    playSound('success');
+                } catch (error) {
+                    this.showError(error.message, error.position);
+                } finally {
+                    this.hideLoading();
+                }
+            }, 100);
+            
+        } catch (error) {
+            this.hideLoading();
+            this.showError(error.message, error.position);
+        }
+    }
+
+    /**
+     * Evaluate mathematical expression
+     * @param {string|Object} expression - Expression source or parsed AST
+     * @returns {number} Calculation result
+     */
+    evaluateExpression(expression) {
+        return this.engine.evaluate(expression);
+    }
+
+    /**
+     * Calculate trigonometric function
+     * @param {string} func - Function name (sin, cos, tan)
+     */
+    calculateTrigFunction(func) {
+        const degrees = this.angleMode === ANGLE_MODES.DEGREES ? '°' : '';
+        this.engine.applyFunction(func, `${func}(${this.currentInput}${degrees})`);
+    }
+
+    /**
+     * Calculate inverse trigonometric function
+     * @param {string} func - Function name (asin, acos, atan)
+     */
+    calculateInverseTrigFunction(func) {
+        this.engine.applyFunction(func);
+    }
+
+    /**
+     * Calculate logarithm
+     * @param {string} base - Logarithm base (log10, log)
+     */
+    calculateLogarithm(base) {
+        this.engine.applyFunction(base === 'log10' ? 'log' : 'ln');
+    }
+
+    /**
+     * Calculate root function
+     * @param {string} type - Root type (sqrt, cbrt)
+     */
+    calculateRoot(type) {
+        this.engine.applyFunction(type === 'sqrt' ? '√' : '∛');
+    }
+
+    /**
+     * Calculate power function
+     * @param {number} exponent - Exponent value
+     */
+    calculatePower(exponent) {
+        this.engine.applyPower(exponent);
+    }
+
+    // Calculate factorial
+    calculateFactorial() {
+        this.engine.applyFactorial();
+    }
+
+    // Calculate percentage
+    calculatePercent() {
+        this.engine.applyPercent();
+    }
+
+    // Generate random number
+    generateRandom() {
+        this.engine.generateRandom();
+    }
+
+    // Clear all input and expression
+    clearAll() {
+        this.engine.clearAll();
+    }
+
+    // Clear current entry only
+    clearEntry() {
+        this.engine.clearEntry();
+    }
+
+    // Backspace last character
+    backspace() {
+        this.engine.backspace();
+    }
+
+    // Copy result to clipboard
+    async copyResult() {
+        try {
+            const success = await copyToClipboard(this.currentInput);
+            if (success) {
+                this.showSuccess('Result copied to clipboard');
+                playSound('success');
+            } else {
+                throw new Error('Copy failed');
+            }
+        } catch (error) {
+            this.showError('Failed to copy to clipboard');
+        }
+    }
+
+    // Toggle angle mode
+    toggleAngleMode() {
+        this.engine.toggleAngleMode();
+        graphOperations.setAngleMode(this.angleMode);
+        
+        const angleModeBtn = document.getElementById('angleMode');
+        if (angleModeBtn) {
+            angleModeBtn.textContent = this.angleMode;
+        }
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Show the angle mode and decimal arithmetic on their toggles after the engine changed them
+    updateModeControls() {
+        graphOperations.setAngleMode(this.angleMode);
+
+        const angleModeBtn = document.getElementById('angleMode');
+        if (angleModeBtn) {
+            angleModeBtn.textContent = this.angleMode;
+        }
+
+        const decimalModeBtn = document.getElementById('decimalMode');
+        if (decimalModeBtn) {
+            decimalModeBtn.classList.toggle('active', this.decimal);
+        }
+    }
+
+    // Toggle exact decimal arithmetic on/off
+    toggleDecimalMode() {
+        this.engine.setDecimalMode(!this.decimal);
+        
+        const decimalModeBtn = document.getElementById('decimalMode');
+        if (decimalModeBtn) {
+            decimalModeBtn.classList.toggle('active', this.decimal);
+        }
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    /**
+     * Set the number of decimal places results are rounded to
+     * @param {number} places - Decimal places
+     */
+    setDecimalPlaces(places) {
+        try {
+            this.engine.setDecimalPlaces(places);
+            this.saveSettings();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Set and save how many calculations history keeps
+     * @param {number} size - Number of calculations, or 0 to keep every calculation
+     */
+    setHistorySize(size) {
+        try {
+            historyOperations.setSize(size);
+            this.saveSettings();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Set and save the tax rate (%) used by TAX+ and TAX−
+     * @param {number} rate - Tax rate
+     */
+    setTaxRate(rate) {
+        try {
+            this.engine.setTaxRate(rate);
+            this.saveSettings();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Cycle complex results: off → rectangular (a+bi) → polar (r∠θ)
+    toggleComplexFormat() {
+        const formats = [null, COMPLEX_FORMATS.RECTANGULAR, COMPLEX_FORMATS.POLAR];
+        const next = formats[(formats.indexOf(this.complexFormat) + 1) % formats.length];
+        this.engine.setComplexFormat(next);
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Show the active complex format on its toggle
+    updateComplexToggle() {
+        const complexModeBtn = document.getElementById('complexMode');
+        if (complexModeBtn) {
+            complexModeBtn.textContent = COMPLEX_LABELS[this.complexFormat || 'off'];
+            complexModeBtn.classList.toggle('active', this.complexFormat !== null);
+        }
+    }
+
+    /**
+     * Load an expression from history into the editor, switching to the modes it was written in
+     * @param {Object} record - `{ tokens, base, modes }` from a history item
+     */
+    loadExpression({ tokens, base = null, modes = null }) {
+        try {
+            this.engine.loadExpression(tokens, base, modes);
+            this.applyCalculatorMode();
+            this.updateModeControls();
+            this.saveSettings();
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Toggle between scientific and programmer mode
+    toggleCalculatorMode() {
+        const mode = this.mode === CALCULATOR_MODES.PROGRAMMER
+            ? CALCULATOR_MODES.SCIENTIFIC
+            : CALCULATOR_MODES.PROGRAMMER;
+        this.engine.setMode(mode);
+        this.applyCalculatorMode();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    /**
+     * Select the programmer mode number base
+     * @param {string} base - Base name (HEX, DEC, OCT, BIN)
+     */
+    setBase(base) {
+        this.engine.setBase(base);
+        this.saveSettings();
+        playSound('click');
+    }
+
+    /**
+     * Select the programmer mode word size
+     * @param {number} wordSize - Word size in bits
+     */
+    setWordSize(wordSize) {
+        try {
+            this.engine.setWordSize(wordSize);
+            this.saveSettings();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Toggle signed/unsigned programmer arithmetic
+    toggleSigned() {
+        this.engine.setSigned(!this.signed);
+        
+        const signedToggle = document.getElementById('signedToggle');
+        if (signedToggle) {
+            signedToggle.textContent = this.signed ? 'SIGNED' : 'UNSIGNED';
+        }
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Toggle between scientific and statistics mode
+    toggleStatisticsMode() {
+        const mode = this.mode === CALCULATOR_MODES.STATISTICS
+            ? CALCULATOR_MODES.SCIENTIFIC
+            : CALCULATOR_MODES.STATISTICS;
+        this.engine.setMode(mode);
+        this.applyCalculatorMode();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Add the current value to the statistics data list with the entered frequency
+    addStatisticsValue() {
+        const frequencyInput = document.getElementById('statsFrequency');
+        const frequency = frequencyInput ? Number(frequencyInput.value) : 1;
+        
+        try {
+            statisticsOperations.add(Number(this.engine.getCurrentValue()), frequency);
+            this.engine.clearEntry();
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Append a pasted column of numbers to the statistics data list
+     * @param {string} text - Pasted text
+     */
+    importStatisticsData(text) {
+        try {
+            const count = statisticsOperations.import(text);
+            this.showSuccess(`Added ${count} values`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Read a column of numbers from the clipboard into the statistics data list
+    async pasteStatisticsData() {
+        try {
+            const count = await statisticsOperations.paste();
+            this.showSuccess(`Added ${count} values`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Add the point typed into the x and y fields to the paired data list
+    addRegressionPoint() {
+        const xInput = document.getElementById('regressionX');
+        const yInput = document.getElementById('regressionY');
+        if (!xInput || !yInput) return;
+        
+        try {
+            if (xInput.value === '' || yInput.value === '') {
+                throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+            }
+            regressionOperations.add(Number(xInput.value), Number(yInput.value));
+            xInput.value = '';
+            yInput.value = '';
+            xInput.focus();
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Append pasted x and y columns to the paired data list
+     * @param {string} text - Pasted text
+     */
+    importRegressionData(text) {
+        try {
+            const count = regressionOperations.import(text);
+            this.showSuccess(`Added ${count} points`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Read x and y columns from the clipboard into the paired data list
+    async pasteRegressionData() {
+        try {
+            const count = await regressionOperations.paste();
+            this.showSuccess(`Added ${count} points`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Fit the selected regression model; the fit is recorded in history
+    fitRegression() {
+        try {
+            regressionOperations.fit();
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Estimate ŷ from the displayed x, or x̂ from the displayed y, with the last fit
+     * @param {string} axis - 'y' to estimate ŷ, 'x' to estimate x̂
+     */
+    predictRegression(axis) {
+        try {
+            const value = Number(this.engine.getCurrentValue());
+            // A quadratic can give two x̂ values; the smaller one is shown
+            const estimate = axis === 'y'
+                ? regressionOperations.predictY(value)
+                : regressionOperations.predictX(value)[0];
+            this.engine.loadValue(estimate);
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Show or hide the graphing panel
+    toggleGraphPanel() {
+        this.graphPanelOpen = !this.graphPanelOpen;
+        this.updateGraphPanel();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the graphing panel state on the panel and its toggle
+    updateGraphPanel() {
+        if (this.graphPanel) {
+            this.graphPanel.hidden = !this.graphPanelOpen;
+        }
+        
+        const graphModeBtn = document.getElementById('graphMode');
+        if (graphModeBtn) {
+            graphModeBtn.classList.toggle('active', this.graphPanelOpen);
+        }
+        
+        // The canvas has no size while hidden, so draw once it is shown
+        if (this.graphPanelOpen) {
+            graphOperations.render();
+        }
+    }
+
+    // Plot the function typed into the graph input
+    addGraphFunction() {
+        const graphInput = document.getElementById('graphInput');
+        if (!graphInput) return;
+        
+        try {
+            graphOperations.add(graphInput.value);
+            graphInput.value = '';
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download the graph as an image
+     * @param {string} format - 'png' or 'svg'
+     */
+    async exportGraph(format) {
+        try {
+            if (format === 'svg') {
+                downloadFile(graphOperations.exportSVG(), 'graph.svg', 'image/svg+xml');
+            } else {
+                downloadFile(await graphOperations.exportPNG(), 'graph.png');
+            }
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Show or hide the equation solver panel
+    toggleSolvePanel() {
+        this.solvePanelOpen = !this.solvePanelOpen;
+        this.updateSolvePanel();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the equation solver panel state on the panel and its toggle
+    updateSolvePanel() {
+        if (this.solvePanel) {
+            this.solvePanel.hidden = !this.solvePanelOpen;
+        }
+        
+        const solveModeBtn = document.getElementById('solveMode');
+        if (solveModeBtn) {
+            solveModeBtn.classList.toggle('active', this.solvePanelOpen);
+        }
+    }
+
+    // Solve the typed equation from the typed guess or interval, or from the displayed value
+    solveEquation() {
+        const equationInput = document.getElementById('solveEquation');
+        const startInput = document.getElementById('solveStart');
+        const status = document.getElementById('solveStatus');
+        if (!equationInput) return;
+        
+        try {
+            const start = startInput && startInput.value.trim()
+                ? parseStartingPoint(startInput.value, this.angleMode)
+                : { guess: Number(this.engine.getCurrentValue()) };
+            const solution = this.engine.solve(equationInput.value, start);
+            
+            if (status) {
+                const method = solution.method === 'newton' ? 'Newton' : 'Brent';
+                status.textContent = `${solution.variable} = ${this.currentInput}  (${method}, ${solution.iterations} steps)`;
+            }
+            playSound('success');
+        } catch (error) {
+            if (status) {
+                status.textContent = error.message;
+            }
+            this.showError(error.message);
+        }
+    }
+
+    // Show or hide the polynomial and linear system panel
+    toggleEquationPanel() {
+        this.equationPanelOpen = !this.equationPanelOpen;
+        this.updateEquationPanel();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the polynomial and linear system panel state on the panel and its toggle
+    updateEquationPanel() {
+        if (this.equationPanel) {
+            this.equationPanel.hidden = !this.equationPanelOpen;
+        }
+        
+        const equationModeBtn = document.getElementById('equationMode');
+        if (equationModeBtn) {
+            equationModeBtn.classList.toggle('active', this.equationPanelOpen);
+        }
+    }
+
+    // Solve the polynomial or linear system in the coefficient grid
+    solveEquationGrid() {
+        try {
+            equationOperations.solve();
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Send a root, unknown or eigenvalue to the display, switching complex results on for a non-real value
+     * @param {number|Object} value - Real solution or complex root `{ re, im }`
+     */
+    loadSolution(value) {
+        if (typeof value === 'object' && value.im !== 0 && !this.complexFormat) {
+            this.engine.setComplexFormat(COMPLEX_FORMATS.RECTANGULAR);
+            this.saveSettings();
+        }
+        this.engine.loadValue(value);
+        playSound('success');
+    }
+
+    // Show or hide the matrix panel
+    toggleMatrixPanel() {
+        this.matrixPanelOpen = !this.matrixPanelOpen;
+        this.updateMatrixPanel();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the matrix panel state on the panel and its toggle
+    updateMatrixPanel() {
+        if (this.matrixPanel) {
+            this.matrixPanel.hidden = !this.matrixPanelOpen;
+        }
+        
+        const matrixModeBtn = document.getElementById('matrixMode');
+        if (matrixModeBtn) {
+            matrixModeBtn.classList.toggle('active', this.matrixPanelOpen);
+        }
     }
 
     /**
-     * Input a mathematical constant
-     * @param {number} value - Constant value
+     * Apply an operation to the selected matrix: det, inv, trn, rank and rref are calculated
+     * like typed expressions; eig lists the eigenvalues in the panel
+     * @param {string} operation - Operation name
      */
-    inputConstant(value) {
-        this.currentInput = formatNumber(value);
-        this.isNewNumber = true;
-        this.updateDisplay();
-    }
-
-    // Perform calculation
-    calculate() {
+    applyMatrixOperation(operation) {
         try {
-            let fullExpression = this.expression;
-            
-            if (!this.waitingForNewInput) {
-                fullExpression += this.currentInput;
+            if (operation === 'eig') {
+                matrixOperations.eigenvalues();
             } else {
-                fullExpression = fullExpression.trim();
-                if (fullExpression.endsWith('+') || fullExpression.endsWith('-') || 
-                    fullExpression.endsWith('×') || fullExpression.endsWith('÷') ||
-                    fullExpression.endsWith('^')) {
-                    fullExpression = fullExpression.slice(0, -1).trim();
-                }
-            }
-            
-            if (!fullExpression) {
-                fullExpression = this.currentInput;
+                this.engine.calculateExpression(`${operation}(${matrixOperations.getSelected()})`);
             }
-            
-            // Validate expression
-            if (!validateExpression(fullExpression)) {
-                throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message, error.position);
+        }
+    }
+
+    // Store the displayed matrix result in the selected matrix
+    storeMatrixResult() {
+        try {
+            const result = this.lastResult;
+            if (typeof result !== 'object' || result === null || !('entries' in result)) {
+                throw new Error(ERROR_MESSAGES.INVALID_INPUT);
             }
-            
-            // Show loading for complex calculations
-            this.showLoading();
-            
-            // Calculate result with delay for smooth UX
-            setTimeout(() => {
-                try {
-                    const result = this.evaluateExpression(fullExpression);
-                    
-                    // Add to history
-                    historyOperations.add(fullExpression, result);
-                    
-                    // Update display
-                    this.lastResult = result;
-                    this.currentInput = formatNumber(result);
-                    this.expression = '';
-                    this.isNewNumber = true;
-                    this.waitingForNewInput = false;
-                    this.updateDisplay();
-                    
-                    playSound('success');
-                } catch (error) {
-                    this.showError(error.message);
-                } finally {
-                    this.hideLoading();
-                }
-            }, 100);
-            
+            matrixOperations.set(matrixOperations.getSelected(), result);
+            playSound('success');
         } catch (error) {
-            this.hideLoading();
             this.showError(error.message);
         }
     }
 
+    // Show or hide the vector panel
+    toggleVectorPanel() {
+        this.vectorPanelOpen = !this.vectorPanelOpen;
+        this.updateVectorPanel();
+        
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the vector panel state on the panel and its toggle
+    updateVectorPanel() {
+        if (this.vectorPanel) {
+            this.vectorPanel.hidden = !this.vectorPanelOpen;
+        }
+        
+        const vectorModeBtn = document.getElementById('vectorMode');
+        if (vectorModeBtn) {
+            vectorModeBtn.classList.toggle('active', this.vectorPanelOpen);
+        }
+    }
+
     /**
-     * Evaluate mathematical expression
-     * @param {string} expression - Expression to evaluate
-     * @returns {number} Calculation result
+     * Apply an operation to the selected vector, calculated like a typed expression;
+     * dot, cross, proj and angle take the second vector as their other operand
+     * @param {string} operation - Function name such as norm or angle
      */
-    evaluateExpression(expression) {
+    applyVectorOperation(operation) {
+        const selected = vectorOperations.getSelected();
+        const args = ['norm', 'unitV'].includes(operation) ? selected : `${selected}, ${vectorOperations.getOther()}`;
         try {
-            // Clean and validate the expression
-            expression = expression.trim();
-            
-            // Log for debugging
-            console.log('Evaluating expression:', expression);
-            
-            // Handle power operations
-            expression = expression.replace(/(\d+(?:\.\d+)?)\s*\^\s*(\d+(?:\.\d+)?)/g, 
-                (match, base, exp) => `Math.pow(${base}, ${exp})`);
-            
-            // Handle percentage
-            expression = expression.replace(/(\d+(?:\.\d+)?)\s*%/g, (match, num) => `(${num}/100)`);
-            
-            // Replace calculator operators with JavaScript operators
-            expression = expression.replace(/×/g, '*').replace(/÷/g, '/').replace(/−/g, '-');
-            
-            console.log('Processed expression:', expression);
-            
-            const result = safeEval(expression);
-            
-            console.log('Calculation result:', result);
-            
-            if (!isFinite(result)) {
-                if (isNaN(result)) {
-                    throw new Error(ERROR_MESSAGES.MATH_ERROR);
-                }
-                throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
-            }
-            
-            return result;
+            this.engine.calculateExpression(`${operation}(${args})`);
+            playSound('success');
         } catch (error) {
-            console.error('Evaluation error:', error);
-            if (error.message.includes('Division by zero') || expression.includes('/0')) {
-                throw new Error(ERROR_MESSAGES.DIVISION_BY_ZERO);
+            this.showError(error.message, error.position);
+        }
+    }
+
+    // Store the displayed vector result in the selected vector
+    storeVectorResult() {
+        try {
+            const result = this.lastResult;
+            if (typeof result !== 'object' || result === null || !('components' in result)) {
+                throw new Error(ERROR_MESSAGES.INVALID_INPUT);
             }
-            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+            vectorOperations.set(vectorOperations.getSelected(), result);
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
         }
     }
 
-    /**
-     * Calculate trigonometric function
-     * @param {string} func - Function name (sin, cos, tan)
-     */
-    calculateTrigFunction(func) {
-        const value = parseFloat(this.currentInput);
-        const angleInRadians = convertAngle(value, this.angleMode, true);
+    // Show or hide the financial worksheet
+    toggleFinancePanel() {
+        this.financePanelOpen = !this.financePanelOpen;
+        this.updateFinancePanel();
         
-        let result;
-        switch (func) {
-            case 'sin':
-                result = Math.sin(angleInRadians);
-                break;
-            case 'cos':
-                result = Math.cos(angleInRadians);
-                break;
-            case 'tan':
-                // Check for undefined values (odd multiples of π/2)
-                if (Math.abs(Math.cos(angleInRadians)) < 1e-10) {
-                    throw new Error(ERROR_MESSAGES.MATH_ERROR);
-                }
-                result = Math.tan(angleInRadians);
-                break;
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the financial worksheet state on the panel and its toggle
+    updateFinancePanel() {
+        if (this.financePanel) {
+            this.financePanel.hidden = !this.financePanelOpen;
         }
         
-        // Handle very small results (close to zero)
-        if (Math.abs(result) < 1e-10) {
-            result = 0;
+        const financeModeBtn = document.getElementById('financeMode');
+        if (financeModeBtn) {
+            financeModeBtn.classList.toggle('active', this.financePanelOpen);
         }
+    }
+
+    // Show or hide the date and time panel
+    toggleDatePanel() {
+        this.datePanelOpen = !this.datePanelOpen;
+        this.updateDatePanel();
         
-        const expression = `${func}(${this.currentInput}${this.angleMode === ANGLE_MODES.DEGREES ? '°' : ''})`;
-        historyOperations.add(expression, result);
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the date and time panel state on the panel and its toggle
+    updateDatePanel() {
+        if (this.datePanel) {
+            this.datePanel.hidden = !this.datePanelOpen;
+        }
         
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
+        const dateModeBtn = document.getElementById('dateMode');
+        if (dateModeBtn) {
+            dateModeBtn.classList.toggle('active', this.datePanelOpen);
+        }
     }
 
-    /**
-     * Calculate inverse trigonometric function
-     * @param {string} func - Function name (asin, acos, atan)
-     */
-    calculateInverseTrigFunction(func) {
-        const value = parseFloat(this.currentInput);
+    // Show or hide the currency converter
+    toggleCurrencyPanel() {
+        this.currencyPanelOpen = !this.currencyPanelOpen;
+        this.updateCurrencyPanel();
         
-        let result;
-        switch (func) {
-            case 'asin':
-                if (value < -1 || value > 1) {
-                    throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
-                }
-                result = Math.asin(value);
-                break;
-            case 'acos':
-                if (value < -1 || value > 1) {
-                    throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
-                }
-                result = Math.acos(value);
-                break;
-            case 'atan':
-                result = Math.atan(value);
-                break;
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the currency converter state on the panel and its toggle
+    updateCurrencyPanel() {
+        if (this.currencyPanel) {
+            this.currencyPanel.hidden = !this.currencyPanelOpen;
         }
         
-        // Convert from radians to current angle mode
-        result = convertAngle(result, this.angleMode, false);
+        const currencyModeBtn = document.getElementById('currencyMode');
+        if (currencyModeBtn) {
+            currencyModeBtn.classList.toggle('active', this.currencyPanelOpen);
+        }
+    }
+
+    // List the currencies of the rate table in the from and to selects, keeping the selection
+    populateCurrencyOptions() {
+        const codes = currencyOperations.getCurrencies();
         
-        const expression = `${func}(${this.currentInput})`;
-        historyOperations.add(expression, result);
+        ['currencyFrom', 'currencyTo'].forEach((id, index) => {
+            const select = document.getElementById(id);
+            if (select) {
+                const selected = select.value;
+                select.replaceChildren(...codes.map(code => new Option(code, code)));
+                select.value = codes.includes(selected) ? selected : codes[Math.min(index, codes.length - 1)];
+            }
+        });
+    }
+
+    // Convert the pending expression or current input between the selected currencies
+    convertCurrency() {
+        const fromSelect = document.getElementById('currencyFrom');
+        const toSelect = document.getElementById('currencyTo');
+        if (!fromSelect || !toSelect) return;
         
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
+        this.engine.convertTo(toSelect.value, fromSelect.value);
+    }
+
+    // Add or update the typed rate, dated today
+    addCurrencyRate() {
+        const codeInput = document.getElementById('currencyCode');
+        const code = codeInput ? codeInput.value.trim().toUpperCase() : '';
+        currencyOperations.setRate(code, this.readNumberInput('currencyRate'));
+        if (codeInput) {
+            codeInput.value = '';
+        }
     }
 
     /**
-     * Calculate logarithm
-     * @param {string} base - Logarithm base (log10, log)
+     * Replace the rate table with a JSON or CSV file
+     * @param {File} file - File chosen by the user
      */
-    calculateLogarithm(base) {
-        const value = parseFloat(this.currentInput);
-        
-        if (value <= 0) {
-            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
-        }
-        
-        let result;
-        let expression;
-        
-        switch (base) {
-            case 'log10':
-                result = Math.log10(value);
-                expression = `log(${this.currentInput})`;
-                break;
-            case 'log':
-                result = Math.log(value);
-                expression = `ln(${this.currentInput})`;
-                break;
+    async importCurrencyRates(file) {
+        try {
+            const count = await currencyOperations.importFile(file);
+            this.showSuccess(`Imported ${count} rates`);
+        } catch (error) {
+            this.showError(error.message);
         }
-        
-        historyOperations.add(expression, result);
-        
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
     }
 
     /**
-     * Calculate root function
-     * @param {string} type - Root type (sqrt, cbrt)
+     * Add or subtract the typed duration from the start date
+     * @param {number} sign - 1 to add, -1 to subtract
      */
-    calculateRoot(type) {
-        const value = parseFloat(this.currentInput);
-        
-        let result;
-        let expression;
-        
-        switch (type) {
-            case 'sqrt':
-                if (value < 0) {
-                    throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
-                }
-                result = Math.sqrt(value);
-                expression = `√(${this.currentInput})`;
-                break;
-            case 'cbrt':
-                result = Math.cbrt(value);
-                expression = `∛(${this.currentInput})`;
-                break;
+    addDateDuration(sign) {
+        const amount = this.readNumberInput('dateAmount');
+        const unit = document.getElementById('dateUnit');
+        dateOperations.add(sign * amount, unit ? unit.value : 'days');
+    }
+
+    /**
+     * Run a financial worksheet, date or currency panel action, reporting its errors on the display
+     * @param {Function} action - Panel action
+     */
+    runPanelOperation(action) {
+        try {
+            action();
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message);
         }
-        
-        historyOperations.add(expression, result);
-        
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
     }
 
     /**
-     * Calculate power function
-     * @param {number} exponent - Exponent value
+     * Read a number typed in a panel input
+     * @param {string} id - Input element id
+     * @returns {number} Input value, NaN when missing or empty
      */
-    calculatePower(exponent) {
-        const value = parseFloat(this.currentInput);
-        const result = Math.pow(value, exponent);
+    readNumberInput(id) {
+        const input = document.getElementById(id);
+        return input && input.value.trim() !== '' ? Number(input.value) : NaN;
+    }
+
+    // Append the displayed value as the next cash flow, repeated Nj times
+    addCashFlow() {
+        const count = this.readNumberInput('financeFlowCount');
+        financeOperations.addCashFlow(Number(this.engine.getCurrentValue()), isNaN(count) ? 1 : count);
+        this.engine.clearEntry();
+    }
+
+    /**
+     * Compute simple or compound interest from the interest inputs
+     * @param {string} kind - 'simple' or 'compound'
+     */
+    computeInterest(kind) {
+        financeOperations.interest(
+            kind,
+            this.readNumberInput('financePrincipal'),
+            this.readNumberInput('financeInterestRate'),
+            this.readNumberInput('financeYears'),
+            this.readNumberInput('financeCompounding')
+        );
+    }
+
+    // Show or hide the calculus panel
+    toggleCalculusPanel() {
+        this.calculusPanelOpen = !this.calculusPanelOpen;
+        this.updateCalculusPanel();
         
-        if (!isFinite(result)) {
-            throw new Error(ERROR_MESSAGES.OVERFLOW_ERROR);
+        this.saveSettings();
+        playSound('click');
+    }
+
+    // Reflect the calculus panel state on the panel and its toggle
+    updateCalculusPanel() {
+        if (this.calculusPanel) {
+            this.calculusPanel.hidden = !this.calculusPanelOpen;
         }
         
-        const expression = `${this.currentInput}${exponent === 2 ? '²' : exponent === 3 ? '³' : `^${exponent}`}`;
-        historyOperations.add(expression, result);
-        
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
+        const calculusModeBtn = document.getElementById('calculusMode');
+        if (calculusModeBtn) {
+            calculusModeBtn.classList.toggle('active', this.calculusPanelOpen);
+        }
     }
 
-    // Calculate factorial
-    calculateFactorial() {
-        const value = parseFloat(this.currentInput);
-        
-        const result = factorial(value);
-        const expression = `${this.currentInput}!`;
-        
-        historyOperations.add(expression, result);
+    /**
+     * Insert the opening of a calculus construct at the cursor of the calculus input
+     * @param {string} template - Construct opening such as `∫(`
+     */
+    insertCalculusTemplate(template) {
+        const input = document.getElementById('calculusExpression');
+        if (!input) return;
         
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
+        input.setRangeText(template, input.selectionStart, input.selectionEnd, 'end');
+        input.focus();
+        playSound('click');
     }
 
-    // Calculate percentage
-
-    calculatePercent() {
-        const value = parseFloat(this.currentInput);
-        const result = value / 100;
+    // Evaluate the typed calculus expression; history keeps the whole construct for reuse
+    evaluateCalculus() {
+        const input = document.getElementById('calculusExpression');
+        if (!input || !input.value.trim()) return;
         
-        const expression = `${this.currentInput}%`;
-        historyOperations.add(expression, result);
+        try {
+            this.engine.calculateExpression(input.value.trim());
+            playSound('success');
+        } catch (error) {
+            this.showError(error.message, error.position);
+        }
+    }
+
+    // Show or hide the unit conversion panel
+    toggleUnitPanel() {
+        this.unitPanelOpen = !this.unitPanelOpen;
+        this.updateUnitPanel();
         
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
+        this.saveSettings();
+        playSound('click');
     }
 
-    // Generate random number
-    generateRandom() {
-        const result = randomNumber();
-        const expression = 'random()';
+    // Reflect the unit panel state on the panel and its toggle
+    updateUnitPanel() {
+        if (this.unitPanel) {
+            this.unitPanel.hidden = !this.unitPanelOpen;
+        }
         
-        historyOperations.add(expression, result);
+        const unitModeBtn = document.getElementById('unitMode');
+        if (unitModeBtn) {
+            unitModeBtn.classList.toggle('active', this.unitPanelOpen);
+        }
+    }
+
+    // List the unit categories and the units of the selected one
+    populateUnitCategories() {
+        const unitCategorySelect = document.getElementById('unitCategory');
+        if (!unitCategorySelect) return;
         
-        this.currentInput = formatNumber(result);
-        this.isNewNumber = true;
-        this.updateDisplay();
+        unitCategorySelect.replaceChildren(...Object.entries(UNIT_CATALOG).map(([key, category]) => {
+            return new Option(category.name, key, false, key === this.unitCategory);
+        }));
+        this.populateUnitOptions();
     }
 
-    // Clear all input and expression
-    clearAll() {
-        this.currentInput = '0';
-        this.expression = '';
-        this.lastResult = 0;
-        this.isNewNumber = true;
-        this.waitingForNewInput = false;
-        this.lastOperation = null;
-        this.updateDisplay();
+    // List the units of the selected category in the from and to selects
+    populateUnitOptions() {
+        const { units } = UNIT_CATALOG[this.unitCategory];
+        const symbols = Object.keys(units);
+        
+        ['unitFrom', 'unitTo'].forEach((id, index) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.replaceChildren(...symbols.map(symbol => new Option(`${symbol} (${units[symbol].name})`, symbol)));
+                select.value = symbols[Math.min(index, symbols.length - 1)];
+            }
+        });
     }
 
-    // Clear current entry only
-    clearEntry() {
-        this.currentInput = '0';
-        this.isNewNumber = true;
-        this.updateDisplay();
+    /**
+     * Select the unit category offered by the conversion panel
+     * @param {string} category - Category key in UNIT_CATALOG
+     */
+    setUnitCategory(category) {
+        if (!(category in UNIT_CATALOG)) return;
+        
+        this.unitCategory = category;
+        this.populateUnitOptions();
+        this.saveSettings();
     }
 
-    // Backspace last character
-    backspace() {
-        if (this.currentInput.length > 1 && this.currentInput !== '0') {
-            this.currentInput = this.currentInput.slice(0, -1);
-        } else {
-            this.currentInput = '0';
-            this.isNewNumber = true;
+    // Attach the selected from unit to the current number, e.g. `5 ft`
+    tagUnit() {
+        const fromSelect = document.getElementById('unitFrom');
+        if (!fromSelect) return;
+        
+        try {
+            this.engine.inputUnit(fromSelect.value);
+            playSound('click');
+        } catch (error) {
+            this.showError(error.message);
         }
-        this.updateDisplay();
     }
 
-    // Copy result to clipboard
-    async copyResult() {
+    // Convert the pending expression or current input to the selected to unit
+    convertUnits() {
+        const fromSelect = document.getElementById('unitFrom');
+        const toSelect = document.getElementById('unitTo');
+        if (!fromSelect || !toSelect) return;
+        
         try {
-            const success = await copyToClipboard(this.currentInput);
-            if (success) {
-                this.showSuccess('Result copied to clipboard');
-                playSound('success');
-            } else {
-                throw new Error('Copy failed');
-            }
+            this.engine.convertTo(toSelect.value, fromSelect.value);
+            playSound('success');
         } catch (error) {
-            this.showError('Failed to copy to clipboard');
+            this.showError(error.message, error.position);
+            playSound('error');
         }
     }
 
-    // Toggle angle mode
-    toggleAngleMode() {
-        const modes = Object.values(ANGLE_MODES);
-        const currentIndex = modes.indexOf(this.angleMode);
-        const nextIndex = (currentIndex + 1) % modes.length;
-        this.angleMode = modes[nextIndex];
+    // Apply calculator mode to document
+    applyCalculatorMode() {
+        document.body.setAttribute('data-calc-mode', this.mode);
         
-        const angleModeBtn = document.getElementById('angleMode');
-        if (angleModeBtn) {
-            angleModeBtn.textContent = this.angleMode;
+        const programmerModeBtn = document.getElementById('programmerMode');
+        if (programmerModeBtn) {
+            programmerModeBtn.classList.toggle('active', this.mode === CALCULATOR_MODES.PROGRAMMER);
         }
         
-        this.saveSettings();
-        playSound('click');
+        const statisticsModeBtn = document.getElementById('statisticsMode');
+        if (statisticsModeBtn) {
+            statisticsModeBtn.classList.toggle('active', this.mode === CALCULATOR_MODES.STATISTICS);
+        }
+        
+        if (this.statsPanel) {
+            this.statsPanel.hidden = this.mode !== CALCULATOR_MODES.STATISTICS;
+        }
+        
+        this.updateDisplay();
+    }
+
+    // Update the programmer panel readouts and disable digits the base does not allow
+    updateProgrammerPanel() {
+        if (!this.programmerPanel) return;
+        
+        const state = this.engine.getState();
+        this.programmerPanel.hidden = !state.baseValues;
+        if (!state.baseValues) return;
+        
+        Object.entries(state.baseValues).forEach(([base, value]) => {
+            const row = this.programmerPanel.querySelector(`[data-base="${base}"]`);
+            if (row) {
+                row.classList.toggle('active', base === state.base);
+                row.querySelector('.base-value').textContent = value;
+            }
+        });
+        
+        document.querySelectorAll('.button-grid [data-action]').forEach(button => {
+            if (/^[0-9A-F]$/.test(button.dataset.action)) {
+                button.disabled = !isValidDigit(button.dataset.action, BASES[state.base]);
+            }
+        });
     }
 
     // Toggle sound on/off
@@ -851,17 +2127,7 @@ class ScientificCalculator {
     // Update expression display to show current building expression
     updateExpressionDisplay() {
         if (this.expressionElement) {
-            let displayExpression = this.expression;
-            
-            // If we're not waiting for new input, show the current number being typed
-            if (!this.waitingForNewInput && this.expression) {
-                displayExpression += this.currentInput;
-            } else if (!this.expression) {
-                // If no expression yet, just show current input
-                displayExpression = this.currentInput;
-            }
-            
-            this.expressionElement.textContent = displayExpression || ' ';
+            this.expressionElement.textContent = this.engine.getDisplayExpression() || ' ';
         }
     }
 
@@ -874,13 +2140,20 @@ class ScientificCalculator {
         
         // Expression display is now handled separately
         this.updateExpressionDisplay();
+        this.updateProgrammerPanel();
+        this.updateComplexToggle();
     }
 
     /**
      * Show error message
      * @param {string} message - Error message
+     * @param {number} [position] - Zero-based position of a syntax error in the expression
      */
-    showError(message) {
+    showError(message, position) {
+        if (Number.isInteger(position)) {
+            message = `${message} at position ${position + 1}`;
+        }
+        
         if (this.displayElement) {
             this.displayElement.textContent = message;
             this.displayElement.classList.add('error');
@@ -973,7 +2246,7 @@ class ScientificCalculator {
      * @returns {boolean} True if numeric
      */
     isNumeric(value) {
-        return /^[0-9.]$/.test(value);
+        return /^[0-9A-F.]$/.test(value);
     }
 
     /**
@@ -982,7 +2255,7 @@ class ScientificCalculator {
      * @returns {boolean} True if operator
      */
     isOperator(value) {
-        return ['+', '-', '×', '÷', '^', '(', ')'].includes(value);
+        return ['+', '-', '×', '÷', '^', '∠', '(', ')', 'AND', 'OR', 'XOR', '<<', '>>', 'ROL', 'ROR'].includes(value);
     }
 
     // Reset calculator to default state
@@ -1033,6 +2306,34 @@ class ScientificCalculator {
     }
 }
 
+// Expose engine state as calculator properties so existing callers keep working
+[
+    'currentInput',
+    'expression',
+    'lastResult',
+    'angleMode',
+    'isNewNumber',
+    'lastOperation',
+    'waitingForNewInput',
+    'mode',
+    'base',
+    'wordSize',
+    'signed',
+    'decimal',
+    'complexFormat',
+    'fractionFormat',
+    'taxRate'
+].forEach(property => {
+    Object.defineProperty(ScientificCalculator.prototype, property, {
+        get() {
+            return this.engine[property];
+        },
+        set(value) {
+            this.engine[property] = value;
+        }
+    });
+});
+
 // Initialize calculator when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.calculator = new ScientificCalculator();
@@ -0,0 +1,665 @@
+/**
+ * Matrix Mode
+ * @fileoverview Matrix values and linear algebra, the matrix expression backend for MatA…MatF,
+ * and the matrix editor panel
+ */
+
+import { formatNumber, ERROR_MESSAGES, ANGLE_MODES, storeData, getData } from './utils.js';
+import { createRealArithmetic, NODE_TYPES } from './expression.js';
+import { solvePolynomial, MAX_POLYNOMIAL_DEGREE } from './polynomial.js';
+
+// Names of the matrices usable in expressions
+export const MATRIX_NAMES = ['MatA', 'MatB', 'MatC', 'MatD', 'MatE', 'MatF'];
+
+// Largest number of rows or columns in the editor
+export const MAX_MATRIX_SIZE = 6;
+
+// Pivots smaller than this, relative to the largest entry, count as zero
+const RELATIVE_EPSILON = 1e-12;
+
+// Integer powers above this size are rejected rather than computed
+const MAX_EXPONENT = 1024;
+
+const dimensionMismatch = () => {
+    throw new Error(ERROR_MESSAGES.DIMENSION_MISMATCH);
+};
+
+/**
+ * Immutable real matrix
+ */
+export class Matrix {
+    /**
+     * @param {Array<Array<number>>} entries - Rows of equal, non-zero length
+     */
+    constructor(entries) {
+        if (!Array.isArray(entries) || entries.length === 0 ||
+            !entries.every(row => Array.isArray(row) && row.length === entries[0].length && row.length > 0) ||
+            !entries.flat().every(value => typeof value === 'number')) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.entries = entries.map(row => [...row]);
+    }
+
+    /**
+     * Converts rows of entries, or restores a matrix saved with toJSON()
+     * @param {Matrix|Array<Array<number>>|Object} value - Matrix, rows of entries or `{ entries }` object
+     * @returns {Matrix} Matrix
+     */
+    static from(value) {
+        if (value instanceof Matrix) return value;
+        return new Matrix(Array.isArray(value) ? value : value && value.entries);
+    }
+
+    /**
+     * Identity matrix
+     * @param {number} size - Number of rows and columns
+     * @returns {Matrix} Identity
+     */
+    static identity(size) {
+        return new Matrix(Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))));
+    }
+
+    get rows() {
+        return this.entries.length;
+    }
+
+    get columns() {
+        return this.entries[0].length;
+    }
+
+    isSquare() {
+        return this.rows === this.columns;
+    }
+
+    // Largest absolute entry, the scale for zero tests
+    norm() {
+        return Math.max(...this.entries.flat().map(Math.abs));
+    }
+
+    add(other) {
+        return this.combine(other, (a, b) => a + b);
+    }
+
+    subtract(other) {
+        return this.combine(other, (a, b) => a - b);
+    }
+
+    /**
+     * Entry-wise combination with a matrix of the same size
+     * @param {Matrix} other - Other matrix
+     * @param {Function} operation - Combines two entries
+     * @returns {Matrix} Result
+     */
+    combine(other, operation) {
+        if (other.rows !== this.rows || other.columns !== this.columns) dimensionMismatch();
+        return new Matrix(this.entries.map((row, i) => row.map((value, j) => operation(value, other.entries[i][j]))));
+    }
+
+    scale(factor) {
+        return new Matrix(this.entries.map(row => row.map(value => value * factor)));
+    }
+
+    /**
+     * Matrix product
+     * @param {Matrix} other - Right factor with as many rows as this matrix has columns
+     * @returns {Matrix} Product
+     */
+    multiply(other) {
+        if (this.columns !== other.rows) dimensionMismatch();
+        return new Matrix(this.entries.map(row => other.entries[0].map((_, j) => {
+            return row.reduce((sum, value, k) => sum + value * other.entries[k][j], 0);
+        })));
+    }
+
+    transpose() {
+        return new Matrix(this.entries[0].map((_, j) => this.entries.map(row => row[j])));
+    }
+
+    /**
+     * Integer power of a square matrix by repeated squaring; negative powers invert first
+     * @param {number} exponent - Integer exponent
+     * @returns {Matrix} Power
+     */
+    power(exponent) {
+        if (!this.isSquare()) dimensionMismatch();
+        if (!Number.isInteger(exponent) || Math.abs(exponent) > MAX_EXPONENT) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        let base = exponent < 0 ? this.inverse() : this;
+        let result = Matrix.identity(this.rows);
+        for (let k = Math.abs(exponent); k > 0; k >>= 1) {
+            if (k & 1) result = result.multiply(base);
+            if (k > 1) base = base.multiply(base);
+        }
+        return result;
+    }
+
+    /**
+     * Reduced row echelon form by Gauss-Jordan elimination with partial pivoting
+     * @returns {Object} `{ matrix, pivots }` with the pivot column of each non-zero row
+     */
+    reduce() {
+        const rows = this.entries.map(row => [...row]);
+        const tolerance = this.norm() * RELATIVE_EPSILON;
+        const pivots = [];
+
+        for (let column = 0; column < this.columns && pivots.length < this.rows; column++) {
+            const top = pivots.length;
+            let pivot = top;
+            for (let row = top + 1; row < this.rows; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) <= tolerance) {
+                rows.slice(top).forEach(row => { row[column] = 0; });
+                continue;
+            }
+
+            [rows[top], rows[pivot]] = [rows[pivot], rows[top]];
+            const lead = rows[top][column];
+            rows[top] = rows[top].map(value => value / lead);
+            rows.forEach((row, r) => {
+                if (r === top || row[column] === 0) return;
+                const factor = row[column];
+                rows[r] = row.map((value, k) => value - factor * rows[top][k]);
+            });
+            pivots.push(column);
+        }
+
+        // Entries left over from cancellation are rounding noise
+        const cleaned = rows.map(row => row.map(value => (Math.abs(value) <= tolerance ? 0 : value)));
+        return { matrix: new Matrix(cleaned), pivots };
+    }
+
+    rref() {
+        return this.reduce().matrix;
+    }
+
+    rank() {
+        return this.reduce().pivots.length;
+    }
+
+    /**
+     * Determinant by elimination with partial pivoting; 0 when a pivot vanishes
+     * @returns {number} Determinant
+     */
+    determinant() {
+        if (!this.isSquare()) dimensionMismatch();
+
+        const rows = this.entries.map(row => [...row]);
+        const tolerance = this.norm() * RELATIVE_EPSILON;
+        let determinant = 1;
+
+        for (let column = 0; column < this.rows; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < this.rows; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) <= tolerance) return 0;
+            if (pivot !== column) {
+                [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+                determinant = -determinant;
+            }
+
+            determinant *= rows[column][column];
+            for (let row = column + 1; row < this.rows; row++) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k < this.rows; k++) rows[row][k] -= factor * rows[column][k];
+            }
+        }
+        return determinant;
+    }
+
+    /**
+     * Inverse by Gauss-Jordan elimination of `[A | I]`
+     * @returns {Matrix} Inverse
+     */
+    inverse() {
+        if (!this.isSquare()) dimensionMismatch();
+
+        const size = this.rows;
+        const augmented = new Matrix(this.entries.map((row, i) => [...row, ...Matrix.identity(size).entries[i]]));
+        const { matrix, pivots } = augmented.reduce();
+        // A pivot in the identity half means a column of A had none
+        if (pivots.length < size || pivots[size - 1] >= size) {
+            throw new Error(ERROR_MESSAGES.SINGULAR_MATRIX);
+        }
+        return new Matrix(matrix.entries.map(row => row.slice(size)));
+    }
+
+    /**
+     * Eigenvalues of a small square matrix, as roots of the characteristic polynomial
+     * built by the Faddeev-LeVerrier recurrence
+     * @returns {Array<number|Complex>} Eigenvalues with multiplicity; real for symmetric matrices
+     */
+    eigenvalues() {
+        if (!this.isSquare()) dimensionMismatch();
+        if (this.rows > MAX_POLYNOMIAL_DEGREE) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        const size = this.rows;
+        const coefficients = [1];
+        let product = Matrix.identity(size).scale(0);
+        for (let k = 1; k <= size; k++) {
+            product = this.multiply(product.add(Matrix.identity(size).scale(coefficients[k - 1])));
+            const trace = product.entries.reduce((sum, row, i) => sum + row[i], 0);
+            coefficients.push(-trace / k);
+        }
+
+        const values = solvePolynomial(coefficients);
+        const symmetric = this.entries.every((row, i) => row.every((value, j) => value === this.entries[j][i]));
+        return symmetric ? values.map(value => (typeof value === 'number' ? value : value.re)) : values;
+    }
+
+    // Every entry is finite
+    isFinite() {
+        return this.entries.flat().every(value => isFinite(value));
+    }
+
+    /**
+     * Format the matrix row by row, e.g. `[[1, 2], [3, 4]]`
+     * @param {number} maxDecimals - Maximum decimal places of each entry
+     * @returns {string} Formatted matrix
+     */
+    format(maxDecimals) {
+        return `[${this.entries.map(row => `[${row.map(value => formatNumber(value, maxDecimals)).join(', ')}]`).join(', ')}]`;
+    }
+
+    // Serialize the entries
+    toJSON() {
+        return { entries: this.entries.map(row => [...row]) };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Check if a parsed expression names a matrix
+ * @param {Object} node - AST node
+ * @returns {boolean} True if the tree reads MatA…MatF
+ */
+export function hasMatrices(node) {
+    if (node.type === NODE_TYPES.CONSTANT && MATRIX_NAMES.includes(node.name)) return true;
+    const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+    return children.some(hasMatrices);
+}
+
+/**
+ * Creates a plain in-memory matrix store used when no matrix adapter is supplied
+ * @returns {Object} Matrix adapter with get and set
+ */
+export function createMatrixStore() {
+    const matrices = {};
+    return {
+        get: (name) => matrices[name] || null,
+        set: (name, value) => {
+            matrices[name] = Matrix.from(value);
+        }
+    };
+}
+
+/**
+ * Creates the floating-point arithmetic for expressions such as `2MatA × MatB + det(MatC)`.
+ * Matrices add and subtract entry-wise, multiply as matrices or by scalars, divide by scalars
+ * and raise to integer powers; det, inv, trn, rank and rref take a matrix argument.
+ * @param {string} angleMode - Angle mode for trigonometric functions
+ * @param {Object} store - Matrix adapter whose get(name) returns a Matrix or null
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createMatrixArithmetic(angleMode = ANGLE_MODES.DEGREES, store = createMatrixStore()) {
+    const real = createRealArithmetic(angleMode);
+    const requireMatrix = (value) => (value instanceof Matrix ? value : dimensionMismatch());
+    const requireScalar = (value) => (value instanceof Matrix ? dimensionMismatch() : value);
+
+    // Scalar functions reject matrices; the matrix functions reject scalars
+    const functions = {
+        ...Object.fromEntries(Object.entries(real.functions).map(([name, func]) => [name, (value) => func(requireScalar(value))])),
+        det: (value) => requireMatrix(value).determinant(),
+        inv: (value) => requireMatrix(value).inverse(),
+        trn: (value) => requireMatrix(value).transpose(),
+        rank: (value) => requireMatrix(value).rank(),
+        rref: (value) => requireMatrix(value).rref()
+    };
+
+    // Defined matrices read like constants; an undefined one is an unknown name
+    const constants = { ...real.constants };
+    MATRIX_NAMES.forEach(name => {
+        const matrix = store.get(name);
+        if (matrix) constants[name] = Matrix.from(matrix);
+    });
+
+    return {
+        constants,
+        functions,
+
+        unary(operator, value) {
+            if (!(value instanceof Matrix)) return real.unary(operator, value);
+            return operator === '-' ? value.scale(-1) : value;
+        },
+
+        binary(operator, left, right) {
+            const leftMatrix = left instanceof Matrix;
+            const rightMatrix = right instanceof Matrix;
+            if (!leftMatrix && !rightMatrix) {
+                return real.binary(operator, left, right);
+            }
+
+            switch (operator) {
+                case '+':
+                    if (!leftMatrix || !rightMatrix) dimensionMismatch();
+                    return left.add(right);
+                case '-':
+                    if (!leftMatrix || !rightMatrix) dimensionMismatch();
+                    return left.subtract(right);
+                case '*':
+                    if (leftMatrix && rightMatrix) return left.multiply(right);
+                    return leftMatrix ? left.scale(right) : right.scale(left);
+                case '/':
+                    if (rightMatrix) dimensionMismatch();
+                    if (right === 0) throw new Error(ERROR_MESSAGES.MATH_ERROR);
+                    return left.scale(1 / right);
+                case '^':
+                    if (!leftMatrix || rightMatrix) dimensionMismatch();
+                    return left.power(right);
+                default:
+                    return dimensionMismatch();
+            }
+        },
+
+        postfix(operator, value) {
+            if (!(value instanceof Matrix)) return real.postfix(operator, value);
+            switch (operator) {
+                case '²':
+                    return value.power(2);
+                case '³':
+                    return value.power(3);
+                case '%':
+                    return value.scale(0.01);
+                default:
+                    return dimensionMismatch();
+            }
+        }
+    };
+}
+
+class MatrixManager {
+    constructor() {
+        this.matrices = Object.fromEntries(MATRIX_NAMES.map(name => [name, null]));
+        this.selected = MATRIX_NAMES[0];
+        this.eigenvalueList = [];
+        this.nameSelect = null;
+        this.rowsSelect = null;
+        this.columnsSelect = null;
+        this.gridElement = null;
+        this.resultsList = null;
+        this.loadMatricesFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize matrix panel elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.nameSelect = document.getElementById('matrixName');
+        this.rowsSelect = document.getElementById('matrixRows');
+        this.columnsSelect = document.getElementById('matrixColumns');
+        this.gridElement = document.getElementById('matrixGrid');
+        this.resultsList = document.getElementById('matrixResults');
+
+        if (this.nameSelect) {
+            this.nameSelect.replaceChildren(...MATRIX_NAMES.map(name => new Option(name, name)));
+            this.nameSelect.addEventListener('change', (event) => this.selectMatrix(event.target.value));
+        }
+        [this.rowsSelect, this.columnsSelect].forEach((select, index) => {
+            if (!select) return;
+            const label = index === 0 ? 'rows' : 'columns';
+            select.replaceChildren(...Array.from({ length: MAX_MATRIX_SIZE }, (_, i) => new Option(`${i + 1} ${label}`, String(i + 1))));
+            select.addEventListener('change', () => this.handleResize());
+        });
+        if (this.gridElement) {
+            this.gridElement.addEventListener('change', (event) => this.handleCellChange(event));
+        }
+        if (this.resultsList) {
+            this.resultsList.addEventListener('click', (event) => this.handleResultClick(event));
+        }
+
+        this.renderMatrix();
+    }
+
+    // Load the defined matrices from localStorage
+    loadMatricesFromStorage() {
+        const stored = getData('calculatorMatrices', {});
+        MATRIX_NAMES.forEach(name => {
+            if (!stored || !stored[name]) return;
+            try {
+                this.matrices[name] = this.validateSize(Matrix.from(stored[name]));
+            } catch (error) {
+                console.warn('Ignoring invalid stored matrix:', name);
+            }
+        });
+    }
+
+    // Save the defined matrices to localStorage
+    saveMatricesToStorage() {
+        const defined = Object.entries(this.matrices).filter(([, matrix]) => matrix);
+        storeData('calculatorMatrices', Object.fromEntries(defined));
+    }
+
+    /**
+     * Reject matrices the editor cannot hold
+     * @param {Matrix} matrix - Matrix to check
+     * @returns {Matrix} The matrix
+     */
+    validateSize(matrix) {
+        if (matrix.rows > MAX_MATRIX_SIZE || matrix.columns > MAX_MATRIX_SIZE || !matrix.isFinite()) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return matrix;
+    }
+
+    /**
+     * Check a matrix name
+     * @param {string} name - Name from MATRIX_NAMES
+     * @returns {string} The name
+     */
+    requireName(name) {
+        if (!MATRIX_NAMES.includes(name)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return name;
+    }
+
+    /**
+     * Define or replace a matrix
+     * @param {string} name - Name from MATRIX_NAMES
+     * @param {Matrix|Array<Array<number>>|Object} value - Matrix, rows of entries or `{ entries }`
+     */
+    setMatrix(name, value) {
+        this.requireName(name);
+        this.matrices[name] = this.validateSize(Matrix.from(value));
+        this.saveMatricesToStorage();
+        if (name === this.selected) {
+            this.eigenvalueList = [];
+            this.renderMatrix();
+        }
+    }
+
+    /**
+     * Get a matrix by name
+     * @param {string} name - Name from MATRIX_NAMES
+     * @returns {Matrix|null} Matrix, or null if it is not defined
+     */
+    getMatrix(name) {
+        return MATRIX_NAMES.includes(name) ? this.matrices[name] : null;
+    }
+
+    /**
+     * Remove a matrix definition
+     * @param {string} name - Name from MATRIX_NAMES
+     */
+    clearMatrix(name) {
+        this.matrices[this.requireName(name)] = null;
+        this.saveMatricesToStorage();
+        if (name === this.selected) {
+            this.eigenvalueList = [];
+            this.renderMatrix();
+        }
+    }
+
+    /**
+     * Choose the matrix shown in the editor
+     * @param {string} name - Name from MATRIX_NAMES
+     */
+    selectMatrix(name) {
+        this.selected = this.requireName(name);
+        this.eigenvalueList = [];
+        this.renderMatrix();
+    }
+
+    /**
+     * Resize the selected matrix, keeping the entries that still fit and filling new ones with zero
+     * @param {number} rows - Number of rows
+     * @param {number} columns - Number of columns
+     */
+    resizeMatrix(rows, columns) {
+        if (![rows, columns].every(size => Number.isInteger(size) && size >= 1 && size <= MAX_MATRIX_SIZE)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        const current = this.matrices[this.selected];
+        const entries = Array.from({ length: rows }, (_, i) => Array.from({ length: columns }, (_, j) => {
+            return current && current.entries[i] && current.entries[i][j] !== undefined ? current.entries[i][j] : 0;
+        }));
+        this.setMatrix(this.selected, entries);
+    }
+
+    /**
+     * Set one entry of the selected matrix, creating a 1×1 matrix if it is not defined
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     * @param {number} value - Entry
+     */
+    setEntry(row, column, value) {
+        const matrix = this.matrices[this.selected] || new Matrix([[0]]);
+        if (!matrix.entries[row] || column < 0 || column >= matrix.columns ||
+            typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        const entries = matrix.entries.map(values => [...values]);
+        entries[row][column] = value;
+        this.matrices[this.selected] = new Matrix(entries);
+        this.saveMatricesToStorage();
+    }
+
+    /**
+     * Eigenvalues of the selected matrix, listed in the panel
+     * @returns {Array<number|Complex>} Eigenvalues
+     */
+    computeEigenvalues() {
+        const matrix = this.matrices[this.selected];
+        if (!matrix) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.eigenvalueList = matrix.eigenvalues();
+        this.renderMatrix();
+        return [...this.eigenvalueList];
+    }
+
+    // Apply the size selects to the selected matrix
+    handleResize() {
+        this.resizeMatrix(Number(this.rowsSelect.value), Number(this.columnsSelect.value));
+    }
+
+    /**
+     * Apply an edited grid cell
+     * @param {Event} event - Change event from a cell input
+     */
+    handleCellChange(event) {
+        const { row, column } = event.target.dataset;
+        if (row === undefined) return;
+
+        try {
+            this.setEntry(Number(row), Number(column), Number(event.target.value || 0));
+        } catch (error) {
+            const matrix = this.matrices[this.selected];
+            event.target.value = String(matrix ? matrix.entries[Number(row)][Number(column)] : 0);
+        }
+    }
+
+    /**
+     * Send an eigenvalue to the main display
+     * @param {Event} event - Click event from the results list
+     */
+    handleResultClick(event) {
+        const button = event.target.closest('[data-eigenvalue]');
+        if (!button) return;
+
+        const value = this.eigenvalueList[Number(button.dataset.eigenvalue)];
+        document.dispatchEvent(new CustomEvent('matrixValueSelected', { detail: { value } }));
+    }
+
+    // Render the size selects, the editor grid of the selected matrix and its eigenvalues
+    renderMatrix() {
+        const matrix = this.matrices[this.selected];
+
+        if (this.nameSelect) {
+            this.nameSelect.value = this.selected;
+        }
+        if (this.rowsSelect) {
+            this.rowsSelect.value = String(matrix ? matrix.rows : 1);
+        }
+        if (this.columnsSelect) {
+            this.columnsSelect.value = String(matrix ? matrix.columns : 1);
+        }
+        if (this.gridElement) {
+            const entries = matrix ? matrix.entries : [[0]];
+            this.gridElement.replaceChildren(...entries.map((values, row) => {
+                const tr = document.createElement('tr');
+                values.forEach((value, column) => {
+                    const cell = document.createElement('td');
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.value = String(value);
+                    input.dataset.row = String(row);
+                    input.dataset.column = String(column);
+                    input.setAttribute('aria-label', `${this.selected} row ${row + 1} column ${column + 1}`);
+                    cell.appendChild(input);
+                    tr.appendChild(cell);
+                });
+                return tr;
+            }));
+        }
+        if (this.resultsList) {
+            this.resultsList.replaceChildren(...this.eigenvalueList.map((value, index) => {
+                const item = document.createElement('li');
+                const recall = document.createElement('button');
+                recall.className = 'stats-recall';
+                recall.dataset.eigenvalue = String(index);
+                recall.textContent = `λ${index + 1} = ${formatNumber(value)}`;
+                recall.setAttribute('aria-label', `Send eigenvalue ${index + 1} to the display`);
+                item.appendChild(recall);
+                return item;
+            }));
+        }
+    }
+}
+
+// Create and export singleton instance
+export const matrixManager = new MatrixManager();
+
+// Export matrix operations as individual functions; get and set also serve as the engine's matrix adapter
+export const matrixOperations = {
+    get: (name) => matrixManager.getMatrix(name),
+    set: (name, value) => matrixManager.setMatrix(name, value),
+    clear: (name) => matrixManager.clearMatrix(name),
+    select: (name) => matrixManager.selectMatrix(name),
+    getSelected: () => matrixManager.selected,
+    resize: (rows, columns) => matrixManager.resizeMatrix(rows, columns),
+    setEntry: (row, column, value) => matrixManager.setEntry(row, column, value),
+    eigenvalues: () => matrixManager.computeEigenvalues()
+};
+
+// Export class for advanced usage
+export default MatrixManager;
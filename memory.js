@@ -4,6 +4,16 @@
  */
 
 import { formatNumber, ERROR_MESSAGES, storeData, getData } from './utils.js';
+import { Fraction, addValues, subtractValues } from './fraction.js';
+
+/**
+ * Restores a stored memory value; fractions are saved as `{ numerator, denominator }`
+ * @param {number|Object} value - Stored value
+ * @returns {number|Fraction} Memory value
+ */
+function reviveValue(value) {
+    return typeof value === 'object' && value !== null ? Fraction.from(value) : value;
+}
 
 class MemoryManager {
     constructor() {
@@ -14,8 +24,10 @@ class MemoryManager {
         this.initializeUI();
     }
 
-    // Initialize memory UI elements
+    // Initialize memory UI elements (skipped when running without a DOM)
     initializeUI() {
+        if (typeof document === 'undefined') return;
+        
         this.memoryIndicator = document.getElementById('memoryIndicator');
         this.updateMemoryIndicator();
     }
@@ -23,7 +35,7 @@ class MemoryManager {
     // Load memory from localStorage
     loadMemoryFromStorage() {
         const storedMemory = getData('calculatorMemory', { value: 0, active: false });
-        this.memoryValue = storedMemory.value || 0;
+        this.memoryValue = reviveValue(storedMemory.value) || 0;
         this.isMemoryActive = storedMemory.active || false;
     }
 
@@ -50,7 +62,7 @@ class MemoryManager {
 
     /**
      * Memory Store - Save current value to memory
-     * @param {number} value - Value to store in memory
+     * @param {number|Fraction} value - Value to store in memory (fractions stay exact)
      */
     memoryStore(value) {
         try {
@@ -71,7 +83,7 @@ class MemoryManager {
 
     /**
      * Memory Recall - Retrieve value from memory
-     * @returns {number} Value stored in memory
+     * @returns {number|Fraction} Value stored in memory
      */
     memoryRecall() {
         try {
@@ -102,7 +114,7 @@ class MemoryManager {
 
     /**
      * Memory Add - Add current value to memory
-     * @param {number} value - Value to add to memory
+     * @param {number|Fraction} value - Value to add to memory
      */
     memoryAdd(value) {
         try {
@@ -110,7 +122,7 @@ class MemoryManager {
                 throw new Error(ERROR_MESSAGES.INVALID_INPUT);
             }
 
-            this.memoryValue += value;
+            this.memoryValue = addValues(this.memoryValue, value);
             this.isMemoryActive = true;
             this.updateMemoryIndicator();
             this.saveMemoryToStorage();
@@ -123,7 +135,7 @@ class MemoryManager {
 
     /**
      * Memory Subtract - Subtract current value from memory
-     * @param {number} value - Value to subtract from memory
+     * @param {number|Fraction} value - Value to subtract from memory
      */
     memorySubtract(value) {
         try {
@@ -131,7 +143,7 @@ class MemoryManager {
                 throw new Error(ERROR_MESSAGES.INVALID_INPUT);
             }
 
-            this.memoryValue -= value;
+            this.memoryValue = subtractValues(this.memoryValue, value);
             this.isMemoryActive = true;
             this.updateMemoryIndicator();
             this.saveMemoryToStorage();
@@ -144,7 +156,7 @@ class MemoryManager {
 
     /**
      * Get current memory value
-     * @returns {number} Current memory value
+     * @returns {number|Fraction} Current memory value
      */
     getMemoryValue() {
         return this.memoryValue;
@@ -163,6 +175,8 @@ class MemoryManager {
      * @param {string} message - Feedback message
      */
     showMemoryFeedback(message) {
+        if (typeof document === 'undefined') return;
+        
         const feedback = document.createElement('div');
         feedback.className = 'memory-feedback';
         feedback.textContent = message;
@@ -218,8 +232,9 @@ class MemoryManager {
      */
     importMemory(memoryState) {
         try {
-            if (memoryState && typeof memoryState.value === 'number') {
-                this.memoryValue = memoryState.value;
+            const isFraction = memoryState && typeof memoryState.value === 'object' && memoryState.value !== null;
+            if (memoryState && (typeof memoryState.value === 'number' || isFraction)) {
+                this.memoryValue = reviveValue(memoryState.value);
                 this.isMemoryActive = memoryState.active || false;
                 this.updateMemoryIndicator();
                 this.saveMemoryToStorage();
@@ -0,0 +1,195 @@
+/**
+ * Polynomial Roots
+ * @fileoverview Roots of real polynomials up to degree 4 from closed forms, polished with
+ * Newton steps; shared by the EQN panel and matrix eigenvalues
+ */
+
+import { ERROR_MESSAGES } from './utils.js';
+import { Complex } from './complex.js';
+
+export const MAX_POLYNOMIAL_DEGREE = 4;
+
+// Coefficients closer to zero than this, relative to the largest one, are rounding noise
+const RELATIVE_EPSILON = 1e-12;
+
+/**
+ * Real or complex root of a quadratic with real coefficients: ax² + bx + c = 0
+ * @param {number} a - x² coefficient (non-zero)
+ * @param {number} b - x coefficient
+ * @param {number} c - Constant
+ * @returns {Array<number|Complex>} Both roots; a complex pair has the positive imaginary part first
+ */
+function quadraticRoots(a, b, c) {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+        const re = -b / (2 * a);
+        const im = Math.abs(Math.sqrt(-discriminant) / (2 * a));
+        return [new Complex(re, im), new Complex(re, -im)];
+    }
+    if (discriminant === 0) {
+        return [-b / (2 * a), -b / (2 * a)];
+    }
+
+    // Avoid cancellation by computing the larger-magnitude root first
+    const q = -(b + Math.sign(b || 1) * Math.sqrt(discriminant)) / 2;
+    return [q / a, c / q];
+}
+
+/**
+ * Roots of a cubic with real coefficients (Cardano for one real root, the trigonometric form for three)
+ * @param {number} a - x³ coefficient (non-zero)
+ * @param {number} b - x² coefficient
+ * @param {number} c - x coefficient
+ * @param {number} d - Constant
+ * @returns {Array<number|Complex>} Three roots
+ */
+function cubicRoots(a, b, c, d) {
+    const [A, B, C] = [b / a, c / a, d / a];
+    if (C === 0) {
+        return [0, ...quadraticRoots(1, A, B)];
+    }
+
+    // Depressed cubic t³ + pt + q = 0 with x = t − A/3
+    const shift = A / 3;
+    const p = B - A * A / 3;
+    const q = 2 * A * A * A / 27 - A * B / 3 + C;
+    const discriminant = (q / 2) ** 2 + (p / 3) ** 3;
+    const scale = Math.max((q / 2) ** 2, Math.abs(p / 3) ** 3);
+
+    let roots;
+    if (Math.abs(discriminant) <= RELATIVE_EPSILON * scale) {
+        // Repeated roots
+        roots = Math.abs(p) <= RELATIVE_EPSILON * Math.max(1, A * A) ? [0, 0, 0] : [3 * q / p, -3 * q / (2 * p), -3 * q / (2 * p)];
+    } else if (discriminant > 0) {
+        const u = Math.cbrt(-q / 2 - Math.sign(q || 1) * Math.sqrt(discriminant));
+        const v = -p / (3 * u);
+        const im = Math.abs((u - v) * Math.sqrt(3) / 2);
+        roots = [u + v, new Complex(-(u + v) / 2, im), new Complex(-(u + v) / 2, -im)];
+    } else {
+        const radius = 2 * Math.sqrt(-p / 3);
+        const angle = Math.acos(Math.max(-1, Math.min(1, 3 * q / (p * radius)))) / 3;
+        roots = [0, 1, 2].map(k => radius * Math.cos(angle - 2 * Math.PI * k / 3));
+    }
+
+    return roots.map(t => (t instanceof Complex ? t.subtract(new Complex(shift)) : t - shift));
+}
+
+/**
+ * Roots of a quartic with real coefficients (Ferrari's method via the resolvent cubic)
+ * @param {number} a - x⁴ coefficient (non-zero)
+ * @param {number} b - x³ coefficient
+ * @param {number} c - x² coefficient
+ * @param {number} d - x coefficient
+ * @param {number} e - Constant
+ * @returns {Array<number|Complex>} Four roots
+ */
+function quarticRoots(a, b, c, d, e) {
+    const [A, B, C, D] = [b / a, c / a, d / a, e / a];
+    if (D === 0) {
+        return [0, ...cubicRoots(1, A, B, C)];
+    }
+
+    // Depressed quartic y⁴ + py² + qy + r = 0 with x = y − A/4
+    const shift = A / 4;
+    const p = B - 3 * A * A / 8;
+    const q = C - A * B / 2 + A * A * A / 8;
+    const r = D - A * C / 4 + A * A * B / 16 - 3 * A ** 4 / 256;
+
+    let roots;
+    if (Math.abs(q) <= RELATIVE_EPSILON * Math.max(1, Math.abs(p) ** 1.5, Math.abs(r) ** 0.75)) {
+        // Biquadratic: y² is a root of z² + pz + r
+        roots = quadraticRoots(1, p, r).flatMap(z => {
+            const root = Complex.from(z).sqrt();
+            return [root, root.negate()];
+        });
+    } else {
+        // The resolvent cubic has a positive real root m splitting the quartic into two real quadratics
+        const m = Math.max(...cubicRoots(1, p, p * p / 4 - r, -q * q / 8).filter(root => typeof root === 'number'));
+        const s = Math.sqrt(2 * m);
+        roots = [
+            ...quadraticRoots(1, s, p / 2 + m - q / (2 * s)),
+            ...quadraticRoots(1, -s, p / 2 + m + q / (2 * s))
+        ];
+    }
+
+    return roots.map(y => Complex.from(y).subtract(new Complex(shift)));
+}
+
+/**
+ * Value of a polynomial and its derivative at a complex point (Horner's scheme)
+ * @param {Array<number>} coefficients - Coefficients, highest degree first
+ * @param {Complex} z - Point
+ * @returns {Array<Complex>} `[p(z), p'(z)]`
+ */
+function evaluatePolynomial(coefficients, z) {
+    let value = new Complex(0);
+    let derivative = new Complex(0);
+    coefficients.forEach(coefficient => {
+        derivative = derivative.multiply(z).add(value);
+        value = value.multiply(z).add(new Complex(coefficient));
+    });
+    return [value, derivative];
+}
+
+/**
+ * Improves a closed-form root with Newton steps, keeping only steps that reduce |p(z)|
+ * @param {Array<number>} coefficients - Coefficients, highest degree first
+ * @param {number|Complex} root - Approximate root
+ * @returns {Complex} Polished root
+ */
+function polishRoot(coefficients, root) {
+    let z = Complex.from(root);
+    let [value, derivative] = evaluatePolynomial(coefficients, z);
+
+    for (let step = 0; step < 3 && value.abs() > 0 && derivative.abs() > 0; step++) {
+        const next = z.subtract(value.divide(derivative));
+        const [nextValue, nextDerivative] = evaluatePolynomial(coefficients, next);
+        if (!(nextValue.abs() < value.abs())) break;
+        [z, value, derivative] = [next, nextValue, nextDerivative];
+    }
+    return z;
+}
+
+/**
+ * Orders roots: real roots ascending, then complex pairs by real part, positive imaginary part first
+ * @param {number|Complex} a - First root
+ * @param {number|Complex} b - Second root
+ * @returns {number} Sort order
+ */
+function compareRoots(a, b) {
+    const [za, zb] = [Complex.from(a), Complex.from(b)];
+    const [realA, realB] = [typeof a === 'number', typeof b === 'number'];
+    if (realA !== realB) return realA ? -1 : 1;
+    return za.re - zb.re || zb.im - za.im;
+}
+
+/**
+ * Finds every root of a polynomial of degree 1 to 4 with real coefficients
+ * @param {Array<number>} coefficients - Coefficients, highest degree first; leading zeros lower the degree
+ * @returns {Array<number|Complex>} Roots with multiplicity: numbers for real roots, Complex otherwise
+ */
+export function solvePolynomial(coefficients) {
+    if (!Array.isArray(coefficients) || !coefficients.every(value => typeof value === 'number' && isFinite(value))) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const firstNonZero = coefficients.findIndex(value => value !== 0);
+    const trimmed = firstNonZero === -1 ? [] : coefficients.slice(firstNonZero);
+    const degree = trimmed.length - 1;
+    if (degree > MAX_POLYNOMIAL_DEGREE) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    // A non-zero constant has no root and the zero polynomial has every number as a root
+    if (degree < 1) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+
+    const solvers = [null, (a, b) => [-b / a], quadraticRoots, cubicRoots, quarticRoots];
+    const roots = solvers[degree](...trimmed);
+
+    return roots.map(root => {
+        const polished = degree === 1 ? Complex.from(root) : polishRoot(trimmed, root);
+        // Imaginary parts this small are rounding noise of a real root
+        return Math.abs(polished.im) <= 1e-10 * Math.max(1, polished.abs()) ? polished.re : polished;
+    }).sort(compareRoots);
+}
@@ -0,0 +1,226 @@
+/**
+ * Programmer Mode Arithmetic
+ * @fileoverview Number bases, fixed word sizes and bitwise operators on BigInt values
+ */
+
+import { ERROR_MESSAGES, formatNumber } from './utils.js';
+
+// Supported number bases and their radix
+export const BASES = {
+    HEX: 16,
+    DEC: 10,
+    OCT: 8,
+    BIN: 2
+};
+
+// Supported word sizes in bits
+export const WORD_SIZES = [8, 16, 32, 64];
+
+/**
+ * Wraps a value to the given word size
+ * @param {bigint} value - Value to wrap
+ * @param {number} wordSize - Word size in bits
+ * @param {boolean} signed - Interpret as two's complement
+ * @returns {bigint} Wrapped value
+ */
+export function toWord(value, wordSize, signed) {
+    return signed ? BigInt.asIntN(wordSize, value) : BigInt.asUintN(wordSize, value);
+}
+
+/**
+ * Parses an integer written in the given radix
+ * @param {string} text - Digits, optionally prefixed with '-'
+ * @param {number} radix - Number base
+ * @returns {bigint} Parsed value
+ */
+export function parseInBase(text, radix) {
+    const negative = text.startsWith('-');
+    const digits = negative ? text.slice(1) : text;
+
+    if (!digits) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    let result = 0n;
+    for (const char of digits.toUpperCase()) {
+        const digit = parseInt(char, 36);
+        if (isNaN(digit) || digit >= radix) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        result = result * BigInt(radix) + BigInt(digit);
+    }
+
+    return negative ? -result : result;
+}
+
+/**
+ * Checks whether a digit is valid in the given radix
+ * @param {string} digit - Single digit character
+ * @param {number} radix - Number base
+ * @returns {boolean} True if the digit can be entered
+ */
+export function isValidDigit(digit, radix) {
+    const value = parseInt(digit, 36);
+    return !isNaN(value) && value < radix;
+}
+
+/**
+ * Formats a word for display; non-decimal bases show the two's complement bit pattern
+ * @param {bigint} value - Value to format
+ * @param {number} radix - Number base
+ * @param {number} wordSize - Word size in bits
+ * @param {boolean} signed - Interpret as two's complement
+ * @returns {string} Formatted value
+ */
+export function formatWord(value, radix, wordSize, signed) {
+    const word = radix === BASES.DEC
+        ? toWord(value, wordSize, signed)
+        : BigInt.asUintN(wordSize, value);
+    return formatNumber(word, 0, radix);
+}
+
+/**
+ * Formats a value in every supported base at once
+ * @param {bigint} value - Value to format
+ * @param {number} wordSize - Word size in bits
+ * @param {boolean} signed - Interpret as two's complement
+ * @returns {Object} Formatted strings keyed by base name
+ */
+export function formatAllBases(value, wordSize, signed) {
+    return Object.fromEntries(
+        Object.entries(BASES).map(([name, radix]) => [name, formatWord(value, radix, wordSize, signed)])
+    );
+}
+
+/**
+ * Rotates the bits of a word left
+ * @param {bigint} value - Value to rotate
+ * @param {bigint} count - Number of bit positions
+ * @param {number} wordSize - Word size in bits
+ * @returns {bigint} Rotated bit pattern (unsigned)
+ */
+export function rotateLeft(value, count, wordSize) {
+    const bits = BigInt(wordSize);
+    const shift = ((count % bits) + bits) % bits;
+    const word = BigInt.asUintN(wordSize, value);
+    return BigInt.asUintN(wordSize, (word << shift) | (word >> (bits - shift)));
+}
+
+/**
+ * Rotates the bits of a word right
+ * @param {bigint} value - Value to rotate
+ * @param {bigint} count - Number of bit positions
+ * @param {number} wordSize - Word size in bits
+ * @returns {bigint} Rotated bit pattern (unsigned)
+ */
+export function rotateRight(value, count, wordSize) {
+    return rotateLeft(value, -count, wordSize);
+}
+
+/**
+ * Raises a word to a power, wrapping at every step so large exponents stay cheap
+ * @param {bigint} base - Base value
+ * @param {bigint} exponent - Non-negative exponent
+ * @param {number} wordSize - Word size in bits
+ * @returns {bigint} Wrapped result (unsigned)
+ */
+function wordPower(base, exponent, wordSize) {
+    if (exponent < 0n) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+
+    let result = 1n;
+    let factor = BigInt.asUintN(wordSize, base);
+    let remaining = exponent;
+
+    while (remaining > 0n) {
+        if (remaining & 1n) {
+            result = BigInt.asUintN(wordSize, result * factor);
+        }
+        factor = BigInt.asUintN(wordSize, factor * factor);
+        remaining >>= 1n;
+    }
+
+    return result;
+}
+
+/**
+ * Creates the expression arithmetic used in programmer mode
+ * @param {number} wordSize - Word size in bits
+ * @param {boolean} signed - Interpret values as two's complement
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createProgrammerArithmetic(wordSize = 64, signed = true) {
+    const wrap = (value) => toWord(value, wordSize, signed);
+    // Shifting by the full word size or more already clears every bit
+    const shiftCount = (count) => {
+        if (count < 0n) {
+            throw new Error(ERROR_MESSAGES.DOMAIN_ERROR);
+        }
+        return count > BigInt(wordSize) ? BigInt(wordSize) : count;
+    };
+
+    return {
+        constants: {},
+        functions: {},
+
+        unary(operator, value) {
+            switch (operator) {
+                case '-':
+                    return wrap(-value);
+                case '+':
+                    return value;
+                case 'NOT':
+                    return wrap(~value);
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        binary(operator, left, right) {
+            switch (operator) {
+                case '+':
+                    return wrap(left + right);
+                case '-':
+                    return wrap(left - right);
+                case '*':
+                    return wrap(left * right);
+                case '/':
+                    if (right === 0n) {
+                        throw new Error(ERROR_MESSAGES.DIVISION_BY_ZERO);
+                    }
+                    return wrap(left / right);
+                case '^':
+                    return wrap(wordPower(left, right, wordSize));
+                case 'AND':
+                    return wrap(left & right);
+                case 'OR':
+                    return wrap(left | right);
+                case 'XOR':
+                    return wrap(left ^ right);
+                case '<<':
+                    return wrap(left << shiftCount(right));
+                case '>>':
+                    // Arithmetic shift for signed words, logical shift for unsigned ones
+                    return wrap(wrap(left) >> shiftCount(right));
+                case 'ROL':
+                    return wrap(rotateLeft(left, right, wordSize));
+                case 'ROR':
+                    return wrap(rotateRight(left, right, wordSize));
+                default:
+                    throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+            }
+        },
+
+        postfix(operator, value) {
+            switch (operator) {
+                case '²':
+                    return wrap(value * value);
+                case '³':
+                    return wrap(value * value * value);
+                default:
+                    throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+            }
+        }
+    };
+}
@@ -0,0 +1,564 @@
+/**
+ * Two-Variable Regression
+ * @fileoverview Paired (x, y) data list, least-squares curve fitting and estimation of ŷ and x̂
+ */
+
+import { formatNumber, ERROR_MESSAGES, storeData, getData, readClipboardText } from './utils.js';
+import { historyOperations } from './history.js';
+import { solveLinearSystem } from './equations.js';
+
+/**
+ * Write a sum of terms with signs between them, e.g. `1.5 - 2x`
+ * @param {Array<Array>} terms - Pairs of coefficient and suffix
+ * @returns {string} Formatted sum
+ */
+function formatTerms(terms) {
+    return terms.map(([value, suffix], index) => {
+        if (index === 0) return `${formatNumber(value)}${suffix}`;
+        return `${value < 0 ? '-' : '+'} ${formatNumber(Math.abs(value))}${suffix}`;
+    }).join(' ');
+}
+
+// Regression models: the fitted equation, how to fit it, estimate ŷ from x and solve for x̂ given y.
+// Exponential, logarithmic and power models are fitted as straight lines through transformed data,
+// so their r is the correlation of the transformed data (as on handheld calculators).
+export const REGRESSION_MODELS = {
+    linear: {
+        name: 'LinReg',
+        equation: 'y = a + bx',
+        fit: (points) => fitLine(points),
+        predict: ({ a, b }, x) => a + b * x,
+        solve: ({ a, b }, y) => (b === 0 ? [] : [(y - a) / b]),
+        format: ({ a, b }) => `y = ${formatTerms([[a, ''], [b, 'x']])}`
+    },
+    quadratic: {
+        name: 'QuadReg',
+        equation: 'y = a + bx + cx²',
+        fit: (points) => fitQuadratic(points),
+        predict: ({ a, b, c }, x) => a + b * x + c * x * x,
+        solve: ({ a, b, c }, y) => solveQuadratic(c, b, a - y),
+        format: ({ a, b, c }) => `y = ${formatTerms([[a, ''], [b, 'x'], [c, 'x²']])}`
+    },
+    exponential: {
+        name: 'ExpReg',
+        equation: 'y = a·e^(bx)',
+        fit: (points) => {
+            requirePositive(points, 'y');
+            const line = fitLine(points.map(({ x, y }) => ({ x, y: Math.log(y) })));
+            return { coefficients: { a: Math.exp(line.coefficients.a), b: line.coefficients.b }, r: line.r };
+        },
+        predict: ({ a, b }, x) => a * Math.exp(b * x),
+        solve: ({ a, b }, y) => (b === 0 || y / a <= 0 ? [] : [Math.log(y / a) / b]),
+        format: ({ a, b }) => `y = ${formatNumber(a)}·e^(${formatNumber(b)}x)`
+    },
+    logarithmic: {
+        name: 'LnReg',
+        equation: 'y = a + b·ln(x)',
+        fit: (points) => {
+            requirePositive(points, 'x');
+            return fitLine(points.map(({ x, y }) => ({ x: Math.log(x), y })));
+        },
+        predict: ({ a, b }, x) => a + b * Math.log(x),
+        solve: ({ a, b }, y) => (b === 0 ? [] : [Math.exp((y - a) / b)]),
+        format: ({ a, b }) => `y = ${formatTerms([[a, ''], [b, '·ln(x)']])}`
+    },
+    power: {
+        name: 'PwrReg',
+        equation: 'y = a·x^b',
+        fit: (points) => {
+            requirePositive(points, 'x');
+            requirePositive(points, 'y');
+            const line = fitLine(points.map(({ x, y }) => ({ x: Math.log(x), y: Math.log(y) })));
+            return { coefficients: { a: Math.exp(line.coefficients.a), b: line.coefficients.b }, r: line.r };
+        },
+        predict: ({ a, b }, x) => a * Math.pow(x, b),
+        solve: ({ a, b }, y) => (b === 0 || y / a <= 0 ? [] : [Math.pow(y / a, 1 / b)]),
+        format: ({ a, b }) => `y = ${formatNumber(a)}·x^${formatNumber(b)}`
+    }
+};
+
+/**
+ * Validate a data point
+ * @param {number} x - Independent value
+ * @param {number} y - Dependent value
+ * @returns {Object} Point `{ x, y }`
+ */
+function createPoint(x, y) {
+    if (typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return { x, y };
+}
+
+/**
+ * Logarithmic models need strictly positive data
+ * @param {Array<Object>} points - Data points
+ * @param {string} axis - 'x' or 'y'
+ */
+function requirePositive(points, axis) {
+    if (points.some(point => point[axis] <= 0)) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+}
+
+/**
+ * Least-squares line y = a + bx from centered sums
+ * @param {Array<Object>} points - Data points
+ * @returns {Object} `{ coefficients: { a, b }, r }`
+ */
+function fitLine(points) {
+    const n = points.length;
+    if (n < 2) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+
+    const meanX = points.reduce((total, point) => total + point.x, 0) / n;
+    const meanY = points.reduce((total, point) => total + point.y, 0) / n;
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    points.forEach(({ x, y }) => {
+        sxx += (x - meanX) ** 2;
+        syy += (y - meanY) ** 2;
+        sxy += (x - meanX) * (y - meanY);
+    });
+
+    // r is undefined when either variable is constant
+    if (sxx === 0 || syy === 0) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+
+    const b = sxy / sxx;
+    return {
+        coefficients: { a: meanY - b * meanX, b },
+        r: Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)))
+    };
+}
+
+/**
+ * Least-squares parabola y = a + bx + cx². The normal equations are solved in x − x̄
+ * to keep them well conditioned, then expanded back.
+ * @param {Array<Object>} points - Data points
+ * @returns {Object} `{ coefficients: { a, b, c }, r }` where r = √R²
+ */
+function fitQuadratic(points) {
+    const n = points.length;
+    if (n < 3) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+
+    const meanX = points.reduce((total, point) => total + point.x, 0) / n;
+    const meanY = points.reduce((total, point) => total + point.y, 0) / n;
+    // Power sums Σu^k (k = 0..4) and Σu^k·y (k = 0..2) of the centered data
+    const su = [0, 0, 0, 0, 0];
+    const suy = [0, 0, 0];
+    points.forEach(({ x, y }) => {
+        const u = x - meanX;
+        for (let k = 0; k <= 4; k++) su[k] += u ** k;
+        for (let k = 0; k <= 2; k++) suy[k] += u ** k * y;
+    });
+
+    const [alpha, beta, gamma] = solveLinearSystem(
+        [[su[0], su[1], su[2]], [su[1], su[2], su[3]], [su[2], su[3], su[4]]],
+        suy
+    );
+
+    const coefficients = {
+        a: alpha - beta * meanX + gamma * meanX * meanX,
+        b: beta - 2 * gamma * meanX,
+        c: gamma
+    };
+
+    let residual = 0;
+    let total = 0;
+    points.forEach(({ x, y }) => {
+        const u = x - meanX;
+        residual += (y - (alpha + beta * u + gamma * u * u)) ** 2;
+        total += (y - meanY) ** 2;
+    });
+    if (total === 0) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+
+    return { coefficients, r: Math.sqrt(Math.max(0, 1 - residual / total)) };
+}
+
+/**
+ * Real roots of ax² + bx + c = 0 in ascending order
+ * @param {number} a - x² coefficient
+ * @param {number} b - x coefficient
+ * @param {number} c - Constant
+ * @returns {Array<number>} Roots (empty when there are none)
+ */
+function solveQuadratic(a, b, c) {
+    if (a === 0) return b === 0 ? [] : [-c / b];
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return [];
+    if (discriminant === 0) return [-b / (2 * a)];
+
+    // Avoid cancellation by computing the larger-magnitude root first
+    const q = -(b + Math.sign(b || 1) * Math.sqrt(discriminant)) / 2;
+    return [q / a, c / q].sort((first, second) => first - second);
+}
+
+/**
+ * Fit a regression model to paired data
+ * @param {Array<Object>} points - Data points `{ x, y }`
+ * @param {string} model - Key from REGRESSION_MODELS
+ * @returns {Object} Fit `{ model, n, coefficients, r, r2 }`
+ */
+export function fitRegression(points, model) {
+    const definition = REGRESSION_MODELS[model];
+    if (!definition) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const { coefficients, r } = definition.fit(points);
+    if (!Object.values(coefficients).every(isFinite)) {
+        throw new Error(ERROR_MESSAGES.MATH_ERROR);
+    }
+    return { model, n: points.length, coefficients, r, r2: r * r };
+}
+
+/**
+ * Reads pasted paired data: an x and a y column separated by a tab, comma or semicolon.
+ * A non-numeric first line is a header.
+ * @param {string} text - Pasted text
+ * @returns {Array<Object>} Points `{ x, y }`
+ */
+export function parsePairedData(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const splitLine = (line) => line.split(/[\t,;]/).map(cell => cell.trim());
+    const isNumeric = (cell) => cell !== undefined && cell !== '' && isFinite(Number(cell));
+
+    return lines
+        .filter((line, index) => index > 0 || splitLine(line).every(isNumeric))
+        .map(line => {
+            const cells = splitLine(line);
+            if (cells.length !== 2 || !cells.every(isNumeric)) {
+                throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+            }
+            return createPoint(Number(cells[0]), Number(cells[1]));
+        });
+}
+
+class RegressionManager {
+    constructor() {
+        this.points = [];
+        this.model = 'linear';
+        this.lastFit = null;
+        this.dataBody = null;
+        this.resultsList = null;
+        this.loadDataFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize regression UI elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.dataBody = document.getElementById('regressionData');
+        this.resultsList = document.getElementById('regressionResults');
+
+        if (this.dataBody) {
+            // Cells are edited in place; rows are rebuilt so invalid edits revert
+            this.dataBody.addEventListener('change', (event) => this.handleCellChange(event));
+            this.dataBody.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-remove]');
+                if (button) this.removePoint(Number(button.dataset.remove));
+            });
+        }
+
+        if (this.resultsList) {
+            this.resultsList.addEventListener('click', (event) => this.handleResultClick(event));
+        }
+
+        this.renderRegression();
+    }
+
+    // Load the paired data list and selected model from localStorage
+    loadDataFromStorage() {
+        const stored = getData('calculatorRegression', {});
+        try {
+            this.points = Array.isArray(stored.points) ? stored.points.map(point => createPoint(point.x, point.y)) : [];
+        } catch (error) {
+            console.error('Ignoring invalid regression data:', error);
+            this.points = [];
+        }
+        if (stored.model in REGRESSION_MODELS) {
+            this.model = stored.model;
+        }
+    }
+
+    // Save the paired data list and selected model to localStorage
+    saveDataToStorage() {
+        storeData('calculatorRegression', { points: this.points, model: this.model });
+    }
+
+    // Persist and redraw after the data list changed; an earlier fit no longer describes the data
+    commitChanges() {
+        this.lastFit = null;
+        this.saveDataToStorage();
+        this.renderRegression();
+    }
+
+    /**
+     * Add a point to the data list
+     * @param {number} x - Independent value
+     * @param {number} y - Dependent value
+     */
+    addPoint(x, y) {
+        this.points.push(createPoint(x, y));
+        this.commitChanges();
+    }
+
+    /**
+     * Replace a point of the data list
+     * @param {number} index - Point index
+     * @param {number} x - New independent value
+     * @param {number} y - New dependent value
+     */
+    updatePoint(index, x, y) {
+        if (!this.points[index]) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.points[index] = createPoint(x, y);
+        this.commitChanges();
+    }
+
+    /**
+     * Remove a point of the data list
+     * @param {number} index - Point index
+     */
+    removePoint(index) {
+        if (this.points[index]) {
+            this.points.splice(index, 1);
+            this.commitChanges();
+        }
+    }
+
+    // Remove every point
+    clearData() {
+        this.points = [];
+        this.commitChanges();
+    }
+
+    /**
+     * Append points read from pasted text
+     * @param {string} text - Two columns of numbers
+     * @returns {number} Number of points added
+     */
+    importText(text) {
+        const points = parsePairedData(text);
+        this.points.push(...points);
+        this.commitChanges();
+        return points.length;
+    }
+
+    /**
+     * Append paired data read from the clipboard
+     * @returns {Promise<number>} Number of points added
+     */
+    async pasteFromClipboard() {
+        const text = await readClipboardText();
+        if (text === null) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return this.importText(text);
+    }
+
+    /**
+     * Get the data list
+     * @returns {Array<Object>} Copies of the points `{ x, y }`
+     */
+    getPoints() {
+        return this.points.map(point => ({ ...point }));
+    }
+
+    /**
+     * Select the model used by the next fit
+     * @param {string} model - Key from REGRESSION_MODELS
+     */
+    setModel(model) {
+        if (!(model in REGRESSION_MODELS)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.model = model;
+        this.saveDataToStorage();
+    }
+
+    /**
+     * Fit the selected model to the data list and record the fit in history
+     * @param {string} model - Key from REGRESSION_MODELS (defaults to the selected model)
+     * @returns {Object} Fit from fitRegression()
+     */
+    fit(model = this.model) {
+        const fit = fitRegression(this.points, model);
+        if (model !== this.model) this.setModel(model);
+
+        this.lastFit = fit;
+        historyOperations.add(`${REGRESSION_MODELS[model].name} ${REGRESSION_MODELS[model].format(fit.coefficients)}; r²`, fit.r2);
+        this.renderRegression();
+        return { ...fit, coefficients: { ...fit.coefficients } };
+    }
+
+    // The fit predictions are made with; the data must be fitted first
+    requireFit() {
+        if (!this.lastFit) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return this.lastFit;
+    }
+
+    /**
+     * Estimate ŷ for an x value from the last fit
+     * @param {number} x - Independent value
+     * @returns {number} Estimated y
+     */
+    predictY(x) {
+        const fit = this.requireFit();
+        const y = REGRESSION_MODELS[fit.model].predict(fit.coefficients, x);
+        if (!isFinite(y)) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return y;
+    }
+
+    /**
+     * Estimate x̂ for a y value from the last fit
+     * @param {number} y - Dependent value
+     * @returns {Array<number>} Estimated x values in ascending order (up to two for a quadratic)
+     */
+    predictX(y) {
+        const fit = this.requireFit();
+        const values = REGRESSION_MODELS[fit.model].solve(fit.coefficients, y).filter(isFinite);
+        if (values.length === 0) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return values;
+    }
+
+    /**
+     * Apply an edited table cell to its point
+     * @param {Event} event - Change event from a cell input
+     */
+    handleCellChange(event) {
+        const row = event.target.closest('[data-index]');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        const x = row.querySelector('[data-field="x"]').value;
+        const y = row.querySelector('[data-field="y"]').value;
+
+        try {
+            this.updatePoint(index, Number(x), Number(y));
+        } catch (error) {
+            this.renderRegression();
+        }
+    }
+
+    /**
+     * Recall a coefficient, r or r² into the main display
+     * @param {Event} event - Click event from the results list
+     */
+    handleResultClick(event) {
+        const button = event.target.closest('[data-result]');
+        if (!button || !this.lastFit) return;
+
+        const name = button.dataset.result;
+        const value = name in this.lastFit.coefficients ? this.lastFit.coefficients[name] : this.lastFit[name];
+        document.dispatchEvent(new CustomEvent('statisticSelected', { detail: { name, value } }));
+    }
+
+    // Render the data table and the last fit
+    renderRegression() {
+        if (this.dataBody) {
+            this.dataBody.replaceChildren(...this.points.map((point, index) => this.createDataRow(point, index)));
+        }
+        if (this.resultsList) {
+            const fit = this.lastFit;
+            const items = fit
+                ? [
+                    ...Object.entries(fit.coefficients).map(([name, value]) => this.createResultItem(name, name, value)),
+                    this.createResultItem('r', 'r', fit.r),
+                    this.createResultItem('r2', 'r²', fit.r2)
+                ]
+                : [];
+            this.resultsList.replaceChildren(...items);
+        }
+    }
+
+    /**
+     * Create an editable table row
+     * @param {Object} point - Data point
+     * @param {number} index - Point index
+     * @returns {HTMLElement} Table row
+     */
+    createDataRow(point, index) {
+        const tr = document.createElement('tr');
+        tr.dataset.index = String(index);
+
+        ['x', 'y'].forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = String(point[field]);
+            input.dataset.field = field;
+            input.setAttribute('aria-label', `${field} of point ${index + 1}`);
+            cell.appendChild(input);
+            tr.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'stats-remove';
+        remove.dataset.remove = String(index);
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove point ${index + 1}`);
+        actions.appendChild(remove);
+        tr.appendChild(actions);
+
+        return tr;
+    }
+
+    /**
+     * Create a fit result entry that recalls its value
+     * @param {string} name - Result key
+     * @param {string} label - Displayed label
+     * @param {number} value - Result value
+     * @returns {HTMLElement} List item
+     */
+    createResultItem(name, label, value) {
+        const item = document.createElement('li');
+        const recall = document.createElement('button');
+        recall.className = 'stats-recall';
+        recall.dataset.result = name;
+        recall.textContent = `${label} = ${formatNumber(value)}`;
+        recall.setAttribute('aria-label', `Recall ${label}`);
+        item.appendChild(recall);
+        return item;
+    }
+}
+
+// Create and export singleton instance
+export const regressionManager = new RegressionManager();
+
+// Export regression operations as individual functions
+export const regressionOperations = {
+    add: (x, y) => regressionManager.addPoint(x, y),
+    update: (index, x, y) => regressionManager.updatePoint(index, x, y),
+    remove: (index) => regressionManager.removePoint(index),
+    clear: () => regressionManager.clearData(),
+    import: (text) => regressionManager.importText(text),
+    paste: () => regressionManager.pasteFromClipboard(),
+    getPoints: () => regressionManager.getPoints(),
+    setModel: (model) => regressionManager.setModel(model),
+    getModel: () => regressionManager.model,
+    fit: (model) => regressionManager.fit(model),
+    predictY: (x) => regressionManager.predictY(x),
+    predictX: (y) => regressionManager.predictX(y)
+};
+
+// Export class for advanced usage
+export default RegressionManager;
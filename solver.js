@@ -0,0 +1,298 @@
+/**
+ * Equation Solver
+ * @fileoverview SOLVE for a single unknown: Newton's method from a guess, with a bracketing
+ * Brent's method fallback (inverse quadratic interpolation safeguarded by bisection)
+ */
+
+import { parse, evaluateExpression, compileFunction, createRealArithmetic, ExpressionError, NODE_TYPES } from './expression.js';
+import { ERROR_MESSAGES, ANGLE_MODES } from './utils.js';
+
+const MAX_NEWTON_STEPS = 50;
+const MAX_BRENT_STEPS = 200;
+
+// Doublings of the search width when looking for a sign change around a guess
+const MAX_BRACKET_EXPANSIONS = 60;
+
+// Relative step size at which an iteration has converged
+const TOLERANCE = 1e-12;
+
+// Largest |f(root)| accepted from Newton's method, relative to |f| at the starting point
+const RESIDUAL_TOLERANCE = 1e-8;
+
+/**
+ * Turns `lhs = rhs` into the expression `(lhs) - (rhs)` whose root solves the equation;
+ * an expression without `=` is solved for zero
+ * @param {string} equation - Equation as typed
+ * @returns {string} Expression source
+ */
+function toZeroForm(equation) {
+    const sides = String(equation).split('=');
+    if (sides.length > 2 || sides.some(side => !side.trim())) {
+        throw new Error(ERROR_MESSAGES.SYNTAX_ERROR);
+    }
+    return sides.length === 2 ? `(${sides[0].trim()}) - (${sides[1].trim()})` : sides[0].trim();
+}
+
+/**
+ * Collects the names used in an expression that are not known constants
+ * @param {Object} node - AST node
+ * @param {Object} constants - Known constants
+ * @param {Set<string>} names - Names found so far
+ * @returns {Set<string>} Unknown names
+ */
+function collectUnknowns(node, constants, names = new Set()) {
+    if (node.type === NODE_TYPES.CONSTANT && !(node.name in constants)) {
+        names.add(node.name);
+    }
+    // The variable of d/dx, ∫, Σ and Π is bound inside their body
+    if (node.type === NODE_TYPES.CALCULUS) {
+        collectUnknowns(node.argument, { ...constants, [node.variable]: 0 }, names);
+        node.args.forEach(child => collectUnknowns(child, constants, names));
+        return names;
+    }
+    [node.argument, node.left, node.right, ...(node.args || [])]
+        .filter(Boolean)
+        .forEach(child => collectUnknowns(child, constants, names));
+    return names;
+}
+
+/**
+ * Compiles an equation into a real function of its single unknown
+ * @param {string} equation - Equation such as `x^3 - 2x = 5`
+ * @param {string} angleMode - Angle mode used by trigonometric functions
+ * @returns {Object} `{ f, variable }` where f returns NaN where the equation is undefined
+ */
+export function compileEquation(equation, angleMode = ANGLE_MODES.DEGREES) {
+    const source = toZeroForm(equation);
+    const unknowns = [...collectUnknowns(parse(source), createRealArithmetic(angleMode).constants)];
+    if (unknowns.length !== 1) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const [variable] = unknowns;
+    const evaluateAt = compileFunction(source, variable, { angleMode });
+    const f = (value) => {
+        try {
+            const result = evaluateAt(value);
+            return typeof result === 'number' && isFinite(result) ? result : NaN;
+        } catch (error) {
+            if (error instanceof ExpressionError) throw error;
+            return NaN;
+        }
+    };
+    return { f, variable };
+}
+
+/**
+ * Newton's method with a central-difference derivative
+ * @param {Function} f - Function of the unknown
+ * @param {number} x - Starting point
+ * @returns {Object|null} `{ root, iterations }`, or null if the iteration fails or does not converge
+ */
+function newton(f, x) {
+    for (let iteration = 1; iteration <= MAX_NEWTON_STEPS; iteration++) {
+        const fx = f(x);
+        if (!isFinite(fx)) return null;
+        if (fx === 0) return { root: x, iterations: iteration - 1 };
+
+        const h = 1e-7 * Math.max(1, Math.abs(x));
+        const derivative = (f(x + h) - f(x - h)) / (2 * h);
+        if (!isFinite(derivative) || derivative === 0) return null;
+
+        const step = fx / derivative;
+        x -= step;
+        if (!isFinite(x)) return null;
+        if (Math.abs(step) <= TOLERANCE * Math.max(1, Math.abs(x))) {
+            return { root: x, iterations: iteration };
+        }
+    }
+    return null;
+}
+
+/**
+ * Brent's method on a bracket where f changes sign
+ * @param {Function} f - Function of the unknown
+ * @param {number} a - One end of the bracket
+ * @param {number} b - Other end of the bracket
+ * @returns {Object|null} `{ root, iterations }`, or null if f is undefined inside the bracket
+ */
+function brent(f, a, b) {
+    let fa = f(a);
+    let fb = f(b);
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let e = d;
+
+    for (let iteration = 1; iteration <= MAX_BRENT_STEPS; iteration++) {
+        // Keep the root between b and c, with b the better estimate
+        if (Math.sign(fb) === Math.sign(fc)) {
+            c = a;
+            fc = fa;
+            d = b - a;
+            e = d;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            [a, b, c] = [b, c, b];
+            [fa, fb, fc] = [fb, fc, fb];
+        }
+
+        const tolerance = 2 * Number.EPSILON * Math.abs(b) + TOLERANCE * 1e-3;
+        const middle = (c - b) / 2;
+        if (Math.abs(middle) <= tolerance || fb === 0) {
+            return { root: b, iterations: iteration };
+        }
+
+        if (Math.abs(e) >= tolerance && Math.abs(fa) > Math.abs(fb)) {
+            // Secant or inverse quadratic interpolation, accepted only while it beats bisection
+            const s = fb / fa;
+            let p;
+            let q;
+            if (a === c) {
+                p = 2 * middle * s;
+                q = 1 - s;
+            } else {
+                const r = fb / fc;
+                q = fa / fc;
+                p = s * (2 * middle * q * (q - r) - (b - a) * (r - 1));
+                q = (q - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) q = -q;
+            p = Math.abs(p);
+
+            if (2 * p < Math.min(3 * middle * q - Math.abs(tolerance * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = middle;
+                e = d;
+            }
+        } else {
+            d = middle;
+            e = d;
+        }
+
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tolerance ? d : Math.sign(middle) * tolerance;
+        fb = f(b);
+        if (!isFinite(fb)) return null;
+    }
+    return null;
+}
+
+/**
+ * Searches outward from a guess for an interval where f changes sign
+ * @param {Function} f - Function of the unknown
+ * @param {number} guess - Center of the search
+ * @returns {Array<number>|null} Bracket `[a, b]`, or null if none was found
+ */
+function findBracket(f, guess) {
+    const width = 0.1 * Math.max(1, Math.abs(guess));
+    let left = { x: guess, y: f(guess) };
+    let right = left;
+
+    const changesSign = (p, q) => isFinite(p.y) && isFinite(q.y) && Math.sign(p.y) !== Math.sign(q.y);
+
+    for (let k = 0; k < MAX_BRACKET_EXPANSIONS; k++) {
+        const offset = width * 2 ** k;
+        const nextRight = { x: guess + offset, y: f(guess + offset) };
+        if (changesSign(right, nextRight)) return [right.x, nextRight.x];
+
+        const nextLeft = { x: guess - offset, y: f(guess - offset) };
+        if (changesSign(nextLeft, left)) return [nextLeft.x, left.x];
+
+        right = nextRight;
+        left = nextLeft;
+    }
+    return null;
+}
+
+/**
+ * Reads the starting point of SOLVE: a guess such as `2` or an interval such as `0, 3`.
+ * Each part may be an expression, e.g. `π/2`.
+ * @param {string} text - Starting point as typed
+ * @param {string} angleMode - Angle mode used by trigonometric functions
+ * @returns {Object} `{ guess }` or `{ interval: [a, b] }`
+ */
+export function parseStartingPoint(text, angleMode = ANGLE_MODES.DEGREES) {
+    const parts = String(text).replace(/^\s*\[|\]\s*$/g, '').split(/[,;]/).map(part => part.trim());
+    if (parts.length > 2 || parts.some(part => !part)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    const values = parts.map(part => Number(evaluateExpression(part, { angleMode })));
+    return values.length === 2 ? { interval: values } : { guess: values[0] };
+}
+
+/**
+ * Finds a root of a real function. Newton's method runs first from the guess (or the
+ * middle of the interval); if it fails, leaves the interval or lands on a pole, Brent's
+ * method runs on the interval, or on a sign change found around the guess.
+ * @param {Function} f - Real function, NaN where it is undefined
+ * @param {Object} options - Solver options
+ * @param {number} options.guess - Starting point (defaults to 0, or the middle of the interval)
+ * @param {Array<number>} options.interval - Bracket `[a, b]` the root must lie in
+ * @returns {Object} Solution `{ root, method: 'newton'|'brent', iterations, residual }`
+ */
+export function findRoot(f, options = {}) {
+    let interval = null;
+    if (options.interval) {
+        const [a, b] = options.interval.map(Number);
+        if (!isFinite(a) || !isFinite(b) || a === b) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        interval = [Math.min(a, b), Math.max(a, b)];
+    }
+
+    const guess = Number(options.guess ?? (interval ? (interval[0] + interval[1]) / 2 : 0));
+    if (!isFinite(guess)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    // A converged iteration counts when its root is inside the interval and |f(root)| is within the bound
+    const accept = (solution, method, bound) => {
+        if (!solution) return null;
+        const residual = f(solution.root);
+        const inside = !interval || (solution.root >= interval[0] && solution.root <= interval[1]);
+        if (!inside || !(Math.abs(residual) <= bound)) return null;
+        return { root: solution.root, method, iterations: solution.iterations, residual };
+    };
+
+    const scale = Math.max(1, Math.abs(f(guess)) || 0);
+    const fromNewton = accept(newton(f, guess), 'newton', RESIDUAL_TOLERANCE * scale);
+    if (fromNewton) return fromNewton;
+
+    let bracket = interval;
+    if (interval) {
+        const [fa, fb] = interval.map(f);
+        if (!isFinite(fa) || !isFinite(fb) || fa * fb > 0) {
+            throw new Error(ERROR_MESSAGES.NO_SIGN_CHANGE);
+        }
+    } else {
+        bracket = findBracket(f, guess);
+    }
+
+    // A sign change across a pole (1/x at 0, tan(x) at 90°) converges where |f| grows past the ends
+    const fromBrent = bracket &&
+        accept(brent(f, bracket[0], bracket[1]), 'brent', Math.max(...bracket.map(x => Math.abs(f(x)))));
+    if (!fromBrent) {
+        throw new Error(ERROR_MESSAGES.NO_CONVERGENCE);
+    }
+    return fromBrent;
+}
+
+/**
+ * Solves an equation for its single unknown with findRoot()
+ * @param {string} equation - Equation such as `x^3 - 2x = 5`, or an expression solved for zero
+ * @param {Object} options - Solver options
+ * @param {number} options.guess - Starting point (defaults to 0, or the middle of the interval)
+ * @param {Array<number>} options.interval - Bracket `[a, b]` the root must lie in
+ * @param {string} options.angleMode - Angle mode used by trigonometric functions
+ * @returns {Object} Solution `{ root, variable, method: 'newton'|'brent', iterations, residual }`
+ */
+export function solveEquation(equation, options = {}) {
+    const { f, variable } = compileEquation(equation, options.angleMode);
+    const { root, method, iterations, residual } = findRoot(f, options);
+    return { root, variable, method, iterations, residual };
+}
@@ -0,0 +1,436 @@
+/**
+ * Statistics Mode
+ * @fileoverview Data list with frequencies, descriptive statistics and the statistics panel
+ */
+
+import { formatNumber, ERROR_MESSAGES, storeData, getData, readClipboardText } from './utils.js';
+import { memoryOperations } from './memory.js';
+
+// Statistics shown in the panel, in display order, with their labels
+export const STATISTIC_LABELS = {
+    n: 'n',
+    sum: 'Σx',
+    sumOfSquares: 'Σx²',
+    mean: 'x̄',
+    median: 'Med',
+    mode: 'Mode',
+    sampleStdDev: 'sx',
+    populationStdDev: 'σx',
+    sampleVariance: 'sx²',
+    populationVariance: 'σx²',
+    q1: 'Q1',
+    q3: 'Q3',
+    min: 'min',
+    max: 'max'
+};
+
+/**
+ * Validate a data row
+ * @param {number} value - Data value
+ * @param {number} frequency - Number of occurrences (non-negative integer)
+ * @returns {Object} Row `{ value, frequency }`
+ */
+function createRow(value, frequency = 1) {
+    if (typeof value !== 'number' || !isFinite(value) || !Number.isInteger(frequency) || frequency < 0) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return { value, frequency };
+}
+
+/**
+ * Reads a pasted column of numbers, one per line. A second column separated by a tab,
+ * comma or semicolon is read as the frequency; a non-numeric first line is a header.
+ * @param {string} text - Pasted text
+ * @returns {Array<Object>} Rows `{ value, frequency }`
+ */
+export function parseDataColumn(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const isNumeric = (cell) => cell !== '' && isFinite(Number(cell));
+
+    return lines
+        .filter((line, index) => index > 0 || isNumeric(line.split(/[\t,;]/)[0].trim()))
+        .map(line => {
+            const [value, frequency = '1'] = line.split(/[\t,;]/).map(cell => cell.trim());
+            if (!isNumeric(value) || !isNumeric(frequency)) {
+                throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+            }
+            return createRow(Number(value), Number(frequency));
+        });
+}
+
+/**
+ * Median of the values at positions [start, end) of the expanded, sorted data
+ * @param {Array<Object>} sorted - Rows sorted by value
+ * @param {number} start - First position
+ * @param {number} end - Position after the last
+ * @returns {number|null} Median, or null for an empty range
+ */
+function medianOfRange(sorted, start, end) {
+    if (end <= start) return null;
+
+    // Value at a position of the data list with every row repeated `frequency` times
+    const valueAt = (position) => {
+        let count = 0;
+        for (const row of sorted) {
+            count += row.frequency;
+            if (position < count) return row.value;
+        }
+        return sorted[sorted.length - 1].value;
+    };
+
+    const middle = start + (end - start - 1) / 2;
+    return (valueAt(Math.floor(middle)) + valueAt(Math.ceil(middle))) / 2;
+}
+
+/**
+ * Computes descriptive statistics of a data list. Quartiles are the medians of the lower and
+ * upper halves, leaving out the median itself when n is odd (as on handheld calculators).
+ * @param {Array<Object>} rows - Rows `{ value, frequency }`
+ * @returns {Object} Statistics keyed as in STATISTIC_LABELS; undefined values are null and
+ *   `mode` lists every most frequent value (empty when all values are equally frequent)
+ */
+export function computeStatistics(rows) {
+    const data = rows.filter(row => row.frequency > 0);
+    const n = data.reduce((total, row) => total + row.frequency, 0);
+    const sum = data.reduce((total, row) => total + row.value * row.frequency, 0);
+    const sumOfSquares = data.reduce((total, row) => total + row.value * row.value * row.frequency, 0);
+
+    if (n === 0) {
+        const empty = Object.fromEntries(Object.keys(STATISTIC_LABELS).map(key => [key, null]));
+        return { ...empty, n: 0, sum: 0, sumOfSquares: 0, mode: [] };
+    }
+
+    // Merge repeated values so frequencies add up
+    const counts = new Map();
+    data.forEach(row => counts.set(row.value, (counts.get(row.value) || 0) + row.frequency));
+    const sorted = [...counts].map(([value, frequency]) => ({ value, frequency })).sort((a, b) => a.value - b.value);
+
+    const mean = sum / n;
+    // Two-pass deviations avoid the cancellation of Σx² − n·x̄²
+    const squaredDeviations = sorted.reduce((total, row) => total + row.frequency * (row.value - mean) ** 2, 0);
+    const populationVariance = squaredDeviations / n;
+    const sampleVariance = n > 1 ? squaredDeviations / (n - 1) : null;
+
+    const highest = Math.max(...sorted.map(row => row.frequency));
+    const mode = sorted.length > 1 && sorted.every(row => row.frequency === highest)
+        ? []
+        : sorted.filter(row => row.frequency === highest).map(row => row.value);
+
+    return {
+        n,
+        sum,
+        sumOfSquares,
+        mean,
+        median: medianOfRange(sorted, 0, n),
+        mode,
+        sampleStdDev: sampleVariance === null ? null : Math.sqrt(sampleVariance),
+        populationStdDev: Math.sqrt(populationVariance),
+        sampleVariance,
+        populationVariance,
+        q1: medianOfRange(sorted, 0, Math.floor(n / 2)),
+        q3: medianOfRange(sorted, Math.ceil(n / 2), n),
+        min: sorted[0].value,
+        max: sorted[sorted.length - 1].value
+    };
+}
+
+class StatisticsManager {
+    constructor() {
+        this.rows = [];
+        this.dataBody = null;
+        this.resultsList = null;
+        this.loadDataFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize statistics UI elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.dataBody = document.getElementById('statsData');
+        this.resultsList = document.getElementById('statsResults');
+
+        if (this.dataBody) {
+            // Cells are edited in place; rows are rebuilt so invalid edits revert
+            this.dataBody.addEventListener('change', (event) => this.handleCellChange(event));
+            this.dataBody.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-remove]');
+                if (button) this.removeRow(Number(button.dataset.remove));
+            });
+        }
+
+        if (this.resultsList) {
+            this.resultsList.addEventListener('click', (event) => this.handleResultClick(event));
+        }
+
+        this.renderStatistics();
+    }
+
+    // Load the data list from localStorage
+    loadDataFromStorage() {
+        const stored = getData('calculatorStatistics', []);
+        try {
+            this.rows = Array.isArray(stored) ? stored.map(row => createRow(row.value, row.frequency)) : [];
+        } catch (error) {
+            console.error('Ignoring invalid statistics data:', error);
+            this.rows = [];
+        }
+    }
+
+    // Save the data list to localStorage
+    saveDataToStorage() {
+        storeData('calculatorStatistics', this.rows);
+    }
+
+    // Persist and redraw after the data list changed
+    commitChanges() {
+        this.saveDataToStorage();
+        this.renderStatistics();
+    }
+
+    /**
+     * Add a value to the data list
+     * @param {number} value - Data value
+     * @param {number} frequency - Number of occurrences
+     */
+    addValue(value, frequency = 1) {
+        this.rows.push(createRow(value, frequency));
+        this.commitChanges();
+    }
+
+    /**
+     * Replace a row of the data list
+     * @param {number} index - Row index
+     * @param {number} value - New value
+     * @param {number} frequency - New frequency
+     */
+    updateRow(index, value, frequency) {
+        if (!this.rows[index]) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.rows[index] = createRow(value, frequency);
+        this.commitChanges();
+    }
+
+    /**
+     * Remove a row of the data list
+     * @param {number} index - Row index
+     */
+    removeRow(index) {
+        if (this.rows[index]) {
+            this.rows.splice(index, 1);
+            this.commitChanges();
+        }
+    }
+
+    // Remove every row
+    clearData() {
+        this.rows = [];
+        this.commitChanges();
+    }
+
+    /**
+     * Append rows read from pasted text
+     * @param {string} text - Column of numbers, optionally with frequencies
+     * @returns {number} Number of rows added
+     */
+    importText(text) {
+        const rows = parseDataColumn(text);
+        this.rows.push(...rows);
+        this.commitChanges();
+        return rows.length;
+    }
+
+    /**
+     * Append a column of numbers read from the clipboard
+     * @returns {Promise<number>} Number of rows added
+     */
+    async pasteFromClipboard() {
+        const text = await readClipboardText();
+        if (text === null) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return this.importText(text);
+    }
+
+    /**
+     * Get the data list
+     * @returns {Array<Object>} Copies of the rows `{ value, frequency }`
+     */
+    getRows() {
+        return this.rows.map(row => ({ ...row }));
+    }
+
+    /**
+     * Compute statistics of the data list
+     * @returns {Object} Statistics from computeStatistics()
+     */
+    getStatistics() {
+        return computeStatistics(this.rows);
+    }
+
+    /**
+     * Get a single statistic as a number that can be recalled or stored
+     * @param {string} name - Key from STATISTIC_LABELS
+     * @returns {number} Statistic value
+     */
+    getStatistic(name) {
+        if (!(name in STATISTIC_LABELS)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+
+        let value = this.getStatistics()[name];
+        if (Array.isArray(value)) {
+            // Only a single mode can be recalled
+            value = value.length === 1 ? value[0] : null;
+        }
+        if (value === null) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return value;
+    }
+
+    /**
+     * Store a statistic in calculator memory
+     * @param {string} name - Key from STATISTIC_LABELS
+     */
+    storeStatistic(name) {
+        memoryOperations.store(this.getStatistic(name));
+    }
+
+    /**
+     * Apply an edited table cell to its row
+     * @param {Event} event - Change event from a cell input
+     */
+    handleCellChange(event) {
+        const row = event.target.closest('[data-index]');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        const value = row.querySelector('[data-field="value"]').value;
+        const frequency = row.querySelector('[data-field="frequency"]').value;
+
+        try {
+            this.updateRow(index, Number(value), Number(frequency));
+        } catch (error) {
+            this.renderStatistics();
+        }
+    }
+
+    /**
+     * Recall a statistic into the main display or store it in memory
+     * @param {Event} event - Click event from the results list
+     */
+    handleResultClick(event) {
+        const button = event.target.closest('[data-stat]');
+        if (!button) return;
+
+        const name = button.dataset.stat;
+        try {
+            if (button.dataset.store !== undefined) {
+                this.storeStatistic(name);
+            } else {
+                document.dispatchEvent(new CustomEvent('statisticSelected', {
+                    detail: { name, value: this.getStatistic(name) }
+                }));
+            }
+        } catch (error) {
+            console.warn(`Statistic ${name} is not available:`, error.message);
+        }
+    }
+
+    // Render the data table and the statistics list
+    renderStatistics() {
+        if (this.dataBody) {
+            this.dataBody.replaceChildren(...this.rows.map((row, index) => this.createDataRow(row, index)));
+        }
+        if (this.resultsList) {
+            const statistics = this.getStatistics();
+            this.resultsList.replaceChildren(
+                ...Object.keys(STATISTIC_LABELS).map(name => this.createResultItem(name, statistics[name]))
+            );
+        }
+    }
+
+    /**
+     * Create an editable table row
+     * @param {Object} row - Data row
+     * @param {number} index - Row index
+     * @returns {HTMLElement} Table row
+     */
+    createDataRow(row, index) {
+        const tr = document.createElement('tr');
+        tr.dataset.index = String(index);
+
+        ['value', 'frequency'].forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = String(row[field]);
+            input.dataset.field = field;
+            input.setAttribute('aria-label', `${field} of row ${index + 1}`);
+            cell.appendChild(input);
+            tr.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.className = 'stats-remove';
+        remove.dataset.remove = String(index);
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove row ${index + 1}`);
+        actions.appendChild(remove);
+        tr.appendChild(actions);
+
+        return tr;
+    }
+
+    /**
+     * Create a statistics list entry with recall and memory-store buttons
+     * @param {string} name - Statistic key
+     * @param {number|Array|null} value - Statistic value
+     * @returns {HTMLElement} List item
+     */
+    createResultItem(name, value) {
+        const text = Array.isArray(value)
+            ? (value.length ? value.map(item => formatNumber(item)).join(', ') : '—')
+            : (value === null ? '—' : formatNumber(value));
+
+        const item = document.createElement('li');
+        const recall = document.createElement('button');
+        recall.className = 'stats-recall';
+        recall.dataset.stat = name;
+        recall.textContent = `${STATISTIC_LABELS[name]} = ${text}`;
+        recall.setAttribute('aria-label', `Recall ${STATISTIC_LABELS[name]}`);
+
+        const store = document.createElement('button');
+        store.className = 'stats-store';
+        store.dataset.stat = name;
+        store.dataset.store = '';
+        store.textContent = '→M';
+        store.setAttribute('aria-label', `Store ${STATISTIC_LABELS[name]} in memory`);
+
+        item.append(recall, store);
+        return item;
+    }
+}
+
+// Create and export singleton instance
+export const statisticsManager = new StatisticsManager();
+
+// Export statistics operations as individual functions
+export const statisticsOperations = {
+    add: (value, frequency) => statisticsManager.addValue(value, frequency),
+    update: (index, value, frequency) => statisticsManager.updateRow(index, value, frequency),
+    remove: (index) => statisticsManager.removeRow(index),
+    clear: () => statisticsManager.clearData(),
+    import: (text) => statisticsManager.importText(text),
+    paste: () => statisticsManager.pasteFromClipboard(),
+    getRows: () => statisticsManager.getRows(),
+    getStatistics: () => statisticsManager.getStatistics(),
+    getStatistic: (name) => statisticsManager.getStatistic(name),
+    store: (name) => statisticsManager.storeStatistic(name)
+};
+
+// Export class for advanced usage
+export default StatisticsManager;
@@ -194,6 +194,14 @@ describe('Scientific Calculator Integration Tests', () => {
             expect(mockElements.mockErrorToast.classList.add).toHaveBeenCalledWith('show')
         })
 
+        it('should report history results it cannot recall', () => {
+            const [, recall] = document.addEventListener.mock.calls.findLast(([type]) => type === 'historyItemSelected')
+
+            expect(() => recall({ detail: { result: { numerator: '1', denominator: '0' } } })).not.toThrow()
+            expect(mockElements.mockErrorToast.textContent).toBe('Math Error')
+            expect(mockElements.mockErrorToast.classList.add).toHaveBeenCalledWith('show')
+        })
+
         it('should handle invalid factorial input', () => {
             calculator.inputNumber('-5')
             expect(() => calculator.calculateFactorial()).toThrow()
@@ -360,6 +368,91 @@ describe('Scientific Calculator Integration Tests', () => {
             
             expect(mockElements.mockDisplay.textContent).toBe('14')
         })
+
+        it('should evaluate power expressions', () => {
+            // 2^3+1 = 9
+            calculator.inputNumber('2')
+            calculator.handleSpecialAction('power')
+            calculator.inputNumber('3')
+            calculator.inputOperator('+')
+            calculator.inputNumber('1')
+            calculator.calculate()
+
+            vi.advanceTimersByTime(100)
+
+            expect(mockElements.mockDisplay.textContent).toBe('9')
+        })
+
+        it('should report syntax errors with their position', () => {
+            calculator.inputOperator(')')
+            calculator.calculate()
+
+            expect(mockElements.mockDisplay.textContent).toMatch(/^Syntax Error at position \d+$/)
+        })
+    })
+
+    describe('Inline Functions', () => {
+        it('should compose a function with a pending expression', () => {
+            // 2 + sin(30) = 2.5
+            calculator.inputNumber('2')
+            calculator.inputOperator('+')
+            calculator.handleSpecialAction('sin')
+            calculator.inputNumber('30')
+            calculator.inputOperator(')')
+            calculator.calculate()
+
+            vi.advanceTimersByTime(100)
+
+            expect(mockElements.mockDisplay.textContent).toBe('2.5')
+        })
+
+        it('should evaluate a root over a parenthesized sum', () => {
+            // 3 × √(16 + 9) = 15
+            calculator.inputNumber('3')
+            calculator.inputOperator('×')
+            calculator.handleSpecialAction('sqrt')
+            calculator.inputNumber('16')
+            calculator.inputOperator('+')
+            calculator.inputNumber('9')
+            calculator.inputOperator(')')
+            calculator.calculate()
+
+            vi.advanceTimersByTime(100)
+
+            expect(mockElements.mockDisplay.textContent).toBe('15')
+        })
+
+        it('should close open parentheses when calculating', () => {
+            calculator.handleSpecialAction('sin')
+            calculator.inputNumber('30')
+            calculator.calculate()
+
+            vi.advanceTimersByTime(100)
+
+            expect(mockElements.mockDisplay.textContent).toBe('0.5')
+        })
+
+        it('should insert function tokens without evaluating', () => {
+            calculator.inputNumber('5')
+            calculator.handleSpecialAction('log')
+
+            expect(calculator.expression).toContain('5 × log(')
+            expect(mockElements.mockDisplay.textContent).toBe('5')
+        })
+
+        it('should apply postfix operators to the current operand', () => {
+            // 3² + 4! = 33
+            calculator.inputNumber('3')
+            calculator.handleSpecialAction('square')
+            calculator.inputOperator('+')
+            calculator.inputNumber('4')
+            calculator.handleSpecialAction('factorial')
+            calculator.calculate()
+
+            vi.advanceTimersByTime(100)
+
+            expect(mockElements.mockDisplay.textContent).toBe('33')
+        })
     })
 
     describe('Angle Mode Operations', () => {
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for numerical calculus
+ * Tests Richardson-extrapolated derivatives, adaptive Gauss-Kronrod integrals, sums and products
+ */
+
+import { describe, it, expect } from 'vitest'
+import { derivative, integrate, sum, product, MAX_TERMS } from '../calculus.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+describe('derivative', () => {
+    it('should differentiate polynomials and transcendental functions', () => {
+        expect(derivative(x => x ** 3, 2)).toBeCloseTo(12, 10)
+        expect(derivative(Math.exp, 1)).toBeCloseTo(Math.E, 10)
+        expect(derivative(Math.sin, 0)).toBeCloseTo(1, 12)
+    })
+
+    it('should shrink the step near the edge of the domain', () => {
+        const ln = x => {
+            if (x <= 0) throw new Error(ERROR_MESSAGES.DOMAIN_ERROR)
+            return Math.log(x)
+        }
+        expect(derivative(ln, 0.05)).toBeCloseTo(20, 8)
+    })
+
+    it('should fail where the function is undefined around the point', () => {
+        expect(() => derivative(() => NaN, 1)).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+})
+
+describe('integrate', () => {
+    it('should integrate smooth functions', () => {
+        expect(integrate(x => x * x, 0, 3)).toBeCloseTo(9, 12)
+        expect(integrate(Math.sin, 0, Math.PI)).toBeCloseTo(2, 12)
+        expect(integrate(x => Math.exp(-x * x), -10, 10)).toBeCloseTo(Math.sqrt(Math.PI), 12)
+    })
+
+    it('should change sign when the bounds are swapped', () => {
+        expect(integrate(x => x, 2, 0)).toBeCloseTo(-2, 12)
+        expect(integrate(x => x, 1, 1)).toBe(0)
+    })
+
+    it('should handle integrable endpoint singularities', () => {
+        expect(integrate(x => 1 / Math.sqrt(x), 0, 1)).toBeCloseTo(2, 10)
+    })
+
+    it('should report divergent integrals', () => {
+        expect(() => integrate(x => 1 / x, 0, 1)).toThrow(ERROR_MESSAGES.NO_CONVERGENCE)
+    })
+
+    it('should reject infinite bounds', () => {
+        expect(() => integrate(x => x, 0, Infinity)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('sum and product', () => {
+    it('should loop over every integer index', () => {
+        expect(sum(k => k, 1, 100)).toBe(5050)
+        expect(product(k => k, 1, 5)).toBe(120)
+        expect(sum(k => 1 / 10, 1, 10)).toBe(1)
+    })
+
+    it('should treat empty ranges as the identity', () => {
+        expect(sum(k => k, 5, 1)).toBe(0)
+        expect(product(k => k, 5, 1)).toBe(1)
+    })
+
+    it('should reject fractional bounds and oversized ranges', () => {
+        expect(() => sum(k => k, 1.5, 3)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => product(k => k, 1, MAX_TERMS + 1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
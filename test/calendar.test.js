@@ -0,0 +1,110 @@
+/**
+ * Unit tests for calendar dates and sexagesimal values
+ * Tests calendar dates, date differences and durations, and sexagesimal times and angles
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+    CalendarDate,
+    Sexagesimal,
+    SEXAGESIMAL_STYLES,
+    DATE_UNITS,
+    dateDifference,
+    businessDaysBetween,
+    addDuration,
+    parseSexagesimal,
+    hasSexagesimal,
+    createSexagesimalArithmetic
+} from '../calendar.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+const date = (text) => CalendarDate.parse(text)
+
+const evaluateTime = (source, angleMode = 'DEG') =>
+    evaluate(parse(source), { arithmetic: createSexagesimalArithmetic(angleMode) })
+
+describe('CalendarDate', () => {
+    it('should read and write ISO dates', () => {
+        expect(date('2026-12-25').format()).toBe('2026-12-25')
+        expect(date('0099-03-01').format()).toBe('0099-03-01')
+        expect(CalendarDate.from({ date: '2024-02-29' }).toJSON()).toEqual({ date: '2024-02-29' })
+    })
+
+    it('should reject malformed and impossible dates', () => {
+        expect(() => date('2026-02-30')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => date('2026-13-01')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => date('25/12/2026')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should find the day of the week', () => {
+        expect(date('2026-12-25').getWeekdayName()).toBe('Friday')
+        expect(date('1970-01-01').getWeekdayName()).toBe('Thursday')
+        expect(date('1900-01-01').getWeekdayName()).toBe('Monday')
+    })
+})
+
+describe('date arithmetic', () => {
+    it('should count days, weeks and business days between dates', () => {
+        expect(dateDifference(date('2026-01-01'), date('2026-12-25'))).toEqual({
+            days: 358, weeks: 51, remainingDays: 1, businessDays: 256
+        })
+        expect(dateDifference(date('2026-12-25'), date('2026-01-01')).days).toBe(-358)
+    })
+
+    it('should count business days after the start up to the end', () => {
+        // Friday to Monday spans one business day, the Monday
+        expect(businessDaysBetween(date('2026-10-16'), date('2026-10-19'))).toBe(1)
+        expect(businessDaysBetween(date('2026-10-19'), date('2026-10-16'))).toBe(-1)
+        expect(businessDaysBetween(date('2026-10-17'), date('2026-10-18'))).toBe(0)
+    })
+
+    it('should add days, weeks, months and years', () => {
+        expect(addDuration(date('2026-12-25'), 10, DATE_UNITS.DAYS).format()).toBe('2027-01-04')
+        expect(addDuration(date('2026-01-01'), -3, DATE_UNITS.WEEKS).format()).toBe('2025-12-11')
+        expect(addDuration(date('2026-01-31'), 1, DATE_UNITS.MONTHS).format()).toBe('2026-02-28')
+        expect(addDuration(date('2024-02-29'), 1, DATE_UNITS.YEARS).format()).toBe('2025-02-28')
+        expect(addDuration(date('2026-03-31'), -13, DATE_UNITS.MONTHS).format()).toBe('2025-02-28')
+    })
+
+    it('should need a whole amount and a known unit', () => {
+        expect(() => addDuration(date('2026-01-01'), 1.5, DATE_UNITS.DAYS)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => addDuration(date('2026-01-01'), 1, 'fortnights')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('sexagesimal values', () => {
+    it('should read times and DMS angles', () => {
+        expect(parseSexagesimal('1:45:30')).toEqual(new Sexagesimal(6330, SEXAGESIMAL_STYLES.TIME))
+        expect(parseSexagesimal('-0:20')).toEqual(new Sexagesimal(-1200, SEXAGESIMAL_STYLES.TIME))
+        expect(parseSexagesimal('30°15′36″').toNumber()).toBeCloseTo(30.26, 12)
+        expect(parseSexagesimal("30°15'").style).toBe(SEXAGESIMAL_STYLES.ANGLE)
+        expect(parseSexagesimal('1:75')).toBeNull()
+        expect(parseSexagesimal('12.5')).toBeNull()
+    })
+
+    it('should format with two-digit minutes and seconds', () => {
+        expect(Sexagesimal.fromNumber(1.7583333333333333).format()).toBe('1:45:30')
+        expect(new Sexagesimal(-1200.5).format()).toBe('-0:20:00.5')
+        expect(Sexagesimal.fromNumber(30.26, SEXAGESIMAL_STYLES.ANGLE).format()).toBe('30°15′36″')
+    })
+
+    it('should add, subtract and scale times', () => {
+        expect(evaluateTime('1:45:30 + 0:20:15').format()).toBe('2:05:45')
+        expect(evaluateTime('1:45:30 - 2:00').format()).toBe('-0:14:30')
+        expect(evaluateTime('3 × 1:30').format()).toBe('4:30:00')
+        expect(evaluateTime('4:30 / 2').format()).toBe('2:15:00')
+        expect(evaluateTime('4:30 / 1:30')).toBe(3)
+        expect(evaluateTime('1:00:00 + 10%').format()).toBe('1:06:00')
+    })
+
+    it('should pass DMS angles to functions in degrees', () => {
+        expect(evaluateTime('sin(30°)', 'RAD')).toBeCloseTo(0.5, 12)
+        expect(evaluateTime('30°15′ + 10°50′').format()).toBe('41°05′00″')
+    })
+
+    it('should be detected in expressions', () => {
+        expect(hasSexagesimal(parse('2 × (1:30 + 1)'))).toBe(true)
+        expect(hasSexagesimal(parse('2 × (1.5 + 1)'))).toBe(false)
+    })
+})
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for complex number arithmetic
+ * Tests the Complex type, principal-branch functions and display formats
+ */
+
+import { describe, it, expect } from 'vitest'
+import { Complex, createComplexArithmetic } from '../complex.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+const evaluateComplex = (source, angleMode = 'RAD') =>
+    evaluate(parse(source), { arithmetic: createComplexArithmetic(angleMode) })
+
+describe('Complex', () => {
+    it('should multiply and divide', () => {
+        const product = new Complex(3, 2).multiply(new Complex(1, -1))
+        expect(product).toEqual(new Complex(5, -1))
+
+        const quotient = new Complex(1, 0).divide(new Complex(1, 1))
+        expect(quotient.re).toBeCloseTo(0.5)
+        expect(quotient.im).toBeCloseTo(-0.5)
+        expect(() => new Complex(1, 1).divide(new Complex(0, 0))).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should take principal square roots and logarithms', () => {
+        expect(new Complex(-4, 0).sqrt()).toEqual(new Complex(0, 2))
+        const log = new Complex(-1, 0).log()
+        expect(log.re).toBe(0)
+        expect(log.im).toBeCloseTo(Math.PI)
+        expect(() => new Complex(0, 0).log()).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+    })
+
+    it('should format rectangular values', () => {
+        expect(new Complex(3, 2).format()).toBe('3+2i')
+        expect(new Complex(3, -1).format()).toBe('3-i')
+        expect(new Complex(0, -2.5).format()).toBe('-2.5i')
+        expect(new Complex(-1, 1e-17).format()).toBe('-1')
+    })
+
+    it('should format polar values in the angle mode', () => {
+        expect(new Complex(0, 2).formatPolar('DEG')).toBe('2∠90')
+        expect(new Complex(-1, 1).formatPolar('DEG')).toBe('1.414213562373∠135')
+        expect(new Complex(0, 2).formatPolar('GRAD')).toBe('2∠100')
+    })
+
+    it('should restore stored values', () => {
+        expect(Complex.from(JSON.parse(JSON.stringify(new Complex(1, 2))))).toEqual(new Complex(1, 2))
+    })
+})
+
+describe('createComplexArithmetic', () => {
+    it('should evaluate roots and logarithms of negative numbers', () => {
+        expect(evaluateComplex('√( -4 )').format()).toBe('2i')
+        expect(evaluateComplex('ln( -1 )').format()).toBe('3.14159265359i')
+        expect(evaluateComplex('log( -100 )').format()).toBe('2+1.364376353842i')
+    })
+
+    it('should read imaginary literals and the i constant', () => {
+        expect(evaluateComplex('( 3 + 2i ) × ( 1 - i )').format()).toBe('5-i')
+        expect(evaluateComplex('i ^ 2').format()).toBe('-1')
+        expect(evaluateComplex('e ^ ( i × π )').format()).toBe('-1')
+    })
+
+    it('should enter polar values in the angle mode', () => {
+        expect(evaluateComplex('2∠90', 'DEG').format()).toBe('2i')
+        expect(evaluateComplex('abs( 3 + 4i )').format()).toBe('5')
+        expect(evaluateComplex('arg( i )', 'DEG').format()).toBe('90')
+    })
+
+    it('should keep real results identical to real arithmetic', () => {
+        expect(evaluateComplex('sin( 30 )', 'DEG').format()).toBe('0.5')
+        expect(() => evaluateComplex('tan( 90 )', 'DEG')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(evaluateComplex('5!').format()).toBe('120')
+    })
+
+    it('should extend inverse trigonometry outside [-1, 1]', () => {
+        const result = evaluateComplex('asin( 2 )')
+        expect(result.re).toBeCloseTo(Math.PI / 2)
+        expect(result.im).toBeCloseTo(-1.316957896925)
+    })
+})
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for offline currency conversion
+ * Tests rate table validation, JSON and CSV import, rebasing, currency units and the rate audit trail
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import {
+    normalizeRateTable,
+    parseRatesJSON,
+    parseRatesCSV,
+    rebaseRateTable,
+    selectRates
+} from '../currency.js'
+import { today } from '../calendar.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let currencyOperations
+let CalculatorEngine
+let units
+
+beforeEach(async () => {
+    resetPanelModules()
+    currencyOperations = (await import('../currency.js')).currencyOperations
+    CalculatorEngine = (await import('../engine.js')).CalculatorEngine
+    units = await import('../units.js')
+})
+
+const TABLE = {
+    base: 'USD',
+    rates: {
+        EUR: { rate: 0.8, updated: '2026-10-01' },
+        JPY: { rate: 150, updated: '2026-10-05' }
+    }
+}
+
+describe('rate tables', () => {
+    it('should validate codes, rates and dates', () => {
+        expect(normalizeRateTable(TABLE)).toEqual(TABLE)
+        expect(() => normalizeRateTable({ base: 'usd', rates: {} })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => normalizeRateTable({ base: 'USD', rates: { EUR: { rate: 0, updated: '2026-10-01' } } }))
+            .toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => normalizeRateTable({ base: 'USD', rates: { EUR: { rate: 0.8, updated: '2026-02-30' } } }))
+            .toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => normalizeRateTable({ base: 'USD', rates: { USD: { rate: 1, updated: '2026-10-01' } } }))
+            .toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should not let a currency shadow another unit', () => {
+        expect(() => normalizeRateTable({ base: 'USD', rates: { BTU: { rate: 2, updated: '2026-10-01' } } }))
+            .toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should read dated and undated JSON rate lists', () => {
+        expect(parseRatesJSON(JSON.stringify(TABLE))).toEqual(TABLE)
+        expect(parseRatesJSON('{"base": "EUR", "date": "2026-10-02", "rates": {"EUR": 1, "GBP": 0.87}}')).toEqual({
+            base: 'EUR',
+            rates: { GBP: { rate: 0.87, updated: '2026-10-02' } }
+        })
+        expect(() => parseRatesJSON('{"base": "EUR"')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should read CSV rates with an optional header and dates', () => {
+        const table = parseRatesCSV('Currency,Rate,Updated\nEUR,0.8,2026-10-01\nJPY;150', 'USD')
+        expect(table).toEqual({
+            base: 'USD',
+            rates: {
+                EUR: { rate: 0.8, updated: '2026-10-01' },
+                JPY: { rate: 150, updated: today().format() }
+            }
+        })
+        expect(() => parseRatesCSV('EUR,0.8\nEUR,0.9', 'USD')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => parseRatesCSV('EUR,abc', 'USD')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should rebase rates as cross rates dated by the older source', () => {
+        const table = rebaseRateTable(TABLE, 'EUR')
+        expect(table.base).toBe('EUR')
+        expect(table.rates.USD).toEqual({ rate: 1.25, updated: '2026-10-01' })
+        expect(table.rates.JPY.rate).toBeCloseTo(187.5, 12)
+        expect(table.rates.JPY.updated).toBe('2026-10-01')
+        expect(() => rebaseRateTable(TABLE, 'GBP')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should select the rates a calculation used', () => {
+        expect(selectRates(TABLE, ['USD', 'EUR', 'm'])).toEqual({
+            base: 'USD',
+            rates: { EUR: { rate: 0.8, updated: '2026-10-01' } }
+        })
+        expect(selectRates(TABLE, ['USD', 'm'])).toBeNull()
+    })
+})
+
+describe('currencyOperations', () => {
+    it('should start with the base currency only', () => {
+        expect(currencyOperations.getTable()).toEqual({ base: 'USD', rates: {} })
+        expect(units.isUnit('USD')).toBe(true)
+    })
+
+    it('should convert inline with the rate table', () => {
+        currencyOperations.import(JSON.stringify(TABLE), 'rates.json')
+        const engine = new CalculatorEngine()
+
+        engine.input('1')
+        engine.input('2')
+        engine.input('0')
+        engine.inputUnit('USD')
+        engine.convertTo('EUR')
+        expect(engine.getState().currentInput).toBe('96 EUR')
+        expect(engine.evaluate('1000 JPY + 10 USD in EUR').value).toBeCloseTo(13.333333, 6)
+    })
+
+    it('should date hand-edited rates today and persist the table', () => {
+        currencyOperations.setRate('GBP', 0.75)
+        expect(currencyOperations.getTable().rates.GBP).toEqual({ rate: 0.75, updated: today().format() })
+        expect(localStorage.setItem).toHaveBeenLastCalledWith('calculatorCurrency', expect.stringContaining('GBP'))
+        expect(units.convertUnit(3, 'GBP', 'USD')).toBeCloseTo(4, 12)
+    })
+
+    it('should remove rates and their units', () => {
+        currencyOperations.import('EUR,0.8,2026-10-01', 'rates.csv')
+        currencyOperations.removeRate('EUR')
+        expect(currencyOperations.getCurrencies()).toEqual(['USD'])
+        expect(units.isUnit('EUR')).toBe(false)
+        expect(() => currencyOperations.removeRate('EUR')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should change the base currency and tell subscribers', () => {
+        const listener = vi.fn()
+        currencyOperations.subscribe(listener)
+        currencyOperations.import(JSON.stringify(TABLE), 'rates.json')
+        currencyOperations.setBase('EUR')
+
+        expect(listener).toHaveBeenLastCalledWith(['EUR', 'JPY', 'USD'])
+        expect(units.convertUnit(100, 'USD', 'EUR')).toBeCloseTo(80, 12)
+    })
+
+    it('should keep the previous table when an import fails', () => {
+        currencyOperations.import(JSON.stringify(TABLE), 'rates.json')
+        expect(() => currencyOperations.import('EUR,-1', 'rates.csv')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(currencyOperations.getTable()).toEqual(TABLE)
+    })
+
+    it('should report the rates behind a conversion', () => {
+        currencyOperations.import(JSON.stringify(TABLE), 'rates.json')
+        expect(currencyOperations.getRatesFor(['USD', 'JPY'])).toEqual({
+            base: 'USD',
+            rates: { JPY: { rate: 150, updated: '2026-10-05' } }
+        })
+    })
+})
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for the date calculator panel
+ * Tests date differences and durations recorded in history and memory by the panel manager
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import { DATE_UNITS } from '../calendar.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let dateOperations
+let historyOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    dateOperations = (await import('../datetime.js')).dateOperations
+    historyOperations = (await import('../history.js')).historyOperations
+})
+
+describe('dateOperations', () => {
+    it('should record differences in history', () => {
+        dateOperations.setFrom('2026-01-01')
+        dateOperations.setTo('2026-12-25')
+        dateOperations.difference()
+
+        expect(dateOperations.getResults().map(result => result.value)).toEqual([358, 358 / 7, 256])
+        const history = historyOperations.getAll()
+        expect(history.at(-2)).toMatchObject({ expression: 'days 2026-01-01 → 2026-12-25', result: 358 })
+        expect(history.at(-1)).toMatchObject({ expression: 'workdays 2026-01-01 → 2026-12-25', result: 256 })
+    })
+
+    it('should add a duration and make the result the end date', () => {
+        dateOperations.setFrom('2026-01-31')
+        dateOperations.add(-1, DATE_UNITS.MONTHS)
+
+        expect(dateOperations.getDates()).toEqual({ from: '2026-01-31', to: '2025-12-31' })
+        expect(dateOperations.getResults()).toEqual([{ label: 'DAYS', value: -31 }])
+        expect(historyOperations.getAll().at(-1)).toMatchObject({
+            expression: '2026-01-31 - 1 months',
+            result: { date: '2025-12-31' },
+            formattedResult: '2025-12-31'
+        })
+    })
+
+    it('should reject invalid dates', () => {
+        expect(() => dateOperations.setFrom('2026-02-30')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => dateOperations.add(NaN, DATE_UNITS.DAYS)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for exact decimal arithmetic
+ * Tests parsing, rounding, operators and the decimal expression backend
+ */
+
+import { describe, it, expect } from 'vitest'
+import { Decimal, createDecimalArithmetic } from '../decimal.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+const evaluateDecimal = (source, places = 12) =>
+    evaluate(parse(source), { arithmetic: createDecimalArithmetic(places, 'DEG') }).rescale(places).toString()
+
+describe('Decimal', () => {
+    it('should parse decimal and exponent notation', () => {
+        expect(Decimal.parse('-12.50', 4).toString()).toBe('-12.5')
+        expect(Decimal.parse('1.5e-7', 10).toString()).toBe('0.00000015')
+        expect(Decimal.parse('2e3', 0).toString()).toBe('2000')
+        expect(() => Decimal.parse('1.2.3', 4)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should round half away from zero when rescaling', () => {
+        expect(Decimal.parse('2.345', 3).rescale(2).toString()).toBe('2.35')
+        expect(Decimal.parse('-2.345', 3).rescale(2).toString()).toBe('-2.35')
+        expect(Decimal.parse('2.344', 3).rescale(2).toString()).toBe('2.34')
+    })
+
+    it('should convert to numbers and JSON', () => {
+        const value = Decimal.parse('0.25', 4)
+        expect(Number(value)).toBe(0.25)
+        expect(JSON.stringify({ value })).toBe('{"value":"0.25"}')
+    })
+
+    it('should compute square roots to the full scale', () => {
+        expect(Decimal.parse('2', 20).sqrt().toString()).toBe('1.4142135623730950488')
+        expect(() => Decimal.parse('-4', 4).sqrt()).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+    })
+})
+
+describe('createDecimalArithmetic', () => {
+    it('should add decimal fractions exactly', () => {
+        expect(evaluateDecimal('0.1 + 0.2')).toBe('0.3')
+        expect(evaluateDecimal('1.1 × 1.1')).toBe('1.21')
+        expect(evaluateDecimal('0.3 - 0.1')).toBe('0.2')
+    })
+
+    it('should keep every digit of large sums', () => {
+        expect(evaluateDecimal('9007199254740993 + 0.01')).toBe('9007199254740993.01')
+        expect(evaluateDecimal('10 ^ 30 + 1')).toBe('1000000000000000000000000000001')
+    })
+
+    it('should round non-terminating results to the configured places', () => {
+        expect(evaluateDecimal('1 ÷ 3', 4)).toBe('0.3333')
+        expect(evaluateDecimal('2 ÷ 3', 30)).toBe('0.666666666666666666666666666667')
+    })
+
+    it('should evaluate postfix operators and constants', () => {
+        expect(evaluateDecimal('25!')).toBe('15511210043330985984000000')
+        expect(evaluateDecimal('12.5%')).toBe('0.125')
+        expect(evaluateDecimal('π', 20)).toBe('3.14159265358979323846')
+    })
+
+    it('should fall back to floating point for transcendental functions', () => {
+        expect(evaluateDecimal('sin( 30 )')).toBe('0.5')
+        expect(evaluateDecimal('2 ^ 0.5', 6)).toBe('1.414214')
+    })
+
+    it('should raise the same errors as floating-point mode', () => {
+        expect(() => evaluateDecimal('1 ÷ 0')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => evaluateDecimal('0 ^ -1')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => evaluateDecimal('2.5!')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => evaluateDecimal('10 ^ 5000')).toThrow(ERROR_MESSAGES.OVERFLOW_ERROR)
+    })
+})
@@ -0,0 +1,702 @@
+/**
+ * Unit tests for the headless calculator engine
+ * Tests action handling, evaluation, state snapshots and subscriptions
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { CalculatorEngine, createMemoryStore } from '../engine.js'
+import { ERROR_MESSAGES, setDecimalPlaces } from '../utils.js'
+
+const inputAll = (engine, actions) => actions.forEach(action => engine.input(action))
+
+describe('CalculatorEngine', () => {
+    let engine
+
+    beforeEach(() => {
+        engine = new CalculatorEngine()
+    })
+
+    describe('input', () => {
+        it('should build and calculate an expression from actions', () => {
+            inputAll(engine, ['1', '2', '+', '3', '='])
+            expect(engine.getState().currentInput).toBe('15')
+        })
+
+        it('should insert functions and postfix operators', () => {
+            inputAll(engine, ['2', '+', 'sqrt', '9', ')', '×', '2', 'square', '='])
+            expect(engine.getState().currentInput).toBe('14')
+        })
+
+        it('should handle clear, clear entry and backspace', () => {
+            inputAll(engine, ['1', '2', '3', 'backspace'])
+            expect(engine.getState().currentInput).toBe('12')
+
+            engine.input('clear-entry')
+            expect(engine.getState().currentInput).toBe('0')
+
+            inputAll(engine, ['4', '+', '5', 'clear-all'])
+            expect(engine.getState().expression).toBe('')
+        })
+
+        it('should backspace over expression tokens once the operand is empty', () => {
+            inputAll(engine, ['2', '+', 'sin', 'backspace'])
+            expect(engine.getState().expression).toBe('2 + ')
+            expect(engine.getDisplayExpression()).toBe('2 + ')
+
+            engine.input('backspace')
+            expect(engine.getState().expression).toBe('')
+            expect(engine.getState().currentInput).toBe('2')
+
+            inputAll(engine, ['×', '(', '3', 'backspace', 'backspace', 'backspace'])
+            expect(engine.getState().expression).toBe('')
+            expect(engine.getState().currentInput).toBe('2')
+
+            inputAll(engine, ['-', '1', '='])
+            expect(engine.getState().currentInput).toBe('1')
+        })
+
+        it('should backspace over a closing parenthesis into the group', () => {
+            inputAll(engine, ['(', '4', '+', '5', ')', 'backspace'])
+            expect(engine.getState().expression).toBe('( 4 + ')
+            expect(engine.getState().currentInput).toBe('5')
+
+            inputAll(engine, ['6', ')', '='])
+            expect(engine.getState().currentInput).toBe('60')
+        })
+
+        it('should nest parentheses without inserting the displayed operand', () => {
+            inputAll(engine, ['(', '(', '2', '+', '3', ')', ')', '×', '2', '='])
+            expect(engine.getState().currentInput).toBe('10')
+
+            inputAll(engine, ['4', '+', 'sqrt', '(', '9', ')', ')', '='])
+            expect(engine.getState().currentInput).toBe('7')
+        })
+
+        it('should insert constants', () => {
+            engine.input('pi')
+            expect(parseFloat(engine.getState().currentInput)).toBeCloseTo(Math.PI)
+        })
+
+        it('should throw syntax errors with a position', () => {
+            engine.input(')')
+            expect(() => engine.input('=')).toThrow(ERROR_MESSAGES.SYNTAX_ERROR)
+        })
+    })
+
+    describe('evaluate', () => {
+        it('should evaluate expression strings', () => {
+            expect(engine.evaluate('2 ^ 10')).toBe(1024)
+            expect(engine.evaluate('sin( 30 ) × 4')).toBeCloseTo(2)
+        })
+
+        it('should use the engine angle mode', () => {
+            engine.angleMode = 'RAD'
+            expect(engine.evaluate('cos( π )')).toBeCloseTo(-1)
+        })
+
+        it('should not change the calculator state', () => {
+            inputAll(engine, ['7', '+'])
+            engine.evaluate('1 + 1')
+            expect(engine.getState().expression).toBe(' 7 + ')
+        })
+
+        it('should raise math errors', () => {
+            expect(() => engine.evaluate('1 ÷ 0')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        })
+    })
+
+    describe('getState', () => {
+        it('should return a snapshot that does not mutate the engine', () => {
+            const state = engine.getState()
+            state.currentInput = '99'
+            expect(engine.getState().currentInput).toBe('0')
+        })
+
+        it('should include the display expression', () => {
+            inputAll(engine, ['4', '×', '2'])
+            expect(engine.getState().displayExpression).toBe(' 4 × 2')
+        })
+    })
+
+    describe('subscribe', () => {
+        it('should notify listeners of changes and results', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+
+            inputAll(engine, ['6', '÷', '3', '='])
+
+            const events = listener.mock.calls.map(([, event]) => event)
+            expect(events.filter(event => event.type === 'change').length).toBeGreaterThan(0)
+            expect(events.at(-1)).toEqual({
+                type: 'result',
+                expression: ' 6 ÷ 3',
+                result: 2,
+                units: [],
+                tokens: [{ type: 'number', text: '6' }, { type: 'operator', text: '÷' }, { type: 'number', text: '3' }],
+                base: null,
+                modes: { angleMode: 'DEG', decimal: false, complexFormat: null, fractionFormat: null }
+            })
+        })
+
+        it('should stop notifying after unsubscribe', () => {
+            const listener = vi.fn()
+            const unsubscribe = engine.subscribe(listener)
+            unsubscribe()
+
+            engine.input('5')
+            expect(listener).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('programmer mode', () => {
+        beforeEach(() => {
+            engine = new CalculatorEngine({ mode: 'PROG', base: 'HEX' })
+        })
+
+        it('should evaluate bitwise expressions in the active base', () => {
+            inputAll(engine, ['F', 'F', 'AND', '0', 'F', '='])
+            expect(engine.getState().currentInput).toBe('F')
+        })
+
+        it('should label results with the base', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+
+            inputAll(engine, ['A', 'OR', '5', '='])
+            expect(listener.mock.calls.at(-1)[1]).toMatchObject({ type: 'result', expression: 'HEX: A OR 5', result: 15n, base: 'HEX' })
+        })
+
+        it('should restore a recorded expression in its base', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+            inputAll(engine, ['A', 'OR', '5', '='])
+            const { tokens, base } = listener.mock.calls.at(-1)[1]
+
+            const scientific = new CalculatorEngine()
+            scientific.loadExpression(tokens, base)
+            expect(scientific.getState()).toMatchObject({ mode: 'PROG', base: 'HEX', displayExpression: 'A OR 5' })
+            inputAll(scientific, ['='])
+            expect(scientific.getState().currentInput).toBe('F')
+        })
+
+        it('should ignore digits the base or word size cannot hold', () => {
+            engine.setBase('OCT')
+            inputAll(engine, ['7', '9', 'A', '.'])
+            expect(engine.getState().currentInput).toBe('7')
+
+            engine.setWordSize(8)
+            engine.setBase('HEX')
+            inputAll(engine, ['F', 'F'])
+            expect(engine.getState().currentInput).toBe('7F')
+        })
+
+        it('should convert the current input and pending expression when the base changes', () => {
+            inputAll(engine, ['F', 'F', '+', '1'])
+            engine.setBase('DEC')
+            expect(engine.getState().expression).toBe(' 255 + ')
+            expect(engine.getState().currentInput).toBe('1')
+            expect(engine.getState().baseValues).toEqual({ HEX: '1', DEC: '1', OCT: '1', BIN: '1' })
+        })
+
+        it('should reinterpret the value when signedness changes', () => {
+            engine.setWordSize(8)
+            inputAll(engine, ['F', 'F'])
+            engine.setBase('DEC')
+            expect(engine.getState().currentInput).toBe('-1')
+
+            engine.setSigned(false)
+            expect(engine.getState().currentInput).toBe('255')
+        })
+
+        it('should carry the value across modes', () => {
+            inputAll(engine, ['1', '0'])
+            engine.setMode('SCI')
+            expect(engine.getState().currentInput).toBe('16')
+
+            inputAll(engine, ['5', '0', '.', '7'])
+            engine.setMode('PROG')
+            expect(engine.getState().currentInput).toBe('32')
+        })
+    })
+
+    describe('statistics mode', () => {
+        it('should keep scientific arithmetic', () => {
+            engine.setMode('STAT')
+            expect(engine.getState().mode).toBe('STAT')
+            expect(engine.evaluate('2 ^ 0.5')).toBeCloseTo(Math.SQRT2)
+            expect(engine.getState().baseValues).toBeNull()
+        })
+    })
+
+    describe('decimal mode', () => {
+        beforeEach(() => {
+            engine = new CalculatorEngine({ decimal: true })
+        })
+
+        afterEach(() => {
+            setDecimalPlaces(12)
+        })
+
+        it('should calculate without binary floating-point artifacts', () => {
+            inputAll(engine, ['0', '.', '1', '+', '0', '.', '2', '='])
+            expect(engine.getState().currentInput).toBe('0.3')
+        })
+
+        it('should round to the decimal places setting', () => {
+            engine.setDecimalPlaces(20)
+            inputAll(engine, ['2', '÷', '3', '='])
+            expect(engine.getState().currentInput).toBe('0.66666666666666666667')
+            expect(engine.getState().decimalPlaces).toBe(20)
+        })
+
+        it('should switch back to floating point', () => {
+            engine.setDecimalMode(false)
+            expect(engine.evaluate('0.1 + 0.2')).toBeCloseTo(0.3)
+            expect(typeof engine.evaluate('1 + 1')).toBe('number')
+        })
+    })
+
+    describe('complex mode', () => {
+        beforeEach(() => {
+            engine = new CalculatorEngine({ complexFormat: 'RECT' })
+        })
+
+        it('should give complex results instead of domain errors', () => {
+            inputAll(engine, ['sqrt', '-', '4', '='])
+            expect(engine.getState().currentInput).toBe('2i')
+        })
+
+        it('should enable complex results when i is pressed', () => {
+            engine = new CalculatorEngine()
+            inputAll(engine, ['3', '+', '2', 'i', '×', 'i', '='])
+            expect(engine.getState().complexFormat).toBe('RECT')
+            expect(engine.getState().currentInput).toBe('1')
+        })
+
+        it('should parenthesize a complex result used in a new expression', () => {
+            inputAll(engine, ['1', '+', 'i', '=', '×', '2', '='])
+            expect(engine.getState().currentInput).toBe('2+2i')
+        })
+
+        it('should switch the display to polar form', () => {
+            inputAll(engine, ['1', '+', 'i', '='])
+            engine.setComplexFormat('POLAR')
+            expect(engine.getState().currentInput).toBe('1.414213562373∠45')
+
+            engine.toggleAngleMode()
+            expect(engine.getState().currentInput).toBe('1.414213562373∠0.785398163397')
+        })
+
+        it('should apply immediate functions to negative inputs', () => {
+            engine.currentInput = '-1'
+            engine.applyFunction('ln')
+            expect(engine.getState().currentInput).toBe('3.14159265359i')
+        })
+
+        it('should keep domain errors when complex results are off', () => {
+            engine.setComplexFormat(null)
+            expect(() => engine.evaluate('√( -4 )')).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+        })
+    })
+
+    describe('fraction mode', () => {
+        beforeEach(() => {
+            engine = new CalculatorEngine({ fractionFormat: 'IMPROPER' })
+        })
+
+        it('should add fractions entered with the fraction key', () => {
+            engine = new CalculatorEngine()
+            inputAll(engine, ['1', 'fraction', '3', '+', '1', 'fraction', '6', '='])
+            expect(engine.getState().fractionFormat).toBe('IMPROPER')
+            expect(engine.getState().currentInput).toBe('1/2')
+        })
+
+        it('should enter mixed numbers by pressing the fraction key twice', () => {
+            inputAll(engine, ['1', 'fraction', '1', 'fraction', '2'])
+            expect(engine.getState().currentInput).toBe('1 1/2')
+
+            inputAll(engine, ['×', '2', '='])
+            expect(engine.getState().currentInput).toBe('3')
+        })
+
+        it('should cycle fraction, mixed and decimal display with S⇔D', () => {
+            inputAll(engine, ['7', '÷', '2', '='])
+            expect(engine.getState().currentInput).toBe('7/2')
+
+            inputAll(engine, ['s-d'])
+            expect(engine.getState().currentInput).toBe('3 1/2')
+            inputAll(engine, ['s-d'])
+            expect(engine.getState().currentInput).toBe('3.5')
+            inputAll(engine, ['s-d'])
+            expect(engine.getState().currentInput).toBe('7/2')
+        })
+
+        it('should convert a decimal result with S⇔D', () => {
+            engine = new CalculatorEngine()
+            inputAll(engine, ['0', '.', '7', '5', 's-d'])
+            expect(engine.getState().currentInput).toBe('3/4')
+        })
+
+        it('should stay exact when a decimal display is reused', () => {
+            engine.setFractionFormat('DECIMAL')
+            inputAll(engine, ['1', '÷', '3', '='])
+            expect(engine.getState().currentInput).toBe('0.333333333333')
+
+            inputAll(engine, ['×', '3', '='])
+            expect(engine.getState().currentInput).toBe('1')
+        })
+
+        it('should keep recalled memory fractions exact', () => {
+            inputAll(engine, ['1', '÷', '3', '=', 'ms', '2', 'fraction', '3', 'm-add', 'mr'])
+            expect(engine.getState().currentInput).toBe('1')
+
+            inputAll(engine, ['mc', '1', 'fraction', '3', 'ms', 'mr', '+', '1', 'fraction', '6', '='])
+            expect(engine.getState().currentInput).toBe('1/2')
+        })
+
+        it('should load stored history fractions exactly', () => {
+            engine.loadValue({ numerator: '2', denominator: '3' })
+            inputAll(engine, ['×', '3', '='])
+            expect(engine.getState().currentInput).toBe('2')
+        })
+
+        it('should load results imported as text like typed input', () => {
+            engine.loadValue('2/3')
+            inputAll(engine, ['×', '3', '='])
+            expect(engine.getState().currentInput).toBe('2')
+        })
+    })
+
+    describe('equation solver', () => {
+        it('should make the root the current input and record the equation', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+
+            inputAll(engine, ['1', '+'])
+            const solution = engine.solve('x^3 - 2x = 5', { guess: 2 })
+            expect(solution.root).toBeCloseTo(2.0945514815, 9)
+            expect(engine.getState().currentInput).toBe('2.094551481542')
+            expect(engine.getState().expression).toBe('')
+            expect(listener).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({
+                type: 'result',
+                expression: 'x^3 - 2x = 5',
+                result: solution.root
+            }))
+        })
+
+        it('should solve in the current angle mode', () => {
+            expect(engine.solve('sin(x) = 0.5', { interval: [0, 90] }).root).toBeCloseTo(30)
+            engine = new CalculatorEngine({ angleMode: 'RAD' })
+            expect(engine.solve('sin(x) = 0.5', { interval: [0, 1.5] }).root).toBeCloseTo(Math.PI / 6)
+        })
+    })
+
+    describe('matrices', () => {
+        beforeEach(() => {
+            engine.matrices.set('MatA', [[1, 2], [3, 4]])
+            engine.matrices.set('MatB', [[0, 1], [1, 0]])
+        })
+
+        it('should evaluate expressions with named matrices', () => {
+            engine.inputName('MatA')
+            inputAll(engine, ['×'])
+            engine.inputName('MatB')
+            expect(engine.calculate().entries).toEqual([[2, 1], [4, 3]])
+            expect(engine.getState().currentInput).toBe('[[2, 1], [4, 3]]')
+        })
+
+        it('should scale a matrix by a number typed before it', () => {
+            inputAll(engine, ['2'])
+            engine.inputName('MatA')
+            expect(engine.calculate().entries).toEqual([[2, 4], [6, 8]])
+        })
+
+        it('should record panel operations such as det', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+
+            expect(engine.calculateExpression('det(MatA)')).toBeCloseTo(-2, 12)
+            expect(listener).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({
+                type: 'result',
+                expression: 'det(MatA)'
+            }))
+        })
+
+        it('should report dimension mismatches and singular matrices', () => {
+            engine.matrices.set('MatC', [[1, 2, 3]])
+            expect(() => engine.evaluate('MatA + MatC')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+            expect(() => engine.evaluate('MatA + 1')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+            expect(() => engine.evaluate('inv(MatA - MatA)')).toThrow(ERROR_MESSAGES.SINGULAR_MATRIX)
+        })
+
+        it('should load a matrix recalled from history', () => {
+            engine.loadValue({ entries: [[1, 0], [0, 1]] })
+            expect(engine.getState().currentInput).toBe('[[1, 0], [0, 1]]')
+            expect(engine.getState().lastResult.determinant()).toBe(1)
+        })
+    })
+
+    describe('vectors', () => {
+        beforeEach(() => {
+            engine.vectors.set('VctA', [1, 0])
+            engine.vectors.set('VctB', [1, 1])
+        })
+
+        it('should evaluate expressions with named vectors', () => {
+            engine.inputName('VctA')
+            inputAll(engine, ['+'])
+            engine.inputName('VctB')
+            expect(engine.calculate().components).toEqual([2, 1])
+            expect(engine.getState().currentInput).toBe('[2, 1]')
+        })
+
+        it('should report angles in the current angle mode', () => {
+            expect(engine.calculateExpression('angle(VctA, VctB)')).toBeCloseTo(45, 12)
+            engine = new CalculatorEngine({ angleMode: 'RAD' })
+            engine.vectors.set('VctA', [1, 0])
+            engine.vectors.set('VctB', [0, 2])
+            expect(engine.calculateExpression('angle(VctA, VctB)')).toBeCloseTo(Math.PI / 2, 12)
+        })
+
+        it('should load a vector recalled from history', () => {
+            engine.loadValue({ components: [3, 4] })
+            expect(engine.getState().currentInput).toBe('[3, 4]')
+            expect(engine.getState().lastResult.norm()).toBe(5)
+        })
+    })
+
+    describe('calculus', () => {
+        it('should record the whole construct with its result', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+
+            expect(engine.calculateExpression('∫(x^2, 0, 3)')).toBeCloseTo(9, 12)
+            const events = listener.mock.calls.map(([, event]) => event)
+            expect(events.at(-1)).toMatchObject({ type: 'result', expression: '∫(x^2, 0, 3)' })
+        })
+
+        it('should evaluate in floating point in fraction and complex modes', () => {
+            engine = new CalculatorEngine({ fractionFormat: 'IMPROPER' })
+            expect(engine.calculateExpression('Σ(1/k, k, 1, 2)')).toBe(1.5)
+            engine = new CalculatorEngine({ complexFormat: 'RECT' })
+            expect(engine.calculateExpression('d/dx(x^2, 3)')).toBeCloseTo(6, 10)
+        })
+    })
+
+    describe('business percentages', () => {
+        it('should add and subtract percentages like a desk calculator', () => {
+            inputAll(engine, ['2', '0', '0', '+', '1', '5', 'percent', '='])
+            expect(engine.getState().currentInput).toBe('230')
+            inputAll(engine, ['clear-all', '2', '0', '0', '-', '1', '5', 'percent', '='])
+            expect(engine.getState().currentInput).toBe('170')
+            inputAll(engine, ['clear-all', '5', '0', 'percent', '='])
+            expect(engine.getState().currentInput).toBe('0.5')
+        })
+
+        it('should take the current operand as the first argument of Δ%, markup and margin', () => {
+            inputAll(engine, ['8', '0', 'percent-change', '1', '0', '0', '='])
+            expect(engine.getState().currentInput).toBe('25')
+            inputAll(engine, ['clear-all', '8', '0', 'markup', '2', '5', '='])
+            expect(engine.getState().currentInput).toBe('100')
+            inputAll(engine, ['clear-all', '7', '5', 'margin', '2', '5', '='])
+            expect(engine.getState().currentInput).toBe('100')
+        })
+
+        it('should ignore Δ% right after an operator', () => {
+            inputAll(engine, ['8', '+', 'percent-change'])
+            expect(engine.getState().expression).toBe(' 8 + ')
+        })
+
+        it('should apply the configured tax rate', () => {
+            engine.setTaxRate(20)
+            inputAll(engine, ['taxInc', '5', '0', '='])
+            expect(engine.getState().currentInput).toBe('60')
+            inputAll(engine, ['clear-all', 'taxExc', '6', '0', '='])
+            expect(engine.getState().currentInput).toBe('50')
+            expect(engine.getState().taxRate).toBe(20)
+        })
+
+        it('should reject invalid tax rates', () => {
+            expect(() => engine.setTaxRate(-1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => engine.setTaxRate(NaN)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(new CalculatorEngine({ taxRate: 'high' }).taxRate).toBe(0)
+        })
+    })
+
+    describe('times and DMS angles', () => {
+        it('should type times with the separator key and add them', () => {
+            inputAll(engine, ['1', ':', '4', '5', ':', '3', '0', '+', ':', '2', '0', ':', '1', '5', '='])
+            expect(engine.getState().currentInput).toBe('2:05:45')
+            expect(engine.getCurrentValue()).toBeCloseTo(2.0958333, 6)
+        })
+
+        it('should only allow a fractional part on the seconds', () => {
+            inputAll(engine, ['1', ':', '4', '5', '.', ':', '3', '0', '.', '5'])
+            expect(engine.getState().currentInput).toBe('1:45:30.5')
+        })
+
+        it('should cycle the displayed value through time, DMS and decimal', () => {
+            inputAll(engine, ['3', '0', '.', '2', '6', 'dms'])
+            expect(engine.getState().currentInput).toBe('30:15:36')
+            engine.input('dms')
+            expect(engine.getState().currentInput).toBe('30°15′36″')
+            engine.input('dms')
+            expect(engine.getState().currentInput).toBe('30.26')
+        })
+
+        it('should evaluate in floating point whatever the arithmetic mode', () => {
+            engine = new CalculatorEngine({ fractionFormat: 'IMPROPER' })
+            expect(engine.calculateExpression('1:30 × 3').format()).toBe('4:30:00')
+            engine = new CalculatorEngine({ decimal: true })
+            expect(engine.calculateExpression('sin(30°)')).toBeCloseTo(0.5, 12)
+        })
+
+        it('should load a time recalled from history', () => {
+            engine.loadValue({ seconds: 6330, style: 'time' })
+            expect(engine.getState().currentInput).toBe('1:45:30')
+        })
+    })
+
+    describe('expression recall', () => {
+        const record = (actions) => {
+            const listener = vi.fn()
+            const unsubscribe = engine.subscribe(listener)
+            inputAll(engine, actions)
+            unsubscribe()
+            return listener.mock.calls.at(-1)[1]
+        }
+
+        it('should make the trailing number editable', () => {
+            const { tokens, base } = record(['1', '2', '+', '3', '4', '×', '2', '='])
+            engine.loadExpression(tokens, base)
+            expect(engine.getState()).toMatchObject({ currentInput: '2', displayExpression: '12 + 34 × 2' })
+
+            inputAll(engine, ['backspace', '5', '='])
+            expect(engine.getState().currentInput).toBe('182')
+        })
+
+        it('should continue after a closed operand', () => {
+            const { tokens } = record(['(', '1', '+', '2', ')', 'square', '='])
+            engine.loadExpression(tokens)
+            inputAll(engine, ['+', '1', '='])
+            expect(engine.getState().currentInput).toBe('10')
+        })
+
+        it('should restore the arithmetic and angle modes of the expression', () => {
+            engine.setFractionFormat('IMPROPER')
+            engine.toggleAngleMode()
+            const { tokens, base, modes } = record(['1', 'fraction', '3', '+', 'sin', 'pi', '÷', '6', ')', '='])
+            const result = engine.getState().currentInput
+
+            engine = new CalculatorEngine()
+            engine.loadExpression(tokens, base, modes)
+            expect(engine.getState()).toMatchObject({ angleMode: 'RAD', fractionFormat: 'IMPROPER', complexFormat: null, decimal: false })
+            engine.input('=')
+            expect(engine.getState().currentInput).toBe(result)
+        })
+
+        it('should keep the current modes for records without them', () => {
+            const { tokens } = record(['1', '+', '2', '='])
+            engine.setComplexFormat('RECT')
+            engine.loadExpression(tokens)
+            expect(engine.getState().complexFormat).toBe('RECT')
+        })
+
+        it('should reject damaged records', () => {
+            expect(() => engine.loadExpression([])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => engine.loadExpression([{ type: 'number', text: '1' }], null, { angleMode: 'TURN', decimal: false, complexFormat: null, fractionFormat: null }))
+                .toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => engine.loadExpression([{ type: 'number', text: '' }])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => engine.loadExpression([{ type: 'number', text: '1' }], 'BASE3')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => engine.loadExpression([{ type: 'operator', text: '+' }])).toThrow(ERROR_MESSAGES.SYNTAX_ERROR)
+        })
+    })
+
+    describe('unit conversion', () => {
+        it('should convert the current input in place', () => {
+            const listener = vi.fn()
+            engine.subscribe(listener)
+
+            inputAll(engine, ['1', '2'])
+            engine.convertTo('cm', 'in')
+            expect(engine.getState().currentInput).toBe('30.48 cm')
+            expect(listener).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({
+                type: 'result',
+                expression: '12 in in cm',
+                units: ['cm', 'in']
+            }))
+        })
+
+        it('should evaluate unit-annotated expressions', () => {
+            inputAll(engine, ['5'])
+            engine.inputUnit('ft')
+            inputAll(engine, ['+', '3', '0'])
+            engine.inputUnit('cm')
+            engine.convertTo('m')
+            expect(engine.getState().currentInput).toBe('1.824 m')
+        })
+
+        it('should replace a unit and remove it with backspace', () => {
+            inputAll(engine, ['5'])
+            engine.inputUnit('ft')
+            engine.inputUnit('yd')
+            expect(engine.getState().currentInput).toBe('5 yd')
+
+            inputAll(engine, ['backspace'])
+            expect(engine.getState().currentInput).toBe('5')
+        })
+
+        it('should reject unknown units and mismatched conversions', () => {
+            expect(() => engine.inputUnit('parsec')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+
+            inputAll(engine, ['5'])
+            expect(() => engine.convertTo('kg', 'm')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+        })
+
+        it('should load stored unit results from history', () => {
+            engine.loadValue({ value: 2, unit: 'km' })
+            engine.convertTo('m')
+            expect(engine.getState().currentInput).toBe('2000 m')
+        })
+    })
+
+    describe('memory', () => {
+        it('should use the built-in memory store by default', () => {
+            inputAll(engine, ['4', '2', 'ms', 'mr'])
+            expect(engine.getState().currentInput).toBe('42')
+        })
+
+        it('should delegate to a supplied memory adapter', () => {
+            const memory = { store: vi.fn(), recall: vi.fn(() => 7), clear: vi.fn(), add: vi.fn(), subtract: vi.fn() }
+            engine = new CalculatorEngine({ memory })
+
+            inputAll(engine, ['3', 'm-add', 'mr'])
+            expect(memory.add).toHaveBeenCalledWith(3)
+            expect(engine.getState().currentInput).toBe('7')
+        })
+
+        it('should reject non-finite values', () => {
+            const memory = createMemoryStore()
+            expect(() => memory.store(Infinity)).toThrow(ERROR_MESSAGES.MEMORY_ERROR)
+        })
+    })
+
+    describe('module graph', () => {
+        const PANEL_MODULES = ['../history.js', '../memory.js', '../equations.js', '../datetime.js']
+
+        afterEach(() => {
+            PANEL_MODULES.forEach(path => vi.doUnmock(path))
+            vi.resetModules()
+        })
+
+        it('should load without the history, memory or panel modules', async () => {
+            vi.resetModules()
+            PANEL_MODULES.forEach(path => vi.doMock(path, () => {
+                throw new Error(`${path} loaded`)
+            }))
+
+            const module = await import('../engine.js')
+            expect(new module.CalculatorEngine().evaluate('1:30 + 0:45')).toBeDefined()
+        })
+    })
+})
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for the linear system solver and the equation panel manager
+ * Tests elimination with pivoting and the coefficient-grid manager
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import { solveLinearSystem } from '../equations.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let equationOperations
+let memoryOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    equationOperations = (await import('../equations.js')).equationOperations
+    memoryOperations = (await import('../memory.js')).memoryOperations
+})
+
+describe('solveLinearSystem', () => {
+    it('should solve a system that needs row exchanges', () => {
+        const solution = solveLinearSystem([[0, 2, 1], [1, 1, 1], [2, 1, 0]], [7, 6, 4])
+        solution.forEach((value, i) => expect(value).toBeCloseTo([1, 2, 3][i], 12))
+    })
+
+    it('should solve a 6×6 system', () => {
+        const matrix = Array.from({ length: 6 }, (_, i) => Array.from({ length: 6 }, (_, j) => 1 / (i + j + 1) + (i === j ? 1 : 0)))
+        const expected = [1, -2, 3, -4, 5, -6]
+        const vector = matrix.map(row => row.reduce((sum, value, j) => sum + value * expected[j], 0))
+        solveLinearSystem(matrix, vector).forEach((value, i) => expect(value).toBeCloseTo(expected[i], 9))
+    })
+
+    it('should reject singular and malformed systems', () => {
+        expect(() => solveLinearSystem([[1, 2], [2, 4]], [3, 6])).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => solveLinearSystem([[1, 2, 3], [4, 5, 6]], [1, 2])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('Equation Operations', () => {
+    it('should solve the polynomial in the grid and label each root', () => {
+        equationOperations.setEquation('polynomial', 2)
+        equationOperations.setGrid([[1, 0, -4]])
+        expect(equationOperations.solve()).toEqual([
+            { label: 'x1', value: -2 },
+            { label: 'x2', value: 2 }
+        ])
+    })
+
+    it('should solve the linear system in the augmented grid', () => {
+        equationOperations.setEquation('system', 2)
+        equationOperations.setGrid([[1, 1, 3], [1, -1, 1]])
+        const values = equationOperations.solve().map(solution => solution.value)
+        expect(values[0]).toBeCloseTo(2, 12)
+        expect(values[1]).toBeCloseTo(1, 12)
+    })
+
+    it('should start a fresh grid sized for the kind', () => {
+        equationOperations.setEquation('system', 3)
+        expect(equationOperations.getGrid()).toEqual([[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]])
+        expect(() => equationOperations.setEquation('system', 7)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => equationOperations.setEquation('polynomial', 5)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should store real solutions in memory but not complex roots', () => {
+        equationOperations.setEquation('polynomial', 3)
+        equationOperations.setGrid([[1, 0, 0, -8]])
+        const solutions = equationOperations.solve()
+
+        equationOperations.store(0)
+        expect(memoryOperations.recall()).toBeCloseTo(2, 12)
+        expect(solutions[1].value.im).toBeCloseTo(Math.sqrt(3), 12)
+        expect(() => equationOperations.store(1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should persist the kind, size and coefficients', () => {
+        equationOperations.setEquation('polynomial', 2)
+        equationOperations.setGrid([[1, -3, 2]])
+        expect(localStorage.setItem).toHaveBeenLastCalledWith('calculatorEquations', JSON.stringify({
+            kind: 'polynomial',
+            size: 2,
+            grid: [[1, -3, 2]]
+        }))
+    })
+})
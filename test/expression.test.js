@@ -0,0 +1,378 @@
+/**
+ * Unit tests for the expression engine
+ * Tests tokenizing, parsing, precedence and evaluation
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+    tokenize,
+    serializeTokens,
+    joinTokens,
+    parse,
+    evaluate,
+    evaluateExpression,
+    compileFunction,
+    createFunctionTable,
+    ExpressionError,
+    NODE_TYPES,
+    TOKEN_TYPES
+} from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+import { createDecimalArithmetic } from '../decimal.js'
+import { createFractionArithmetic } from '../fraction.js'
+
+describe('tokenize', () => {
+    it('should split numbers, operators and parentheses', () => {
+        const tokens = tokenize('( 2.5 + 3 ) × 4')
+        expect(tokens.map(token => token.type)).toEqual([
+            TOKEN_TYPES.LEFT_PAREN,
+            TOKEN_TYPES.NUMBER,
+            TOKEN_TYPES.OPERATOR,
+            TOKEN_TYPES.NUMBER,
+            TOKEN_TYPES.RIGHT_PAREN,
+            TOKEN_TYPES.OPERATOR,
+            TOKEN_TYPES.NUMBER,
+            TOKEN_TYPES.END
+        ])
+    })
+
+    it('should normalize display operators', () => {
+        const operators = tokenize('1 × 2 ÷ 3 − 4')
+            .filter(token => token.type === TOKEN_TYPES.OPERATOR)
+            .map(token => token.value)
+        expect(operators).toEqual(['*', '/', '-'])
+    })
+
+    it('should read scientific notation as a single number', () => {
+        const [token] = tokenize('1.5e+16')
+        expect(token.value).toBe(1.5e16)
+    })
+
+    it('should record token positions', () => {
+        const tokens = tokenize('12 + 3')
+        expect(tokens[1].position).toBe(3)
+        expect(tokens[2].position).toBe(5)
+    })
+
+    it('should reject unknown characters with their position', () => {
+        expect(() => tokenize('2 + $')).toThrow(ExpressionError)
+        try {
+            tokenize('2 + $')
+        } catch (error) {
+            expect(error.position).toBe(4)
+            expect(error.message).toBe(ERROR_MESSAGES.SYNTAX_ERROR)
+        }
+    })
+
+    it('should read imaginary literals as a product with i', () => {
+        const tokens = tokenize('2i + i')
+        expect(tokens.map(token => token.value)).toEqual([2, '*', 'i', '+', 'i', null])
+        expect(tokens[2].position).toBe(1)
+    })
+
+    it('should read integer literals and keywords in radix mode', () => {
+        const tokens = tokenize('FF AND 1F << 2', { radix: 16 })
+        expect(tokens.map(token => token.value)).toEqual([255n, 'AND', 31n, '<<', 2n, null])
+    })
+
+    it('should reject digits outside the radix with their position', () => {
+        try {
+            tokenize('12 + 19', { radix: 8 })
+            expect.unreachable()
+        } catch (error) {
+            expect(error).toBeInstanceOf(ExpressionError)
+            expect(error.position).toBe(6)
+        }
+    })
+
+    it('should serialize tokens with their source text', () => {
+        expect(serializeTokens(' 2 × sin( 30 ) + 1:45 - 5!')).toEqual([
+            { type: TOKEN_TYPES.NUMBER, text: '2' },
+            { type: TOKEN_TYPES.OPERATOR, text: '×' },
+            { type: TOKEN_TYPES.IDENTIFIER, text: 'sin' },
+            { type: TOKEN_TYPES.LEFT_PAREN, text: '(' },
+            { type: TOKEN_TYPES.NUMBER, text: '30' },
+            { type: TOKEN_TYPES.RIGHT_PAREN, text: ')' },
+            { type: TOKEN_TYPES.OPERATOR, text: '+' },
+            { type: TOKEN_TYPES.NUMBER, text: '1:45' },
+            { type: TOKEN_TYPES.OPERATOR, text: '-' },
+            { type: TOKEN_TYPES.NUMBER, text: '5' },
+            { type: TOKEN_TYPES.OPERATOR, text: '!' }
+        ])
+        expect(serializeTokens('FF AND 1F', { radix: 16 }).map(token => token.text)).toEqual(['FF', 'AND', '1F'])
+    })
+
+    it('should join serialized tokens into an equivalent expression', () => {
+        ['2(3 + 4)^2', 'd/dx(x^3, 2)', '2i + 1.5e-3', '-√9 × 10%'].forEach(source => {
+            const joined = joinTokens(serializeTokens(source))
+            expect(tokenize(joined).map(token => token.value)).toEqual(tokenize(source).map(token => token.value))
+        })
+    })
+})
+
+describe('parse', () => {
+    it('should build a binary tree respecting precedence', () => {
+        const ast = parse('2 + 3 × 4')
+        expect(ast.type).toBe(NODE_TYPES.BINARY)
+        expect(ast.operator).toBe('+')
+        expect(ast.right.operator).toBe('*')
+    })
+
+    it('should parse function calls with arguments', () => {
+        const ast = parse('max(1, 2)')
+        expect(ast.type).toBe(NODE_TYPES.CALL)
+        expect(ast.name).toBe('max')
+        expect(ast.args).toHaveLength(2)
+    })
+
+    it('should report unbalanced parentheses at the end of input', () => {
+        try {
+            parse('(2 + 3')
+            expect.unreachable()
+        } catch (error) {
+            expect(error).toBeInstanceOf(ExpressionError)
+            expect(error.position).toBe(6)
+        }
+    })
+
+    it('should report a dangling operator', () => {
+        try {
+            parse('5 × ÷ 2')
+            expect.unreachable()
+        } catch (error) {
+            expect(error.position).toBe(4)
+        }
+    })
+
+    it('should parse unit annotations and a trailing conversion', () => {
+        const isUnit = (name) => ['ft', 'cm', 'm', 'in'].includes(name)
+        const ast = parse('5 ft + 30 cm in m', { isUnit })
+        expect(ast.type).toBe(NODE_TYPES.CONVERSION)
+        expect(ast.unit).toBe('m')
+        expect(ast.argument.left).toMatchObject({ type: NODE_TYPES.UNIT, unit: 'ft' })
+
+        // `in` is the inch unit unless it starts the final conversion
+        expect(parse('2 in in cm', { isUnit }).argument.unit).toBe('in')
+        // Without unit support `ft` is an unknown name multiplying 5
+        expect(() => evaluate(parse('5 ft'))).toThrow(ERROR_MESSAGES.SYNTAX_ERROR)
+    })
+
+    it('should multiply juxtaposed terms', () => {
+        expect(evaluate(parse('2x ^ 2 + 3(x - 1)'), { variables: { x: 2 } })).toBe(11)
+        expect(evaluate(parse('(1 + 1)(2 + 2)'))).toBe(8)
+        expect(evaluateExpression('2π')).toBeCloseTo(2 * Math.PI)
+        expect(evaluateExpression('2sin(30)', { angleMode: 'DEG' })).toBeCloseTo(1)
+        expect(() => parse('2 3')).toThrow(ExpressionError)
+    })
+
+    it('should report an unexpected closing parenthesis', () => {
+        try {
+            parse('2 + 3)')
+            expect.unreachable()
+        } catch (error) {
+            expect(error.position).toBe(5)
+        }
+    })
+})
+
+describe('evaluateExpression', () => {
+    it('should evaluate basic arithmetic', () => {
+        expect(evaluateExpression('5 + 5')).toBe(10)
+        expect(evaluateExpression('10 × 2')).toBe(20)
+        expect(evaluateExpression('15 ÷ 3')).toBe(5)
+        expect(evaluateExpression('10 − 4')).toBe(6)
+    })
+
+    it('should respect operator precedence', () => {
+        expect(evaluateExpression('2 + 3 × 4')).toBe(14)
+        expect(evaluateExpression('2 × 3 + 4')).toBe(10)
+        expect(evaluateExpression('10 - 4 - 3')).toBe(3)
+        expect(evaluateExpression('24 ÷ 4 ÷ 2')).toBe(3)
+    })
+
+    it('should evaluate powers right-associatively', () => {
+        expect(evaluateExpression('2 ^ 3')).toBe(8)
+        expect(evaluateExpression('2 ^ 3 ^ 2')).toBe(512)
+        expect(evaluateExpression('2 ^ -1')).toBe(0.5)
+    })
+
+    it('should handle unary minus', () => {
+        expect(evaluateExpression('-5 + 3')).toBe(-2)
+        expect(evaluateExpression('-2 ^ 2')).toBe(-4)
+        expect(evaluateExpression('3 - -2')).toBe(5)
+        expect(evaluateExpression('-(2 + 3)')).toBe(-5)
+    })
+
+    it('should handle nested parentheses', () => {
+        expect(evaluateExpression('((2 + 3) × (4 - 1)) ^ 2')).toBe(225)
+        expect(evaluateExpression('( ( ( 1 ) ) )')).toBe(1)
+    })
+
+    it('should evaluate percent and constants', () => {
+        expect(evaluateExpression('50%')).toBe(0.5)
+        expect(evaluateExpression('π')).toBeCloseTo(Math.PI)
+        expect(evaluateExpression('2 × e')).toBeCloseTo(2 * Math.E)
+    })
+
+    it('should call supplied functions', () => {
+        const functions = { double: (x) => x * 2 }
+        expect(evaluate(parse('double(4) + 1'), { functions })).toBe(9)
+    })
+
+    it('should read variables like constants', () => {
+        expect(evaluate(parse('2 × x + 1'), { variables: { x: 3 } })).toBe(7)
+        expect(() => evaluate(parse('x'))).toThrow(ExpressionError)
+    })
+
+    it('should compile an expression of one variable', () => {
+        const f = compileFunction('x ^ 2 - sin(x)', 'x', { angleMode: 'RAD' })
+        expect(f(2)).toBeCloseTo(4 - Math.sin(2))
+        expect(f(0)).toBe(0)
+        expect(evaluateExpression('π')).toBeCloseTo(Math.PI)
+    })
+
+    it('should throw math errors for division by zero', () => {
+        expect(() => evaluateExpression('5 ÷ 0')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should throw overflow errors for infinite results', () => {
+        expect(() => evaluateExpression('10 ^ 400')).toThrow(ERROR_MESSAGES.OVERFLOW_ERROR)
+    })
+
+    it('should reject unknown identifiers', () => {
+        expect(() => evaluateExpression('alert(1)')).toThrow(ExpressionError)
+        expect(() => evaluateExpression('foo')).toThrow(ExpressionError)
+    })
+})
+
+describe('scientific functions', () => {
+    it('should compose functions with operators', () => {
+        expect(evaluateExpression('2 + sin( 30 )')).toBeCloseTo(2.5)
+        expect(evaluateExpression('3 × √( 16 + 9 )')).toBe(15)
+        expect(evaluateExpression('log( 1000 ) + ln( e )')).toBeCloseTo(4)
+    })
+
+    it('should honor the angle mode', () => {
+        expect(evaluateExpression('sin( 90 )', { angleMode: 'DEG' })).toBeCloseTo(1)
+        expect(evaluateExpression('cos( π )', { angleMode: 'RAD' })).toBeCloseTo(-1)
+        expect(evaluateExpression('sin( 100 )', { angleMode: 'GRAD' })).toBeCloseTo(1)
+        expect(evaluateExpression('asin( 1 )', { angleMode: 'DEG' })).toBeCloseTo(90)
+    })
+
+    it('should evaluate postfix square, cube and factorial', () => {
+        expect(evaluateExpression('3² + 4²')).toBe(25)
+        expect(evaluateExpression('2³')).toBe(8)
+        expect(evaluateExpression('5! ÷ 2')).toBe(60)
+        expect(evaluateExpression('-3²')).toBe(-9)
+    })
+
+    it('should raise domain errors', () => {
+        expect(() => evaluateExpression('√( -4 )')).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+        expect(() => evaluateExpression('log( 0 )')).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+        expect(() => evaluateExpression('asin( 2 )')).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+        expect(() => evaluateExpression('tan( 90 )')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should reject calls with the wrong number of arguments', () => {
+        expect(() => evaluateExpression('sin( 1, 2 )')).toThrow(ExpressionError)
+    })
+
+    it('should expose the function table', () => {
+        const functions = createFunctionTable('RAD')
+        expect(functions.cos(0)).toBe(1)
+        expect(functions['∛'](27)).toBe(3)
+    })
+})
+
+describe('calculus constructs', () => {
+    it('should tokenize d/dx and the calculus symbols as names', () => {
+        expect(tokenize('d/dx(x^2, 1)')[0]).toMatchObject({ type: TOKEN_TYPES.IDENTIFIER, value: 'd/dx' })
+        expect(tokenize('∑(k, k, 1, 3)')[0]).toMatchObject({ type: TOKEN_TYPES.IDENTIFIER, value: 'Σ' })
+        expect(tokenize('∏(k, k, 1, 3)')[0]).toMatchObject({ type: TOKEN_TYPES.IDENTIFIER, value: 'Π' })
+    })
+
+    it('should parse the body separately from the bound variable and bounds', () => {
+        const ast = parse('Σ(k^2, k, 1, n)')
+        expect(ast).toMatchObject({ type: NODE_TYPES.CALCULUS, operator: 'Σ', variable: 'k' })
+        expect(ast.argument.type).toBe(NODE_TYPES.BINARY)
+        expect(ast.args.map(arg => arg.type)).toEqual([NODE_TYPES.NUMBER, NODE_TYPES.CONSTANT])
+        expect(parse('∫(x, 0, 1)').variable).toBe('x')
+    })
+
+    it('should reject wrong argument counts and a non-name index', () => {
+        expect(() => parse('∫(x, 0)')).toThrow(ExpressionError)
+        expect(() => parse('d/dx(x^2)')).toThrow(ExpressionError)
+        expect(() => parse('Σ(k, 1, 1, 3)')).toThrow(ExpressionError)
+        expect(() => parse('Π')).toThrow(ExpressionError)
+    })
+
+    it('should evaluate derivatives, integrals, sums and products', () => {
+        expect(evaluateExpression('d/dx(x^3, 2)')).toBeCloseTo(12, 10)
+        expect(evaluateExpression('∫(sin(x), 0, π)', { angleMode: 'RAD' })).toBeCloseTo(2, 12)
+        expect(evaluateExpression('Σ(k, k, 1, 100)')).toBe(5050)
+        expect(evaluateExpression('Π(k, k, 1, 5)')).toBe(120)
+        expect(evaluateExpression('2∫(x, 0, 1) + 1')).toBeCloseTo(2, 12)
+    })
+
+    it('should bind the variable inside the body only', () => {
+        expect(evaluate(parse('∫(x, 0, x)'), { variables: { x: 2 } })).toBeCloseTo(2, 12)
+        expect(evaluateExpression('d/dx(∫(x^2, 0, x), 2)')).toBeCloseTo(4, 8)
+        expect(compileFunction('Σ(k x, k, 1, 3)')(2)).toBe(12)
+    })
+
+    it('should propagate errors from the body', () => {
+        expect(() => evaluateExpression('Σ(1/k, k, 0, 3)')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+})
+
+describe('sexagesimal literals', () => {
+    it('should read times and DMS angles as decimal hours and degrees', () => {
+        expect(tokenize('1:45:30')[0]).toMatchObject({ type: TOKEN_TYPES.NUMBER, value: 1.7583333333333333, raw: '1:45:30' })
+        expect(evaluateExpression('30°15′36″')).toBeCloseTo(30.26, 12)
+        expect(evaluateExpression('2 × 0:30')).toBe(1)
+    })
+
+    it('should reject minutes or seconds of 60 and over-long fields', () => {
+        expect(() => tokenize('1:75')).toThrow(ExpressionError)
+        expect(() => tokenize('1:455')).toThrow(ExpressionError)
+        expect(() => tokenize('30°5')).toThrow(ExpressionError)
+    })
+})
+
+describe('business percentages', () => {
+    it('should add and subtract a percentage of the left operand', () => {
+        expect(evaluateExpression('200 + 15%')).toBe(230)
+        expect(evaluateExpression('200 - 15%')).toBe(170)
+        expect(evaluateExpression('(100 + 50) + 10%')).toBeCloseTo(165, 12)
+    })
+
+    it('should keep percent as a plain hundredth elsewhere', () => {
+        expect(evaluateExpression('200 × 15%')).toBe(30)
+        expect(evaluateExpression('50%')).toBe(0.5)
+        expect(evaluateExpression('15% + 200')).toBe(200.15)
+    })
+
+    it('should compute percent change, markup and margin', () => {
+        expect(evaluateExpression('pchg(80, 100)')).toBe(25)
+        expect(evaluateExpression('pchg(100, 80)')).toBe(-20)
+        expect(evaluateExpression('markup(80, 25)')).toBe(100)
+        expect(evaluateExpression('margin(75, 25)')).toBe(100)
+        expect(() => evaluateExpression('pchg(0, 5)')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should add and remove tax at the given rate', () => {
+        expect(evaluateExpression('taxInc(100)', { taxRate: 8.25 })).toBeCloseTo(108.25, 12)
+        expect(evaluateExpression('taxExc(108.25)', { taxRate: 8.25 })).toBeCloseTo(100, 12)
+        expect(evaluateExpression('taxInc(100)')).toBe(100)
+    })
+
+    it('should stay exact with decimal and fraction arithmetic', () => {
+        const decimal = { arithmetic: createDecimalArithmetic(10), taxRate: 7 }
+        expect(evaluateExpression('0.1 + 10%', decimal).toString()).toBe('0.11')
+        expect(evaluateExpression('taxInc(19.99)', decimal).toString()).toBe('21.3893')
+
+        const fraction = { arithmetic: createFractionArithmetic('DEG'), taxRate: 20 }
+        expect(evaluateExpression('taxExc(100)', fraction).toString()).toBe('250/3')
+        expect(evaluateExpression('1/3 - 50%', fraction).toString()).toBe('1/6')
+    })
+})
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for the financial worksheet
+ * Tests TVM solving, amortization, NPV/IRR, simple and compound interest and the worksheet manager
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import {
+    solveTVM,
+    tvmBalance,
+    amortizationSchedule,
+    amortizationToCSV,
+    npv,
+    irr,
+    simpleInterest,
+    compoundInterest,
+    MAX_AMORTIZATION_PERIODS
+} from '../finance.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let financeOperations
+let memoryOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    financeOperations = (await import('../finance.js')).financeOperations
+    memoryOperations = (await import('../memory.js')).memoryOperations
+})
+
+// 30-year monthly mortgage of 200,000 at 6%
+const mortgage = { n: 360, rate: 6, pv: 200000, pmt: -1199.1010503055, fv: 0 }
+
+describe('solveTVM', () => {
+    it('should solve each variable from the other four', () => {
+        expect(solveTVM(mortgage, 'pmt')).toBeCloseTo(-1199.10, 2)
+        expect(solveTVM(mortgage, 'pv')).toBeCloseTo(200000, 4)
+        expect(solveTVM(mortgage, 'n')).toBeCloseTo(360, 6)
+        expect(solveTVM(mortgage, 'rate')).toBeCloseTo(6, 8)
+        expect(solveTVM(mortgage, 'fv')).toBeCloseTo(0, 4)
+    })
+
+    it('should use payments per year and payment timing', () => {
+        const savings = { n: 10, rate: 5, pv: -1000, pmt: 0, fv: 0 }
+        expect(solveTVM(savings, 'fv', { perYear: 1 })).toBeCloseTo(1628.89, 2)
+
+        const due = { n: 2, rate: 10, pv: 100, pmt: 0, fv: 0 }
+        expect(solveTVM(due, 'pmt', { perYear: 1, timing: 'BGN' })).toBeCloseTo(-52.380952, 6)
+        expect(solveTVM(due, 'pmt', { perYear: 1, timing: 'END' })).toBeCloseTo(-57.619048, 6)
+    })
+
+    it('should handle a zero interest rate', () => {
+        const values = { n: 10, rate: 0, pv: 100, pmt: -10, fv: 0 }
+        expect(solveTVM(values, 'rate', { perYear: 1 })).toBe(0)
+        expect(solveTVM(values, 'n', { perYear: 1 })).toBe(10)
+        expect(solveTVM({ ...values, pmt: 0 }, 'pmt', { perYear: 1 })).toBe(-10)
+    })
+
+    it('should leave a consistent worksheet balanced', () => {
+        expect(tvmBalance({ ...mortgage, pmt: solveTVM(mortgage, 'pmt') })).toBeCloseTo(0, 6)
+    })
+
+    it('should reject unknown variables, missing values and bad settings', () => {
+        expect(() => solveTVM(mortgage, 'apr')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => solveTVM({ ...mortgage, pv: NaN }, 'pmt')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => solveTVM(mortgage, 'pmt', { perYear: 0 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => solveTVM(mortgage, 'pmt', { timing: 'MID' })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should report worksheets without a solution', () => {
+        expect(() => solveTVM({ n: 10, rate: 0, pv: 100, pmt: 0, fv: 0 }, 'n')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => solveTVM({ n: 10, rate: 0, pv: 100, pmt: 10, fv: 10 }, 'rate')).toThrow(ERROR_MESSAGES.NO_CONVERGENCE)
+    })
+})
+
+describe('amortizationSchedule', () => {
+    it('should split each payment into interest and principal', () => {
+        const rows = amortizationSchedule(mortgage)
+        expect(rows).toHaveLength(360)
+        expect(rows[0].interest).toBeCloseTo(-1000, 8)
+        expect(rows[0].principal).toBeCloseTo(-199.10, 2)
+        expect(rows[0].balance).toBeCloseTo(199800.90, 2)
+        expect(rows.at(-1).balance).toBe(0)
+    })
+
+    it('should charge no interest at the first payment with BGN timing', () => {
+        const options = { perYear: 1, timing: 'BGN' }
+        const values = { n: 2, rate: 10, pv: 100, pmt: 0, fv: 0 }
+        const rows = amortizationSchedule({ ...values, pmt: solveTVM(values, 'pmt', options) }, options)
+        expect(rows[0].interest).toBe(0)
+        expect(rows[1].interest).toBeCloseTo(-4.761905, 6)
+        expect(rows[1].balance).toBe(0)
+    })
+
+    it('should need a whole number of periods', () => {
+        expect(() => amortizationSchedule({ ...mortgage, n: 12.5 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => amortizationSchedule({ ...mortgage, n: 0 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => amortizationSchedule({ ...mortgage, n: MAX_AMORTIZATION_PERIODS + 1 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should export to CSV in cents', () => {
+        const csv = amortizationToCSV(amortizationSchedule(mortgage).slice(0, 2))
+        expect(csv).toBe([
+            'Period,Payment,Interest,Principal,Balance',
+            '1,-1199.10,-1000.00,-199.10,199800.90',
+            '2,-1199.10,-999.00,-200.10,199600.80',
+            ''
+        ].join('\n'))
+    })
+})
+
+describe('cash flows and interest', () => {
+    const flows = [{ amount: -1000, count: 1 }, { amount: 300, count: 4 }]
+
+    it('should discount cash flows with repeat counts', () => {
+        expect(npv(10, flows)).toBeCloseTo(-49.040366, 6)
+        expect(npv(0, flows)).toBe(200)
+    })
+
+    it('should find the rate where the NPV is zero', () => {
+        const rate = irr(flows)
+        expect(rate).toBeCloseTo(7.713847, 6)
+        expect(npv(rate, flows)).toBeCloseTo(0, 8)
+    })
+
+    it('should need cash flows of both signs for IRR', () => {
+        expect(() => irr([{ amount: 100, count: 1 }, { amount: 100, count: 2 }])).toThrow(ERROR_MESSAGES.NO_SIGN_CHANGE)
+    })
+
+    it('should compute simple and compound interest', () => {
+        expect(simpleInterest(1000, 5, 2)).toEqual({ interest: 100, total: 1100 })
+        const monthly = compoundInterest(1000, 5, 10, 12)
+        expect(monthly.total).toBeCloseTo(1647.009498, 6)
+        expect(monthly.interest).toBeCloseTo(647.009498, 6)
+        expect(() => compoundInterest(1000, 5, 10, 0)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => simpleInterest(NaN, 5, 1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('financeOperations', () => {
+    it('should compute a worksheet variable and keep it', () => {
+        Object.entries({ n: 360, rate: 6, pv: 200000, fv: 0 }).forEach(([key, value]) => financeOperations.setValue(key, value))
+        expect(financeOperations.compute('pmt')).toBeCloseTo(-1199.10, 2)
+        expect(financeOperations.getValues().pmt).toBeCloseTo(-1199.10, 2)
+        expect(financeOperations.getResults()).toEqual([{ label: 'PMT', value: financeOperations.getValues().pmt }])
+    })
+
+    it('should summarize the amortization schedule', () => {
+        Object.entries({ n: 12, rate: 12, pv: 1000, fv: 0 }).forEach(([key, value]) => financeOperations.setValue(key, value))
+        financeOperations.compute('pmt')
+        const schedule = financeOperations.amortize()
+        expect(schedule).toHaveLength(12)
+
+        const [interest, principal, balance] = financeOperations.getResults()
+        expect(interest.label).toBe('ΣINT')
+        expect(principal.value).toBeCloseTo(-1000, 8)
+        expect(balance.value).toBe(0)
+    })
+
+    it('should keep CF0 once and evaluate NPV and IRR', () => {
+        financeOperations.addCashFlow(-1000, 3)
+        financeOperations.addCashFlow(300, 4)
+        expect(financeOperations.getCashFlows()).toEqual([{ amount: -1000, count: 1 }, { amount: 300, count: 4 }])
+        expect(financeOperations.npv(10)).toBeCloseTo(-49.040366, 6)
+        expect(financeOperations.irr()).toBeCloseTo(7.713847, 6)
+
+        financeOperations.removeCashFlow(1)
+        expect(financeOperations.getCashFlows()).toHaveLength(1)
+        financeOperations.clearCashFlows()
+        expect(() => financeOperations.npv(10)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should reject invalid entries', () => {
+        expect(() => financeOperations.setValue('pmt', Infinity)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        financeOperations.addCashFlow(-100)
+        expect(() => financeOperations.addCashFlow(100, 0.5)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => financeOperations.updateCashFlow(3, 100, 1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => financeOperations.setPerYear(-1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should store results in memory', () => {
+        financeOperations.interest('simple', 1000, 5, 2)
+        financeOperations.store(1)
+        expect(memoryOperations.recall()).toBe(1100)
+        expect(() => financeOperations.store(5)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
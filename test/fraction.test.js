@@ -0,0 +1,104 @@
+/**
+ * Unit tests for exact fraction arithmetic
+ * Tests the Fraction type, continued-fraction conversion and the fraction backend
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+    Fraction,
+    parseFractionText,
+    formatFraction,
+    addValues,
+    createFractionArithmetic
+} from '../fraction.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES, FRACTION_FORMATS } from '../utils.js'
+
+const evaluateFraction = (source) =>
+    evaluate(parse(source), { arithmetic: createFractionArithmetic('RAD') })
+
+describe('Fraction', () => {
+    it('should reduce to lowest terms with a positive denominator', () => {
+        const value = new Fraction(6n, -8n)
+        expect(value.numerator).toBe(-3n)
+        expect(value.denominator).toBe(4n)
+        expect(() => new Fraction(1n, 0n)).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should add, multiply and divide exactly', () => {
+        const third = new Fraction(1n, 3n)
+        expect(third.add(new Fraction(1n, 6n)).format()).toBe('1/2')
+        expect(third.multiply(new Fraction(3n)).format()).toBe('1')
+        expect(third.divide(new Fraction(2n, 3n)).format()).toBe('1/2')
+        expect(() => third.divide(new Fraction(0n))).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should read decimal literals exactly', () => {
+        expect(Fraction.parseDecimal('0.75').format()).toBe('3/4')
+        expect(Fraction.parseDecimal('1.5e-3').format()).toBe('3/2000')
+    })
+
+    it('should format improper and mixed numbers', () => {
+        const value = new Fraction(-7n, 2n)
+        expect(value.format()).toBe('-7/2')
+        expect(value.formatMixed()).toBe('-3 1/2')
+        expect(new Fraction(1n, 2n).formatMixed()).toBe('1/2')
+        expect(formatFraction(value, FRACTION_FORMATS.DECIMAL)).toBe('-3.5')
+    })
+
+    it('should serialize and restore exactly', () => {
+        const stored = JSON.parse(JSON.stringify(new Fraction(1n, 3n)))
+        expect(stored).toEqual({ numerator: '1', denominator: '3' })
+        expect(Fraction.from(stored).format()).toBe('1/3')
+    })
+
+    it('should parse typed and mixed fractions', () => {
+        expect(parseFractionText('3/4').format()).toBe('3/4')
+        expect(parseFractionText('-1 1/2').format()).toBe('-3/2')
+        expect(parseFractionText('3/')).toBeNull()
+        expect(parseFractionText('0.5')).toBeNull()
+    })
+})
+
+describe('Continued fraction conversion', () => {
+    it('should recover simple fractions from floating point', () => {
+        expect(Fraction.fromNumber(1 / 3).format()).toBe('1/3')
+        expect(Fraction.fromNumber(0.1 + 0.2).format()).toBe('3/10')
+        expect(Fraction.fromNumber(-2.125).format()).toBe('-17/8')
+    })
+
+    it('should bound the denominator', () => {
+        expect(Fraction.approximate(Math.PI, 100).format()).toBe('311/99')
+        expect(Fraction.approximate(Math.PI, 1000).format()).toBe('355/113')
+        expect(Fraction.fromNumber(Math.PI)).toBeNull()
+    })
+})
+
+describe('Fraction arithmetic', () => {
+    it('should keep rational results exact', () => {
+        expect(evaluateFraction('1/3 + 1/6').format()).toBe('1/2')
+        expect(evaluateFraction('(2/3)^-2').format()).toBe('9/4')
+        expect(evaluateFraction('0.1 + 0.2').format()).toBe('3/10')
+        expect(evaluateFraction('√(9/4)').format()).toBe('3/2')
+    })
+
+    it('should reject oversized powers before computing them', () => {
+        const start = Date.now()
+        expect(() => evaluateFraction('9^9^9')).toThrow(ERROR_MESSAGES.OVERFLOW_ERROR)
+        expect(() => evaluateFraction('2^(10^7)')).toThrow(ERROR_MESSAGES.OVERFLOW_ERROR)
+        expect(() => evaluateFraction('(1/3)^-5000')).toThrow(ERROR_MESSAGES.OVERFLOW_ERROR)
+        expect(Date.now() - start).toBeLessThan(1000)
+        expect(evaluateFraction('(-1)^(10^9)').format()).toBe('1')
+        expect(evaluateFraction('2^3000').numerator).toBe(2n ** 3000n)
+    })
+
+    it('should fall back to floating point for irrational results', () => {
+        expect(evaluateFraction('√(2)')).toBeCloseTo(Math.SQRT2)
+        expect(evaluateFraction('1/2 + π')).toBeCloseTo(0.5 + Math.PI)
+    })
+
+    it('should mix integers and fractions in memory sums', () => {
+        expect(addValues(1, new Fraction(1n, 3n)).format()).toBe('4/3')
+        expect(addValues(0.5, new Fraction(1n, 2n))).toBe(1)
+    })
+})
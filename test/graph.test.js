@@ -0,0 +1,163 @@
+/**
+ * Unit tests for function graphing
+ * Tests graph entries, the viewing window, marked points, scene layout and export
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import {
+    parseGraphFunction,
+    panView,
+    zoomView,
+    gridStep,
+    findRoots,
+    findExtrema,
+    findFeatures,
+    buildScene,
+    sceneToSVG,
+    DEFAULT_VIEW
+} from '../graph.js'
+import { ExpressionError } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let graphOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    graphOperations = (await import('../graph.js')).graphOperations
+    graphOperations.clear()
+    graphOperations.resetView()
+})
+
+describe('parseGraphFunction', () => {
+    it('should accept entries with or without y =', () => {
+        expect(parseGraphFunction('y = x^2 - 2')(3)).toBe(7)
+        expect(parseGraphFunction('2 × x')(4)).toBe(8)
+    })
+
+    it('should honor the angle mode', () => {
+        expect(parseGraphFunction('sin(x)', 'DEG')(90)).toBeCloseTo(1)
+        expect(parseGraphFunction('sin(x)', 'RAD')(Math.PI / 2)).toBeCloseTo(1)
+    })
+
+    it('should leave gaps where the function is undefined', () => {
+        const f = parseGraphFunction('√(x) + 1 / (x - 4)')
+        expect(f(-1)).toBeNaN()
+        expect(f(4)).toBeNaN()
+        expect(f(0)).toBeCloseTo(-0.25)
+    })
+
+    it('should reject invalid entries', () => {
+        expect(() => parseGraphFunction('y = ')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => parseGraphFunction('x +')).toThrow(ExpressionError)
+        expect(() => parseGraphFunction('2 × z')).toThrow(ExpressionError)
+    })
+})
+
+describe('Viewing window', () => {
+    it('should pan and zoom about a fixed point', () => {
+        expect(panView(DEFAULT_VIEW, 5, -2)).toEqual({ xMin: -5, xMax: 15, yMin: -12, yMax: 8 })
+        expect(zoomView(DEFAULT_VIEW, 0.5, 10, 0)).toEqual({ xMin: 0, xMax: 10, yMin: -5, yMax: 5 })
+        expect(zoomView(DEFAULT_VIEW, 1e-12)).toEqual(DEFAULT_VIEW)
+    })
+
+    it('should choose 1-2-5 grid steps', () => {
+        expect(gridStep(20)).toBe(2)
+        expect(gridStep(100)).toBe(10)
+        expect(gridStep(0.04)).toBeCloseTo(0.005)
+    })
+})
+
+describe('Marked points', () => {
+    it('should find roots', () => {
+        const roots = findRoots(x => x * x - 2, -10, 10)
+        expect(roots).toHaveLength(2)
+        expect(roots[0]).toBeCloseTo(-Math.SQRT2, 10)
+        expect(roots[1]).toBeCloseTo(Math.SQRT2, 10)
+    })
+
+    it('should not mark a sign change across a pole as a root', () => {
+        expect(findRoots(x => 1 / x, -10, 10.01)).toEqual([])
+    })
+
+    it('should find minima and maxima', () => {
+        const extrema = findExtrema(x => x * x * x - 3 * x, -10, 10)
+        expect(extrema.map(point => point.type)).toEqual(['maximum', 'minimum'])
+        expect(extrema[0].x).toBeCloseTo(-1, 5)
+        expect(extrema[0].y).toBeCloseTo(2, 8)
+        expect(extrema[1].x).toBeCloseTo(1, 5)
+    })
+
+    it('should find intersections between functions', () => {
+        const features = findFeatures([x => x, x => 4 - x], DEFAULT_VIEW)
+        const [intersection] = features.filter(point => point.type === 'intersection')
+        expect(intersection.x).toBeCloseTo(2)
+        expect(intersection.y).toBeCloseTo(2)
+        expect(intersection.functions).toEqual([0, 1])
+    })
+})
+
+describe('Scene layout and export', () => {
+    it('should break curves at asymptotes and gaps', () => {
+        const scene = buildScene({
+            functions: [{ f: parseGraphFunction('1 / x'), color: '#fff', label: 'y1 = 1 / x' }],
+            view: DEFAULT_VIEW,
+            width: 201,
+            height: 100
+        })
+        expect(scene.curves[0].segments).toHaveLength(2)
+        expect(scene.lines.filter(line => line.axis)).toHaveLength(2)
+    })
+
+    it('should export escaped SVG', () => {
+        const svg = sceneToSVG(buildScene({
+            functions: [{ f: x => x, color: '#fff', label: 'y1 = x <b>' }],
+            view: DEFAULT_VIEW,
+            width: 100,
+            height: 100
+        }))
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true)
+        expect(svg).toContain('<polyline')
+        expect(svg).toContain('y1 = x &lt;b&gt;')
+    })
+})
+
+describe('Graph Operations', () => {
+    it('should plot and persist functions', () => {
+        graphOperations.add('y = x^2 - 4')
+        expect(graphOperations.getFunctions()).toEqual(['y = x^2 - 4'])
+        expect(localStorage.setItem).toHaveBeenLastCalledWith(
+            'calculatorGraph',
+            JSON.stringify({ expressions: ['y = x^2 - 4'], view: DEFAULT_VIEW })
+        )
+
+        const roots = graphOperations.getFeatures().filter(point => point.type === 'root')
+        expect(roots.map(point => Math.round(point.x))).toEqual([-2, 2])
+    })
+
+    it('should trace and snap to marked points', () => {
+        graphOperations.add('x - 1')
+        // 400 px wide fallback canvas over x ∈ [-10, 10]: pixel 221 is x = 1.05
+        const reading = graphOperations.traceAt(221)
+        expect(reading.type).toBe('root')
+        expect(reading.x).toBeCloseTo(1)
+
+        const between = graphOperations.traceAt(300)
+        expect(between.type).toBeNull()
+        expect(between.y).toBeCloseTo(4)
+    })
+
+    it('should recompile functions when the angle mode changes', () => {
+        graphOperations.add('cos(x)')
+        graphOperations.setAngleMode('RAD')
+        expect(graphOperations.traceAt(200).y).toBeCloseTo(1)
+        graphOperations.setAngleMode('DEG')
+        expect(graphOperations.getFunctions()).toEqual(['cos(x)'])
+    })
+
+    it('should zoom about the center and reject invalid windows', () => {
+        graphOperations.zoom(0.5)
+        expect(graphOperations.getView()).toEqual({ xMin: -5, xMax: 5, yMin: -5, yMax: 5 })
+        expect(() => graphOperations.setView({ xMin: 3, xMax: 1 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
@@ -0,0 +1,27 @@
+/**
+ * Shared helpers for panel manager tests
+ * Provides a document without panel elements so managers run headless
+ */
+
+import { vi } from 'vitest'
+
+/**
+ * Clears the module registry and installs a document without panel elements,
+ * so managers imported afterwards start from fresh singletons
+ */
+export function resetPanelModules() {
+    vi.resetModules()
+
+    global.document = {
+        getElementById: vi.fn(() => null),
+        createElement: vi.fn(() => ({
+            style: { cssText: '' },
+            classList: { add: vi.fn(), remove: vi.fn() }
+        })),
+        body: {
+            appendChild: vi.fn(),
+            removeChild: vi.fn()
+        }
+    }
+    global.requestAnimationFrame = vi.fn(cb => setTimeout(cb, 0))
+}
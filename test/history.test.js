@@ -3,8 +3,10 @@
  * Tests history management, FIFO queue, and recall operations
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { historyOperations } from '../history.js'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import HistoryManager, { historyOperations, historyManager, DEFAULT_HISTORY_SIZE } from '../history.js'
+import { LocalHistoryStore } from '../historystore.js'
+import { ERROR_MESSAGES } from '../utils.js'
 
 // Mock DOM elements
 const mockElement = {
@@ -51,6 +53,8 @@ global.document = {
 describe('History Operations', () => {
     beforeEach(() => {
         historyOperations.clear()
+        // A small size keeps the FIFO tests short
+        historyOperations.setSize(10)
         vi.clearAllMocks()
         mockHistoryContent.innerHTML = ''
     })
@@ -88,6 +92,56 @@ describe('History Operations', () => {
             expect(history[9].expression).toBe('12+12')
         })
 
+        it('should keep fraction results exact', async () => {
+            const { Fraction } = await import('../fraction.js')
+            historyOperations.add('1/3 + 1/6', new Fraction(1n, 2n))
+            const [item] = historyOperations.getAll()
+
+            expect(item.result).toEqual({ numerator: '1', denominator: '2' })
+            expect(item.formattedResult).toBe('1/2')
+        })
+
+        it('should record both units of a conversion', async () => {
+            const { Quantity } = await import('../units.js')
+            historyOperations.add('12 in in cm', new Quantity(30.48, 'cm'))
+            const [item] = historyOperations.getAll()
+
+            expect(item.result).toEqual({ value: 30.48, unit: 'cm' })
+            expect(item.formattedResult).toBe('30.48 cm')
+        })
+
+        it('should keep the exchange rates of a currency conversion', () => {
+            const rates = { base: 'USD', rates: { EUR: { rate: 0.8, updated: '2026-10-01' } } }
+            historyOperations.add('120 USD in EUR', 96, { rates })
+            historyOperations.add('2+2', 4)
+            const [conversion, sum] = historyOperations.getAll()
+
+            expect(conversion.rates).toEqual(rates)
+            expect(sum).not.toHaveProperty('rates')
+            expect(historyManager.createHistoryItemHTML(conversion)).toContain('1 USD = 0.8 EUR (2026-10-01)')
+        })
+
+        it('should keep the tokens of an expression for editing', () => {
+            const tokens = [{ type: 'number', text: 'A' }, { type: 'operator', text: 'OR' }, { type: 'number', text: '5' }]
+            historyOperations.add('HEX: A OR 5', 15n, { tokens, base: 'HEX' })
+            historyOperations.add('random()', 0.5)
+            const [expression, random] = historyOperations.getAll()
+
+            expect(expression).toMatchObject({ tokens, base: 'HEX', modes: null })
+            expect(random).not.toHaveProperty('tokens')
+            expect(historyManager.createHistoryItemHTML(expression)).toContain('history-edit')
+            expect(historyManager.createHistoryItemHTML(random)).not.toContain('history-edit')
+        })
+
+        it('should keep the modes an expression was evaluated in', () => {
+            const tokens = [{ type: 'identifier', text: 'sin' }, { type: 'lparen', text: '(' }, { type: 'number', text: '1' }, { type: 'rparen', text: ')' }]
+            const modes = { angleMode: 'RAD', decimal: false, complexFormat: 'POLAR', fractionFormat: null }
+            historyOperations.add('sin( 1 )', Math.sin(1), { tokens, base: null, modes })
+            modes.angleMode = 'GRAD'
+
+            expect(historyOperations.getAll()[0].modes).toEqual({ angleMode: 'RAD', decimal: false, complexFormat: 'POLAR', fractionFormat: null })
+        })
+
         it('should save to localStorage when adding', () => {
             historyOperations.add('7*8', 56)
             expect(localStorage.setItem).toHaveBeenCalledWith(
@@ -176,6 +230,185 @@ describe('History Operations', () => {
         })
     })
 
+    describe('Storage fallback', () => {
+        it('should reload from localStorage when IndexedDB fails', async () => {
+            const manager = new HistoryManager()
+            await manager.loading
+            const blocked = () => Promise.reject(new Error('blocked'))
+            manager.store = { getPage: blocked, count: blocked, getFavorites: blocked, getTags: blocked, put: blocked }
+            vi.spyOn(console, 'error').mockImplementation(() => {})
+            const renderPanel = vi.spyOn(manager, 'renderPanel')
+
+            manager.addToHistory('2+2', 4)
+            localStorage.getItem.mockReturnValueOnce(JSON.stringify([
+                { id: 1, time: 1, expression: '1+1', result: 2, formattedResult: '2', favorite: true, tags: ['sum'] }
+            ]))
+            await manager.loadHistory()
+
+            expect(manager.store).toBeInstanceOf(LocalHistoryStore)
+            expect(manager.history.map(item => item.expression)).toEqual(['1+1', '2+2'])
+            expect(manager.totalCount).toBe(2)
+            expect(manager.favorites.map(item => item.expression)).toEqual(['1+1'])
+            expect(manager.storedTags).toEqual(['sum'])
+            expect(renderPanel).toHaveBeenCalled()
+            console.error.mockRestore()
+        })
+    })
+
+    describe('History Size', () => {
+        it('should keep the default size when none is given', () => {
+            expect(new HistoryManager().maxHistory).toBe(DEFAULT_HISTORY_SIZE)
+        })
+
+        it('should drop the oldest calculations when the size shrinks', () => {
+            for (let i = 1; i <= 5; i++) {
+                historyOperations.add(`${i}+${i}`, i * 2)
+            }
+            historyOperations.setSize(3)
+
+            expect(historyOperations.getAll().map(item => item.expression)).toEqual(['3+3', '4+4', '5+5'])
+            expect(historyOperations.getStats().usage).toBe('3/3')
+        })
+
+        it('should keep every calculation when the size is 0', () => {
+            historyOperations.setSize(0)
+            for (let i = 1; i <= 12; i++) {
+                historyOperations.add(`${i}+${i}`, i * 2)
+            }
+
+            expect(historyOperations.getAll()).toHaveLength(12)
+            expect(historyOperations.getSize()).toBe(0)
+            expect(historyOperations.getStats().usage).toBe('12/∞')
+        })
+
+        it('should reject invalid sizes', () => {
+            expect(() => historyOperations.setSize(-1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => historyOperations.setSize(2.5)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        })
+
+        it('should give calculations added in the same millisecond distinct ids', () => {
+            historyOperations.add('1+1', 2)
+            historyOperations.add('2+2', 4)
+            const [first, second] = historyOperations.getAll()
+
+            expect(second.id).toBeGreaterThan(first.id)
+            expect(first.time).toBeDefined()
+        })
+    })
+
+    describe('Tags, Notes, Pins and Favorites', () => {
+        let items
+
+        beforeEach(() => {
+            historyOperations.add('1+1', 2)
+            historyOperations.add('2*21', 42)
+            historyOperations.add('100/4', 25)
+            items = historyOperations.getAll()
+        })
+
+        it('should tag calculations and list the tags in use', () => {
+            expect(historyOperations.setTags(items[0].id, '#Rent, q3 , rent')).toEqual(['rent', 'q3'])
+            historyOperations.setTags(items[1].id, ['answer'])
+
+            expect(historyOperations.getAll()[0].tags).toEqual(['rent', 'q3'])
+            expect(historyOperations.getTags()).toEqual(['answer', 'q3', 'rent'])
+            expect(localStorage.setItem).toHaveBeenLastCalledWith('calculatorHistory', expect.stringContaining('"tags":["answer"]'))
+        })
+
+        it('should reject tags that are not single words', () => {
+            expect(() => historyOperations.setTags(items[0].id, 'two words')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+            expect(() => historyOperations.setTags(-1, 'rent')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        })
+
+        it('should annotate calculations and find them by note', () => {
+            historyOperations.setNote(items[2].id, '  Quarterly split  ')
+            expect(historyOperations.getAll()[2].note).toBe('Quarterly split')
+            expect(historyOperations.search('quarterly')).toHaveLength(1)
+            expect(historyManager.createHistoryItemHTML(historyOperations.getAll()[2])).toContain('Quarterly split')
+
+            historyOperations.setNote(items[2].id, '')
+            expect(historyOperations.getAll()[2]).not.toHaveProperty('note')
+        })
+
+        it('should show notes and tags as text, not markup', () => {
+            historyOperations.setNote(items[1].id, '<img src=x onerror=alert(1)> & "quotes"')
+            historyOperations.setTags(items[1].id, 'answer')
+            const meta = historyManager.createMetaHTML(historyOperations.getAll()[1])
+
+            expect(meta).not.toContain('<img')
+            expect(meta).toContain('&lt;img src=x onerror=alert(1)&gt; &amp; &quot;quotes&quot;')
+            expect(meta).toContain('<span class="history-tag">#answer</span>')
+            expect(historyManager.createMetaHTML({ tags: ['a"><b>'] })).not.toContain('<b>')
+        })
+
+        it('should never drop pinned calculations to keep the history size', () => {
+            historyOperations.pin(items[0].id)
+            for (let i = 0; i < 10; i++) {
+                historyOperations.add(`${i}*10`, i * 10)
+            }
+            const history = historyOperations.getAll()
+
+            expect(history).toHaveLength(10)
+            expect(history[0]).toMatchObject({ expression: '1+1', pinned: true })
+            expect(history[1].expression).toBe('1*10')
+
+            historyOperations.pin(items[0].id, false)
+            historyOperations.add('10*10', 100)
+            expect(historyOperations.getAll()[0].expression).toBe('1*10')
+        })
+
+        it('should list favorites separately and drop them when they are dropped', async () => {
+            historyOperations.favorite(items[2].id)
+            historyOperations.favorite(items[0].id)
+            expect(historyOperations.getFavorites().map(item => item.expression)).toEqual(['1+1', '100/4'])
+
+            historyOperations.favorite(items[2].id, false)
+            expect(historyOperations.getFavorites().map(item => item.expression)).toEqual(['1+1'])
+
+            for (let i = 0; i < 10; i++) {
+                historyOperations.add(`${i}*10`, i * 10)
+            }
+            await vi.waitFor(() => expect(historyOperations.getFavorites()).toHaveLength(0))
+        })
+    })
+
+    describe('History Filters', () => {
+        beforeEach(() => {
+            historyOperations.add('12*3', 36)
+            historyOperations.add('36/6', 6)
+            historyOperations.add('sqrt(36)', 6)
+            const [first, second] = historyOperations.getAll()
+            historyOperations.setTags(first.id, 'rent')
+            historyOperations.setTags(second.id, 'rent, q3')
+        })
+
+        afterEach(() => {
+            historyOperations.filter({ query: '', from: null, to: null, tags: [] })
+        })
+
+        it('should filter by search text', () => {
+            const matches = historyOperations.filter({ query: 'sqrt' })
+            expect(matches.map(item => item.expression)).toEqual(['sqrt(36)'])
+            expect(historyOperations.filter({ query: '36' })).toHaveLength(3)
+        })
+
+        it('should filter by tags, requiring every selected tag', () => {
+            expect(historyOperations.filter({ tags: ['rent'] })).toHaveLength(2)
+            expect(historyOperations.filter({ tags: ['#Rent', 'q3'] }).map(item => item.expression)).toEqual(['36/6'])
+        })
+
+        it('should filter by an inclusive date range', () => {
+            const today = new Date()
+            const date = [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+                .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+                .join('-')
+
+            expect(historyOperations.filter({ from: date, to: date })).toHaveLength(3)
+            expect(historyOperations.filter({ from: '2000-01-01', to: '2000-12-31' })).toHaveLength(0)
+            expect(() => historyOperations.filter({ from: 'yesterday' })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        })
+    })
+
     describe('History Statistics', () => {
         beforeEach(() => {
             historyOperations.add('1+1', 2)
@@ -227,6 +460,69 @@ describe('History Operations', () => {
             expect(history[0].formattedResult).toBe('81')
         })
 
+        it('should merge imported calculations without duplicating known ones', async () => {
+            const [known] = historyOperations.getAll()
+            const imported = { ...known, id: 1, time: known.time - 1000, expression: '4*4', result: 16, formattedResult: '16' }
+
+            expect(await historyOperations.merge({ history: [known, imported], version: '1.0' })).toBe(true)
+            expect(historyOperations.getAll().map(item => item.expression)).toEqual(['4*4', '5*5', '6*6'])
+        })
+
+        it('should preview a file before replacing the history with it', async () => {
+            const file = { name: 'history.csv', text: async () => 'Expression,Result\n7*7,49\n8*8,64\n' }
+
+            const preview = await historyOperations.previewImport(file)
+            expect(preview.history).toHaveLength(2)
+            expect(historyOperations.getAll()).toHaveLength(2)
+
+            expect(await historyOperations.applyImport('replace')).toBe(true)
+            expect(historyOperations.getAll().map(item => item.expression)).toEqual(['7*7', '8*8'])
+            expect(await historyOperations.applyImport('replace')).toBe(false)
+        })
+
+        it('should drop a cancelled import', async () => {
+            await historyOperations.previewImport({ name: 'history.json', text: async () => '{"history": []}' })
+            expect(await historyOperations.applyImport('cancel')).toBe(false)
+            expect(historyOperations.getAll().map(item => item.expression)).toEqual(['5*5', '6*6'])
+        })
+
+        it('should refuse files that are not history', async () => {
+            await expect(historyOperations.previewImport({ name: 'rates.csv', text: async () => 'EUR,0.8' }))
+                .rejects.toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        })
+
+        it('should report imported items that fail validation', () => {
+            const result = historyOperations.import({
+                history: [
+                    { id: 1, expression: '9*9', result: 81, formattedResult: '81' },
+                    { id: 2, expression: '<img src=x onerror=alert(1)>', result: ['x'], formattedResult: 'x' }
+                ]
+            })
+
+            expect(result).toBe(true)
+            expect(historyOperations.getAll().map(item => item.expression)).toEqual(['9*9'])
+            expect(historyOperations.getImportReport()).toEqual({
+                imported: 1,
+                invalid: [{ index: 1, errors: ['result must be a number, text or result object'] }]
+            })
+        })
+
+        it('should escape stored text when rendering', () => {
+            const html = historyManager.createHistoryItemHTML({
+                id: '1" onmouseover="alert(1)',
+                expression: '<img src=x onerror=alert(1)>',
+                formattedResult: '"><script>alert(1)</script>',
+                timestamp: '<b>now</b>',
+                note: '<i>note</i>',
+                tags: ['a<b']
+            })
+
+            expect(html).not.toMatch(/<(img|script|b|i)\b/)
+            expect(html).not.toContain('" onmouseover')
+            expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;')
+            expect(html).toContain('&lt;i&gt;note&lt;/i&gt;')
+        })
+
         it('should handle invalid import data', () => {
             const result = historyOperations.import({ invalid: 'data' })
             expect(result).toBe(false)
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for history files
+ * Tests CSV, JSON, Markdown and paper tape exports, reading JSON and CSV files back and the history item schema
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+    historyToCSV,
+    historyToJSON,
+    historyToMarkdown,
+    historyToTape,
+    parseHistoryJSON,
+    parseHistoryCSV,
+    parseHistoryFile,
+    validateHistoryItem,
+    validateHistoryItems,
+    describeInvalidItems,
+    HISTORY_FILE_FORMATS
+} from '../historyfile.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+const TIME = Date.UTC(2026, 9, 19, 9, 30)
+
+const DATA = {
+    history: [
+        { id: TIME, time: TIME, expression: '1450 × 12', result: 17400, formattedResult: '17400', timestamp: 'Oct 19', tags: ['rent', 'q3'], note: 'Lease, "annual"' },
+        { id: TIME + 1, time: TIME + 1, expression: '-5+3', result: -2, formattedResult: '-2', timestamp: 'Oct 19' },
+        { id: TIME + 2, time: TIME + 2, expression: '1/3 + 1/6', result: { numerator: '1', denominator: '2' }, formattedResult: '1/2', timestamp: 'Oct 19' }
+    ],
+    maxHistory: 1000,
+    exportDate: new Date(TIME).toISOString(),
+    version: '1.0'
+}
+
+describe('history exports', () => {
+    it('should write CSV with quoted fields and guarded formulas', () => {
+        const lines = historyToCSV(DATA).trim().split('\n')
+
+        expect(lines[0]).toBe('Time,Expression,Result,Value,Tags,Note')
+        expect(lines[1]).toBe('2026-10-19T09:30:00.000Z,1450 × 12,17400,17400,rent q3,"Lease, ""annual"""')
+        expect(lines[2]).toBe("2026-10-19T09:30:00.001Z,'-5+3,-2,-2,,")
+        expect(lines[3]).toBe('2026-10-19T09:30:00.002Z,1/3 + 1/6,1/2,,,')
+    })
+
+    it('should write the exportHistory() shape as JSON', () => {
+        expect(JSON.parse(historyToJSON(DATA))).toEqual(DATA)
+    })
+
+    it('should write a Markdown table', () => {
+        const markdown = historyToMarkdown({ ...DATA, history: [{ ...DATA.history[0], note: 'a | b' }] })
+
+        expect(markdown).toContain('| Time | Expression | Result | Tags | Note |')
+        expect(markdown).toContain('| Oct 19 | `1450 × 12` | 17400 | #rent #q3 | a \\| b |')
+    })
+
+    it('should write a paper tape with right-aligned results', () => {
+        const lines = historyToTape(DATA).split('\n')
+
+        expect(lines).toContain('1450 × 12')
+        expect(lines).toContain('= 17400'.padStart(40))
+        expect(lines).toContain('#rent #q3')
+        expect(lines).toContain('* Lease, "annual"')
+        expect(lines).toContain('3 calculations'.padStart(40))
+    })
+
+    it('should offer every format for download', () => {
+        expect(Object.keys(HISTORY_FILE_FORMATS)).toEqual(['csv', 'json', 'markdown', 'tape'])
+        expect(HISTORY_FILE_FORMATS.csv.type).toBe('text/csv')
+    })
+})
+
+describe('history imports', () => {
+    it('should read back its own CSV', () => {
+        const { history } = parseHistoryCSV(historyToCSV(DATA))
+
+        expect(history).toHaveLength(3)
+        expect(history[0]).toMatchObject({ time: TIME, expression: '1450 × 12', result: 17400, tags: ['rent', 'q3'], note: 'Lease, "annual"' })
+        expect(history[1]).toMatchObject({ expression: '-5+3', result: -2 })
+        expect(history[2]).toMatchObject({ result: '1/2', formattedResult: '1/2' })
+    })
+
+    it('should keep results without a numeric value as text', () => {
+        const { history, invalid } = parseHistoryCSV('Expression,Result,Value\n2 ÷ 3,2/3,\n(3+2i),3+2i,\n1 ft in cm,30.48 cm,\n5 + 1,6,6\n')
+
+        expect(invalid).toEqual([])
+        expect(history.map(item => item.result)).toEqual(['2/3', '3+2i', '30.48 cm', 6])
+        expect(history.every(item => !Number.isNaN(item.result))).toBe(true)
+    })
+
+    it('should read CSV with only expression and result columns', () => {
+        const { history } = parseHistoryCSV('expression,result\n2+2,4\n')
+        expect(history).toHaveLength(1)
+        expect(history[0]).toMatchObject({ expression: '2+2', result: 4, formattedResult: '4' })
+    })
+
+    it('should reject malformed CSV', () => {
+        expect(() => parseHistoryCSV('Time,Value\n2026-10-19,4')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => parseHistoryCSV('Expression,Result\n"2+2,4')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should report CSV rows that fail the schema', () => {
+        const { history, invalid } = parseHistoryCSV('Time,Expression,Result\nyesterday,2+2,4\n2026-10-19,3+3,6\n,,1')
+
+        expect(history.map(item => item.expression)).toEqual(['3+3'])
+        expect(invalid).toEqual([
+            { index: 0, errors: ['id must be a number', 'time must be a number'] },
+            { index: 2, errors: ['expression must be non-empty text'] }
+        ])
+    })
+
+    it('should read JSON exports and reject other JSON', () => {
+        expect(parseHistoryJSON(historyToJSON(DATA))).toEqual({ history: DATA.history, invalid: [], version: '1.0' })
+        expect(() => parseHistoryJSON('{"history": {}}')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => parseHistoryJSON('{"history": [], "version": "2.0"}')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(parseHistoryJSON('{"history": [{"expression": 1}]}').invalid).toEqual([
+            { index: 0, errors: ['expression must be non-empty text', 'result is missing', 'formattedResult is missing'] }
+        ])
+    })
+
+    it('should pick the reader by file name or contents', () => {
+        expect(parseHistoryFile(historyToJSON(DATA), 'history.txt').history).toHaveLength(3)
+        expect(parseHistoryFile(historyToCSV(DATA), 'history.csv').history).toHaveLength(3)
+    })
+})
+
+describe('history item schema', () => {
+    const VALID = { id: 1, expression: '2+2', result: 4, formattedResult: '4' }
+
+    it('should keep schema fields only and fill in the timestamp', () => {
+        const { item } = validateHistoryItem({ ...VALID, onclick: 'alert(1)', pinned: true })
+
+        expect(item).toEqual({ ...VALID, pinned: true, timestamp: new Date(1).toLocaleString() })
+    })
+
+    it('should accept the result objects history keeps', () => {
+        expect(validateHistoryItem({ ...VALID, result: { numerator: '1', denominator: '2' } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: { entries: [[1, 2], [3, 4]] } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: { re: 3, im: -2 } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: { value: 30.48, unit: 'cm' } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: { components: [1, 2, 3] } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: { seconds: 6330, style: 'time' } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: { date: '2026-12-25' } }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: null }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: '2/3' }).item).toBeDefined()
+        expect(validateHistoryItem({ ...VALID, result: true }).errors).toEqual(['result must be a number, text or result object'])
+    })
+
+    it('should reject malformed result objects', () => {
+        const results = [
+            { foo: 1 },
+            { re: 1, im: 'x' },
+            { re: 1, im: 2, foo: 3 },
+            { numerator: 'abc', denominator: '1' },
+            { numerator: '1', denominator: '0' },
+            { numerator: 1, denominator: 2 },
+            { value: 1, unit: 'parsec-ish' },
+            { value: '1', unit: 'cm' },
+            { entries: [[1, 'x']] },
+            { entries: [[1, 2], [3]] },
+            { entries: [] },
+            { components: [1, null] },
+            { components: [1, 2, 3, 4] },
+            { seconds: 'x', style: 'time' },
+            { seconds: 60, style: 'clock' },
+            { date: '2026-02-30' }
+        ]
+        const file = JSON.stringify({ history: results.map(result => ({ ...VALID, result })) })
+        const { history, invalid } = parseHistoryJSON(file)
+
+        expect(history).toEqual([])
+        expect(invalid.map(entry => entry.index)).toEqual(results.map((_, index) => index))
+        invalid.forEach(entry => expect(entry.errors).toEqual(['result must be a number, text or result object']))
+    })
+
+    it('should normalize tags the way the tag editor does', () => {
+        expect(validateHistoryItem({ ...VALID, tags: ['#Rent', 'rent', ' Q3 ', '#'] }).item.tags).toEqual(['rent', 'q3'])
+        expect(validateHistoryItem({ ...VALID, tags: ['#a b'] }).errors).toEqual(['tags must be a list of tags'])
+        expect(validateHistoryItem({ ...VALID, tags: [5] }).errors).toEqual(['tags must be a list of tags'])
+        expect(parseHistoryCSV('Expression,Result,Tags\n2+2,4,#Rent RENT q3\n').history[0].tags).toEqual(['rent', 'q3'])
+    })
+
+    it('should check tags, rates, tokens, bases and modes', () => {
+        expect(validateHistoryItem({ ...VALID, tags: ['<b>'] }).errors).toEqual(['tags must be a list of tags'])
+        expect(validateHistoryItem({ ...VALID, rates: { base: 'USD', rates: { EUR: { rate: 0.8, updated: '<img>' } } } }).errors)
+            .toEqual(['rates must be an exchange rate table'])
+        expect(validateHistoryItem({ ...VALID, tokens: [{ type: 'number' }] }).errors).toEqual(['tokens must be a list of tokens'])
+        expect(validateHistoryItem({ ...VALID, base: 'constructor' }).errors).toEqual(['base must be a programmer mode base'])
+        expect(validateHistoryItem({ ...VALID, modes: { angleMode: 'RAD', decimal: true, complexFormat: null, fractionFormat: 'MIXED' } }).item)
+            .toBeDefined()
+        expect(validateHistoryItem({ ...VALID, modes: { angleMode: 'RAD', decimal: 'yes', complexFormat: null, fractionFormat: null } }).errors)
+            .toEqual(['modes must be the arithmetic and angle modes'])
+        expect(validateHistoryItem([VALID]).errors).toEqual(['not a history item'])
+    })
+
+    it('should sort items into valid and invalid', () => {
+        const { items, invalid } = validateHistoryItems([VALID, { ...VALID, note: 5 }])
+
+        expect(items).toHaveLength(1)
+        expect(invalid).toEqual([{ index: 1, errors: ['note must be text'] }])
+        expect(describeInvalidItems(invalid)).toEqual(['Item 2: note must be text'])
+    })
+})
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for calculation history storage
+ * Tests id and time preparation, and paging newest first, tags, favorites and trimming of the
+ * IndexedDB store (on fake-indexeddb) and the localStorage store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+import { IndexedDBHistoryStore, LocalHistoryStore, prepareHistoryItems, createHistoryStore } from '../historystore.js'
+
+const item = (id, extra = {}) => ({ id, time: id, expression: `${id}+0`, result: id, ...extra })
+
+describe('prepareHistoryItems', () => {
+    it('should make ids unique and increasing', () => {
+        const items = prepareHistoryItems([{ id: 5 }, { id: 5 }, { id: 3 }, {}])
+        expect(items.map(entry => entry.id)).toEqual([5, 6, 7, 8])
+    })
+
+    it('should index items saved without a time by their id', () => {
+        const [legacy, timed] = prepareHistoryItems([{ id: 100 }, { id: 200, time: 150 }])
+        expect(legacy.time).toBe(100)
+        expect(timed.time).toBe(150)
+    })
+})
+
+describe('IndexedDBHistoryStore', () => {
+    let store
+
+    beforeEach(async () => {
+        // A fresh factory per test gives each test an empty database
+        store = new IndexedDBHistoryStore(new IDBFactory())
+        await store.replaceAll([1, 2, 3, 4, 5].map(id => item(id, { tags: id % 2 ? ['odd'] : [] })))
+    })
+
+    afterEach(() => {
+        delete globalThis.indexedDB
+    })
+
+    it('should be used where IndexedDB is available', () => {
+        globalThis.indexedDB = new IDBFactory()
+        expect(createHistoryStore()).toBeInstanceOf(IndexedDBHistoryStore)
+    })
+
+    it('should move history kept in localStorage into the database when opening', async () => {
+        localStorage.getItem.mockReturnValueOnce(JSON.stringify([{ id: 7, expression: '7+0' }, { id: 7, expression: '8+0' }]))
+        const migrated = new IndexedDBHistoryStore(new IDBFactory())
+
+        expect((await migrated.getAll()).map(entry => [entry.id, entry.time])).toEqual([[7, 7], [8, 8]])
+        expect(localStorage.getItem).toHaveBeenCalledWith('calculatorHistory')
+        expect(localStorage.removeItem).toHaveBeenCalledWith('calculatorHistory')
+    })
+
+    it('should read pages newest first, skipping newer items', async () => {
+        expect((await store.getPage(0, 2)).map(entry => entry.id)).toEqual([5, 4])
+        expect((await store.getPage(2, 2)).map(entry => entry.id)).toEqual([3, 2])
+        expect((await store.getPage(4, 2)).map(entry => entry.id)).toEqual([1])
+        expect(await store.getPage(5, 2)).toEqual([])
+        expect(await store.count()).toBe(5)
+    })
+
+    it('should find items by tag', async () => {
+        expect((await store.getByTag('odd')).map(entry => entry.id)).toEqual([1, 3, 5])
+    })
+
+    it('should replace items with the same id and delete by id', async () => {
+        await store.put(item(2, { expression: 'edited' }))
+        await store.delete(3)
+        const all = await store.getAll()
+        expect(all.map(entry => entry.id)).toEqual([1, 2, 4, 5])
+        expect(all[1].expression).toBe('edited')
+    })
+
+    it('should keep pinned items when trimming and report the deleted ids', async () => {
+        await store.put(item(1, { pinned: true }))
+        expect(await store.trim(3, entry => entry.pinned === true)).toEqual([2, 3])
+        expect((await store.getAll()).map(entry => entry.id)).toEqual([1, 4, 5])
+
+        expect(await store.trim(Infinity)).toEqual([])
+        expect(await store.trim(5)).toEqual([])
+    })
+
+    it('should list each tag in use once, sorted', async () => {
+        await store.put(item(4, { tags: ['rent', 'odd'] }))
+        expect(await store.getTags()).toEqual(['odd', 'rent'])
+    })
+
+    it('should read favorite items oldest first', async () => {
+        await store.put(item(4, { favorite: true }))
+        await store.put(item(2, { favorite: true }))
+        await store.put(item(3, { favorite: 'yes' }))
+        expect((await store.getFavorites()).map(entry => entry.id)).toEqual([2, 4])
+    })
+
+    it('should clear every item', async () => {
+        await store.clear()
+        expect(await store.count()).toBe(0)
+    })
+})
+
+describe('LocalHistoryStore', () => {
+    let store
+
+    beforeEach(async () => {
+        store = new LocalHistoryStore('testHistory')
+        await store.replaceAll([1, 2, 3, 4, 5].map(id => item(id, { tags: id % 2 ? ['odd'] : [] })))
+    })
+
+    it('should be used where IndexedDB is unavailable', () => {
+        expect(createHistoryStore()).toBeInstanceOf(LocalHistoryStore)
+    })
+
+    it('should read pages newest first', async () => {
+        expect((await store.getPage(0, 2)).map(entry => entry.id)).toEqual([5, 4])
+        expect((await store.getPage(4, 2)).map(entry => entry.id)).toEqual([1])
+        expect(await store.count()).toBe(5)
+    })
+
+    it('should find items by tag', async () => {
+        expect((await store.getByTag('odd')).map(entry => entry.id)).toEqual([1, 3, 5])
+    })
+
+    it('should replace items with the same id and delete by id', async () => {
+        await store.put(item(2, { expression: 'edited' }))
+        await store.delete(3)
+        const all = await store.getAll()
+        expect(all.map(entry => entry.id)).toEqual([1, 2, 4, 5])
+        expect(all[1].expression).toBe('edited')
+    })
+
+    it('should trim the oldest items and persist the rest', async () => {
+        await store.trim(2)
+        expect((await store.getAll()).map(entry => entry.id)).toEqual([4, 5])
+        expect(localStorage.setItem).toHaveBeenLastCalledWith('testHistory', expect.stringContaining('"id":4'))
+
+        await store.trim(Infinity)
+        expect(await store.count()).toBe(2)
+    })
+
+    it('should keep pinned items when trimming and report the deleted ids', async () => {
+        await store.put(item(1, { pinned: true }))
+        expect(await store.trim(3, entry => entry.pinned === true)).toEqual([2, 3])
+        expect((await store.getAll()).map(entry => entry.id)).toEqual([1, 4, 5])
+    })
+
+    it('should list tags in use and favorite items', async () => {
+        await store.put(item(4, { tags: ['rent', 'odd'], favorite: true }))
+        expect(await store.getTags()).toEqual(['odd', 'rent'])
+        expect((await store.getFavorites()).map(entry => entry.id)).toEqual([4])
+    })
+})
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for matrix mode
+ * Tests matrix arithmetic and linear algebra, the matrix expression backend and the matrix store
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import { Matrix, createMatrixArithmetic, createMatrixStore, hasMatrices } from '../matrix.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let matrixOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    matrixOperations = (await import('../matrix.js')).matrixOperations
+})
+
+const A = new Matrix([[1, 2], [3, 4]])
+
+const expectEntries = (matrix, expected) => {
+    expect(matrix.rows).toBe(expected.length)
+    matrix.entries.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], 10)))
+}
+
+describe('Matrix', () => {
+    it('should add, subtract, scale and multiply', () => {
+        const B = new Matrix([[0, 1], [1, 0]])
+        expect(A.add(B).entries).toEqual([[1, 3], [4, 4]])
+        expect(A.subtract(B).entries).toEqual([[1, 1], [2, 4]])
+        expect(A.scale(2).entries).toEqual([[2, 4], [6, 8]])
+        expect(A.multiply(B).entries).toEqual([[2, 1], [4, 3]])
+        expect(new Matrix([[1, 2, 3]]).multiply(new Matrix([[1], [1], [1]])).entries).toEqual([[6]])
+    })
+
+    it('should reject operands of the wrong size', () => {
+        const row = new Matrix([[1, 2, 3]])
+        expect(() => A.add(row)).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => A.multiply(row.transpose())).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => row.determinant()).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+    })
+
+    it('should transpose and raise to integer powers', () => {
+        expect(new Matrix([[1, 2, 3]]).transpose().entries).toEqual([[1], [2], [3]])
+        expect(A.power(3).entries).toEqual([[37, 54], [81, 118]])
+        expect(A.power(0).entries).toEqual([[1, 0], [0, 1]])
+        expectEntries(A.power(-1).multiply(A), [[1, 0], [0, 1]])
+        expect(() => A.power(0.5)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should compute determinants with row exchanges', () => {
+        expect(A.determinant()).toBeCloseTo(-2, 12)
+        expect(new Matrix([[0, 1], [1, 0]]).determinant()).toBe(-1)
+        expect(new Matrix([[1, 2, 3], [4, 5, 6], [7, 8, 9]]).determinant()).toBe(0)
+    })
+
+    it('should invert, and reject singular matrices', () => {
+        expectEntries(A.inverse(), [[-2, 1], [1.5, -0.5]])
+        expect(() => new Matrix([[1, 2], [2, 4]]).inverse()).toThrow(ERROR_MESSAGES.SINGULAR_MATRIX)
+    })
+
+    it('should reduce to row echelon form and find the rank', () => {
+        const M = new Matrix([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+        expectEntries(M.rref(), [[1, 0, -1], [0, 1, 2], [0, 0, 0]])
+        expect(M.rank()).toBe(2)
+        expect(new Matrix([[0, 0], [0, 0]]).rank()).toBe(0)
+    })
+
+    it('should find real and complex eigenvalues of small matrices', () => {
+        const symmetric = new Matrix([[2, 1, 0], [1, 2, 1], [0, 1, 2]]).eigenvalues()
+        ;[2 - Math.SQRT2, 2, 2 + Math.SQRT2].forEach((value, i) => expect(symmetric[i]).toBeCloseTo(value, 9))
+
+        const [first, second] = new Matrix([[0, -1], [1, 0]]).eigenvalues()
+        expect([first.re, first.im]).toEqual([0, 1])
+        expect([second.re, second.im]).toEqual([0, -1])
+        expect(() => Matrix.identity(5).eigenvalues()).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should round-trip through JSON', () => {
+        expect(Matrix.from(JSON.parse(JSON.stringify(A))).entries).toEqual(A.entries)
+        expect(A.format()).toBe('[[1, 2], [3, 4]]')
+    })
+})
+
+describe('createMatrixArithmetic', () => {
+    const store = createMatrixStore()
+    store.set('MatA', [[1, 2], [3, 4]])
+    store.set('MatB', [[2, 0], [0, 2]])
+    const run = source => evaluate(parse(source), { arithmetic: createMatrixArithmetic('DEG', store) })
+
+    it('should evaluate matrix expressions', () => {
+        expect(run('MatA + MatB').entries).toEqual([[3, 2], [3, 6]])
+        expect(run('2MatA - MatB').entries).toEqual([[0, 4], [6, 6]])
+        expect(run('MatA / 2').entries).toEqual([[0.5, 1], [1.5, 2]])
+        expect(run('MatA²').entries).toEqual([[7, 10], [15, 22]])
+        expect(run('-trn(MatA)').entries).toEqual([[-1, -3], [-2, -4]])
+        expect(run('det(MatA) + rank(MatB)')).toBeCloseTo(0, 12)
+    })
+
+    it('should keep scalar functions and matrix functions apart', () => {
+        expect(run('sin(30)')).toBeCloseTo(0.5, 12)
+        expect(() => run('sin(MatA)')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => run('det(4)')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => run('2 / MatA')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+    })
+
+    it('should treat undefined matrices as unknown names', () => {
+        expect(() => run('MatC')).toThrow(ERROR_MESSAGES.SYNTAX_ERROR)
+        expect(hasMatrices(parse('2 + det(MatC)'))).toBe(true)
+        expect(hasMatrices(parse('2 + x'))).toBe(false)
+    })
+})
+
+describe('Matrix Operations', () => {
+    it('should define, resize and edit the selected matrix', () => {
+        matrixOperations.select('MatB')
+        matrixOperations.resize(2, 3)
+        matrixOperations.setEntry(1, 2, 5)
+        expect(matrixOperations.get('MatB').entries).toEqual([[0, 0, 0], [0, 0, 5]])
+
+        matrixOperations.resize(3, 3)
+        expect(matrixOperations.get('MatB').entries).toEqual([[0, 0, 0], [0, 0, 5], [0, 0, 0]])
+    })
+
+    it('should reject unknown names and oversized matrices', () => {
+        expect(() => matrixOperations.set('MatG', [[1]])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => matrixOperations.resize(7, 1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should persist the defined matrices', () => {
+        matrixOperations.set('MatA', [[1, 2], [3, 4]])
+        expect(localStorage.setItem).toHaveBeenLastCalledWith('calculatorMatrices', JSON.stringify({
+            MatA: { entries: [[1, 2], [3, 4]] }
+        }))
+
+        matrixOperations.clear('MatA')
+        expect(matrixOperations.get('MatA')).toBeNull()
+    })
+
+    it('should list the eigenvalues of the selected matrix', () => {
+        matrixOperations.select('MatC')
+        expect(() => matrixOperations.eigenvalues()).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        matrixOperations.set('MatC', [[2, 0], [0, 3]])
+        expect(matrixOperations.eigenvalues()).toEqual([2, 3])
+    })
+})
@@ -156,6 +156,29 @@ describe('Memory Operations', () => {
         })
     })
 
+    describe('Fraction Memory', () => {
+        it('should add fractions exactly', async () => {
+            const { Fraction } = await import('../fraction.js')
+            memoryOperations.store(new Fraction(1n, 3n))
+            memoryOperations.add(new Fraction(1n, 6n))
+            expect(memoryOperations.getValue().format()).toBe('1/2')
+        })
+
+        it('should persist and restore fractions exactly', async () => {
+            const { Fraction } = await import('../fraction.js')
+            memoryOperations.store(new Fraction(2n, 3n))
+            expect(localStorage.setItem).toHaveBeenCalledWith(
+                'calculatorMemory',
+                JSON.stringify({ value: { numerator: '2', denominator: '3' }, active: true })
+            )
+
+            localStorage.getItem.mockReturnValue(localStorage.setItem.mock.lastCall[1])
+            vi.resetModules()
+            const mod = await import('../memory.js')
+            expect(mod.memoryOperations.getValue().format()).toBe('2/3')
+        })
+    })
+
     describe('Memory Statistics', () => {
         it('should provide memory statistics', () => {
             memoryOperations.store(123.45)
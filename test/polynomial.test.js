@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the polynomial root finder
+ * Tests real and complex roots up to degree 4 and rejected inputs
+ */
+
+import { describe, it, expect } from 'vitest'
+import { solvePolynomial } from '../polynomial.js'
+import { Complex } from '../complex.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+// Roots as [re, im] pairs for comparison
+const parts = roots => roots.map(root => (root instanceof Complex ? [root.re, root.im] : [root, 0]))
+
+const expectRoots = (roots, expected) => {
+    expect(roots).toHaveLength(expected.length)
+    parts(roots).forEach(([re, im], i) => {
+        expect(re).toBeCloseTo(expected[i][0], 9)
+        expect(im).toBeCloseTo(expected[i][1], 9)
+    })
+}
+
+describe('solvePolynomial', () => {
+    it('should solve linear and quadratic equations', () => {
+        expect(solvePolynomial([2, -6])).toEqual([3])
+        expect(solvePolynomial([1, -3, 2])).toEqual([1, 2])
+        expect(solvePolynomial([1, -2, 1])).toEqual([1, 1])
+    })
+
+    it('should return complex conjugate pairs as Complex', () => {
+        const roots = solvePolynomial([1, 2, 5])
+        expect(roots.every(root => root instanceof Complex)).toBe(true)
+        expectRoots(roots, [[-1, 2], [-1, -2]])
+    })
+
+    it('should keep precision when b² is much larger than 4ac', () => {
+        const [small, large] = solvePolynomial([1, 1e8, 1]).sort((a, b) => Math.abs(a) - Math.abs(b))
+        expect(small).toBeCloseTo(-1e-8, 20)
+        expect(large).toBeCloseTo(-1e8, 0)
+    })
+
+    it('should solve cubics with one or three real roots', () => {
+        expectRoots(solvePolynomial([1, -6, 11, -6]), [[1, 0], [2, 0], [3, 0]])
+        expectRoots(solvePolynomial([1, 0, 0, -8]), [[2, 0], [-1, Math.sqrt(3)], [-1, -Math.sqrt(3)]])
+        expectRoots(solvePolynomial([1, -3, 3, -1]), [[1, 0], [1, 0], [1, 0]])
+        expectRoots(solvePolynomial([1, 0, -3, 2]), [[-2, 0], [1, 0], [1, 0]])
+    })
+
+    it('should solve quartics, including biquadratics', () => {
+        expectRoots(solvePolynomial([1, -10, 35, -50, 24]), [[1, 0], [2, 0], [3, 0], [4, 0]])
+        expectRoots(solvePolynomial([1, 0, 0, 0, 1]), [
+            [-Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2],
+            [Math.SQRT1_2, Math.SQRT1_2], [Math.SQRT1_2, -Math.SQRT1_2]
+        ])
+        expectRoots(solvePolynomial([1, 0, -5, 0, 4]), [[-2, 0], [-1, 0], [1, 0], [2, 0]])
+        expectRoots(solvePolynomial([1, -2, 6, -2, 5]), [[0, 1], [0, -1], [1, 2], [1, -2]])
+    })
+
+    it('should drop leading zero coefficients', () => {
+        expect(solvePolynomial([0, 0, 1, -4])).toEqual([4])
+    })
+
+    it('should reject constants, unsupported degrees and non-numbers', () => {
+        expect(() => solvePolynomial([0, 5])).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => solvePolynomial([0, 0])).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => solvePolynomial([1, 0, 0, 0, 0, 1])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => solvePolynomial([1, NaN])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
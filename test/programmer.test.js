@@ -0,0 +1,97 @@
+/**
+ * Unit tests for programmer mode arithmetic
+ * Tests word wrapping, base conversion, rotations and bitwise operators
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+    toWord,
+    parseInBase,
+    isValidDigit,
+    formatWord,
+    formatAllBases,
+    rotateLeft,
+    rotateRight,
+    createProgrammerArithmetic
+} from '../programmer.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+const evaluateIn = (source, radix, wordSize = 64, signed = true) =>
+    evaluate(parse(source, { radix }), { arithmetic: createProgrammerArithmetic(wordSize, signed) })
+
+describe('Word helpers', () => {
+    it('should wrap values to the word size', () => {
+        expect(toWord(256n, 8, false)).toBe(0n)
+        expect(toWord(255n, 8, true)).toBe(-1n)
+        expect(toWord(-1n, 16, false)).toBe(65535n)
+    })
+
+    it('should parse integers in any base', () => {
+        expect(parseInBase('FF', 16)).toBe(255n)
+        expect(parseInBase('ff', 16)).toBe(255n)
+        expect(parseInBase('-101', 2)).toBe(-5n)
+        expect(() => parseInBase('19', 8)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should validate digits against the radix', () => {
+        expect(isValidDigit('7', 8)).toBe(true)
+        expect(isValidDigit('8', 8)).toBe(false)
+        expect(isValidDigit('F', 16)).toBe(true)
+        expect(isValidDigit('2', 2)).toBe(false)
+    })
+})
+
+describe('Formatting', () => {
+    it('should show the bit pattern of negative words outside decimal', () => {
+        expect(formatWord(-1n, 16, 8, true)).toBe('FF')
+        expect(formatWord(-1n, 10, 8, true)).toBe('-1')
+        expect(formatWord(-1n, 10, 8, false)).toBe('255')
+    })
+
+    it('should format a value in every base', () => {
+        expect(formatAllBases(10n, 8, true)).toEqual({ HEX: 'A', DEC: '10', OCT: '12', BIN: '1010' })
+    })
+})
+
+describe('Rotations', () => {
+    it('should rotate bits around the word', () => {
+        expect(rotateLeft(0b10000001n, 1n, 8)).toBe(0b00000011n)
+        expect(rotateRight(0b00000011n, 1n, 8)).toBe(0b10000001n)
+        expect(rotateLeft(1n, 9n, 8)).toBe(2n)
+    })
+})
+
+describe('createProgrammerArithmetic', () => {
+    it('should evaluate bitwise operators', () => {
+        expect(evaluateIn('FF AND 0F', 16)).toBe(15n)
+        expect(evaluateIn('F0 OR 0F', 16)).toBe(255n)
+        expect(evaluateIn('1010 XOR 0110', 2)).toBe(12n)
+        expect(evaluateIn('NOT 0', 10, 8, false)).toBe(255n)
+    })
+
+    it('should give bitwise operators lower precedence than arithmetic', () => {
+        expect(evaluateIn('1 + 2 AND 3', 10)).toBe(3n)
+        expect(evaluateIn('1 << 2 + 1', 10)).toBe(8n)
+    })
+
+    it('should shift arithmetically when signed and logically when unsigned', () => {
+        expect(evaluateIn('-8 >> 1', 10, 8, true)).toBe(-4n)
+        expect(evaluateIn('F8 >> 1', 16, 8, false)).toBe(0x7Cn)
+        expect(evaluateIn('1 << 8', 10, 8, false)).toBe(0n)
+    })
+
+    it('should keep full 64-bit precision', () => {
+        expect(evaluateIn('FFFFFFFFFFFFFFFF + 0', 16, 64, false)).toBe(2n ** 64n - 1n)
+        expect(evaluateIn('7FFFFFFFFFFFFFFF + 1', 16, 64, true)).toBe(-(2n ** 63n))
+    })
+
+    it('should truncate integer division and reject division by zero', () => {
+        expect(evaluateIn('7 / 2', 10)).toBe(3n)
+        expect(() => evaluateIn('7 / 0', 10)).toThrow(ERROR_MESSAGES.DIVISION_BY_ZERO)
+    })
+
+    it('should reject negative shift counts', () => {
+        expect(() => evaluateIn('1 << -1', 10)).toThrow(ERROR_MESSAGES.DOMAIN_ERROR)
+    })
+})
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for two-variable regression
+ * Tests the regression models, paired data entry, estimation and history records
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import { fitRegression, parsePairedData, REGRESSION_MODELS } from '../regression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let regressionOperations
+let historyOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    regressionOperations = (await import('../regression.js')).regressionOperations
+    historyOperations = (await import('../history.js')).historyOperations
+    regressionOperations.clear()
+})
+
+const points = (xs, f) => xs.map(x => ({ x, y: f(x) }))
+
+describe('fitRegression', () => {
+    it('should fit a least-squares line with r and r²', () => {
+        const fit = fitRegression(points([1, 2, 3, 4, 5], x => [2, 4, 5, 4, 5][x - 1]), 'linear')
+        expect(fit.n).toBe(5)
+        expect(fit.coefficients.a).toBeCloseTo(2.2)
+        expect(fit.coefficients.b).toBeCloseTo(0.6)
+        expect(fit.r).toBeCloseTo(Math.sqrt(0.6))
+        expect(fit.r2).toBeCloseTo(0.6)
+    })
+
+    it('should report a negative r for a falling line', () => {
+        expect(fitRegression(points([0, 1, 2], x => 5 - 2 * x), 'linear').r).toBeCloseTo(-1)
+    })
+
+    it('should fit a parabola', () => {
+        const fit = fitRegression(points([-2, -1, 0, 1, 2, 3], x => 1 - 2 * x + 0.5 * x * x), 'quadratic')
+        expect(fit.coefficients.a).toBeCloseTo(1)
+        expect(fit.coefficients.b).toBeCloseTo(-2)
+        expect(fit.coefficients.c).toBeCloseTo(0.5)
+        expect(fit.r2).toBeCloseTo(1)
+    })
+
+    it('should fit exponential, logarithmic and power curves', () => {
+        const xs = [1, 2, 3, 4, 5]
+
+        const exponential = fitRegression(points(xs, x => 2 * Math.exp(0.5 * x)), 'exponential')
+        expect(exponential.coefficients.a).toBeCloseTo(2)
+        expect(exponential.coefficients.b).toBeCloseTo(0.5)
+
+        const logarithmic = fitRegression(points(xs, x => 1 + 3 * Math.log(x)), 'logarithmic')
+        expect(logarithmic.coefficients.a).toBeCloseTo(1)
+        expect(logarithmic.coefficients.b).toBeCloseTo(3)
+
+        const power = fitRegression(points(xs, x => 3 * x * x), 'power')
+        expect(power.coefficients.a).toBeCloseTo(3)
+        expect(power.coefficients.b).toBeCloseTo(2)
+        expect(power.r).toBeCloseTo(1)
+    })
+
+    it('should reject data a model cannot describe', () => {
+        expect(() => fitRegression([{ x: 1, y: 2 }], 'linear')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => fitRegression(points([1, 1, 1], x => x), 'linear')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => fitRegression(points([1, 1, 2, 2], x => x), 'quadratic')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => fitRegression(points([0, 1, 2], x => x + 1), 'logarithmic')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => fitRegression(points([1, 2, 3], x => x), 'cubic')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should write the fitted equation with signs', () => {
+        expect(REGRESSION_MODELS.linear.format({ a: 1.5, b: -2 })).toBe('y = 1.5 - 2x')
+        expect(REGRESSION_MODELS.power.format({ a: 3, b: 0.5 })).toBe('y = 3·x^0.5')
+    })
+})
+
+describe('parsePairedData', () => {
+    it('should read two columns and skip a header row', () => {
+        expect(parsePairedData('Time\tTemp\n1\t20.5\n2, 21')).toEqual([
+            { x: 1, y: 20.5 },
+            { x: 2, y: 21 }
+        ])
+    })
+
+    it('should reject lines without exactly two numbers', () => {
+        expect(() => parsePairedData('1\t2\n3')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => parsePairedData('1\t2\n3\tx')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('Regression Operations', () => {
+    beforeEach(() => {
+        regressionOperations.import('1,3\n2,5\n3,7\n4,9')
+    })
+
+    it('should record each fit in history', () => {
+        historyOperations.clear()
+        regressionOperations.fit('linear')
+
+        const [item] = historyOperations.getAll()
+        expect(item.expression).toBe('LinReg y = 1 + 2x; r²')
+        expect(item.result).toBeCloseTo(1)
+        expect(regressionOperations.getModel()).toBe('linear')
+    })
+
+    it('should estimate ŷ and x̂ from the last fit', () => {
+        regressionOperations.fit('linear')
+        expect(regressionOperations.predictY(10)).toBeCloseTo(21)
+        expect(regressionOperations.predictX(11)[0]).toBeCloseTo(5)
+    })
+
+    it('should give both x̂ values of a quadratic', () => {
+        regressionOperations.clear()
+        regressionOperations.import('-1,1\n0,0\n1,1\n2,4')
+        regressionOperations.fit('quadratic')
+
+        const [left, right] = regressionOperations.predictX(9)
+        expect(left).toBeCloseTo(-3)
+        expect(right).toBeCloseTo(3)
+        expect(() => regressionOperations.predictX(-1)).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should require a fit of the current data before estimating', () => {
+        expect(() => regressionOperations.predictY(1)).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        regressionOperations.fit()
+        regressionOperations.add(5, 20)
+        expect(() => regressionOperations.predictY(1)).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should persist the data list and model', () => {
+        regressionOperations.setModel('power')
+        expect(localStorage.setItem).toHaveBeenLastCalledWith(
+            'calculatorRegression',
+            JSON.stringify({ points: regressionOperations.getPoints(), model: 'power' })
+        )
+        expect(() => regressionOperations.setModel('cubic')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the equation solver
+ * Tests equation compilation, Newton's method, the Brent fallback and convergence errors
+ */
+
+import { describe, it, expect } from 'vitest'
+import { compileEquation, solveEquation, findRoot, parseStartingPoint } from '../solver.js'
+import { ExpressionError } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+describe('compileEquation', () => {
+    it('should move the right-hand side across', () => {
+        const { f, variable } = compileEquation('x^3 - 2x = 5')
+        expect(variable).toBe('x')
+        expect(f(2)).toBe(-1)
+    })
+
+    it('should find the single unknown by name', () => {
+        expect(compileEquation('2t + π = 0').variable).toBe('t')
+        expect(compileEquation('r^2 - 4').variable).toBe('r')
+    })
+
+    it('should not count the variable bound by a calculus construct', () => {
+        const { f, variable } = compileEquation('∫(x, 0, t) = 2')
+        expect(variable).toBe('t')
+        expect(f(2)).toBeCloseTo(0, 12)
+    })
+
+    it('should reject equations without exactly one unknown', () => {
+        expect(() => compileEquation('2 + 2 = 4')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => compileEquation('x + y = 1')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => compileEquation('x = 1 = 2')).toThrow(ERROR_MESSAGES.SYNTAX_ERROR)
+        expect(() => compileEquation('x^2 = ')).toThrow(ERROR_MESSAGES.SYNTAX_ERROR)
+        expect(() => compileEquation('x^2 = (1')).toThrow(ExpressionError)
+    })
+})
+
+describe('solveEquation', () => {
+    it("should converge with Newton's method from a guess", () => {
+        const solution = solveEquation('x^3 - 2x = 5', { guess: 2 })
+        expect(solution.method).toBe('newton')
+        expect(solution.root).toBeCloseTo(2.0945514815423265, 12)
+        expect(Math.abs(solution.residual)).toBeLessThan(1e-12)
+    })
+
+    it('should honor the angle mode', () => {
+        expect(solveEquation('cos(x) = x', { guess: 1, angleMode: 'RAD' }).root).toBeCloseTo(0.7390851332, 9)
+        expect(solveEquation('tan(x) = 1', { guess: 40, angleMode: 'DEG' }).root).toBeCloseTo(45, 9)
+    })
+
+    it('should fall back to Brent when Newton stalls', () => {
+        // The derivative of ∛x blows up at the root, so Newton oscillates away from it
+        const solution = solveEquation('∛(x) = 0', { guess: 1 })
+        expect(solution.method).toBe('brent')
+        expect(solution.root).toBeCloseTo(0, 9)
+    })
+
+    it('should keep the root inside an interval', () => {
+        const solution = solveEquation('x^2 = 4', { interval: [-5, 0] })
+        expect(solution.root).toBeCloseTo(-2, 10)
+        expect(solveEquation('x^2 = 4', { interval: [0, 5] }).root).toBeCloseTo(2, 10)
+    })
+
+    it('should reject poles that look like sign changes', () => {
+        expect(() => solveEquation('1 / x = 0', { interval: [-1, 2] })).toThrow(ERROR_MESSAGES.NO_CONVERGENCE)
+    })
+
+    it('should report intervals without a sign change', () => {
+        expect(() => solveEquation('x^2 + 1 = 0', { interval: [-3, 3] })).toThrow(ERROR_MESSAGES.NO_SIGN_CHANGE)
+        expect(() => solveEquation('x = 1', { interval: [2, 2] })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should report equations without a real root', () => {
+        expect(() => solveEquation('x^2 + 1 = 0', { guess: 0.5 })).toThrow(ERROR_MESSAGES.NO_CONVERGENCE)
+    })
+})
+
+describe('findRoot', () => {
+    it('should solve plain functions', () => {
+        expect(findRoot(x => x * x - 2, { guess: 1 }).root).toBeCloseTo(Math.SQRT2, 12)
+        expect(findRoot(x => Math.cos(x) - x, { interval: [0, 1] }).root).toBeCloseTo(0.739085133215, 10)
+    })
+
+    it('should report functions without a root', () => {
+        expect(() => findRoot(x => x * x + 1)).toThrow(ERROR_MESSAGES.NO_CONVERGENCE)
+    })
+})
+
+describe('parseStartingPoint', () => {
+    it('should read a guess or an interval of expressions', () => {
+        expect(parseStartingPoint('2')).toEqual({ guess: 2 })
+        expect(parseStartingPoint('[0, 3]')).toEqual({ interval: [0, 3] })
+        expect(parseStartingPoint('0; π', 'RAD').interval[1]).toBeCloseTo(Math.PI)
+        expect(() => parseStartingPoint('1, 2, 3')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for statistics mode
+ * Tests descriptive statistics, data entry, pasted columns and memory storage
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import { computeStatistics, parseDataColumn } from '../statistics.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let statisticsOperations
+let memoryOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    statisticsOperations = (await import('../statistics.js')).statisticsOperations
+    memoryOperations = (await import('../memory.js')).memoryOperations
+    statisticsOperations.clear()
+})
+
+const rows = (...values) => values.map(value => ({ value, frequency: 1 }))
+
+describe('computeStatistics', () => {
+    it('should compute descriptive statistics', () => {
+        const stats = computeStatistics(rows(2, 4, 4, 4, 5, 5, 7, 9))
+
+        expect(stats).toMatchObject({
+            n: 8,
+            sum: 40,
+            sumOfSquares: 232,
+            mean: 5,
+            median: 4.5,
+            mode: [4],
+            populationStdDev: 2,
+            populationVariance: 4,
+            q1: 4,
+            q3: 6,
+            min: 2,
+            max: 9
+        })
+        expect(stats.sampleVariance).toBeCloseTo(32 / 7)
+        expect(stats.sampleStdDev).toBeCloseTo(Math.sqrt(32 / 7))
+    })
+
+    it('should weight values by frequency', () => {
+        const stats = computeStatistics([
+            { value: 2, frequency: 1 },
+            { value: 4, frequency: 3 },
+            { value: 5, frequency: 2 },
+            { value: 7, frequency: 1 },
+            { value: 9, frequency: 1 }
+        ])
+        expect(stats).toMatchObject({ n: 8, mean: 5, median: 4.5, q1: 4, q3: 6, mode: [4] })
+    })
+
+    it('should leave the median out of the quartile halves for odd n', () => {
+        const stats = computeStatistics(rows(5, 1, 4, 2, 3))
+        expect(stats).toMatchObject({ median: 3, q1: 1.5, q3: 4.5 })
+    })
+
+    it('should report missing modes and undefined statistics', () => {
+        expect(computeStatistics(rows(1, 2, 3)).mode).toEqual([])
+        expect(computeStatistics(rows(1, 1, 2, 2, 3)).mode).toEqual([1, 2])
+
+        const single = computeStatistics(rows(7))
+        expect(single.sampleStdDev).toBeNull()
+        expect(single.populationStdDev).toBe(0)
+
+        expect(computeStatistics([])).toMatchObject({ n: 0, sum: 0, mean: null, min: null })
+    })
+})
+
+describe('parseDataColumn', () => {
+    it('should read one value per line with optional frequencies', () => {
+        expect(parseDataColumn('1.5\n2\r\n\n3\t4')).toEqual([
+            { value: 1.5, frequency: 1 },
+            { value: 2, frequency: 1 },
+            { value: 3, frequency: 4 }
+        ])
+    })
+
+    it('should skip a header row and reject other text', () => {
+        expect(parseDataColumn('Height\n170\n182')).toHaveLength(2)
+        expect(() => parseDataColumn('170\nabc')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => parseDataColumn('170, 1.5')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('Statistics Operations', () => {
+    it('should add, edit and remove data rows', () => {
+        statisticsOperations.add(3)
+        statisticsOperations.add(5, 2)
+        statisticsOperations.update(0, 4, 1)
+        expect(statisticsOperations.getRows()).toEqual([
+            { value: 4, frequency: 1 },
+            { value: 5, frequency: 2 }
+        ])
+
+        statisticsOperations.remove(1)
+        expect(statisticsOperations.getStatistic('n')).toBe(1)
+        expect(() => statisticsOperations.add(NaN)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should import a pasted column from the clipboard', async () => {
+        navigator.clipboard.readText = vi.fn(() => Promise.resolve('Score\n10\n20\n30'))
+        await expect(statisticsOperations.paste()).resolves.toBe(3)
+        expect(statisticsOperations.getStatistic('mean')).toBe(20)
+    })
+
+    it('should persist the data list', () => {
+        statisticsOperations.add(42)
+        expect(localStorage.setItem).toHaveBeenCalledWith(
+            'calculatorStatistics',
+            JSON.stringify([{ value: 42, frequency: 1 }])
+        )
+    })
+
+    it('should store a statistic in memory', () => {
+        statisticsOperations.import('2\n4\n9')
+        statisticsOperations.store('mean')
+        expect(memoryOperations.getValue()).toBe(5)
+        expect(memoryOperations.isSet()).toBe(true)
+    })
+
+    it('should refuse to recall undefined statistics', () => {
+        statisticsOperations.import('1\n2\n3')
+        expect(() => statisticsOperations.getStatistic('mode')).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => statisticsOperations.getStatistic('unknown')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
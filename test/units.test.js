@@ -0,0 +1,116 @@
+/**
+ * Unit tests for unit conversion
+ * Tests the unit catalog, quantities and unit-annotated expressions
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+    UNIT_CATALOG,
+    Quantity,
+    addUnit,
+    removeUnit,
+    collectUnits,
+    convertUnit,
+    isUnit,
+    createUnitArithmetic
+} from '../units.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+const evaluateUnits = (source) =>
+    evaluate(parse(source, { isUnit }), { arithmetic: createUnitArithmetic('DEG') })
+
+describe('Unit catalog', () => {
+    it('should cover every requested category', () => {
+        expect(Object.keys(UNIT_CATALOG)).toEqual([
+            'length', 'mass', 'volume', 'temperature', 'pressure', 'energy', 'speed', 'data', 'angle'
+        ])
+    })
+
+    it('should convert within a category', () => {
+        expect(convertUnit(1, 'mi', 'km')).toBeCloseTo(1.609344)
+        expect(convertUnit(1, 'lb', 'g')).toBeCloseTo(453.59237)
+        expect(convertUnit(1, 'atm', 'psi')).toBeCloseTo(14.6959, 4)
+        expect(convertUnit(1, 'GiB', 'MB')).toBeCloseTo(1073.741824)
+        expect(convertUnit(180, 'deg', 'rad')).toBeCloseTo(Math.PI)
+    })
+
+    it('should convert temperatures with offsets', () => {
+        expect(convertUnit(100, 'degC', 'degF')).toBeCloseTo(212)
+        expect(convertUnit(-40, 'degF', 'degC')).toBeCloseTo(-40)
+        expect(convertUnit(0, 'degC', 'K')).toBeCloseTo(273.15)
+    })
+
+    it('should reject conversions between categories and unknown units', () => {
+        expect(() => convertUnit(1, 'm', 'kg')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+        expect(() => convertUnit(1, 'm', 'parsec')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should accept custom units', () => {
+        addUnit('length', 'furlong', { name: 'furlong', factor: 201.168 })
+        expect(convertUnit(1, 'furlong', 'm')).toBeCloseTo(201.168)
+
+        addUnit('time', 'h', { name: 'hour', factor: 3600 })
+        addUnit('time', 's', { name: 'second', factor: 1 })
+        expect(convertUnit(2, 'h', 's')).toBe(7200)
+    })
+
+    it('should reject invalid custom units', () => {
+        expect(() => addUnit('length', 'ft', { factor: 1 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => addUnit('length', 'sin', { factor: 1 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => addUnit('length', 'league', { factor: -1 })).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should remove units and drop emptied categories', () => {
+        addUnit('area', 'acre', { factor: 4046.8564224 })
+        removeUnit('acre')
+        expect(isUnit('acre')).toBe(false)
+        expect(UNIT_CATALOG).not.toHaveProperty('area')
+        expect(() => removeUnit('acre')).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
+
+describe('Quantity', () => {
+    it('should format and serialize with its unit', () => {
+        const quantity = new Quantity(1.5, 'km')
+        expect(quantity.format()).toBe('1.5 km')
+        expect(JSON.parse(JSON.stringify(quantity))).toEqual({ value: 1.5, unit: 'km' })
+        expect(Quantity.from({ value: 1.5, unit: 'km' }).to('m').value).toBe(1500)
+    })
+})
+
+describe('Unit expressions', () => {
+    it('should add mixed units and convert the sum', () => {
+        const result = evaluateUnits('5 ft + 30 cm in m')
+        expect(result.unit).toBe('m')
+        expect(result.value).toBeCloseTo(1.824)
+    })
+
+    it('should keep the left unit without a conversion', () => {
+        const result = evaluateUnits('1 m + 50 cm')
+        expect(result.unit).toBe('m')
+        expect(result.value).toBeCloseTo(1.5)
+    })
+
+    it('should scale quantities and divide them into ratios', () => {
+        expect(evaluateUnits('2 × 3 kg').value).toBe(6)
+        expect(evaluateUnits('1 km ÷ 250 m')).toBeCloseTo(4)
+    })
+
+    it('should pass angles to trigonometric functions in the angle mode', () => {
+        expect(evaluateUnits('sin(0.5 turn ÷ 3)')).toBeCloseTo(Math.sqrt(3) / 2)
+    })
+
+    it('should reject mismatched units', () => {
+        expect(() => evaluateUnits('1 m + 1 kg')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+        expect(() => evaluateUnits('1 m + 1')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+        expect(() => evaluateUnits('1 m × 1 m')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+        expect(() => evaluateUnits('20 degC + 5 degC')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+        expect(() => evaluateUnits('5 in kg')).toThrow(ERROR_MESSAGES.UNIT_MISMATCH)
+    })
+
+    it('should list the units an expression uses', () => {
+        expect(collectUnits(parse('5 ft + 30 cm + 2 ft in m', { isUnit }))).toEqual(['m', 'ft', 'cm'])
+        expect(collectUnits(parse('2 × (3 + 4)', { isUnit }))).toEqual([])
+    })
+})
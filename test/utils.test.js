@@ -12,13 +12,18 @@ import {
     factorial,
     randomNumber,
     safeEval,
+    setDecimalPlaces,
     copyToClipboard,
+    escapeHTML,
+    isExpressionModes,
     storeData,
     getData,
     CONSTANTS,
     ANGLE_MODES,
-    ERROR_MESSAGES
+    ERROR_MESSAGES,
+    PRECISION
 } from '../utils.js'
+import { Decimal } from '../decimal.js'
 
 
 describe('formatNumber', () => {
@@ -50,6 +55,25 @@ describe('formatNumber', () => {
         expect(formatNumber(1000)).toBe('1000')
         expect(formatNumber(1010)).toBe('1010')
     })
+
+    it('should round exact decimals without floating point', () => {
+        expect(formatNumber(Decimal.parse('12345678901234567890.125', 3), 2)).toBe('12345678901234567890.13')
+    })
+});
+
+describe('setDecimalPlaces', () => {
+    it('should change the default precision of formatNumber', () => {
+        setDecimalPlaces(2)
+        expect(formatNumber(3.14159)).toBe('3.14')
+        setDecimalPlaces(12)
+        expect(PRECISION.DECIMAL_PLACES).toBe(12)
+    })
+
+    it('should reject out-of-range values', () => {
+        expect(() => setDecimalPlaces(-1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => setDecimalPlaces(PRECISION.MAX_DECIMAL_PLACES + 1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => setDecimalPlaces(1.5)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
 });
 
 describe('isSafeNumber', () => {
@@ -173,6 +197,30 @@ describe('copyToClipboard', () => {
     })
 });
 
+describe('escapeHTML', () => {
+    it('should escape markup and quotes', () => {
+        expect(escapeHTML('<a href="x" title=\'y\'>&</a>')).toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;')
+    })
+
+    it('should convert other values to text', () => {
+        expect(escapeHTML(42)).toBe('42')
+    })
+});
+
+describe('isExpressionModes', () => {
+    it('should accept modes the engine supports', () => {
+        expect(isExpressionModes({ angleMode: 'RAD', decimal: false, complexFormat: 'POLAR', fractionFormat: null })).toBe(true)
+        expect(isExpressionModes({ angleMode: 'DEG', decimal: true, complexFormat: null, fractionFormat: 'MIXED' })).toBe(true)
+    })
+
+    it('should reject unknown or missing modes', () => {
+        expect(isExpressionModes(null)).toBe(false)
+        expect(isExpressionModes({ angleMode: 'TURN', decimal: false, complexFormat: null, fractionFormat: null })).toBe(false)
+        expect(isExpressionModes({ angleMode: 'DEG', decimal: 'yes', complexFormat: null, fractionFormat: null })).toBe(false)
+        expect(isExpressionModes({ angleMode: 'DEG', decimal: false, complexFormat: 'EXP', fractionFormat: null })).toBe(false)
+    })
+})
+
 describe('localStorage functions', () => {
     it('should store and retrieve data', () => {
         const testData = { value: 42, active: true }
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for vector mode
+ * Tests vector arithmetic, products and angles, the vector expression backend and the vector store
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { resetPanelModules } from './helpers.js'
+import { Vector, createVectorArithmetic, createVectorStore, hasVectors } from '../vector.js'
+import { createMatrixArithmetic, createMatrixStore } from '../matrix.js'
+import { parse, evaluate } from '../expression.js'
+import { ERROR_MESSAGES } from '../utils.js'
+
+let vectorOperations
+
+beforeEach(async () => {
+    resetPanelModules()
+    vectorOperations = (await import('../vector.js')).vectorOperations
+})
+
+const a = new Vector([1, 2, 3])
+const b = new Vector([4, 5, 6])
+
+describe('Vector', () => {
+    it('should add, subtract and scale component-wise', () => {
+        expect(a.add(b).components).toEqual([5, 7, 9])
+        expect(b.subtract(a).components).toEqual([3, 3, 3])
+        expect(a.scale(-2).components).toEqual([-2, -4, -6])
+        expect(() => a.add(new Vector([1, 2]))).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+    })
+
+    it('should compute dot and cross products', () => {
+        expect(a.dot(b)).toBe(32)
+        expect(a.cross(b).components).toEqual([-3, 6, -3])
+        // 2D vectors lie in the xy-plane
+        expect(new Vector([1, 0]).cross(new Vector([0, 1])).components).toEqual([0, 0, 1])
+    })
+
+    it('should compute magnitude, unit vector and projection', () => {
+        expect(new Vector([3, 4]).norm()).toBe(5)
+        expect(new Vector([3, 4]).unit().components).toEqual([0.6, 0.8])
+        expect(new Vector([2, 3]).projectOnto(new Vector([1, 0])).components).toEqual([2, 0])
+        expect(() => new Vector([0, 0]).unit()).toThrow(ERROR_MESSAGES.MATH_ERROR)
+        expect(() => a.projectOnto(new Vector([0, 0, 0]))).toThrow(ERROR_MESSAGES.MATH_ERROR)
+    })
+
+    it('should report the angle between vectors in the angle mode', () => {
+        const x = new Vector([1, 0])
+        const diagonal = new Vector([1, 1])
+        expect(x.angleTo(diagonal, 'DEG')).toBeCloseTo(45, 12)
+        expect(x.angleTo(diagonal, 'RAD')).toBeCloseTo(Math.PI / 4, 12)
+        expect(x.angleTo(diagonal, 'GRAD')).toBeCloseTo(50, 12)
+        expect(a.angleTo(a.scale(3), 'DEG')).toBe(0)
+        expect(x.angleTo(x.scale(-1), 'DEG')).toBe(180)
+    })
+
+    it('should accept only 2D and 3D vectors and round-trip through JSON', () => {
+        expect(() => new Vector([1])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(() => new Vector([1, 2, 3, 4])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+        expect(Vector.from(JSON.parse(JSON.stringify(a))).components).toEqual([1, 2, 3])
+        expect(a.format()).toBe('[1, 2, 3]')
+    })
+})
+
+describe('createVectorArithmetic', () => {
+    const store = createVectorStore()
+    store.set('VctA', [1, 2, 3])
+    store.set('VctB', [4, 5, 6])
+    const run = (source, angleMode = 'DEG') => evaluate(parse(source), { arithmetic: createVectorArithmetic(angleMode, store) })
+
+    it('should evaluate vector expressions', () => {
+        expect(run('2VctA + VctB').components).toEqual([6, 9, 12])
+        expect(run('-VctA / 2').components).toEqual([-0.5, -1, -1.5])
+        expect(run('dot(VctA, VctB)')).toBe(32)
+        expect(run('cross(VctA, VctB)').components).toEqual([-3, 6, -3])
+        expect(run('norm(unitV(VctB))')).toBeCloseTo(1, 12)
+        expect(run('angle(VctA, VctB)', 'RAD')).toBeCloseTo(Math.acos(32 / Math.sqrt(14 * 77)), 12)
+    })
+
+    it('should reject products and functions that need other operands', () => {
+        expect(() => run('VctA × VctB')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => run('VctA + 1')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => run('sin(VctA)')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+        expect(() => run('norm(3)')).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+    })
+
+    it('should share expressions with matrices', () => {
+        const matrices = createMatrixStore()
+        matrices.set('MatA', [[1, 0], [0, 1]])
+        const arithmetic = createVectorArithmetic('DEG', store, createMatrixArithmetic('DEG', matrices))
+        const result = evaluate(parse('det(MatA) × norm(VctA)'), { arithmetic })
+        expect(result).toBeCloseTo(Math.sqrt(14), 12)
+        expect(() => evaluate(parse('MatA × VctA'), { arithmetic })).toThrow(ERROR_MESSAGES.DIMENSION_MISMATCH)
+    })
+
+    it('should detect vector names', () => {
+        expect(hasVectors(parse('1 + norm(VctC)'))).toBe(true)
+        expect(hasVectors(parse('1 + x'))).toBe(false)
+    })
+})
+
+describe('Vector Operations', () => {
+    it('should edit components and switch between 2D and 3D', () => {
+        vectorOperations.select('VctC')
+        vectorOperations.setComponent(0, 3)
+        vectorOperations.setComponent(1, 4)
+        expect(vectorOperations.get('VctC').components).toEqual([3, 4])
+
+        vectorOperations.resize(3)
+        vectorOperations.setComponent(2, 12)
+        expect(vectorOperations.get('VctC').components).toEqual([3, 4, 12])
+        vectorOperations.resize(2)
+        expect(vectorOperations.get('VctC').components).toEqual([3, 4])
+        expect(() => vectorOperations.setComponent(2, 1)).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+
+    it('should persist the defined vectors', () => {
+        vectorOperations.set('VctA', [1, 2])
+        expect(localStorage.setItem).toHaveBeenLastCalledWith('calculatorVectors', JSON.stringify({
+            VctA: { components: [1, 2] }
+        }))
+
+        vectorOperations.clear('VctA')
+        expect(vectorOperations.get('VctA')).toBeNull()
+        expect(() => vectorOperations.set('VctE', [1, 2])).toThrow(ERROR_MESSAGES.INVALID_INPUT)
+    })
+})
@@ -0,0 +1,409 @@
+/**
+ * Unit Conversion
+ * @fileoverview Extensible unit catalog, quantities with units and the unit-aware expression backend
+ */
+
+import { ERROR_MESSAGES, ANGLE_MODES, formatNumber } from './utils.js';
+import { NODE_TYPES, createFunctionTable, createRealArithmetic } from './expression.js';
+
+/**
+ * Unit catalog by category. Each unit converts to the category's base unit (factor 1) as
+ * `base = (value + offset) × factor`; the offset is only needed for temperature scales.
+ * Extend it with addUnit() rather than editing it in place.
+ */
+export const UNIT_CATALOG = {
+    length: {
+        name: 'Length',
+        units: {
+            m: { name: 'meter', factor: 1 },
+            km: { name: 'kilometer', factor: 1000 },
+            cm: { name: 'centimeter', factor: 0.01 },
+            mm: { name: 'millimeter', factor: 0.001 },
+            um: { name: 'micrometer', factor: 1e-6 },
+            in: { name: 'inch', factor: 0.0254 },
+            ft: { name: 'foot', factor: 0.3048 },
+            yd: { name: 'yard', factor: 0.9144 },
+            mi: { name: 'mile', factor: 1609.344 },
+            nmi: { name: 'nautical mile', factor: 1852 }
+        }
+    },
+    mass: {
+        name: 'Mass',
+        units: {
+            kg: { name: 'kilogram', factor: 1 },
+            g: { name: 'gram', factor: 0.001 },
+            mg: { name: 'milligram', factor: 1e-6 },
+            t: { name: 'tonne', factor: 1000 },
+            lb: { name: 'pound', factor: 0.45359237 },
+            oz: { name: 'ounce', factor: 0.028349523125 },
+            st: { name: 'stone', factor: 6.35029318 }
+        }
+    },
+    volume: {
+        name: 'Volume',
+        units: {
+            L: { name: 'liter', factor: 1 },
+            mL: { name: 'milliliter', factor: 0.001 },
+            m3: { name: 'cubic meter', factor: 1000 },
+            gal: { name: 'US gallon', factor: 3.785411784 },
+            qt: { name: 'US quart', factor: 0.946352946 },
+            pt: { name: 'US pint', factor: 0.473176473 },
+            cup: { name: 'US cup', factor: 0.2365882365 },
+            floz: { name: 'US fluid ounce', factor: 0.0295735295625 },
+            tbsp: { name: 'tablespoon', factor: 0.01478676478125 },
+            tsp: { name: 'teaspoon', factor: 0.00492892159375 }
+        }
+    },
+    temperature: {
+        name: 'Temperature',
+        units: {
+            K: { name: 'kelvin', factor: 1 },
+            degC: { name: 'degree Celsius', factor: 1, offset: 273.15 },
+            degF: { name: 'degree Fahrenheit', factor: 5 / 9, offset: 459.67 }
+        }
+    },
+    pressure: {
+        name: 'Pressure',
+        units: {
+            Pa: { name: 'pascal', factor: 1 },
+            kPa: { name: 'kilopascal', factor: 1000 },
+            bar: { name: 'bar', factor: 100000 },
+            atm: { name: 'atmosphere', factor: 101325 },
+            psi: { name: 'pound per square inch', factor: 6894.757293168361 },
+            mmHg: { name: 'millimeter of mercury', factor: 133.322387415 },
+            torr: { name: 'torr', factor: 101325 / 760 }
+        }
+    },
+    energy: {
+        name: 'Energy',
+        units: {
+            J: { name: 'joule', factor: 1 },
+            kJ: { name: 'kilojoule', factor: 1000 },
+            cal: { name: 'calorie', factor: 4.184 },
+            kcal: { name: 'kilocalorie', factor: 4184 },
+            Wh: { name: 'watt hour', factor: 3600 },
+            kWh: { name: 'kilowatt hour', factor: 3.6e6 },
+            eV: { name: 'electronvolt', factor: 1.602176634e-19 },
+            BTU: { name: 'British thermal unit', factor: 1055.05585262 }
+        }
+    },
+    speed: {
+        name: 'Speed',
+        units: {
+            mps: { name: 'meter per second', factor: 1 },
+            kph: { name: 'kilometer per hour', factor: 1 / 3.6 },
+            mph: { name: 'mile per hour', factor: 0.44704 },
+            kn: { name: 'knot', factor: 1852 / 3600 },
+            fps: { name: 'foot per second', factor: 0.3048 }
+        }
+    },
+    data: {
+        name: 'Data Size',
+        units: {
+            B: { name: 'byte', factor: 1 },
+            bit: { name: 'bit', factor: 0.125 },
+            kB: { name: 'kilobyte', factor: 1e3 },
+            MB: { name: 'megabyte', factor: 1e6 },
+            GB: { name: 'gigabyte', factor: 1e9 },
+            TB: { name: 'terabyte', factor: 1e12 },
+            KiB: { name: 'kibibyte', factor: 1024 },
+            MiB: { name: 'mebibyte', factor: 1024 ** 2 },
+            GiB: { name: 'gibibyte', factor: 1024 ** 3 },
+            TiB: { name: 'tebibyte', factor: 1024 ** 4 }
+        }
+    },
+    angle: {
+        name: 'Angle',
+        units: {
+            rad: { name: 'radian', factor: 1 },
+            deg: { name: 'degree', factor: Math.PI / 180 },
+            grad: { name: 'gradian', factor: Math.PI / 200 },
+            turn: { name: 'turn', factor: 2 * Math.PI },
+            arcmin: { name: 'arcminute', factor: Math.PI / 10800 },
+            arcsec: { name: 'arcsecond', factor: Math.PI / 648000 }
+        }
+    }
+};
+
+// Angle unit matching each angle mode, so angle quantities can be passed to trigonometric functions
+const ANGLE_MODE_UNITS = {
+    [ANGLE_MODES.DEGREES]: 'deg',
+    [ANGLE_MODES.RADIANS]: 'rad',
+    [ANGLE_MODES.GRADIANS]: 'grad'
+};
+
+// Names that already mean something in an expression and cannot become unit symbols
+const RESERVED_SYMBOLS = ['to', 'pi', 'e', 'i', ...Object.keys(createFunctionTable())];
+
+/**
+ * Look up a unit by symbol
+ * @param {string} symbol - Unit symbol such as `ft`
+ * @returns {Object|null} Unit definition with symbol and category, or null if unknown
+ */
+export function findUnit(symbol) {
+    for (const [category, { units }] of Object.entries(UNIT_CATALOG)) {
+        if (Object.prototype.hasOwnProperty.call(units, symbol)) {
+            return { offset: 0, ...units[symbol], symbol, category };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check if a symbol names a unit in the catalog
+ * @param {string} symbol - Candidate symbol
+ * @returns {boolean} True for known units
+ */
+export function isUnit(symbol) {
+    return findUnit(symbol) !== null;
+}
+
+/**
+ * Look up a unit, rejecting unknown symbols
+ * @param {string} symbol - Unit symbol
+ * @returns {Object} Unit definition
+ */
+function requireUnit(symbol) {
+    const unit = findUnit(symbol);
+    if (!unit) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    return unit;
+}
+
+/**
+ * Add a custom unit to the catalog, creating the category if needed
+ * @param {string} category - Category key such as `length`
+ * @param {string} symbol - Unit symbol usable in expressions (letters and digits, starting with a letter)
+ * @param {Object} definition - Unit definition
+ * @param {string} definition.name - Display name
+ * @param {number} definition.factor - Size of one unit in the category's base unit
+ * @param {number} definition.offset - Offset added before scaling (temperature scales only)
+ */
+export function addUnit(category, symbol, { name = symbol, factor, offset = 0 } = {}) {
+    const validSymbol = /^[a-zA-Z][a-zA-Z0-9]*$/.test(symbol) && !RESERVED_SYMBOLS.includes(symbol) && !isUnit(symbol);
+    if (!validSymbol || !(factor > 0) || !isFinite(factor) || !isFinite(offset)) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+
+    if (!UNIT_CATALOG[category]) {
+        UNIT_CATALOG[category] = { name: category, units: {} };
+    }
+    UNIT_CATALOG[category].units[symbol] = offset ? { name, factor, offset } : { name, factor };
+}
+
+/**
+ * Remove a unit from the catalog, dropping its category once it is empty
+ * @param {string} symbol - Unit symbol
+ */
+export function removeUnit(symbol) {
+    const { category } = requireUnit(symbol);
+    delete UNIT_CATALOG[category].units[symbol];
+    if (Object.keys(UNIT_CATALOG[category].units).length === 0) {
+        delete UNIT_CATALOG[category];
+    }
+}
+
+/**
+ * Convert a number between two units of the same category
+ * @param {number} value - Value in the source unit
+ * @param {string} from - Source unit symbol
+ * @param {string} to - Target unit symbol
+ * @returns {number} Value in the target unit
+ */
+export function convertUnit(value, from, to) {
+    return new Quantity(value, from).to(to).value;
+}
+
+/**
+ * Immutable number with a unit from the catalog
+ */
+export class Quantity {
+    /**
+     * @param {number} value - Value in the given unit
+     * @param {string} unit - Unit symbol
+     */
+    constructor(value, unit) {
+        this.value = value;
+        this.unit = requireUnit(unit).symbol;
+    }
+
+    /**
+     * Restore a quantity saved with toJSON()
+     * @param {Quantity|Object} value - Quantity or `{ value, unit }` object
+     * @returns {Quantity} Quantity
+     */
+    static from(value) {
+        return value instanceof Quantity ? value : new Quantity(Number(value.value), value.unit);
+    }
+
+    // Unit definition of this quantity
+    getUnit() {
+        return findUnit(this.unit);
+    }
+
+    // Value in the category's base unit
+    toBase() {
+        const { factor, offset } = this.getUnit();
+        return (this.value + offset) * factor;
+    }
+
+    /**
+     * Convert to another unit of the same category
+     * @param {string} symbol - Target unit symbol
+     * @returns {Quantity} Converted quantity
+     */
+    to(symbol) {
+        const target = requireUnit(symbol);
+        if (target.category !== this.getUnit().category) {
+            throw new Error(ERROR_MESSAGES.UNIT_MISMATCH);
+        }
+        return new Quantity(this.toBase() / target.factor - target.offset, symbol);
+    }
+
+    // Same unit with a new value
+    withValue(value) {
+        return new Quantity(value, this.unit);
+    }
+
+    // Allow Number(quantity) and isFinite(quantity)
+    valueOf() {
+        return this.value;
+    }
+
+    /**
+     * Format the value followed by its unit, e.g. `1.8264 m`
+     * @param {number} maxDecimals - Maximum decimal places
+     * @returns {string} Formatted quantity
+     */
+    format(maxDecimals) {
+        return `${formatNumber(this.value, maxDecimals)} ${this.unit}`;
+    }
+
+    // Serialize the value and unit symbol
+    toJSON() {
+        return { value: this.value, unit: this.unit };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Check if a parsed expression uses units
+ * @param {Object} node - AST node
+ * @returns {boolean} True if the tree contains a unit annotation or conversion
+ */
+export function hasUnits(node) {
+    if (node.type === NODE_TYPES.UNIT || node.type === NODE_TYPES.CONVERSION) return true;
+    const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+    return children.some(hasUnits);
+}
+
+/**
+ * Collect the unit symbols used in an expression
+ * @param {Object} node - Expression AST
+ * @param {Set<string>} symbols - Symbols found so far
+ * @returns {Array<string>} Unit symbols, each listed once
+ */
+export function collectUnits(node, symbols = new Set()) {
+    if (node.type === NODE_TYPES.UNIT || node.type === NODE_TYPES.CONVERSION) {
+        symbols.add(node.unit);
+    }
+    [node.argument, node.left, node.right, ...(node.args || [])]
+        .filter(Boolean)
+        .forEach(child => collectUnits(child, symbols));
+    return [...symbols];
+}
+
+/**
+ * Creates the floating-point arithmetic for expressions such as `5 ft + 30 cm in m`.
+ * Sums keep the unit of their left operand; quantities may be scaled by plain numbers,
+ * and dividing two quantities of one category gives their ratio.
+ * @param {string} angleMode - Angle mode for trigonometric functions
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createUnitArithmetic(angleMode = ANGLE_MODES.DEGREES) {
+    const real = createRealArithmetic(angleMode);
+    const mismatch = () => {
+        throw new Error(ERROR_MESSAGES.UNIT_MISMATCH);
+    };
+
+    // Quantities of one category, without temperature offsets that make sums meaningless
+    const sameLinearCategory = (left, right) => {
+        const a = left.getUnit();
+        const b = right.getUnit();
+        return a.category === b.category && !a.offset && !b.offset;
+    };
+
+    // Angle quantities are read in the active angle mode; other quantities have no function values
+    const toPlain = (value) => {
+        if (!(value instanceof Quantity)) return value;
+        if (value.getUnit().category !== 'angle') mismatch();
+        return value.to(ANGLE_MODE_UNITS[angleMode]).value;
+    };
+
+    const functions = Object.fromEntries(
+        Object.entries(real.functions).map(([name, func]) => [name, (value) => func(toPlain(value))])
+    );
+
+    return {
+        constants: real.constants,
+        functions,
+
+        unit(value, symbol) {
+            if (value instanceof Quantity) mismatch();
+            return new Quantity(value, symbol);
+        },
+
+        convert(value, symbol) {
+            if (!(value instanceof Quantity)) mismatch();
+            return value.to(symbol);
+        },
+
+        unary(operator, value) {
+            if (value instanceof Quantity) {
+                return value.withValue(real.unary(operator, value.value));
+            }
+            return real.unary(operator, value);
+        },
+
+        binary(operator, left, right) {
+            const leftQuantity = left instanceof Quantity;
+            const rightQuantity = right instanceof Quantity;
+            if (!leftQuantity && !rightQuantity) {
+                return real.binary(operator, left, right);
+            }
+
+            switch (operator) {
+                case '+':
+                case '-':
+                    if (!leftQuantity || !rightQuantity || !sameLinearCategory(left, right)) mismatch();
+                    return left.withValue(real.binary(operator, left.value, right.to(left.unit).value));
+                case '*':
+                    if (leftQuantity && rightQuantity) mismatch();
+                    return leftQuantity
+                        ? left.withValue(left.value * right)
+                        : right.withValue(left * right.value);
+                case '/':
+                    if (!leftQuantity) mismatch();
+                    if (rightQuantity) {
+                        if (!sameLinearCategory(left, right)) mismatch();
+                        return real.binary('/', left.toBase(), right.toBase());
+                    }
+                    return left.withValue(real.binary('/', left.value, right));
+                default:
+                    return mismatch();
+            }
+        },
+
+        postfix(operator, value) {
+            if (!(value instanceof Quantity)) {
+                return real.postfix(operator, value);
+            }
+            if (operator !== '%') mismatch();
+            return value.withValue(value.value / 100);
+        }
+    };
+}
@@ -16,9 +16,10 @@ export const CONSTANTS = {
     LOG_10_E: Math.LOG10E
 };
 
-// Precision and limits
+// Precision and limits; DECIMAL_PLACES is a user setting, change it with setDecimalPlaces()
 export const PRECISION = {
     DECIMAL_PLACES: 12,
+    MAX_DECIMAL_PLACES: 50,
     MAX_SAFE_INTEGER: Number.MAX_SAFE_INTEGER,
     MIN_SAFE_INTEGER: Number.MIN_SAFE_INTEGER,
     EPSILON: Number.EPSILON
@@ -32,7 +33,12 @@ export const ERROR_MESSAGES = {
     INVALID_INPUT: 'Invalid Input',
     DOMAIN_ERROR: 'Domain Error',
     MEMORY_ERROR: 'Memory Error',
-    SYNTAX_ERROR: 'Syntax Error'
+    SYNTAX_ERROR: 'Syntax Error',
+    UNIT_MISMATCH: 'Unit Mismatch',
+    NO_CONVERGENCE: 'No Convergence',
+    NO_SIGN_CHANGE: 'No Sign Change',
+    DIMENSION_MISMATCH: 'Dimension Mismatch',
+    SINGULAR_MATRIX: 'Singular Matrix'
 };
 
 // Angle conversion modes
@@ -42,18 +48,76 @@ export const ANGLE_MODES = {
     GRADIANS: 'GRAD'
 };
 
+// Calculator modes; statistics mode keeps scientific arithmetic and adds the data list
+export const CALCULATOR_MODES = {
+    SCIENTIFIC: 'SCI',
+    PROGRAMMER: 'PROG',
+    STATISTICS: 'STAT'
+};
+
+// Display formats for complex results
+export const COMPLEX_FORMATS = {
+    RECTANGULAR: 'RECT',
+    POLAR: 'POLAR'
+};
+
+// How fraction results are displayed (S⇔D cycles through them in this order)
+export const FRACTION_FORMATS = {
+    IMPROPER: 'IMPROPER',
+    MIXED: 'MIXED',
+    DECIMAL: 'DECIMAL'
+};
+
+/**
+ * Check the arithmetic and angle modes recorded with an expression in history
+ * @param {*} modes - Candidate `{ angleMode, decimal, complexFormat, fractionFormat }`
+ * @returns {boolean} True when every mode is one the engine supports
+ */
+export function isExpressionModes(modes) {
+    return typeof modes === 'object' && modes !== null &&
+        Object.values(ANGLE_MODES).includes(modes.angleMode) &&
+        typeof modes.decimal === 'boolean' &&
+        (modes.complexFormat === null || Object.values(COMPLEX_FORMATS).includes(modes.complexFormat)) &&
+        (modes.fractionFormat === null || Object.values(FRACTION_FORMATS).includes(modes.fractionFormat));
+}
+
+/**
+ * Sets the number of decimal places results are rounded to
+ * @param {number} places - Integer between 0 and PRECISION.MAX_DECIMAL_PLACES
+ */
+export function setDecimalPlaces(places) {
+    if (!Number.isInteger(places) || places < 0 || places > PRECISION.MAX_DECIMAL_PLACES) {
+        throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+    }
+    PRECISION.DECIMAL_PLACES = places;
+}
+
 /**
  * Formats a number for display with appropriate precision
- * @param {number} value - The number to format
+ * @param {number|bigint|Decimal|Complex} value - The number to format
  * @param {number} maxDecimals - Maximum decimal places
+ * @param {number} radix - Base for integer output (non-decimal bases truncate to an integer)
  * @returns {string} Formatted number string
  */
-export function formatNumber(value, maxDecimals = PRECISION.DECIMAL_PLACES) {
+export function formatNumber(value, maxDecimals = PRECISION.DECIMAL_PLACES, radix = 10) {
+    if (typeof value === 'bigint') {
+        return value.toString(radix).toUpperCase();
+    }
+
+    // Value objects (Decimal, Complex) format themselves
+    if (typeof value === 'object' && value !== null) {
+        return value.format(maxDecimals);
+    }
+
     if (!isFinite(value)) {
         if (isNaN(value)) return ERROR_MESSAGES.MATH_ERROR;
         return value > 0 ? '∞' : '-∞';
     }
 
+    if (radix !== 10) {
+        return Math.trunc(value).toString(radix).toUpperCase();
+    }
+
     // Handle very large or very small numbers with scientific notation
     const absValue = Math.abs(value);
     if (absValue > 1e15 || (absValue < 1e-6 && absValue !== 0)) {
@@ -216,6 +280,7 @@ export function deepClone(obj) {
 
 /**
  * Safely evaluates a mathematical expression
+ * @deprecated Use evaluateExpression() from expression.js, which never builds code at runtime
  * @param {string} expression - Expression to evaluate
  * @returns {number} Evaluation result
  */
@@ -287,6 +352,65 @@ export async function copyToClipboard(text) {
     }
 }
 
+/**
+ * Reads text from the clipboard
+ * @returns {Promise<string|null>} Clipboard text, or null if it cannot be read
+ */
+export async function readClipboardText() {
+    try {
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            return await navigator.clipboard.readText();
+        }
+        return null;
+    } catch (error) {
+        console.error('Failed to read from clipboard:', error);
+        return null;
+    }
+}
+
+// Characters with a meaning in HTML text and attribute values
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escapes text for HTML content and quoted attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Saves content as a file through a temporary download link
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type of string content
+ * @returns {boolean} Success status
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+    try {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return true;
+    } catch (error) {
+        console.error('Failed to download file:', error);
+        return false;
+    }
+}
+
 /**
  * Plays a sound effect (if enabled)
  * @param {string} type - Type of sound ('click', 'error', 'success')
@@ -331,6 +455,8 @@ export function playSound(type) {
  * @returns {boolean} Success status
  */
 export function storeData(key, data) {
+    if (typeof localStorage === 'undefined') return false;
+    
     try {
         localStorage.setItem(key, JSON.stringify(data));
         return true;
@@ -347,6 +473,8 @@ export function storeData(key, data) {
  * @returns {*} Retrieved data or default value
  */
 export function getData(key, defaultValue = null) {
+    if (typeof localStorage === 'undefined') return defaultValue;
+    
     try {
         const stored = localStorage.getItem(key);
         return stored ? JSON.parse(stored) : defaultValue;
@@ -354,4 +482,21 @@ export function getData(key, defaultValue = null) {
         console.error('Failed to retrieve data:', error);
         return defaultValue;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Removes data from localStorage with error handling
+ * @param {string} key - Storage key
+ * @returns {boolean} Success status
+ */
+export function removeData(key) {
+    if (typeof localStorage === 'undefined') return false;
+    
+    try {
+        localStorage.removeItem(key);
+        return true;
+    } catch (error) {
+        console.error('Failed to remove data:', error);
+        return false;
+    }
+}
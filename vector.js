@@ -0,0 +1,491 @@
+/**
+ * Vector Mode
+ * @fileoverview 2D and 3D vector values (dot, cross, magnitude, unit vector, projection, angle),
+ * the vector expression backend for VctA…VctD, and the vector editor panel
+ */
+
+import { formatNumber, ERROR_MESSAGES, ANGLE_MODES, convertAngle, storeData, getData } from './utils.js';
+import { createRealArithmetic, NODE_TYPES } from './expression.js';
+
+// Names of the vectors usable in expressions
+export const VECTOR_NAMES = ['VctA', 'VctB', 'VctC', 'VctD'];
+
+// Supported numbers of components
+export const VECTOR_DIMENSIONS = [2, 3];
+
+const COMPONENT_NAMES = ['x', 'y', 'z'];
+
+const dimensionMismatch = () => {
+    throw new Error(ERROR_MESSAGES.DIMENSION_MISMATCH);
+};
+
+/**
+ * Immutable 2D or 3D real vector
+ */
+export class Vector {
+    /**
+     * @param {Array<number>} components - Two or three components
+     */
+    constructor(components) {
+        if (!Array.isArray(components) || !VECTOR_DIMENSIONS.includes(components.length) ||
+            !components.every(value => typeof value === 'number')) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        this.components = [...components];
+    }
+
+    /**
+     * Converts components, or restores a vector saved with toJSON()
+     * @param {Vector|Array<number>|Object} value - Vector, components or `{ components }` object
+     * @returns {Vector} Vector
+     */
+    static from(value) {
+        if (value instanceof Vector) return value;
+        return new Vector(Array.isArray(value) ? value : value && value.components);
+    }
+
+    get dimension() {
+        return this.components.length;
+    }
+
+    /**
+     * Entry-wise combination with a vector of the same dimension
+     * @param {Vector} other - Other vector
+     * @param {Function} operation - Combines two components
+     * @returns {Vector} Result
+     */
+    combine(other, operation) {
+        if (other.dimension !== this.dimension) dimensionMismatch();
+        return new Vector(this.components.map((value, i) => operation(value, other.components[i])));
+    }
+
+    add(other) {
+        return this.combine(other, (a, b) => a + b);
+    }
+
+    subtract(other) {
+        return this.combine(other, (a, b) => a - b);
+    }
+
+    scale(factor) {
+        return new Vector(this.components.map(value => value * factor));
+    }
+
+    dot(other) {
+        if (other.dimension !== this.dimension) dimensionMismatch();
+        return this.components.reduce((sum, value, i) => sum + value * other.components[i], 0);
+    }
+
+    /**
+     * Cross product; 2D vectors are taken in the xy-plane, so the result is along z
+     * @param {Vector} other - Right operand
+     * @returns {Vector} 3D cross product
+     */
+    cross(other) {
+        if (other.dimension !== this.dimension) dimensionMismatch();
+        const [ax, ay, az = 0] = this.components;
+        const [bx, by, bz = 0] = other.components;
+        return new Vector([ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx]);
+    }
+
+    // Euclidean length
+    norm() {
+        return Math.hypot(...this.components);
+    }
+
+    // Vector of length 1 in the same direction
+    unit() {
+        const length = this.requireNonZero();
+        return new Vector(this.components.map(value => value / length));
+    }
+
+    /**
+     * Projection onto another vector: (a·b / |b|²) b
+     * @param {Vector} other - Direction to project onto
+     * @returns {Vector} Projection
+     */
+    projectOnto(other) {
+        const length = other.requireNonZero();
+        return other.scale(this.dot(other) / (length * length));
+    }
+
+    /**
+     * Angle between two vectors
+     * @param {Vector} other - Other vector
+     * @param {string} angleMode - Angle mode of the result
+     * @returns {number} Angle from 0 to a half turn
+     */
+    angleTo(other, angleMode = ANGLE_MODES.DEGREES) {
+        const cosine = this.dot(other) / (this.requireNonZero() * other.requireNonZero());
+        // Rounding can push the cosine of parallel vectors just past ±1
+        return convertAngle(Math.acos(Math.max(-1, Math.min(1, cosine))), angleMode, false);
+    }
+
+    /**
+     * Length of a vector that has a direction
+     * @returns {number} Non-zero length
+     */
+    requireNonZero() {
+        const length = this.norm();
+        if (length === 0) {
+            throw new Error(ERROR_MESSAGES.MATH_ERROR);
+        }
+        return length;
+    }
+
+    // Every component is finite
+    isFinite() {
+        return this.components.every(value => isFinite(value));
+    }
+
+    /**
+     * Format the components, e.g. `[1, 2, 3]`
+     * @param {number} maxDecimals - Maximum decimal places of each component
+     * @returns {string} Formatted vector
+     */
+    format(maxDecimals) {
+        return `[${this.components.map(value => formatNumber(value, maxDecimals)).join(', ')}]`;
+    }
+
+    // Serialize the components
+    toJSON() {
+        return { components: [...this.components] };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+/**
+ * Check if a parsed expression names a vector
+ * @param {Object} node - AST node
+ * @returns {boolean} True if the tree reads VctA…VctD
+ */
+export function hasVectors(node) {
+    if (node.type === NODE_TYPES.CONSTANT && VECTOR_NAMES.includes(node.name)) return true;
+    const children = [node.argument, node.left, node.right, ...(node.args || [])].filter(Boolean);
+    return children.some(hasVectors);
+}
+
+/**
+ * Creates a plain in-memory vector store used when no vector adapter is supplied
+ * @returns {Object} Vector adapter with get and set
+ */
+export function createVectorStore() {
+    const vectors = {};
+    return {
+        get: (name) => vectors[name] || null,
+        set: (name, value) => {
+            vectors[name] = Vector.from(value);
+        }
+    };
+}
+
+/**
+ * Creates the arithmetic for expressions such as `2VctA + VctB` or `angle(VctA, VctB)`.
+ * Vectors add and subtract component-wise and scale by numbers; dot, cross, norm, unitV,
+ * proj and angle take vector arguments. Everything else goes to the base backend, so
+ * vectors can share an expression with matrices.
+ * @param {string} angleMode - Angle mode of `angle()` and of trigonometric functions
+ * @param {Object} store - Vector adapter whose get(name) returns a Vector or null
+ * @param {Object} base - Backend for operands that are not vectors (defaults to floating point)
+ * @returns {Object} Arithmetic backend for evaluate()
+ */
+export function createVectorArithmetic(angleMode = ANGLE_MODES.DEGREES, store = createVectorStore(), base = createRealArithmetic(angleMode)) {
+    const requireVector = (value) => (value instanceof Vector ? value : dimensionMismatch());
+    const requireNonVector = (value) => (value instanceof Vector ? dimensionMismatch() : value);
+
+    // Base functions take one argument and reject vectors; the vector functions reject everything else
+    const functions = {
+        ...Object.fromEntries(Object.entries(base.functions).map(([name, func]) => [name, (value) => func(requireNonVector(value))])),
+        dot: (a, b) => requireVector(a).dot(requireVector(b)),
+        cross: (a, b) => requireVector(a).cross(requireVector(b)),
+        norm: (a) => requireVector(a).norm(),
+        unitV: (a) => requireVector(a).unit(),
+        proj: (a, b) => requireVector(a).projectOnto(requireVector(b)),
+        angle: (a, b) => requireVector(a).angleTo(requireVector(b), angleMode)
+    };
+
+    // Defined vectors read like constants; an undefined one is an unknown name
+    const constants = { ...base.constants };
+    VECTOR_NAMES.forEach(name => {
+        const vector = store.get(name);
+        if (vector) constants[name] = Vector.from(vector);
+    });
+
+    return {
+        constants,
+        functions,
+
+        unary(operator, value) {
+            if (!(value instanceof Vector)) return base.unary(operator, value);
+            return operator === '-' ? value.scale(-1) : value;
+        },
+
+        binary(operator, left, right) {
+            const leftVector = left instanceof Vector;
+            const rightVector = right instanceof Vector;
+            if (!leftVector && !rightVector) {
+                return base.binary(operator, left, right);
+            }
+            // Vectors combine with vectors and plain numbers only
+            if ((!leftVector && typeof left !== 'number') || (!rightVector && typeof right !== 'number')) {
+                dimensionMismatch();
+            }
+
+            switch (operator) {
+                case '+':
+                    if (!leftVector || !rightVector) dimensionMismatch();
+                    return left.add(right);
+                case '-':
+                    if (!leftVector || !rightVector) dimensionMismatch();
+                    return left.subtract(right);
+                case '*':
+                    if (leftVector && rightVector) dimensionMismatch();
+                    return leftVector ? left.scale(right) : right.scale(left);
+                case '/':
+                    if (rightVector) dimensionMismatch();
+                    if (right === 0) throw new Error(ERROR_MESSAGES.MATH_ERROR);
+                    return left.scale(1 / right);
+                default:
+                    return dimensionMismatch();
+            }
+        },
+
+        postfix(operator, value) {
+            if (!(value instanceof Vector)) return base.postfix(operator, value);
+            return dimensionMismatch();
+        }
+    };
+}
+
+class VectorManager {
+    constructor() {
+        this.vectors = Object.fromEntries(VECTOR_NAMES.map(name => [name, null]));
+        this.selected = VECTOR_NAMES[0];
+        this.nameSelect = null;
+        this.otherSelect = null;
+        this.dimensionSelect = null;
+        this.gridElement = null;
+        this.loadVectorsFromStorage();
+        this.initializeUI();
+    }
+
+    // Initialize vector panel elements (skipped when running without a DOM)
+    initializeUI() {
+        if (typeof document === 'undefined') return;
+
+        this.nameSelect = document.getElementById('vectorName');
+        this.otherSelect = document.getElementById('vectorOther');
+        this.dimensionSelect = document.getElementById('vectorDimension');
+        this.gridElement = document.getElementById('vectorGrid');
+
+        [this.nameSelect, this.otherSelect].forEach(select => {
+            if (select) select.replaceChildren(...VECTOR_NAMES.map(name => new Option(name, name)));
+        });
+        if (this.nameSelect) {
+            this.nameSelect.addEventListener('change', (event) => this.selectVector(event.target.value));
+        }
+        if (this.otherSelect) {
+            this.otherSelect.value = VECTOR_NAMES[1];
+        }
+        if (this.dimensionSelect) {
+            this.dimensionSelect.replaceChildren(...VECTOR_DIMENSIONS.map(dimension => new Option(`${dimension}D`, String(dimension))));
+            this.dimensionSelect.addEventListener('change', (event) => this.resizeVector(Number(event.target.value)));
+        }
+        if (this.gridElement) {
+            this.gridElement.addEventListener('change', (event) => this.handleComponentChange(event));
+        }
+
+        this.renderVector();
+    }
+
+    // Load the defined vectors from localStorage
+    loadVectorsFromStorage() {
+        const stored = getData('calculatorVectors', {});
+        VECTOR_NAMES.forEach(name => {
+            if (!stored || !stored[name]) return;
+            try {
+                this.vectors[name] = this.requireFinite(Vector.from(stored[name]));
+            } catch (error) {
+                console.warn('Ignoring invalid stored vector:', name);
+            }
+        });
+    }
+
+    // Save the defined vectors to localStorage
+    saveVectorsToStorage() {
+        const defined = Object.entries(this.vectors).filter(([, vector]) => vector);
+        storeData('calculatorVectors', Object.fromEntries(defined));
+    }
+
+    /**
+     * Reject vectors with infinite or NaN components
+     * @param {Vector} vector - Vector to check
+     * @returns {Vector} The vector
+     */
+    requireFinite(vector) {
+        if (!vector.isFinite()) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return vector;
+    }
+
+    /**
+     * Check a vector name
+     * @param {string} name - Name from VECTOR_NAMES
+     * @returns {string} The name
+     */
+    requireName(name) {
+        if (!VECTOR_NAMES.includes(name)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        return name;
+    }
+
+    /**
+     * Define or replace a vector
+     * @param {string} name - Name from VECTOR_NAMES
+     * @param {Vector|Array<number>|Object} value - Vector, components or `{ components }`
+     */
+    setVector(name, value) {
+        this.requireName(name);
+        this.vectors[name] = this.requireFinite(Vector.from(value));
+        this.saveVectorsToStorage();
+        if (name === this.selected) {
+            this.renderVector();
+        }
+    }
+
+    /**
+     * Get a vector by name
+     * @param {string} name - Name from VECTOR_NAMES
+     * @returns {Vector|null} Vector, or null if it is not defined
+     */
+    getVector(name) {
+        return VECTOR_NAMES.includes(name) ? this.vectors[name] : null;
+    }
+
+    /**
+     * Remove a vector definition
+     * @param {string} name - Name from VECTOR_NAMES
+     */
+    clearVector(name) {
+        this.vectors[this.requireName(name)] = null;
+        this.saveVectorsToStorage();
+        if (name === this.selected) {
+            this.renderVector();
+        }
+    }
+
+    /**
+     * Choose the vector shown in the editor
+     * @param {string} name - Name from VECTOR_NAMES
+     */
+    selectVector(name) {
+        this.selected = this.requireName(name);
+        this.renderVector();
+    }
+
+    /**
+     * Switch the selected vector between 2D and 3D, keeping the x and y components
+     * @param {number} dimension - Number of components
+     */
+    resizeVector(dimension) {
+        if (!VECTOR_DIMENSIONS.includes(dimension)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        const current = this.vectors[this.selected];
+        const components = Array.from({ length: dimension }, (_, i) => (current && current.components[i]) || 0);
+        this.setVector(this.selected, components);
+    }
+
+    /**
+     * Set one component of the selected vector, creating a 2D zero vector if it is not defined
+     * @param {number} index - Component index (0 for x)
+     * @param {number} value - Component value
+     */
+    setComponent(index, value) {
+        const vector = this.vectors[this.selected] || new Vector([0, 0]);
+        if (index < 0 || index >= vector.dimension || typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(ERROR_MESSAGES.INVALID_INPUT);
+        }
+        const components = [...vector.components];
+        components[index] = value;
+        this.vectors[this.selected] = new Vector(components);
+        this.saveVectorsToStorage();
+    }
+
+    // Second operand chosen for dot, cross, proj and angle
+    getOther() {
+        return this.otherSelect ? this.otherSelect.value : VECTOR_NAMES[1];
+    }
+
+    /**
+     * Apply an edited component input
+     * @param {Event} event - Change event from a component input
+     */
+    handleComponentChange(event) {
+        const { component } = event.target.dataset;
+        if (component === undefined) return;
+
+        try {
+            this.setComponent(Number(component), Number(event.target.value || 0));
+        } catch (error) {
+            const vector = this.vectors[this.selected];
+            event.target.value = String(vector ? vector.components[Number(component)] : 0);
+        }
+    }
+
+    // Render the dimension select and the component inputs of the selected vector
+    renderVector() {
+        const vector = this.vectors[this.selected];
+        const components = vector ? vector.components : [0, 0];
+
+        if (this.nameSelect) {
+            this.nameSelect.value = this.selected;
+        }
+        if (this.dimensionSelect) {
+            this.dimensionSelect.value = String(components.length);
+        }
+        if (this.gridElement) {
+            const header = document.createElement('tr');
+            const row = document.createElement('tr');
+            components.forEach((value, index) => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = COMPONENT_NAMES[index];
+                header.appendChild(th);
+
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.value = String(value);
+                input.dataset.component = String(index);
+                input.setAttribute('aria-label', `${this.selected} ${COMPONENT_NAMES[index]} component`);
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            this.gridElement.replaceChildren(header, row);
+        }
+    }
+}
+
+// Create and export singleton instance
+export const vectorManager = new VectorManager();
+
+// Export vector operations as individual functions; get and set also serve as the engine's vector adapter
+export const vectorOperations = {
+    get: (name) => vectorManager.getVector(name),
+    set: (name, value) => vectorManager.setVector(name, value),
+    clear: (name) => vectorManager.clearVector(name),
+    select: (name) => vectorManager.selectVector(name),
+    getSelected: () => vectorManager.selected,
+    getOther: () => vectorManager.getOther(),
+    resize: (dimension) => vectorManager.resizeVector(dimension),
+    setComponent: (index, value) => vectorManager.setComponent(index, value)
+};
+
+// Export class for advanced usage
+export default VectorManager;